@@ -169,7 +169,10 @@ export function ProjectDetail({ project, plan, cost, health, runState, onAction
       )}
 
       {view === 'policy' && (
-        <PolicyApprovalsPanel projectId={project.id} />
+        <>
+          <PolicyApprovalsPanel projectId={project.id} />
+          <PolicySimulationPanel projectId={project.id} />
+        </>
       )}
 
       {view === 'compliance' && (
@@ -267,6 +270,21 @@ function QueueStatusPanel({ projectId }) {
   );
 }
 
+const APPROVER_KEY = 'shipyard.approverName';
+
+/**
+ * Approver name for quorum approvals (counted per person), remembered in localStorage.
+ * Asks once when none is stored.
+ */
+export function getApproverName() {
+  let name = localStorage.getItem(APPROVER_KEY) || '';
+  if (!name) {
+    name = (window.prompt('Your name (approvals are counted per person)') || '').trim();
+    if (name) localStorage.setItem(APPROVER_KEY, name);
+  }
+  return name || null;
+}
+
 /**
  * PolicyApprovalsPanel - List and actions for pending approvals
  */
@@ -274,6 +292,12 @@ function PolicyApprovalsPanel({ projectId }) {
   const [pending, setPending] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [approver, setApprover] = useState(() => localStorage.getItem(APPROVER_KEY) || '');
+
+  const changeApprover = (value) => {
+    setApprover(value);
+    localStorage.setItem(APPROVER_KEY, value.trim());
+  };
 
   const load = async () => {
     setLoading(true);
@@ -293,15 +317,21 @@ function PolicyApprovalsPanel({ projectId }) {
   useEffect(() => { load(); }, [projectId]);
 
   const approve = async (item) => {
+    const name = approver.trim() || getApproverName();
+    if (!name) return;
+    if (name !== approver) setApprover(name);
     try {
       const res = await fetch('/api/policy/approve', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ project: item.projectId, taskId: item.taskId, approverName: 'PM' })
+        body: JSON.stringify({ project: item.projectId, taskId: item.taskId, approverName: name })
       });
-      if (!res.ok) throw new Error('approve failed');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'approve failed');
       await load();
-      alert('Approved and resumed');
+      alert(data.status === 'pending'
+        ? `Approval recorded: ${data.approvals} of ${data.requiredApprovals} approvals`
+        : 'Approved and resumed');
     } catch (e) {
       alert(`Approve error: ${e.message}`);
     }
@@ -312,7 +342,7 @@ function PolicyApprovalsPanel({ projectId }) {
       const res = await fetch('/api/policy/reject', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ project: item.projectId, taskId: item.taskId, rejectionReason: 'PM rejected' })
+        body: JSON.stringify({ project: item.projectId, taskId: item.taskId, rejectorName: approver.trim() || undefined, rejectionReason: 'PM rejected' })
       });
       if (!res.ok) throw new Error('reject failed');
       await load();
@@ -328,6 +358,12 @@ function PolicyApprovalsPanel({ projectId }) {
         <h3>Pending Approvals</h3>
         <button className="btn-secondary" onClick={load}>Refresh</button>
       </div>
+      <div className="simulation-options">
+        <label>
+          Approving as{' '}
+          <input type="text" value={approver} placeholder="your name" onChange={(e) => changeApprover(e.target.value)} />
+        </label>
+      </div>
       {loading && <div className="loading-spinner">Loading…</div>}
       {error && <div className="error-message">Error: {error}</div>}
       <div className="approvals-list">
@@ -335,10 +371,18 @@ function PolicyApprovalsPanel({ projectId }) {
           <div className="empty-message">No pending approvals</div>
         ) : (
           pending.map((p) => (
-            <div key={`${p.projectId}:${p.taskId}`} className="approval-item">
+            <div key={`${p.projectId}:${p.taskId}`} className={`approval-item ${p.severity === 'critical' ? 'critical' : ''}`}>
               <div className="approval-main">
                 <div className="approval-title">{p.projectId} — {p.taskId}</div>
-                <div className="approval-meta">severity: {p.severity || '-'} | {new Date(p.timestamp).toLocaleString()}</div>
+                <div className="approval-meta">
+                  severity: {p.severity || '-'} | {new Date(p.timestamp).toLocaleString()}
+                  {p.expiresAt ? ` | expires ${new Date(p.expiresAt).toLocaleString()}` : ''}
+                  {p.escalatedAt ? ' | escalated' : ''}
+                </div>
+                <div className="approval-quorum">
+                  {p.approvals || 0} of {p.requiredApprovals || 1} approvals
+                  {p.approvers?.length ? ` (${p.approvers.join(', ')})` : ''}
+                </div>
                 <div className="approval-command"><code>{String(p.command || '').slice(0, 120)}</code></div>
               </div>
               <div className="approval-actions">
@@ -353,6 +397,154 @@ function PolicyApprovalsPanel({ projectId }) {
   );
 }
 
+/**
+ * PolicySimulationPanel - Dry-run a candidate policy against past commands
+ */
+function PolicySimulationPanel({ projectId }) {
+  const [projectLayer, setProjectLayer] = useState(false);
+  const [text, setText] = useState('');
+  const [since, setSince] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const query = projectLayer ? `?project=${encodeURIComponent(projectId)}` : '';
+
+  const loadCurrent = async () => {
+    setError(null);
+    try {
+      const res = await fetch(`/api/policy${query}`);
+      const data = await res.json();
+      setText(JSON.stringify({ version: data.version || 1, rules: data.rules || [] }, null, 2));
+      setResult(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  useEffect(() => { loadCurrent(); }, [projectId, projectLayer]);
+
+  const simulate = async () => {
+    let policy;
+    try {
+      policy = JSON.parse(text);
+    } catch (e) {
+      setError(`Invalid JSON: ${e.message}`);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/policy/simulate${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ policy, since: since ? new Date(since).toISOString() : undefined })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        const details = (data.errors || []).map(e => `${e.rule !== null ? `rule ${e.rule} ` : ''}${e.field}: ${e.message}`).join('; ');
+        throw new Error(details || data.error || 'simulation failed');
+      }
+      setResult(data);
+    } catch (e) {
+      setResult(null);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summary = result?.summary;
+
+  return (
+    <div className="policy-panel simulation-panel">
+      <div className="panel-header">
+        <h3>Policy Simulation</h3>
+        <button className="btn-secondary" onClick={loadCurrent}>Load Active Policy</button>
+      </div>
+      <div className="simulation-options">
+        <label>
+          <input type="checkbox" checked={projectLayer} onChange={(e) => setProjectLayer(e.target.checked)} />
+          {' '}Project layer only ({projectId}/policy.json)
+        </label>
+        <label>
+          Since{' '}
+          <input type="date" value={since} onChange={(e) => setSince(e.target.value)} />
+        </label>
+        <button className="btn-primary" onClick={simulate} disabled={loading}>Simulate</button>
+      </div>
+      <textarea
+        className="simulation-editor"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        rows={14}
+      />
+      {loading && <div className="loading-spinner">Replaying history…</div>}
+      {error && <div className="error-message">Error: {error}</div>}
+      {summary && (
+        <div className="simulation-results">
+          <div className="queue-content">
+            <div className="metric"><label>Executions replayed</label><div>{summary.commands}</div></div>
+            <div className="metric"><label>Decisions changed</label><div>{summary.changed}</div></div>
+            <div className="metric"><label>Stricter</label><div>{summary.stricter}</div></div>
+            <div className="metric"><label>Looser</label><div>{summary.looser}</div></div>
+          </div>
+
+          <h4>By project</h4>
+          <table className="simulation-table">
+            <thead><tr><th>Project</th><th>Executions</th><th>Changed</th><th>Transitions</th></tr></thead>
+            <tbody>
+              {Object.entries(result.byProject).map(([id, p]) => (
+                <tr key={id}>
+                  <td>{id}</td>
+                  <td>{p.commands}</td>
+                  <td>{p.changed}</td>
+                  <td>{Object.entries(p.transitions).map(([t, n]) => `${t}: ${n}`).join(', ') || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4>By rule</h4>
+          <table className="simulation-table">
+            <thead><tr><th>Rule</th><th>Matched now</th><th>Matched with candidate</th><th>Changed</th></tr></thead>
+            <tbody>
+              {Object.entries(result.byRule).map(([id, r]) => (
+                <tr key={id}>
+                  <td>{id}</td>
+                  <td>{r.matchedBefore}</td>
+                  <td>{r.matchedAfter}</td>
+                  <td>{r.changed}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4>Changed decisions{result.truncated ? ' (first 500)' : ''}</h4>
+          <div className="approvals-list">
+            {result.changes.length === 0 ? (
+              <div className="empty-message">No decision would change</div>
+            ) : (
+              result.changes.map((c) => (
+                <div key={`${c.project}:${c.transition}:${c.command}`} className={`approval-item ${c.after.action === 'deny' ? 'critical' : ''}`}>
+                  <div className="approval-main">
+                    <div className="approval-title">{c.project} — {c.transition}</div>
+                    <div className="approval-meta">
+                      {c.occurrences}× | rule: {c.before.ruleId || '-'} → {c.after.ruleId || '-'} | last seen {c.lastSeen ? new Date(c.lastSeen).toLocaleString() : '-'}
+                    </div>
+                    <div className="approval-command"><code>{String(c.command).slice(0, 200)}</code></div>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 /**
  * TaskItemDetail - Single task display
  */
@@ -721,6 +913,10 @@ export function DangerCommandApprovalPrompt({
   command,
   reason,
   severity,
+  approvals = 0,
+  requiredApprovals = 1,
+  approvers = [],
+  expiresAt = null,
   onApprove,
   onReject,
   isProcessing = false,
@@ -757,6 +953,21 @@ export function DangerCommandApprovalPrompt({
             <span className="reason">{reason}</span>
           </div>
 
+          <div className="detail-row">
+            <label>Approvals:</label>
+            <span>
+              {approvals} of {requiredApprovals} approvals
+              {approvers.length > 0 && ` (${approvers.join(', ')})`}
+            </span>
+          </div>
+
+          {expiresAt && (
+            <div className="detail-row">
+              <label>Expires:</label>
+              <span>{new Date(expiresAt).toLocaleString()} (auto-rejected after that)</span>
+            </div>
+          )}
+
           <div className="command-block">
             <label>Command:</label>
             <pre className="command-code">{command}</pre>
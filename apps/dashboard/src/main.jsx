@@ -6,7 +6,8 @@ import {
   ProjectList,
   ProjectDetail,
   DangerCommandApprovalPrompt,
-  AuditLog
+  AuditLog,
+  getApproverName
 } from "./components/ProjectUI.jsx";
 import "./styles/project-ui.css";
 import "./styles/queue-policy.css";
@@ -47,6 +48,7 @@ function App() {
   const [wsError, setWsError] = useState("");
   const [projects, setProjects] = useState([]);
   const [projectId, setProjectId] = useState("");
+  const projectIdRef = useRef(projectId); // current project for the socket handler
   const [progress, setProgress] = useState({ total: 28, current: "DB-3 爬蟲搭建", currentPct: 35 });
   const [viewMode, setViewMode] = useState('dashboard'); // 'dashboard' or 'projects'
   const [selectedProjectId, setSelectedProjectId] = useState(null);
@@ -68,12 +70,18 @@ function App() {
   const [cost, setCost] = useState({});
   const [pendingApproval, setPendingApproval] = useState(null);
   const [approvalAck, setApprovalAck] = useState(false);
-  const [budget, setBudget] = useState(null); // USD
+  const [budget, setBudget] = useState(null); // TWD per period, for the current project
+  const [budgetStatus, setBudgetStatus] = useState(null);
+  const [forecast, setForecast] = useState(null); // cost forecast of the plan's todo tasks
   const [projectsConfig, setProjectsConfig] = useState([]);
   const [runEvents, setRunEvents] = useState([]);
   const [runSessions, setRunSessions] = useState([]);
   const [selectedRunSession, setSelectedRunSession] = useState('');
   const [sessionSummary, setSessionSummary] = useState('');
+  const [engineerMemory, setEngineerMemory] = useState(null); // conversation buffer sent with engineer prompts
+  const [checkpoints, setCheckpoints] = useState({}); // taskId -> latest git checkpoint entry
+  const [runWorktree, setRunWorktree] = useState(null); // latest run worktree (projects with isolation: "worktree")
+  const [interruptedRun, setInterruptedRun] = useState(null); // run cut short by a server restart
   const [commandProgress, setCommandProgress] = useState(null);
 
   // load projects
@@ -90,11 +98,35 @@ function App() {
 
   // notify server when project changes
   useEffect(() => {
+    projectIdRef.current = projectId;
     if (ws && ws.readyState === 1 && projectId) {
       ws.send(JSON.stringify({ type: 'project:set', project: projectId }));
     }
   }, [projectId, ws]);
 
+  // load the engineer's conversation memory when the project changes
+  useEffect(() => {
+    setEngineerMemory(null);
+    if (ws && ws.readyState === 1 && projectId) ws.send(JSON.stringify({ type: 'engineer:memory:get', project: projectId }));
+  }, [projectId, ws]);
+
+  // load the project's run worktree
+  useEffect(() => {
+    setRunWorktree(null);
+    setInterruptedRun(null);
+    if (ws && ws.readyState === 1 && projectId) ws.send(JSON.stringify({ type: 'worktree:list', project: projectId }));
+  }, [projectId, ws]);
+
+  // refresh task checkpoints (changesets, rollback availability) when the project or its plan changes
+  useEffect(() => {
+    if (ws && ws.readyState === 1 && projectId) ws.send(JSON.stringify({ type: 'task:checkpoints:get', project: projectId }));
+  }, [projectId, plan, ws]);
+
+  // refresh the cost forecast when the project, its plan or its spend changes
+  useEffect(() => {
+    if (ws && ws.readyState === 1 && projectId) ws.send(JSON.stringify({ type: 'forecast:get', project: projectId }));
+  }, [projectId, plan, cost, ws]);
+
   // load run sessions when project changes
   useEffect(() => {
     if (!projectId) {
@@ -166,7 +198,7 @@ function App() {
             setEngineerResult(null);
           } else {
             setEngineerResult(msg);
-            setEngineerOut(safeStringify({ bash: msg.bash, patch: msg.patch, summary: msg.summary, requiresApproval: msg.requiresApproval, dangerReason: msg.dangerReason }));
+            setEngineerOut(safeStringify({ bash: msg.bash, patch: msg.patch, patchCheck: msg.patchCheck, summary: msg.summary, requiresApproval: msg.requiresApproval, dangerReason: msg.dangerReason }));
           }
           return;
         }
@@ -187,7 +219,41 @@ function App() {
         }
 
         if (msg.type === 'cost:updated') {
+          // Cost updates are broadcast for every project
+          if (msg.project && projectIdRef.current && msg.project !== projectIdRef.current) return;
           setCost(msg.cost || {});
+          if (msg.budget) {
+            setBudgetStatus(msg.budget);
+            setBudget(msg.budget.amount);
+          }
+          return;
+        }
+
+        if (msg.type === 'forecast:result') {
+          if (msg.project && projectIdRef.current && msg.project !== projectIdRef.current) return;
+          setForecast(msg.forecast || null);
+          return;
+        }
+
+        if (msg.type === 'run:refused') {
+          if (msg.code) {
+            alert(`Autopilot not started: ${msg.reason}`);
+            return;
+          }
+          setForecast(msg.forecast || null);
+          if (confirm(`Autopilot not started: ${msg.reason}.\nStart anyway?`)) {
+            socket.send(JSON.stringify({ type: 'run:control', action: 'play', project: msg.project, override: true }));
+          }
+          return;
+        }
+
+        if (msg.type === 'cost:budgetWarning') {
+          term.write(`\r\n[Budget] ${msg.project}: ${Math.round(msg.threshold * 100)}% of the ${msg.period} budget used (${(msg.spent || 0).toFixed(2)} / ${(msg.budget || 0).toFixed(2)} TWD)\r\n`);
+          return;
+        }
+
+        if (msg.type === 'cost:taskCapExceeded') {
+          term.write(`\r\n[Budget] ${msg.project}: task ${msg.taskId} blocked, ${msg.reason}\r\n`);
           return;
         }
 
@@ -212,15 +278,64 @@ function App() {
         }
 
         if (msg.type === 'autopilot:approve:result') {
-          if (msg.ok) setPendingApproval(null);
+          // Quorum not reached yet: keep the prompt open with the new count
+          if (msg.ok && msg.status !== 'pending') setPendingApproval(null);
+          if (!msg.ok && msg.error) alert(`Approve error: ${msg.error}`);
+          return;
+        }
+
+        if (msg.type === 'approval:progress') {
+          setPendingApproval(prev => (prev && prev.project === msg.project && prev.taskId === msg.taskId
+            ? { ...prev, approvals: msg.approvals, requiredApprovals: msg.requiredApprovals, approvers: msg.approvers || [] }
+            : prev));
+          return;
+        }
+
+        if (msg.type === 'approval:reminder') {
+          // Still waiting: bring the prompt back if it was dismissed
+          setPendingApproval(prev => prev || {
+            project: msg.project,
+            taskId: msg.taskId,
+            bash: msg.bash,
+            patchFiles: msg.patchFiles || [],
+            severity: msg.severity || 'high',
+            approvals: msg.approvals || 0,
+            requiredApprovals: msg.requiredApprovals || 1,
+            expiresAt: msg.expiresAt,
+            approvers: []
+          });
+          return;
+        }
+
+        if (msg.type === 'approval:expired') {
+          setPendingApproval(prev => (prev && prev.project === msg.project && prev.taskId === msg.taskId ? null : prev));
+          setAuditEvents(prev => [...prev, {
+            type: 'DANGER_REJECTED',
+            ts: new Date().toISOString(),
+            command: msg.bash || '',
+            reason: 'Approval expired',
+            severity: msg.severity || 'high',
+            approver: 'SYSTEM',
+            project: msg.project || projectId
+          }].slice(-100));
           return;
         }
 
         if (msg.type === 'autopilot:requiresApproval') {
           // show pending approval panel
-          setPendingApproval({ project: msg.project, taskId: msg.taskId, bash: msg.bash, dangerReason: msg.dangerReason });
+          setPendingApproval({
+            project: msg.project,
+            taskId: msg.taskId,
+            bash: msg.bash,
+            patchFiles: msg.patchFiles || [],
+            dangerReason: msg.dangerReason,
+            severity: msg.severity || 'high',
+            approvals: msg.approvals || 0,
+            requiredApprovals: msg.requiredApprovals || 1,
+            expiresAt: msg.expiresAt,
+            approvers: []
+          });
           setApprovalAck(false);
-          setRunState('paused');
           // Record approval event for audit log
           const auditEvent = {
             type: 'POLICY_REQUIRES_APPROVAL',
@@ -249,6 +364,79 @@ function App() {
         // V4.2: Engineer cleared
         if (msg.type === 'engineer:cleared') {
           term.write('\r\n[Engineer context cleared]\r\n');
+          if (msg.project === projectIdRef.current) setEngineerMemory(null);
+          return;
+        }
+
+        if (msg.type === 'engineer:memory') {
+          if (msg.project && projectIdRef.current && msg.project !== projectIdRef.current) return;
+          setEngineerMemory(msg);
+          return;
+        }
+
+        if (msg.type === 'run:interrupted') {
+          if (msg.project !== projectIdRef.current) return;
+          setInterruptedRun(msg);
+          return;
+        }
+
+        if (msg.type === 'run:interrupted:cleared') {
+          if (msg.project === projectIdRef.current) setInterruptedRun(null);
+          return;
+        }
+
+        if (msg.type === 'run:recovery:result') {
+          if (!msg.ok) alert(`Run ${msg.action} failed: ${msg.error}`);
+          return;
+        }
+
+        if (msg.type === 'worktree:list') {
+          if (msg.project !== projectIdRef.current) return;
+          setRunWorktree(asArray(msg.worktrees).slice(-1)[0] || null);
+          return;
+        }
+
+        if (msg.type === 'worktree:created' || msg.type === 'worktree:stopped') {
+          if (msg.project !== projectIdRef.current) return;
+          setRunWorktree(msg.worktree);
+          if (msg.type === 'worktree:stopped') {
+            const changes = msg.worktree.changes || {};
+            term.write(`\r\n[Worktree] run stopped in ${msg.worktree.branch}: ${asArray(changes.files).length} file(s) changed, ${changes.commits || 0} commit(s). Merge or discard it from the checklist.\r\n`);
+          }
+          return;
+        }
+
+        if (msg.type === 'worktree:merged' || msg.type === 'worktree:discarded') {
+          if (msg.project !== projectIdRef.current) return;
+          term.write(`\r\n[Worktree] ${msg.worktree.branch} ${msg.type === 'worktree:merged' ? (msg.merged ? 'merged' : 'had nothing to merge') : 'discarded'}\r\n`);
+          socket.send(JSON.stringify({ type: 'worktree:list', project: projectIdRef.current }));
+          return;
+        }
+
+        if (msg.type === 'worktree:result') {
+          if (!msg.ok) alert(`Worktree ${msg.action} failed: ${msg.error}`);
+          return;
+        }
+
+        if (msg.type === 'task:checkpoints') {
+          if (msg.project && projectIdRef.current && msg.project !== projectIdRef.current) return;
+          const latest = {};
+          for (const e of asArray(msg.entries)) if (!latest[e.taskId]) latest[e.taskId] = e;
+          setCheckpoints(latest);
+          return;
+        }
+
+        if (msg.type === 'task:changeset') {
+          const t = msg.totals || {};
+          term.write(`\r\n[Checkpoint] ${msg.taskId}: ${t.files || 0} file(s) changed, +${t.added || 0} -${t.removed || 0}\r\n`);
+          socket.send(JSON.stringify({ type: 'task:checkpoints:get', project: projectIdRef.current }));
+          return;
+        }
+
+        if (msg.type === 'task:rollback:result') {
+          if (!msg.ok) alert(`Rollback refused: ${msg.error}`);
+          else term.write(`\r\n[Checkpoint] ${msg.taskId} rolled back to ${String(msg.checkpoint).slice(0, 10)} (${asArray(msg.files).join(', ')})\r\n`);
+          socket.send(JSON.stringify({ type: 'task:checkpoints:get', project: projectIdRef.current }));
           return;
         }
 
@@ -289,7 +477,6 @@ function App() {
             budget: s.budget ?? p.budget,
           }));
           if (s.project) setProjectId(s.project);
-          if (s.budget != null) setBudget(s.budget);
           if (s.runState) setRunState(s.runState);
           return;
         }
@@ -455,22 +642,34 @@ function App() {
           <span style={{ fontSize: 12, opacity: 0.85 }}>Budget (TWD)</span>
           <input
             type="number"
-            value={budget ?? progress.budget ?? 100}
+            value={budget ?? progress.budget ?? 0}
             onChange={(e) => {
               const val = Number(e.target.value);
               setBudget(val);
               if (ws && ws.readyState === 1) {
-                ws.send(JSON.stringify({ type: 'state:update', state: { budget: val } }));
+                ws.send(JSON.stringify({ type: 'budget:set', project: projectId, amount: val }));
               }
             }}
             style={{ width: 80, background: "#0b0f14", color: "#e6edf3", border: "1px solid #1f2a37", borderRadius: 8, padding: "6px 8px" }}
           />
+          <select
+            value={budgetStatus?.period || 'lifetime'}
+            onChange={(e) => {
+              if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: 'budget:set', project: projectId, period: e.target.value }));
+            }}
+            style={{ background: "#0b0f14", color: "#e6edf3", border: "1px solid #1f2a37", borderRadius: 8, padding: "6px 8px" }}
+          >
+            <option value="daily">daily</option>
+            <option value="weekly">weekly</option>
+            <option value="monthly">monthly</option>
+            <option value="lifetime">lifetime</option>
+          </select>
         </div>
 
         {cost && cost.cost_twd ? (
           <div style={{ opacity: 0.8, fontSize: 12 }}>
             💰 已用：{(cost.cost_twd || 0).toFixed(2)} TWD / {(cost.cost_usd || 0).toFixed(4)} USD
-            {budget ? ` (預算: ${budget} USD)` : ''}
+            {budgetStatus?.budget > 0 ? ` (本期 ${budgetStatus.period}: ${budgetStatus.spent.toFixed(2)} / ${budgetStatus.budget.toFixed(2)} TWD)` : ''}
           </div>
         ) : null}
 
@@ -547,19 +746,24 @@ function App() {
           {pendingApproval && (
             <DangerCommandApprovalPrompt
               taskId={pendingApproval.taskId}
-              command={pendingApproval.bash}
+              command={[pendingApproval.bash, pendingApproval.patchFiles?.length ? `patch: ${pendingApproval.patchFiles.join(', ')}` : ''].filter(Boolean).join('\n')}
               reason={pendingApproval.dangerReason}
-              severity="high"
+              severity={pendingApproval.severity || 'high'}
+              approvals={pendingApproval.approvals || 0}
+              requiredApprovals={pendingApproval.requiredApprovals || 1}
+              approvers={pendingApproval.approvers || []}
+              expiresAt={pendingApproval.expiresAt}
               onApprove={() => {
-                if (ws && ws.readyState === 1) {
-                  ws.send(JSON.stringify({ type: 'autopilot:approve', taskId: pendingApproval.taskId }));
+                const approverName = getApproverName();
+                if (approverName && ws && ws.readyState === 1) {
+                  ws.send(JSON.stringify({ type: 'autopilot:approve', project: pendingApproval.project, taskId: pendingApproval.taskId, approverName }));
                   const auditEvent = {
                     type: 'DANGER_APPROVED',
                     ts: new Date().toISOString(),
                     command: pendingApproval.bash || '',
                     reason: pendingApproval.dangerReason || '',
-                    severity: 'high',
-                    approver: 'user',
+                    severity: pendingApproval.severity || 'high',
+                    approver: approverName,
                     project: pendingApproval.project || projectId
                   };
                   setAuditEvents(prev => [...prev, auditEvent]);
@@ -567,13 +771,13 @@ function App() {
               }}
               onReject={() => {
                 if (ws && ws.readyState === 1) {
-                  ws.send(JSON.stringify({ type: 'autopilot:reject', taskId: pendingApproval.taskId }));
+                  ws.send(JSON.stringify({ type: 'autopilot:reject', project: pendingApproval.project, taskId: pendingApproval.taskId, rejectorName: localStorage.getItem('shipyard.approverName') || undefined }));
                   const auditEvent = {
                     type: 'DANGER_REJECTED',
                     ts: new Date().toISOString(),
                     command: pendingApproval.bash || '',
                     reason: pendingApproval.dangerReason || '',
-                    severity: 'high',
+                    severity: pendingApproval.severity || 'high',
                     approver: 'user',
                     project: pendingApproval.project || projectId
                   };
@@ -655,13 +859,22 @@ function App() {
                 <div style={{ fontSize: 12, marginTop: 6 }}>Task: {pendingApproval.taskId}</div>
                 <div style={{ fontSize: 12, marginTop: 6 }}>Reason: {pendingApproval.dangerReason}</div>
                 <pre style={{ background: '#111', padding: 8, marginTop: 8 }}>{pendingApproval.bash}</pre>
+                {pendingApproval.patchFiles?.length ? (
+                  <div style={{ fontSize: 12, marginTop: 6 }}>Patch touches: {pendingApproval.patchFiles.join(', ')}</div>
+                ) : null}
+                <div style={{ fontSize: 12, marginTop: 6 }}>
+                  {pendingApproval.approvals || 0} of {pendingApproval.requiredApprovals || 1} approvals
+                  {pendingApproval.approvers?.length ? ` (${pendingApproval.approvers.join(', ')})` : ''}
+                </div>
                 <label style={{ display: 'block', marginTop: 8, fontSize: 12 }}>
                   <input type="checkbox" checked={approvalAck} onChange={(e) => setApprovalAck(e.target.checked)} /> I understand the risk and approve execution
                 </label>
                 <div style={{ marginTop: 8 }}>
                   <button disabled={!approvalAck || !ws || ws.readyState !== 1} onClick={() => {
                     if (!ws || ws.readyState !== 1) return;
-                    ws.send(JSON.stringify({ type: 'autopilot:approve', project: pendingApproval.project }));
+                    const approverName = getApproverName();
+                    if (!approverName) return;
+                    ws.send(JSON.stringify({ type: 'autopilot:approve', project: pendingApproval.project, taskId: pendingApproval.taskId, approverName }));
                   }} style={{ padding: 8, background: '#f5a623', color: '#000', border: 'none' }}>Approve & Continue</button>
                 </div>
               </div>
@@ -675,6 +888,39 @@ function App() {
           <div style={{ padding: 10, borderBottom: "1px solid #1f2a37", fontWeight: 700 }}>Checklist</div>
           <div style={{ padding: 8 }}>
             <div style={{ fontSize: 12, opacity: 0.8, marginBottom: 8 }}>Tasks for {projectId}</div>
+            {interruptedRun ? (
+              <div style={{ fontSize: 12, padding: 6, marginBottom: 8, border: '1px solid #f5a623', borderRadius: 6, display: 'flex', alignItems: 'center', gap: 8 }}>
+                <div style={{ flex: 1 }}>
+                  Run interrupted by a server restart
+                  {interruptedRun.tasks?.length ? ` - ${interruptedRun.tasks.map(t => t.title || t.id).join(', ')} back to todo` : ''}
+                  {interruptedRun.lastEvent ? ` (last: ${interruptedRun.lastEvent.type})` : ''}
+                </div>
+                <button onClick={() => {
+                  if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: 'run:resume', project: projectId }));
+                }} style={{ fontSize: 11, padding: '2px 6px' }}>Resume</button>
+                <button onClick={() => {
+                  if (ws && ws.readyState === 1 && confirm('Abandon the interrupted run?')) ws.send(JSON.stringify({ type: 'run:abandon', project: projectId }));
+                }} style={{ fontSize: 11, padding: '2px 6px' }}>Abandon</button>
+              </div>
+            ) : null}
+            {runWorktree ? (
+              <div style={{ fontSize: 12, padding: 6, marginBottom: 8, border: '1px solid #1f2a37', borderRadius: 6, display: 'flex', alignItems: 'center', gap: 8 }}>
+                <div style={{ flex: 1 }} title={runWorktree.path}>
+                  Worktree <code>{runWorktree.branch}</code>
+                  {runWorktree.status === 'active' ? ' (run active)' : ` - ${asArray(runWorktree.changes?.files).length} file(s), ${runWorktree.changes?.commits || 0} commit(s)`}
+                </div>
+                {runWorktree.status === 'stopped' ? (
+                  <>
+                    <button onClick={() => {
+                      if (ws && ws.readyState === 1 && confirm(`Merge ${runWorktree.branch} into the project checkout?`)) ws.send(JSON.stringify({ type: 'worktree:merge', project: projectId, id: runWorktree.id }));
+                    }} style={{ fontSize: 11, padding: '2px 6px' }}>Merge</button>
+                    <button onClick={() => {
+                      if (ws && ws.readyState === 1 && confirm(`Discard ${runWorktree.branch} and everything the run changed?`)) ws.send(JSON.stringify({ type: 'worktree:discard', project: projectId, id: runWorktree.id }));
+                    }} style={{ fontSize: 11, padding: '2px 6px' }}>Discard</button>
+                  </>
+                ) : null}
+              </div>
+            ) : null}
             {(plan.tasks || []).map((t) => (
               <div key={t.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: 6, borderBottom: '1px solid #111' }}>
                 <input type="checkbox" checked={t.status === 'done'} onChange={(e) => {
@@ -684,8 +930,23 @@ function App() {
                 }} />
                 <div style={{ flex: 1 }}>
                   <div style={{ fontWeight: 600 }}>{t.title}</div>
+                  {asArray(t.dependsOn).length > 0 ? (
+                    <div style={{ fontSize: 11, opacity: 0.6 }}>after: {t.dependsOn.join(', ')}</div>
+                  ) : null}
                   <div style={{ fontSize: 12, opacity: 0.7 }}>{t.notes || ''}</div>
                 </div>
+                {checkpoints[t.id]?.files?.length > 0 && !checkpoints[t.id].rolledBack && t.status !== 'doing' ? (
+                  <button
+                    disabled={Boolean(checkpoints[t.id].rollbackBlocked)}
+                    title={checkpoints[t.id].rollbackBlocked?.message || `Restore ${checkpoints[t.id].files.map(f => f.path).join(', ')}`}
+                    onClick={() => {
+                      if (!ws || ws.readyState !== 1) return;
+                      if (!confirm(`Roll back "${t.title}"?\nRestores ${checkpoints[t.id].files.length} file(s) to their state before the task.`)) return;
+                      ws.send(JSON.stringify({ type: 'task:rollback', project: projectId, taskId: t.id }));
+                    }}
+                    style={{ fontSize: 11, padding: '2px 6px' }}
+                  >Rollback</button>
+                ) : null}
                 <div style={{ width: 80, textAlign: 'right', fontSize: 12 }}>{t.points || 0} pts</div>
               </div>
             ))}
@@ -727,8 +988,9 @@ function App() {
           <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
             <button
               onClick={() => { if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: 'run:control', action: 'play', project: projectId })); }}
-              style={{ padding: 8, background: '#2ea043', color: '#fff', border: 'none' }}
-            >Play</button>
+              title={forecast ? `${forecast.tasks} todo tasks, ${forecast.points} points; forecast from ${forecast.basis === 'default' ? 'default rates' : `${forecast.samples} finished tasks`}` : undefined}
+              style={{ padding: 8, background: forecast?.exceedsBudget ? '#b08800' : '#2ea043', color: '#fff', border: 'none' }}
+            >Play{forecast?.tasks ? ` (≈${forecast.expected.toFixed(2)} / p90 ${forecast.p90.toFixed(2)} TWD)` : ''}</button>
             <button
               onClick={() => { if (ws && ws.readyState === 1) ws.send(JSON.stringify({ type: 'run:control', action: 'pause', project: projectId })); }}
               style={{ padding: 8, background: '#f5a623', color: '#000', border: 'none' }}
@@ -821,6 +1083,15 @@ function App() {
               </details>
             )}
             
+            <details style={{ fontSize: 12 }}>
+              <summary style={{ cursor: 'pointer', opacity: 0.8, marginBottom: 6 }}>
+                🧠 Engineer Memory ({engineerMemory?.stats
+                  ? `${engineerMemory.stats.turns} recent, ${engineerMemory.stats.summarizedTurns} summarized, ~${engineerMemory.stats.tokens}/${engineerMemory.stats.budgetTokens} tokens`
+                  : 'empty'})
+              </summary>
+              <pre style={{ margin: 0, whiteSpace: "pre-wrap", wordBreak: "break-word", marginTop: 6, fontSize: 11 }}>{engineerMemory?.rendered || "(empty - filled as autopilot finishes tasks)"}</pre>
+            </details>
+
             <details style={{ fontSize: 12 }}>
               <summary style={{ cursor: 'pointer', opacity: 0.8, marginBottom: 6 }}>PM result (JSON)</summary>
               <pre style={{ margin: 0, whiteSpace: "pre-wrap", wordBreak: "break-word", marginTop: 6 }}>{pmOut || "(empty)"}</pre>
@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+/**
+ * shipyard - headless CLI for the Shipyard orchestrator
+ *
+ * Talks to a running server over HTTP + WebSocket (default http://localhost:8788,
+ * override with --url or SHIPYARD_URL). With --local the orchestrator is started
+ * in-process against ./data on an ephemeral loopback port, so CI jobs need no
+ * separate server.
+ *
+ * Exit codes: 0 ok, 1 error / blocked tasks, 2 waiting for approval, 3 budget exceeded.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import WebSocket from 'ws';
+
+const USAGE = `Usage: shipyard [--url <url>] [--local] [--project <id>] [--json] <command>
+
+Commands:
+  projects                         List configured projects
+  plan show                        Print the project's plan
+  plan create <requirements...>    Ask the PM to (re)build the plan
+  plan edit [--file <plan.json>]   Replace plan tasks from a file or $EDITOR
+  run start [--wait]               Start autopilot (--wait blocks until the run ends;
+                                   --override-budget starts even when the p90 cost
+                                   forecast exceeds the remaining budget)
+  run pause | run stop             Pause or stop autopilot
+  approve [--task <id>]            Add your approval to the pending dangerous command
+                                   (--task picks one when several tasks wait)
+  reject [--task <id>] [--reason <text>]
+                                   Reject the pending dangerous command
+  report [--run <id>] [--out <f>]  Markdown report for the latest (or given) run
+  compliance run [--all]           Run compliance checks
+  tail [--all]                     Stream live runlog events
+
+Options:
+  --url <url>        Server URL (default $SHIPYARD_URL or http://localhost:8788)
+  --local            Run the orchestrator in-process against ./data
+  -p, --project <id> Project id (default: the server's active project)
+  --json             Machine-readable output
+  --timeout <ms>     Timeout for request/response commands (default 180000)
+  -h, --help         Show this help`;
+
+const EXIT = { ok: 0, error: 1, approval: 2, budget: 3 };
+
+class CliError extends Error {}
+
+// stdout is reserved for command output; in --local mode the server's own
+// console.log chatter is moved to stderr.
+function out(line = '') {
+  process.stdout.write(String(line) + '\n');
+}
+
+function printJson(obj) {
+  out(JSON.stringify(obj, null, 2));
+}
+
+// -----------------------------
+// Connection
+// -----------------------------
+async function startLocalServer() {
+  process.env.PORT = '0';
+  process.env.PORT_END = '0';
+  process.env.HOST = process.env.HOST || '127.0.0.1';
+  console.log = console.error;
+  const serverPath = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'server.mjs');
+  const { serverReady } = await import(serverPath);
+  const port = await serverReady;
+  return `http://127.0.0.1:${port}`;
+}
+
+async function http(baseUrl, method, route, body) {
+  const res = await fetch(new URL(route, baseUrl), {
+    method,
+    headers: body ? { 'content-type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await res.text();
+  const isJson = (res.headers.get('content-type') || '').includes('application/json');
+  const data = isJson && text ? JSON.parse(text) : text;
+  if (!res.ok) throw new CliError(`${method} ${route} failed (${res.status}): ${data?.error || text}`);
+  return data;
+}
+
+function parseMessage(raw) {
+  try { return JSON.parse(String(raw)); } catch { return null; }
+}
+
+function openSocket(baseUrl) {
+  const wsUrl = baseUrl.replace(/^http/, 'ws');
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(wsUrl);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', (e) => reject(new CliError(`WebSocket ${wsUrl} failed: ${e.message}`)));
+  });
+}
+
+// Send one message and resolve with the first reply accepted by `match`
+async function wsRequest(baseUrl, message, match, timeoutMs) {
+  const ws = await openSocket(baseUrl);
+  try {
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new CliError(`timed out waiting for reply to ${message.type}`)), timeoutMs);
+      ws.on('message', (raw) => {
+        const msg = parseMessage(raw);
+        if (msg && match(msg)) {
+          clearTimeout(timer);
+          resolve(msg);
+        }
+      });
+      ws.send(JSON.stringify(message));
+    });
+  } finally {
+    ws.close();
+  }
+}
+
+async function resolveProject(ctx) {
+  if (ctx.project) return ctx.project;
+  const state = await http(ctx.url, 'GET', '/api/state');
+  if (state && state.project) return state.project;
+  const projects = await http(ctx.url, 'GET', '/api/projects');
+  if (Array.isArray(projects) && projects[0]) return projects[0].id;
+  throw new CliError('no project given and none configured (use --project)');
+}
+
+const planOf = (project) => (msg) => msg.type === 'plan:updated' && msg.plan && (msg.plan.project || msg.plan.projectId || project) === project;
+
+// -----------------------------
+// Formatting
+// -----------------------------
+function formatPlan(plan) {
+  const tasks = plan.tasks || [];
+  if (tasks.length === 0) return '(no tasks)';
+  return tasks.map((t) => {
+    const deps = Array.isArray(t.dependsOn) && t.dependsOn.length ? `  after: ${t.dependsOn.join(', ')}` : '';
+    return `[${(t.status || 'todo').padEnd(7)}] ${t.id}  ${t.title || ''} (${t.points ?? 1}pt)${deps}`;
+  }).join('\n');
+}
+
+function formatEvent(ev) {
+  const time = (ev.ts || '').slice(11, 19);
+  const detail = [
+    ev.taskId && `task=${ev.taskId}`,
+    ev.bash && `bash=${JSON.stringify(ev.bash)}`,
+    ev.exitCode !== undefined && `exit=${ev.exitCode}`,
+    ev.status && `status=${ev.status}`,
+    ev.reason && `reason=${JSON.stringify(ev.reason)}`
+  ].filter(Boolean).join(' ');
+  return `${time} ${ev.project || '-'} ${ev.type}${detail ? ' ' + detail : ''}`;
+}
+
+// -----------------------------
+// Commands
+// -----------------------------
+async function cmdProjects(ctx) {
+  const projects = await http(ctx.url, 'GET', '/api/projects');
+  if (ctx.json) return printJson(projects);
+  for (const p of projects) out(`${p.id.padEnd(24)} ${p.label || ''}${p.cwd ? `  (${p.cwd})` : ''}`);
+}
+
+async function cmdPlan(ctx, [sub, ...rest]) {
+  const project = await resolveProject(ctx);
+
+  if (!sub || sub === 'show') {
+    const { plan } = await wsRequest(ctx.url, { type: 'plan:get', project }, planOf(project), ctx.timeoutMs);
+    return ctx.json ? printJson(plan) : out(formatPlan(plan));
+  }
+
+  if (sub === 'create') {
+    const requirements = rest.join(' ').trim() || (ctx.file ? fs.readFileSync(ctx.file, 'utf8') : '');
+    if (!requirements) throw new CliError('plan create needs requirements text (or --file)');
+    const res = await wsRequest(ctx.url, { type: 'pm:plan_create', project, requirements }, (m) => m.type === 'pm:plan_create:result', ctx.timeoutMs);
+    if (!res.ok) throw new CliError(`plan create failed: ${res.error || 'PM returned no tasks'}`);
+    return ctx.json ? printJson(res.plan) : out(formatPlan(res.plan));
+  }
+
+  if (sub === 'edit') {
+    let text;
+    if (ctx.file) {
+      text = fs.readFileSync(ctx.file, 'utf8');
+    } else {
+      const { plan } = await wsRequest(ctx.url, { type: 'plan:get', project }, planOf(project), ctx.timeoutMs);
+      const tmp = path.join(os.tmpdir(), `shipyard-plan-${project}-${Date.now()}.json`);
+      fs.writeFileSync(tmp, JSON.stringify(plan, null, 2));
+      const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+      const r = spawnSync(editor, [tmp], { stdio: 'inherit', shell: true });
+      text = fs.readFileSync(tmp, 'utf8');
+      fs.rmSync(tmp, { force: true });
+      if (r.status !== 0) throw new CliError(`${editor} exited with ${r.status}; plan not saved`);
+    }
+    let plan;
+    try { plan = JSON.parse(text); } catch (e) { throw new CliError(`plan is not valid JSON: ${e.message}`); }
+    if (!Array.isArray(plan.tasks)) throw new CliError('plan must have a "tasks" array');
+    const res = await wsRequest(ctx.url, { type: 'plan:update', project, plan }, planOf(project), ctx.timeoutMs);
+    return ctx.json ? printJson(res.plan) : out(formatPlan(res.plan));
+  }
+
+  throw new CliError(`unknown plan command: ${sub}`);
+}
+
+async function cmdRun(ctx, [sub]) {
+  const actions = { start: 'play', pause: 'pause', stop: 'stop' };
+  const action = actions[sub];
+  if (!action) throw new CliError('usage: shipyard run start|pause|stop');
+  const project = await resolveProject(ctx);
+
+  const ws = await openSocket(ctx.url);
+  const ack = new Promise((resolve) => {
+    ws.on('message', (raw) => {
+      const msg = parseMessage(raw);
+      if (msg?.type === 'runState:updated') resolve(msg.runState);
+      if (msg?.type === 'run:refused' && msg.project === project) resolve({ refused: msg });
+    });
+  });
+  const waited = ctx.wait && action === 'play' ? waitForRunEnd(ctx, ws, project) : null;
+  ws.send(JSON.stringify({ type: 'run:control', project, action, override: Boolean(ctx['override-budget']) }));
+  const runState = await ack;
+  if (runState?.refused) {
+    ws.close();
+    const { reason, forecast } = runState.refused;
+    if (ctx.json) printJson({ project, runState: 'refused', reason, forecast });
+    else out(`${project}: refused, ${reason} (use --override-budget to start anyway)`);
+    return EXIT.budget;
+  }
+  if (!waited) {
+    ws.close();
+    return ctx.json ? printJson({ project, runState }) : out(`${project}: ${runState}`);
+  }
+  const { exitCode, ...result } = await waited;
+  ws.close();
+  if (ctx.json) printJson({ project, ...result });
+  else out(`${project}: ${result.outcome}${result.detail ? ` (${result.detail})` : ''}`);
+  return exitCode;
+}
+
+// Follow runlog events until the run stops or autopilot pauses
+function waitForRunEnd(ctx, ws, project) {
+  return new Promise((resolve) => {
+    ws.on('message', async (raw) => {
+      const msg = parseMessage(raw);
+      if (!msg) return;
+      if (msg.type === 'runlog:event' && msg.event?.project === project) {
+        if (!ctx.json) out(formatEvent(msg.event));
+        if (msg.event.type === 'RUN_STOPPED') {
+          const { plan } = await wsRequest(ctx.url, { type: 'plan:get', project }, planOf(project), ctx.timeoutMs);
+          const blocked = (plan.tasks || []).filter(t => t.status === 'blocked');
+          resolve(blocked.length
+            ? { outcome: 'blocked', detail: blocked.map(t => t.id).join(', '), exitCode: EXIT.error }
+            : { outcome: msg.event.reason || 'stopped', exitCode: EXIT.ok });
+        }
+      }
+      if (msg.type === 'autopilot:requiresApproval' && msg.project === project) {
+        resolve({ outcome: 'waiting for approval', detail: msg.bash, exitCode: EXIT.approval });
+      }
+      if (msg.type === 'cost:budgetExceeded' && msg.project === project) {
+        resolve({ outcome: 'budget exceeded', detail: `${msg.spent} >= ${msg.budget}`, exitCode: EXIT.budget });
+      }
+    });
+  });
+}
+
+async function cmdApprove(ctx) {
+  const project = await resolveProject(ctx);
+  const { username } = os.userInfo();
+  const res = await http(ctx.url, 'POST', '/api/policy/approve', { project, taskId: ctx.task, approverName: username, approverId: username });
+  const waiting = res.status === 'pending';
+  if (ctx.json) printJson(res);
+  else out(waiting ? `${project} ${res.taskId}: approval recorded (${res.approvals} of ${res.requiredApprovals} approvals)` : `${project} ${res.taskId}: approved`);
+  return waiting ? EXIT.approval : EXIT.ok;
+}
+
+async function cmdReject(ctx) {
+  const project = await resolveProject(ctx);
+  const res = await http(ctx.url, 'POST', '/api/policy/reject', { project, taskId: ctx.task, rejectorName: os.userInfo().username, rejectorId: os.userInfo().username, rejectionReason: ctx.reason });
+  return ctx.json ? printJson(res) : out(`${project}: rejected`);
+}
+
+async function cmdReport(ctx) {
+  const project = await resolveProject(ctx);
+  const query = new URLSearchParams({ project });
+  if (ctx.run) query.set('runSessionId', ctx.run);
+  const markdown = await http(ctx.url, 'GET', `/api/report?${query}`);
+  if (ctx.out) {
+    fs.writeFileSync(ctx.out, markdown);
+    return out(`report written to ${ctx.out}`);
+  }
+  out(markdown);
+}
+
+async function cmdCompliance(ctx, [sub]) {
+  if (sub !== 'run') throw new CliError('usage: shipyard compliance run [--all]');
+  const body = ctx.all || !ctx.project ? { all: true } : { projectId: ctx.project };
+  const summary = await http(ctx.url, 'POST', '/api/compliance/run', body);
+  if (ctx.json) printJson(summary);
+  else {
+    for (const r of summary.results || []) out(`${r.status.toUpperCase().padEnd(4)} ${r.projectId}  ${r.checksCount} checks, ${r.durationMs}ms`);
+    out(`${summary.passed} passed, ${summary.warned} warned, ${summary.failed} failed`);
+  }
+  return summary.failed > 0 ? EXIT.error : EXIT.ok;
+}
+
+async function cmdTail(ctx) {
+  const project = ctx.all ? null : await resolveProject(ctx);
+  const ws = await openSocket(ctx.url);
+  ws.on('message', (raw) => {
+    const msg = parseMessage(raw);
+    if (msg?.type !== 'runlog:event' || !msg.event) return;
+    if (project && msg.event.project !== project) return;
+    out(ctx.json ? JSON.stringify(msg.event) : formatEvent(msg.event));
+  });
+  await new Promise((resolve) => {
+    ws.on('close', resolve);
+    process.once('SIGINT', () => ws.close());
+  });
+}
+
+const COMMANDS = {
+  projects: cmdProjects,
+  plan: cmdPlan,
+  run: cmdRun,
+  approve: cmdApprove,
+  reject: cmdReject,
+  report: cmdReport,
+  compliance: cmdCompliance,
+  tail: cmdTail
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      url: { type: 'string' },
+      local: { type: 'boolean' },
+      project: { type: 'string', short: 'p' },
+      json: { type: 'boolean' },
+      timeout: { type: 'string' },
+      file: { type: 'string', short: 'f' },
+      wait: { type: 'boolean' },
+      'override-budget': { type: 'boolean' },
+      reason: { type: 'string' },
+      task: { type: 'string' },
+      run: { type: 'string' },
+      out: { type: 'string', short: 'o' },
+      all: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    out(USAGE);
+    return values.help ? EXIT.ok : EXIT.error;
+  }
+  const handler = COMMANDS[command];
+  if (!handler) throw new CliError(`unknown command: ${command}\n\n${USAGE}`);
+
+  const ctx = {
+    ...values,
+    timeoutMs: Number(values.timeout) || 180000,
+    url: values.local ? await startLocalServer() : (values.url || process.env.SHIPYARD_URL || 'http://localhost:8788')
+  };
+  return (await handler(ctx, args)) ?? EXIT.ok;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (err) => {
+    const known = err instanceof CliError || String(err?.code || '').startsWith('ERR_PARSE_ARGS');
+    console.error(`shipyard: ${known ? err.message : (err?.stack || err)}`);
+    process.exit(EXIT.error);
+  }
+);
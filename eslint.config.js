@@ -25,7 +25,16 @@ const nodeGlobals = {
   process: 'readonly',
   Buffer: 'readonly',
   __dirname: 'readonly',
-  __filename: 'readonly'
+  __filename: 'readonly',
+  fetch: 'readonly',
+  AbortController: 'readonly',
+  AbortSignal: 'readonly',
+  URL: 'readonly',
+  URLSearchParams: 'readonly',
+  setTimeout: 'readonly',
+  clearTimeout: 'readonly',
+  setInterval: 'readonly',
+  clearInterval: 'readonly'
 };
 
 // Convert all recommended rules from error to warn
@@ -64,7 +73,7 @@ export default [
   // Node/server files
   {
     ignores: ['node_modules/**', 'ui-dist/**', 'data/**', 'packages/open-core/data/**', 'dist/**'],
-    files: ['server.mjs', 'scripts/**/*.mjs', 'src/**/*.mjs', 'packages/**/*.mjs', '*.config.js', '**/vite.config.js'],
+    files: ['server.mjs', 'bin/**/*.mjs', 'scripts/**/*.mjs', 'src/**/*.mjs', 'packages/**/*.mjs', '*.config.js', '**/vite.config.js'],
     languageOptions: {
       ecmaVersion: 'latest',
       sourceType: 'module',
@@ -1,7 +1,34 @@
 /**
  * Budget checking utilities
+ *
+ * Budgets are in TWD and live in <data dir>/budgets.json:
+ *   {
+ *     version: 1,
+ *     default: { amount: 0, period: 'lifetime' },
+ *     projects: {
+ *       'web-app': { amount: 500, period: 'monthly', warnAt: [0.5, 0.8, 0.95], taskTokenCap: 200000, rollover: true }
+ *     }
+ *   }
+ *
+ * A project entry is merged over `default`. Fields:
+ * - amount: spend allowed per period (0 = no limit)
+ * - period: 'daily' | 'weekly' (from Monday) | 'monthly' | 'lifetime'; spend
+ *   is counted from the start of the current period, so a new period starts at 0
+ * - rollover: add the previous period's unspent amount to this period (one period back only)
+ * - warnAt: soft-warning thresholds as fractions of the allowance
+ * - taskTokenCap: tokens one task may use within the period before it is blocked (0 = no cap)
+ * - utc: period boundaries in UTC instead of the server's local time
  */
 
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './dataDir.mjs';
+
+const budgetsFile = () => dataPath('budgets.json');
+export const BUDGET_PERIODS = ['daily', 'weekly', 'monthly', 'lifetime'];
+export const DEFAULT_BUDGET = { amount: 0, period: 'lifetime', rollover: false, warnAt: [0.5, 0.8, 0.95], taskTokenCap: 0, utc: false };
+const BUDGET_KEYS = new Set(Object.keys(DEFAULT_BUDGET));
+
 /**
  * Check if cost has exceeded budget
  * @param {number} spent - Amount spent (in TWD)
@@ -13,18 +40,178 @@ export function checkBudgetExceeded(spent, budget) {
   if (typeof spent !== 'number' || typeof budget !== 'number') {
     return { exceeded: false, spent: 0, budget: 0 };
   }
-  
+
   // No budget set means no limit
   if (budget <= 0) {
     return { exceeded: false, spent, budget };
   }
-  
+
   const exceeded = spent >= budget;
   const result = { exceeded, spent, budget };
-  
+
   if (exceeded) {
     result.reason = `Budget exceeded: ${spent.toFixed(2)} >= ${budget}`;
   }
-  
+
   return result;
 }
+
+/**
+ * Validate one budget entry (a project's or the default)
+ * @param {Object} entry
+ * @returns {Array} errors: [{ field, message }]
+ */
+export function validateBudget(entry) {
+  const errors = [];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return [{ field: 'budget', message: 'must be an object' }];
+  for (const key of Object.keys(entry)) {
+    if (!BUDGET_KEYS.has(key)) errors.push({ field: key, message: 'unknown field' });
+  }
+  const nonNegative = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+  if (entry.amount !== undefined && !nonNegative(entry.amount)) errors.push({ field: 'amount', message: 'must be a non-negative number (TWD)' });
+  if (entry.period !== undefined && !BUDGET_PERIODS.includes(entry.period)) errors.push({ field: 'period', message: `must be one of ${BUDGET_PERIODS.join(', ')}` });
+  if (entry.taskTokenCap !== undefined && !(Number.isInteger(entry.taskTokenCap) && entry.taskTokenCap >= 0)) {
+    errors.push({ field: 'taskTokenCap', message: 'must be a non-negative integer (0 = no cap)' });
+  }
+  if (entry.warnAt !== undefined && !(Array.isArray(entry.warnAt) && entry.warnAt.every(t => typeof t === 'number' && t > 0 && t < 1))) {
+    errors.push({ field: 'warnAt', message: 'must be a list of fractions between 0 and 1' });
+  }
+  for (const flag of ['rollover', 'utc']) {
+    if (entry[flag] !== undefined && typeof entry[flag] !== 'boolean') errors.push({ field: flag, message: 'must be true or false' });
+  }
+  return errors;
+}
+
+/**
+ * Read budgets.json. A missing or unreadable file means no configured budgets.
+ * @returns {Object} { version, default, projects }
+ */
+export function loadBudgets() {
+  const file = budgetsFile();
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { version: raw.version || 1, default: raw.default || {}, projects: raw.projects || {} };
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[budget] Failed to read ${file}, ignoring it:`, e.message);
+    return { version: 1, default: {}, projects: {} };
+  }
+}
+
+function pick(entry) {
+  return Object.fromEntries(Object.entries(entry || {}).filter(([k]) => BUDGET_KEYS.has(k)));
+}
+
+/**
+ * Effective budget of a project: project entry > file default > fallback > built-in
+ * @param {string} project
+ * @param {Object} fallback - e.g. { amount } from the legacy state.budget
+ * @returns {Object} DEFAULT_BUDGET fields plus { project, source: 'project' | 'default' | 'fallback' }
+ */
+export function getProjectBudget(project, fallback = {}) {
+  const budgets = loadBudgets();
+  const own = budgets.projects[project];
+  const source = own ? 'project' : Object.keys(budgets.default).length ? 'default' : 'fallback';
+  const merged = { ...DEFAULT_BUDGET, ...pick(fallback), ...pick(budgets.default), ...pick(own) };
+  const invalid = validateBudget(merged);
+  if (invalid.length) {
+    console.error(`[budget] invalid budget for ${project}, using built-in defaults:`, invalid.map(e => `${e.field} ${e.message}`).join('; '));
+    return { ...DEFAULT_BUDGET, ...pick(fallback), project, source: 'fallback' };
+  }
+  return { ...merged, warnAt: [...merged.warnAt].sort((a, b) => a - b), project, source };
+}
+
+/**
+ * Validate and write one project's budget (or the default when project is empty)
+ * @param {string|null} project
+ * @param {Object} patch - fields to change
+ * @returns {Object} { ok, errors, budget }
+ */
+export function saveProjectBudget(project, patch) {
+  const budgets = loadBudgets();
+  const current = project ? budgets.projects[project] : budgets.default;
+  const next = { ...(current || {}), ...patch };
+  const errors = validateBudget(next);
+  if (errors.length) return { ok: false, errors, budget: null };
+
+  if (project) budgets.projects[project] = next;
+  else budgets.default = next;
+
+  const file = budgetsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(budgets, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+  return { ok: true, errors: [], budget: project ? getProjectBudget(project) : budgets.default };
+}
+
+function startOf(period, now, utc) {
+  const d = new Date(now);
+  const get = (f) => (utc ? d[`getUTC${f}`]() : d[`get${f}`]());
+  const make = (y, m, day) => (utc ? new Date(Date.UTC(y, m, day)) : new Date(y, m, day));
+  const y = get('FullYear'), m = get('Month'), day = get('Date');
+  if (period === 'daily') return make(y, m, day);
+  if (period === 'weekly') return make(y, m, day - ((get('Day') + 6) % 7));
+  return make(y, m, 1);
+}
+
+function shift(period, date, n, utc) {
+  const d = new Date(date);
+  if (period === 'monthly') {
+    if (utc) d.setUTCMonth(d.getUTCMonth() + n);
+    else d.setMonth(d.getMonth() + n);
+  } else {
+    const days = (period === 'weekly' ? 7 : 1) * n;
+    if (utc) d.setUTCDate(d.getUTCDate() + days);
+    else d.setDate(d.getDate() + days);
+  }
+  return d;
+}
+
+/**
+ * Current and previous period of a budget
+ * @param {Object} budget - from getProjectBudget
+ * @param {Date} now
+ * @returns {Object} { period, start, end, previousStart } (ISO strings; all null for 'lifetime')
+ */
+export function getBudgetPeriod(budget, now = new Date()) {
+  if (!budget.period || budget.period === 'lifetime') return { period: 'lifetime', start: null, end: null, previousStart: null };
+  const start = startOf(budget.period, now, budget.utc);
+  return {
+    period: budget.period,
+    start: start.toISOString(),
+    end: shift(budget.period, start, 1, budget.utc).toISOString(),
+    previousStart: shift(budget.period, start, -1, budget.utc).toISOString()
+  };
+}
+
+/**
+ * Where a project stands against its budget this period
+ * @param {Object} budget - from getProjectBudget
+ * @param {Object} usage - { spent (this period, TWD), previousSpent (previous period, only used with rollover), now }
+ * @returns {Object} checkBudgetExceeded result ({ exceeded, spent, budget: allowance, reason }) plus
+ *   { period, periodStart, periodEnd, amount, carriedOver, remaining, ratio, warnAt, crossed, taskTokenCap }
+ */
+export function evaluateBudget(budget, usage = {}) {
+  const { period, start, end } = getBudgetPeriod(budget, usage.now);
+  const spent = usage.spent || 0;
+  const carriedOver = budget.rollover && budget.amount > 0 && period !== 'lifetime'
+    ? Math.max(0, budget.amount - (usage.previousSpent || 0))
+    : 0;
+  const allowance = budget.amount > 0 ? budget.amount + carriedOver : 0;
+  const ratio = allowance > 0 ? spent / allowance : 0;
+  const reached = allowance > 0 ? budget.warnAt.filter(t => ratio >= t) : [];
+
+  return {
+    ...checkBudgetExceeded(spent, allowance),
+    period,
+    periodStart: start,
+    periodEnd: end,
+    amount: budget.amount,
+    carriedOver,
+    remaining: allowance > 0 ? Math.max(0, allowance - spent) : null,
+    ratio,
+    warnAt: budget.warnAt,
+    crossed: reached.length ? reached[reached.length - 1] : null,
+    taskTokenCap: budget.taskTokenCap
+  };
+}
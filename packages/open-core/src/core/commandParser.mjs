@@ -0,0 +1,396 @@
+/**
+ * Shell-aware command parsing for policy evaluation
+ *
+ * Splits a command line into simple commands and gives each a structured form:
+ *   { index, raw, binary, argv, flags, args, redirects, assignments, context, pipeFrom }
+ *
+ * Handles quoting and escapes, `;` `&&` `||` `|` `&` and newlines, subshells,
+ * `if`/`while`/`for`/`case` reserved words, `$(...)` / backtick / `<(...)`
+ * substitutions, `bash -c` / `sh -c` / `eval` strings, here-strings fed to a
+ * shell, `find -exec`, wrappers (sudo, env, nohup, xargs, timeout, ...) and a
+ * few obvious aliases. Short flags are split (`-rf` -> `-r`, `-f`) and known long
+ * forms are mapped to their short form (`rm --recursive` -> `-r`).
+ *
+ * This is a best-effort parser for policy checks, not a shell: anything it
+ * cannot understand is still visible to regex rules through `raw`.
+ */
+
+const MAX_DEPTH = 5;
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+
+// Reserved words in command position; the command follows them (`then rm ...`)
+const RESERVED_WORDS = new Set(['if', 'then', 'else', 'elif', 'fi', 'while', 'until', 'do', 'done', 'esac', '!']);
+// Loop/case headers hold words but run no command (`for f in *`, `case $x in`)
+const HEADER_WORDS = new Set(['for', 'select', 'case']);
+
+// Wrappers run another command: `skipArgs` options consume the next token
+const WRAPPERS = {
+  sudo: { skipArgs: ['-u', '-g', '-C', '-h', '-p', '-r', '-t', '-U', '-D'] },
+  doas: { skipArgs: ['-u', '-C'] },
+  env: { skipArgs: ['-u', '-C', '-S'], assignments: true },
+  nohup: {},
+  time: {},
+  command: {},
+  builtin: {},
+  exec: { skipArgs: ['-a'] },
+  nice: { skipArgs: ['-n'] },
+  ionice: { skipArgs: ['-c', '-n', '-p'] },
+  stdbuf: {},
+  timeout: { skipArgs: ['-s', '-k', '--signal', '--kill-after'], positional: 1 },
+  xargs: { skipArgs: ['-n', '-I', '-L', '-P', '-d', '-s', '-E', '-a', '--max-args', '--replace', '--max-procs', '--delimiter'] }
+};
+
+const COMMAND_ALIASES = {
+  ll: 'ls -l',
+  la: 'ls -A',
+  l: 'ls -CF'
+};
+
+// Long/alternate flag spellings -> canonical short flag, per binary
+const FLAG_ALIASES = {
+  rm: { '--recursive': '-r', '-R': '-r', '--force': '-f', '--dir': '-d', '--verbose': '-v' },
+  cp: { '--recursive': '-r', '-R': '-r', '--force': '-f' },
+  mv: { '--force': '-f' },
+  chmod: { '--recursive': '-R' },
+  chown: { '--recursive': '-R' },
+  chgrp: { '--recursive': '-R' },
+  git: { '--force': '-f' },
+  shutdown: { '--reboot': '-r', '--poweroff': '-P', '--halt': '-H' }
+};
+
+// Binaries whose single-dash words are long options, not bundled short flags
+const NO_FLAG_SPLIT = new Set(['find', 'java', 'go', 'gcc', 'clang', 'tar', 'ps', 'dd']);
+
+const OPERATORS = ['&&', '||', '|&', ';;', '|', ';', '&', '(', ')'];
+const REDIRECTS = ['&>>', '&>', '>>', '>&', '>|', '<<<', '<<', '<&', '<>', '>', '<'];
+
+/**
+ * Read a balanced `$(...)` / `<(...)` body starting after the opening paren
+ * @returns {Object} { body, end } where end is the index after the closing paren
+ */
+function readBalanced(s, i) {
+  let depth = 1;
+  let quote = null;
+  const start = i;
+  for (; i < s.length; i++) {
+    const c = s[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') { i++; continue; }
+      if (c === quote) quote = null;
+      continue;
+    }
+    if (c === '\\') { i++; continue; }
+    if (c === '\'' || c === '"') { quote = c; continue; }
+    if (c === '(') depth++;
+    if (c === ')' && --depth === 0) return { body: s.slice(start, i), end: i + 1 };
+  }
+  return { body: s.slice(start), end: s.length, unterminated: true };
+}
+
+/**
+ * Split a command line into word, operator and redirect tokens
+ * @param {string} input
+ * @returns {Object} { tokens: [{ type: 'word'|'op'|'redirect', value, raw, substitutions? }], error? }
+ */
+export function tokenizeCommand(input) {
+  const s = String(input || '');
+  const tokens = [];
+  let error = null;
+  let word = null;
+
+  const startWord = () => { if (!word) word = { type: 'word', value: '', raw: '', substitutions: [] }; };
+  const endWord = () => { if (word) { tokens.push(word); word = null; } };
+  const addSubstitution = (i, openLen) => {
+    const { body, end, unterminated } = readBalanced(s, i + openLen);
+    if (unterminated) error = error || 'unterminated substitution';
+    startWord();
+    word.substitutions.push(body);
+    word.value += s.slice(i, end);
+    word.raw += s.slice(i, end);
+    return end;
+  };
+
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+
+    if (c === ' ' || c === '\t') { endWord(); i++; continue; }
+    if (c === '\n') { endWord(); tokens.push({ type: 'op', value: ';' }); i++; continue; }
+    if (c === '#' && !word) {
+      while (i < s.length && s[i] !== '\n') i++;
+      continue;
+    }
+
+    if (c === '\\') {
+      if (s[i + 1] === '\n') { i += 2; continue; }
+      startWord();
+      word.value += s[i + 1] ?? '';
+      word.raw += s.slice(i, i + 2);
+      i += 2;
+      continue;
+    }
+
+    if (c === '\'') {
+      const end = s.indexOf('\'', i + 1);
+      if (end < 0) error = error || 'unterminated single quote';
+      const stop = end < 0 ? s.length : end;
+      startWord();
+      word.value += s.slice(i + 1, stop);
+      word.raw += s.slice(i, stop + 1);
+      i = stop + 1;
+      continue;
+    }
+
+    if (c === '"') {
+      startWord();
+      let j = i + 1;
+      while (j < s.length && s[j] !== '"') {
+        if (s[j] === '\\' && j + 1 < s.length) {
+          word.value += '$`"\\'.includes(s[j + 1]) ? s[j + 1] : s.slice(j, j + 2);
+          j += 2;
+        } else if (s[j] === '$' && s[j + 1] === '(' && s[j + 2] !== '(') {
+          const { body, end } = readBalanced(s, j + 2);
+          word.substitutions.push(body);
+          word.value += s.slice(j, end);
+          j = end;
+        } else if (s[j] === '`') {
+          const end = s.indexOf('`', j + 1);
+          const stop = end < 0 ? s.length : end;
+          word.substitutions.push(s.slice(j + 1, stop));
+          word.value += s.slice(j, stop + 1);
+          j = stop + 1;
+        } else {
+          word.value += s[j++];
+        }
+      }
+      if (j >= s.length) error = error || 'unterminated double quote';
+      word.raw += s.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    if (c === '$' && s[i + 1] === '(' && s[i + 2] === '(') {
+      // arithmetic expansion: keep as text
+      const { end } = readBalanced(s, i + 2);
+      startWord();
+      word.value += s.slice(i, end);
+      word.raw += s.slice(i, end);
+      i = end;
+      continue;
+    }
+    if (c === '$' && s[i + 1] === '(') { i = addSubstitution(i, 2); continue; }
+    if ((c === '<' || c === '>') && s[i + 1] === '(' && !word) { i = addSubstitution(i, 2); continue; }
+    if (c === '`') {
+      const end = s.indexOf('`', i + 1);
+      if (end < 0) error = error || 'unterminated backtick';
+      const stop = end < 0 ? s.length : end;
+      startWord();
+      word.substitutions.push(s.slice(i + 1, stop));
+      word.value += s.slice(i, stop + 1);
+      word.raw += s.slice(i, stop + 1);
+      i = stop + 1;
+      continue;
+    }
+
+    const redirect = REDIRECTS.find(r => s.startsWith(r, i));
+    if (redirect) {
+      // a word made only of digits directly before a redirect is its fd (2>, 1>>)
+      let fd = '';
+      if (word && /^\d+$/.test(word.raw)) { fd = word.raw; word = null; }
+      endWord();
+      tokens.push({ type: 'redirect', value: fd + redirect });
+      i += redirect.length;
+      continue;
+    }
+
+    const op = OPERATORS.find(o => s.startsWith(o, i));
+    if (op) {
+      endWord();
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+      continue;
+    }
+
+    startWord();
+    word.value += c;
+    word.raw += c;
+    i++;
+  }
+  endWord();
+  return { tokens, error };
+}
+
+function baseName(bin) {
+  const name = String(bin || '').replace(/^\\/, '');
+  const base = name.split('/').pop();
+  return /^mkfs\./.test(base) ? 'mkfs' : base;
+}
+
+function normalizeFlags(binary, words) {
+  const aliases = FLAG_ALIASES[binary] || {};
+  const flags = [];
+  const args = [];
+  let endOfFlags = false;
+  for (const w of words) {
+    const v = w.value;
+    if (endOfFlags || !v.startsWith('-') || v === '-') { args.push(v); continue; }
+    if (v === '--') { endOfFlags = true; continue; }
+    if (v.startsWith('--')) {
+      const name = v.split('=')[0];
+      flags.push(aliases[name] || name);
+      continue;
+    }
+    if (NO_FLAG_SPLIT.has(binary) || !/^-[A-Za-z0-9]+$/.test(v)) {
+      flags.push(aliases[v] || v);
+      continue;
+    }
+    for (const ch of v.slice(1)) {
+      const f = `-${ch}`;
+      flags.push(aliases[f] || f);
+    }
+  }
+  return { flags: [...new Set(flags)], args };
+}
+
+// Strip wrappers / assignments and expand aliases; returns the effective words
+function unwrap(words, context) {
+  let rest = words;
+  const assignments = [];
+  let aliased = false;
+  for (let guard = 0; guard < 10 && rest.length; guard++) {
+    while (rest.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(rest[0].value)) {
+      assignments.push(rest[0].value);
+      rest = rest.slice(1);
+    }
+    if (!rest.length) break;
+    const bin = baseName(rest[0].value);
+
+    if (!aliased && COMMAND_ALIASES[bin]) {
+      aliased = true;
+      const expanded = tokenizeCommand(COMMAND_ALIASES[bin]).tokens.filter(t => t.type === 'word');
+      rest = [...expanded, ...rest.slice(1)];
+      context.push(`alias ${bin}`);
+      continue;
+    }
+
+    const wrapper = WRAPPERS[bin];
+    if (!wrapper) break;
+    context.push(bin);
+    let j = 1;
+    let positional = wrapper.positional || 0;
+    while (j < rest.length) {
+      const v = rest[j].value;
+      if (v === '--') { j++; break; }
+      if (wrapper.assignments && /^[A-Za-z_][A-Za-z0-9_]*=/.test(v)) { assignments.push(v); j++; continue; }
+      if (v.startsWith('-')) { j += (wrapper.skipArgs || []).includes(v) ? 2 : 1; continue; }
+      if (positional > 0) { positional--; j++; continue; }
+      break;
+    }
+    rest = rest.slice(j);
+  }
+  return { words: rest, assignments };
+}
+
+function splitSegments(tokens) {
+  const segments = [];
+  let cur = { items: [], connector: null };
+  for (const t of tokens) {
+    if (t.type !== 'op') { cur.items.push(t); continue; }
+    if (t.value === '(' || t.value === ')') {
+      // subshell boundaries split commands but keep the connector that led into them
+      if (cur.items.length) { segments.push(cur); cur = { items: [], connector: ';' }; }
+      continue;
+    }
+    if (cur.items.length) segments.push(cur);
+    cur = { items: [], connector: t.value };
+  }
+  if (cur.items.length) segments.push(cur);
+  return segments;
+}
+
+function parseInto(input, out, context, depth) {
+  if (depth > MAX_DEPTH) return;
+  const { tokens } = tokenizeCommand(input);
+  let prev = null;
+
+  for (const seg of splitSegments(tokens)) {
+    const words = [];
+    const redirects = [];
+    for (let k = 0; k < seg.items.length; k++) {
+      const t = seg.items[k];
+      if (t.type === 'redirect') {
+        const target = seg.items[k + 1]?.type === 'word' ? seg.items[++k].value : '';
+        redirects.push({ op: t.value, target });
+      } else if (t.value !== '{' && t.value !== '}') {
+        words.push(t);
+      }
+    }
+
+    // unquoted reserved words only: `'if'` is a command name
+    let start = 0;
+    while (start < words.length && RESERVED_WORDS.has(words[start].raw)) start++;
+    const commandWords = HEADER_WORDS.has(words[start]?.raw) ? [] : words.slice(start);
+
+    const cmdContext = [...context];
+    const { words: effective, assignments } = unwrap(commandWords, cmdContext);
+    const binary = effective.length ? baseName(effective[0].value) : '';
+    const argWords = effective.slice(1);
+    const { flags, args } = normalizeFlags(binary, argWords);
+
+    const cmd = {
+      index: out.length,
+      raw: commandWords.map(w => w.raw).join(' ') + redirects.map(r => ` ${r.op}${r.target}`).join(''),
+      binary,
+      argv: effective.map(w => w.value),
+      flags,
+      args,
+      redirects,
+      assignments,
+      context: cmdContext,
+      pipeFrom: seg.connector === '|' || seg.connector === '|&' ? (prev?.binary || null) : null
+    };
+    if (binary || redirects.length) out.push(cmd);
+    prev = cmd;
+
+    // nested commands: substitutions, shell -c strings and here-strings, eval, find -exec
+    for (const w of words) {
+      for (const sub of w.substitutions || []) parseInto(sub, out, [...cmdContext, 'substitution'], depth + 1);
+    }
+    for (const r of redirects) {
+      const m = /^[<>]\((.*)\)$/s.exec(r.target);
+      if (m) parseInto(m[1], out, [...cmdContext, 'substitution'], depth + 1);
+    }
+    if (SHELLS.has(binary)) {
+      const ci = argWords.findIndex(w => /^-[A-Za-z]*c[A-Za-z]*$/.test(w.value));
+      const script = argWords.slice(ci + 1).find(w => w.value !== '--');
+      if (ci >= 0 && script) parseInto(script.value, out, [...cmdContext, `${binary} -c`], depth + 1);
+      for (const r of redirects) {
+        if (r.op.endsWith('<<<')) parseInto(r.target, out, [...cmdContext, `${binary} <<<`], depth + 1);
+      }
+    }
+    if (binary === 'eval' && argWords.length) {
+      parseInto(argWords.map(w => w.value).join(' '), out, [...cmdContext, 'eval'], depth + 1);
+    }
+    if (binary === 'find') {
+      for (let k = 0; k < argWords.length; k++) {
+        if (!['-exec', '-execdir', '-ok', '-okdir'].includes(argWords[k].value)) continue;
+        const end = argWords.findIndex((w, idx) => idx > k && (w.value === ';' || w.value === '+'));
+        const inner = argWords.slice(k + 1, end < 0 ? undefined : end);
+        if (inner.length) parseInto(inner.map(w => w.raw).join(' '), out, [...cmdContext, 'find -exec'], depth + 1);
+      }
+    }
+  }
+}
+
+/**
+ * Parse a command line into simple commands (outer commands first, nested after)
+ * @param {string} input - command line
+ * @returns {Object} { commands: [...], error: string|null }
+ */
+export function parseShellCommand(input) {
+  const commands = [];
+  const { error } = tokenizeCommand(input);
+  parseInto(String(input || ''), commands, [], 0);
+  return { commands, error };
+}
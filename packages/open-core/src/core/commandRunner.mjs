@@ -0,0 +1,276 @@
+/**
+ * Command Runner - command-completion protocol for autopilot commands
+ *
+ * Two ways to run a command and learn how it ended:
+ * - runInTerm: write the command to a PTY between two printf sentinels and
+ *   read the exit code back from the terminal output. Output is the PTY's
+ *   merged stream, so stderr is reported inside stdout.
+ * - runSpawned: dedicated `bash -c` child process with separate stdout/stderr
+ *   (used when no PTY is available). It leads its own process group, so a
+ *   timeout also stops what it started (npm test, dev servers).
+ *
+ * Both resolve to { exitCode, durationMs, stdout, stderr, timedOut, mode }.
+ *
+ * Sentinel format: the shell runs
+ *   printf '\n__SHIPYARD:%s:%s:%s__\n' END <commandId> "$?"
+ * which prints `__SHIPYARD:END:<commandId>:<code>__`. The PTY echo of the
+ * typed line only ever contains the printf format, never the expanded marker.
+ */
+
+import { spawn } from 'child_process';
+
+const SENTINEL_FORMAT = '__SHIPYARD:%s:%s:%s__';
+const MAX_CAPTURE_CHARS = 256 * 1024;
+const ESC = String.fromCharCode(27);
+const BEL = String.fromCharCode(7);
+const ANSI_CSI_RE = new RegExp(`${ESC}\\[[0-?]*[ -/]*[@-~]`, 'g');
+const ANSI_OSC_RE = new RegExp(`${ESC}\\][^${BEL}]*(?:${BEL}|${ESC}\\\\)`, 'g');
+
+function sentinelLine(kind, commandId, codeExpr) {
+  return `printf '\\n${SENTINEL_FORMAT}\\n' ${kind} ${commandId} ${codeExpr}`;
+}
+
+function markerRegex(kind, commandId) {
+  const id = commandId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`__SHIPYARD:${kind}:${id}:(-?\\d+)__`);
+}
+
+/**
+ * Strip ANSI escape sequences and carriage returns from terminal output
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripAnsi(text) {
+  return String(text || '')
+    .replace(ANSI_CSI_RE, '')
+    .replace(ANSI_OSC_RE, '')
+    .replace(/\r/g, '');
+}
+
+/**
+ * Build the text written to the PTY for one command
+ * @param {string} cmd - command line(s)
+ * @param {string} commandId - unique id (letters, digits, _ and - only)
+ * @returns {string}
+ */
+export function buildSentinelCommand(cmd, commandId) {
+  return [
+    sentinelLine('BEGIN', commandId, '0'),
+    cmd,
+    sentinelLine('END', commandId, '"$?"')
+  ].join('\r') + '\r';
+}
+
+/**
+ * Extract a command's result from raw PTY output
+ * @param {string} raw - everything the PTY emitted since the command was written
+ * @param {string} commandId
+ * @param {string} cmd - the command, used to drop its echoed line
+ * @returns {Object} { done: boolean, exitCode: number|null, output: string }
+ */
+export function parseSentinelOutput(raw, commandId, cmd = '') {
+  const text = stripAnsi(raw);
+  const begin = markerRegex('BEGIN', commandId).exec(text);
+  const end = markerRegex('END', commandId).exec(text);
+  if (!end) return { done: false, exitCode: null, output: '' };
+
+  const from = begin ? begin.index + begin[0].length : 0;
+  const lines = text.slice(from, end.index).split('\n');
+  // Drop the shell's echo of the typed lines and its prompt before the marker
+  const firstCmdLine = String(cmd).split('\n')[0].trim();
+  if (firstCmdLine && lines.length && lines.find(l => l.trim())?.trimEnd().endsWith(firstCmdLine)) {
+    const i = lines.findIndex(l => l.trim());
+    lines.splice(0, i + 1);
+  }
+  const output = lines
+    .filter(l => !l.includes(SENTINEL_FORMAT))
+    .join('\n')
+    .replace(/^\n+|\n+$/g, '');
+
+  return { done: true, exitCode: Number(end[1]), output };
+}
+
+/**
+ * Expand the sentinels in written text as a shell would, assuming exit code 0.
+ * Used by the FAKE_PTY test terminal.
+ * @param {string} data - text written to the terminal
+ * @returns {string} marker lines ('' when data has no sentinels)
+ */
+export function simulateSentinelOutput(data) {
+  const re = /printf '\\n__SHIPYARD:%s:%s:%s__\\n' (BEGIN|END) (\S+) (?:0|"\$\?")/g;
+  let out = '';
+  for (const m of String(data || '').matchAll(re)) {
+    out += `\r\n__SHIPYARD:${m[1]}:${m[2]}:0__\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Run a command in a PTY and wait for its END sentinel
+ * @param {Object} term - PTY ({ write, onData, onExit? })
+ * @param {string} cmd - command to run
+ * @param {Object} options - { commandId, timeoutMs, onData }
+ * @returns {Promise<Object>} { exitCode, durationMs, stdout, stderr, timedOut, mode: 'pty' };
+ *   rejects with err.code TERM_EXITED (and the output so far in err.stdout) when the
+ *   shell exits before the END sentinel, e.g. after `exit`
+ */
+export function runInTerm(term, cmd, options = {}) {
+  const commandId = options.commandId || `cmd_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+  const timeoutMs = options.timeoutMs || 600000;
+  const startTime = Date.now();
+
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    let settled = false;
+    let sub = null;
+    let exitSub = null;
+
+    const settle = () => {
+      if (settled) return false;
+      settled = true;
+      clearTimeout(timer);
+      try { sub?.dispose?.(); } catch { /* terminal already gone */ }
+      try { exitSub?.dispose?.(); } catch { /* terminal already gone */ }
+      return true;
+    };
+
+    const finish = (result) => {
+      if (settle()) resolve({ durationMs: Date.now() - startTime, stderr: '', mode: 'pty', ...result });
+    };
+
+    // Output after the BEGIN marker, for a command that never printed END
+    const partialOutput = () => {
+      const text = stripAnsi(raw);
+      const begin = markerRegex('BEGIN', commandId).exec(text);
+      const partial = begin ? text.slice(begin.index + begin[0].length).replace(/^\n+/, '') : text;
+      return partial.slice(-MAX_CAPTURE_CHARS);
+    };
+
+    const timer = setTimeout(() => {
+      // Interrupt so the terminal is usable for the next command
+      try { term.write('\x03'); } catch { /* terminal already gone */ }
+      finish({ exitCode: null, stdout: partialOutput(), timedOut: true });
+    }, timeoutMs);
+
+    // A shell that exits (`exit`, a killed PTY) never prints the END marker
+    exitSub = term.onExit?.((info = {}) => {
+      if (settled) return;
+      const err = new Error(`Terminal exited${info.exitCode === undefined ? '' : ` with code ${info.exitCode}`} before the command finished: ${cmd}`);
+      err.code = 'TERM_EXITED';
+      err.exitCode = info.exitCode ?? null;
+      err.stdout = partialOutput();
+      err.durationMs = Date.now() - startTime;
+      if (settle()) reject(err);
+    });
+
+    sub = term.onData((data) => {
+      raw += data;
+      if (raw.length > MAX_CAPTURE_CHARS * 2) raw = raw.slice(-MAX_CAPTURE_CHARS * 2);
+      try { options.onData?.(data); } catch { /* a listener must not break the run */ }
+      const parsed = parseSentinelOutput(raw, commandId, cmd);
+      if (parsed.done) finish({ exitCode: parsed.exitCode, stdout: parsed.output, timedOut: false });
+    });
+
+    try {
+      term.write(buildSentinelCommand(cmd, commandId));
+    } catch (err) {
+      finish({ exitCode: -1, stdout: '', stderr: err.message, timedOut: false });
+    }
+  });
+}
+
+// Signal the command's whole process group; fall back to the shell alone
+function killGroup(proc, signal) {
+  try {
+    process.kill(-proc.pid, signal);
+  } catch (e) {
+    try { proc.kill(signal); } catch (e2) { /* already exited */ }
+  }
+}
+
+/**
+ * Run a command in a dedicated bash process
+ * @param {string} cmd - command to run
+ * @param {Object} options - { cwd, env (added to process.env), timeoutMs, onData }
+ * @returns {Promise<Object>} { exitCode, durationMs, stdout, stderr, timedOut, mode: 'spawn' }
+ */
+export function runSpawned(cmd, options = {}) {
+  const timeoutMs = options.timeoutMs || 600000;
+  const startTime = Date.now();
+
+  return new Promise((resolve) => {
+    const proc = spawn('bash', ['-c', cmd], {
+      cwd: options.cwd || process.cwd(),
+      env: options.env ? { ...process.env, ...options.env } : process.env,
+      shell: false,
+      detached: true
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let killed = false;
+    let killTimer = null;
+
+    const timeout = setTimeout(() => {
+      killed = true;
+      killGroup(proc, 'SIGTERM');
+      killTimer = setTimeout(() => {
+        killGroup(proc, 'SIGKILL');
+        // A process that left the group (setsid) may still hold the pipes open
+        proc.stdout?.destroy();
+        proc.stderr?.destroy();
+      }, 1000);
+    }, timeoutMs);
+
+    proc.stdout?.on('data', (chunk) => {
+      stdout = (stdout + chunk.toString()).slice(-MAX_CAPTURE_CHARS);
+      try { options.onData?.(chunk.toString()); } catch { /* a listener must not break the run */ }
+    });
+
+    proc.stderr?.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-MAX_CAPTURE_CHARS);
+      try { options.onData?.(chunk.toString()); } catch { /* a listener must not break the run */ }
+    });
+
+    proc.on('close', (exitCode) => {
+      clearTimeout(timeout);
+      clearTimeout(killTimer);
+      resolve({
+        exitCode: killed ? null : exitCode,
+        durationMs: Date.now() - startTime,
+        stdout,
+        stderr,
+        timedOut: killed,
+        mode: 'spawn'
+      });
+    });
+
+    proc.on('error', (err) => {
+      clearTimeout(timeout);
+      resolve({
+        exitCode: -1,
+        durationMs: Date.now() - startTime,
+        stdout: '',
+        stderr: err.message,
+        timedOut: false,
+        mode: 'spawn'
+      });
+    });
+  });
+}
+
+/**
+ * Render a command result as the log text handed to PM verification
+ * @param {string} cmd
+ * @param {Object} result - from runInTerm/runSpawned
+ * @param {number} maxChars - per-stream character budget
+ * @returns {string}
+ */
+export function formatCommandResult(cmd, result, maxChars = 4000) {
+  const tail = (s) => (s && s.length > maxChars ? '...' + s.slice(-maxChars) : (s || ''));
+  const status = result.timedOut ? `timed out after ${result.durationMs}ms` : `exit ${result.exitCode} in ${result.durationMs}ms`;
+  const parts = [`$ ${cmd}`, `[${status}]`];
+  if (result.stdout) parts.push(tail(result.stdout));
+  if (result.stderr) parts.push('stderr:\n' + tail(result.stderr));
+  return parts.join('\n');
+}
@@ -1,36 +1,264 @@
 import fs from 'fs';
 import path from 'path';
+import { spawnSync } from 'child_process';
+import { minimatch } from 'minimatch';
 
 /**
- * Minimal context snapshot generator used by PM context sync.
- * Returns an object with stats and small file list. Kept lightweight for smoke tests.
+ * Context pack of a repository for PM context sync.
+ *
+ * Walks the repo recursively, skipping .git, node_modules, anything matched by
+ * a .gitignore (root and nested, including negations) and by excludeGlobs, and
+ * keeping only paths matched by includeGlobs. Binary files (a NUL byte in the
+ * first 8KB) are skipped. The remaining files are ranked by relevance to the
+ * task (terms in the file name or path, uncommitted and recently committed git
+ * changes, well-known entry files), then read in rank order until maxFiles or
+ * the maxBytes content budget runs out. A directory tree summary of every
+ * candidate file is included as well.
  */
-export async function createContextSnapshot(repoRoot, opts = {}) {
-  const maxFiles = opts.maxFiles || 10;
-  const stats = { files: 0, bytes: 0 };
-  const files = [];
 
+const ALWAYS_SKIP = new Set(['.git', 'node_modules']);
+const WELL_KNOWN = new Set(['readme.md', 'package.json', 'tsconfig.json', 'pyproject.toml', 'cargo.toml', 'go.mod', 'makefile', 'dockerfile']);
+const DEFAULTS = { maxFiles: 40, maxBytes: 60000, maxFileBytes: 12000, maxWalk: 20000, treeDepth: 2 };
+const BINARY_SNIFF_BYTES = 8000;
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'task', 'add', 'make', 'use', 'all', 'are', 'not']);
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(s => String(s).trim()).filter(Boolean);
+}
+
+function positive(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Parse one .gitignore into rules relative to the repo root
+ * @param {string} text - file content
+ * @param {string} base - directory of the .gitignore, relative to the root ('' for the root)
+ * @returns {Array} [{ pattern, negate, dirOnly }]
+ */
+export function parseGitignore(text, base = '') {
+  const rules = [];
+  for (let line of String(text).split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    line = line.replace(/\s+$/, '');
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    if (line.startsWith('\\')) line = line.slice(1);
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+    // A pattern with a slash (other than a trailing one) is anchored to its .gitignore
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+    const rel = anchored ? line : `**/${line}`;
+    rules.push({ pattern: base ? `${base}/${rel}` : rel, negate, dirOnly });
+  }
+  return rules;
+}
+
+function isIgnored(relPath, isDir, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    if (minimatch(relPath, rule.pattern, { dot: true })) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+function isBinary(file) {
+  let fd;
   try {
-    const entries = fs.readdirSync(repoRoot, { withFileTypes: true });
-    for (const e of entries) {
-      if (files.length >= maxFiles) break;
-      if (!e.isFile()) continue;
-      const p = path.join(repoRoot, e.name);
+    fd = fs.openSync(file, 'r');
+    const buf = Buffer.alloc(BINARY_SNIFF_BYTES);
+    const n = fs.readSync(fd, buf, 0, BINARY_SNIFF_BYTES, 0);
+    return buf.subarray(0, n).includes(0);
+  } catch {
+    return true;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function git(repoRoot, args) {
+  const r = spawnSync('git', args, { cwd: repoRoot, encoding: 'utf8', timeout: 5000 });
+  return r.status === 0 ? r.stdout : '';
+}
+
+/**
+ * Files git knows to be changed: uncommitted first, then those touched by recent commits
+ * @param {string} repoRoot
+ * @param {number} commits - how many recent commits to look at
+ * @returns {Object} { uncommitted: Set, recent: Map(path -> commits ago) }
+ */
+export function gitChanges(repoRoot, commits = 20) {
+  const uncommitted = new Set();
+  for (const line of git(repoRoot, ['status', '--porcelain']).split('\n')) {
+    const p = line.slice(3).trim();
+    if (p) uncommitted.add(p.includes(' -> ') ? p.split(' -> ')[1] : p);
+  }
+  const recent = new Map();
+  let age = -1;
+  for (const line of git(repoRoot, ['log', `-n${commits}`, '--name-only', '--pretty=format:%x00']).split('\n')) {
+    if (line.startsWith('\u0000')) { age++; continue; }
+    const p = line.trim();
+    if (p && !recent.has(p)) recent.set(p, Math.max(age, 0));
+  }
+  return { uncommitted, recent };
+}
+
+/**
+ * Words of a task worth matching against paths
+ * @param {string|Object} task - text, or { title, notes }
+ * @returns {Array} lower-case terms
+ */
+export function taskTerms(task) {
+  const text = typeof task === 'string' ? task : [task?.title, task?.notes].filter(Boolean).join(' ');
+  const terms = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length >= 3 && !STOPWORDS.has(t));
+  return [...new Set(terms)];
+}
+
+function scoreFile(relPath, terms, changes) {
+  const reasons = [];
+  let score = 0;
+  const lower = relPath.toLowerCase();
+  const base = path.posix.basename(lower);
+  const stem = base.replace(/\.[^.]+$/, '');
+  for (const term of terms) {
+    if (stem.includes(term)) { score += 5; reasons.push(`name:${term}`); }
+    else if (lower.includes(term)) { score += 2; reasons.push(`path:${term}`); }
+  }
+  if (changes.uncommitted.has(relPath)) { score += 6; reasons.push('uncommitted'); }
+  if (changes.recent.has(relPath)) {
+    const age = changes.recent.get(relPath);
+    score += Math.max(1, 4 - Math.floor(age / 5));
+    reasons.push(`commit-${age}`);
+  }
+  if (WELL_KNOWN.has(base)) { score += 1; reasons.push('entry'); }
+  score -= relPath.split('/').length * 0.1;
+  return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * Directory summary: file counts per directory down to `depth`
+ * @param {Array} files - relative paths
+ * @param {number} depth
+ * @returns {string} indented lines, e.g. "src/ (34 files)\n  core/ (20 files)"
+ */
+export function summarizeTree(files, depth = DEFAULTS.treeDepth) {
+  const counts = new Map();
+  let rootFiles = 0;
+  for (const f of files) {
+    const parts = f.split('/').slice(0, -1);
+    if (!parts.length) rootFiles++;
+    for (let d = 1; d <= Math.min(depth, parts.length); d++) {
+      const dir = parts.slice(0, d).join('/');
+      counts.set(dir, (counts.get(dir) || 0) + 1);
+    }
+  }
+  const plural = n => `${n} file${n === 1 ? '' : 's'}`;
+  const lines = [`./ (${plural(files.length)}, ${rootFiles} at top level)`];
+  for (const dir of [...counts.keys()].sort()) {
+    const level = dir.split('/').length;
+    lines.push(`${'  '.repeat(level)}${path.posix.basename(dir)}/ (${plural(counts.get(dir))})`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the context pack of a repository
+ * @param {string} repoRoot
+ * @param {Object} opts - { includeGlobs, excludeGlobs, maxFiles, maxBytes (content budget), maxFileBytes,
+ *   task (text or { title, notes }, for ranking), gitignore (default true) }
+ * @returns {Promise<Object>} { type: 'CONTEXT_SNAPSHOT', stats, tree, terms, files: [{ path, size, score, reasons, content, truncated }] }
+ */
+export async function createContextSnapshot(repoRoot, opts = {}) {
+  const maxFiles = positive(opts.maxFiles, DEFAULTS.maxFiles);
+  const maxBytes = positive(opts.maxBytes, DEFAULTS.maxBytes);
+  const maxFileBytes = positive(opts.maxFileBytes, DEFAULTS.maxFileBytes);
+  const includeGlobs = toList(opts.includeGlobs);
+  const excludeGlobs = toList(opts.excludeGlobs);
+  const useGitignore = opts.gitignore !== false;
+  const stats = { files: 0, bytes: 0, scanned: 0, candidates: 0, ignored: 0, excluded: 0, binary: 0, overBudget: 0, truncated: 0, walkLimited: false };
+
+  const candidates = [];
+  const rules = [];
+  const stack = [''];
+  while (stack.length) {
+    const dirRel = stack.pop();
+    const dirAbs = path.join(repoRoot, dirRel);
+    if (useGitignore) {
       try {
-        const st = fs.statSync(p);
-        const content = fs.readFileSync(p, 'utf8').slice(0, 2000);
-        files.push({ path: e.name, size: st.size, content });
-        stats.files += 1;
-        stats.bytes += st.size || 0;
-      } catch (err) {}
+        rules.push(...parseGitignore(fs.readFileSync(path.join(dirAbs, '.gitignore'), 'utf8'), dirRel));
+      } catch {
+        // no .gitignore in this directory
+      }
+    }
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dirAbs, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const e of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (stats.scanned >= DEFAULTS.maxWalk) { stats.walkLimited = true; break; }
+      stats.scanned++;
+      const rel = dirRel ? `${dirRel}/${e.name}` : e.name;
+      if (e.isDirectory()) {
+        if (ALWAYS_SKIP.has(e.name) || (useGitignore && isIgnored(rel, true, rules))) { stats.ignored++; continue; }
+        if (excludeGlobs.some(g => minimatch(rel, g, { dot: true }) || minimatch(`${rel}/`, g, { dot: true }))) { stats.excluded++; continue; }
+        stack.push(rel);
+        continue;
+      }
+      if (!e.isFile()) continue;
+      if (useGitignore && isIgnored(rel, false, rules)) { stats.ignored++; continue; }
+      if (excludeGlobs.some(g => minimatch(rel, g, { dot: true }))) { stats.excluded++; continue; }
+      if (includeGlobs.length && !includeGlobs.some(g => minimatch(rel, g, { dot: true }))) { stats.excluded++; continue; }
+      candidates.push(rel);
+    }
+  }
+  stats.candidates = candidates.length;
+
+  const terms = taskTerms(opts.task);
+  const changes = gitChanges(repoRoot);
+  const ranked = candidates
+    .map(rel => ({ path: rel, ...scoreFile(rel, terms, changes) }))
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+
+  const files = [];
+  for (const item of ranked) {
+    if (files.length >= maxFiles) break;
+    const abs = path.join(repoRoot, item.path);
+    let size;
+    try {
+      size = fs.statSync(abs).size;
+    } catch {
+      continue;
+    }
+    if (isBinary(abs)) { stats.binary++; continue; }
+    const room = Math.min(maxFileBytes, maxBytes - stats.bytes);
+    if (room <= 0) { stats.overBudget++; continue; }
+    let content;
+    try {
+      content = fs.readFileSync(abs, 'utf8');
+    } catch {
+      continue;
+    }
+    const truncated = Buffer.byteLength(content) > room;
+    if (truncated) {
+      content = Buffer.from(content).subarray(0, room).toString('utf8').replace(/�$/, '');
+      stats.truncated++;
     }
-  } catch (err) {
-    // ignore
+    files.push({ path: item.path, size, score: item.score, reasons: item.reasons, content, truncated });
+    stats.files++;
+    stats.bytes += Buffer.byteLength(content);
   }
 
   return {
     type: 'CONTEXT_SNAPSHOT',
     stats,
+    tree: summarizeTree(candidates),
+    terms,
     files
   };
 }
@@ -0,0 +1,205 @@
+/**
+ * Cost Forecast - what the remaining `todo` tasks of a plan are likely to cost
+ *
+ * History: every finished task (TASK_FINISHED in data/runs/<project>.jsonl)
+ * with cost ledger entries is one sample: its tokens per model, repriced at
+ * today's rates (see pricing.mjs), and its points (TASK_STARTED, else the plan).
+ * Imported legacy totals are not samples.
+ *
+ * A todo task of N points draws from the samples with N points when there are
+ * at least MIN_SAMPLES of them, otherwise from all samples scaled by points.
+ * The project's own history is used when it has MIN_SAMPLES samples, else the
+ * history of all projects, else a built-in per-point prior. The expected cost
+ * is the sum of sample means; p90 comes from resampling the whole plan.
+ */
+
+import { readCostLedger } from './costLedger.mjs';
+import { calculateCost } from './pricing.mjs';
+import { getRunEvents } from './runlog.mjs';
+
+const MIN_SAMPLES = 3;
+const ITERATIONS = 2000;
+// Prior per task point when there is no history at all (tokens per model call)
+const DEFAULT_TASK_TOKENS = {
+  engineer: { input_tokens: 3000, output_tokens: 800 },
+  pm: { input_tokens: 1500, output_tokens: 300 }
+};
+// With no history the spread is unknown; p90 is this multiple of the expectation
+const DEFAULT_P90_FACTOR = 2;
+
+// Deterministic PRNG so the same history always gives the same forecast
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pointsOf(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+function entryCost(entry, usdToTwd) {
+  const price = calculateCost(entry.model, entry, { usdToTwd });
+  return price.priced ? price.twd : (entry.twd || 0);
+}
+
+/**
+ * Collect one sample per finished task
+ * @param {Object} options - { usdToTwd, planFor(project) => plan }
+ * @returns {Array} [{ project, taskId, points, cost, tokens, models: { model: { tokens, cost } } }]
+ */
+export function collectTaskSamples(options = {}) {
+  const byTask = new Map();
+  for (const e of readCostLedger()) {
+    if (!e.taskId || e.legacy) continue;
+    const key = `${e.project}\u0000${e.taskId}`;
+    if (!byTask.has(key)) byTask.set(key, { project: e.project, taskId: e.taskId, entries: [] });
+    byTask.get(key).entries.push(e);
+  }
+
+  const runInfo = new Map(); // project -> { finished: Set, points: Map }
+  const infoFor = (project) => {
+    if (runInfo.has(project)) return runInfo.get(project);
+    const info = { finished: new Set(), points: new Map() };
+    for (const ev of getRunEvents(project)) {
+      if (ev.type === 'TASK_FINISHED' && ev.taskId) info.finished.add(ev.taskId);
+      if (ev.type === 'TASK_STARTED' && ev.taskId && ev.points !== undefined) info.points.set(ev.taskId, ev.points);
+    }
+    const plan = options.planFor ? options.planFor(project) : null;
+    for (const t of plan?.tasks || []) {
+      if (!info.points.has(t.id)) info.points.set(t.id, t.points);
+    }
+    runInfo.set(project, info);
+    return info;
+  };
+
+  const samples = [];
+  for (const { project, taskId, entries } of byTask.values()) {
+    const info = infoFor(project);
+    if (!info.finished.has(taskId)) continue;
+    const sample = { project, taskId, points: pointsOf(info.points.get(taskId)), cost: 0, tokens: 0, models: {} };
+    for (const e of entries) {
+      const cost = entryCost(e, options.usdToTwd);
+      const m = sample.models[e.model || 'unknown'] ||= { tokens: 0, cost: 0 };
+      m.tokens += e.total_tokens || 0;
+      m.cost += cost;
+      sample.tokens += e.total_tokens || 0;
+      sample.cost += cost;
+    }
+    samples.push(sample);
+  }
+  return samples;
+}
+
+function scaled(sample, points) {
+  const f = points / sample.points;
+  const models = {};
+  for (const [model, m] of Object.entries(sample.models)) models[model] = { tokens: m.tokens * f, cost: m.cost * f };
+  return { cost: sample.cost * f, tokens: sample.tokens * f, models };
+}
+
+function priorSample(points, options) {
+  const models = {};
+  let cost = 0, tokens = 0;
+  for (const [role, usage] of Object.entries(DEFAULT_TASK_TOKENS)) {
+    const model = options.models?.[role];
+    if (!model) continue;
+    const t = (usage.input_tokens + usage.output_tokens) * points;
+    const price = calculateCost(model, { input_tokens: usage.input_tokens * points, output_tokens: usage.output_tokens * points }, { usdToTwd: options.usdToTwd });
+    const m = models[model] ||= { tokens: 0, cost: 0 };
+    m.tokens += t;
+    m.cost += price.twd;
+    tokens += t;
+    cost += price.twd;
+  }
+  return { cost, tokens, models };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : 0;
+}
+
+/**
+ * Forecast the cost of a plan's todo tasks
+ * @param {Object} plan - { tasks: [{ id, points, status }] }
+ * @param {Object} options - { project, usdToTwd, planFor(project), models: { engineer, pm } (for the prior) }
+ * @returns {Object} { project, tasks, points, expected, p90, currency: 'TWD', basis: 'project' | 'all' | 'default',
+ *   samples, byPoints: { points: { tasks, samples, source: 'points' | 'scaled' | 'default', expectedPerTask } },
+ *   byModel: { model: { tokens, expected } }, generatedAt }
+ */
+export function forecastPlanCost(plan, options = {}) {
+  const todo = (plan?.tasks || []).filter(t => (t.status || 'todo') === 'todo');
+  const all = collectTaskSamples(options);
+  const own = all.filter(s => s.project === options.project);
+  const basis = own.length >= MIN_SAMPLES ? 'project' : all.length ? 'all' : 'default';
+  const samples = basis === 'project' ? own : all;
+
+  const byPoints = {};
+  const byModel = {};
+  const pools = []; // per todo task: the sample costs it can draw from
+  let expected = 0;
+
+  for (const task of todo) {
+    const points = pointsOf(task.points);
+    const exact = samples.filter(s => s.points === points);
+    let source, drawn;
+    if (basis === 'default') {
+      source = 'default';
+      drawn = [priorSample(points, options)];
+    } else if (exact.length >= MIN_SAMPLES) {
+      source = 'points';
+      drawn = exact.map(s => ({ cost: s.cost, tokens: s.tokens, models: s.models }));
+    } else {
+      source = 'scaled';
+      drawn = samples.map(s => scaled(s, points));
+    }
+
+    const perTask = mean(drawn.map(d => d.cost));
+    expected += perTask;
+    pools.push(drawn.map(d => d.cost));
+    const bucket = byPoints[points] ||= { tasks: 0, samples: drawn.length, source, expectedPerTask: perTask };
+    bucket.tasks++;
+    for (const d of drawn) {
+      for (const [model, m] of Object.entries(d.models)) {
+        const b = byModel[model] ||= { tokens: 0, expected: 0 };
+        b.tokens += m.tokens / drawn.length;
+        b.expected += m.cost / drawn.length;
+      }
+    }
+  }
+
+  let p90 = expected;
+  if (basis === 'default') {
+    p90 = expected * DEFAULT_P90_FACTOR;
+  } else if (pools.length) {
+    const random = mulberry32(samples.length * 7919 + pools.length);
+    const totals = [];
+    for (let i = 0; i < ITERATIONS; i++) {
+      let total = 0;
+      for (const pool of pools) total += pool[Math.floor(random() * pool.length)];
+      totals.push(total);
+    }
+    totals.sort((a, b) => a - b);
+    p90 = totals[Math.ceil(ITERATIONS * 0.9) - 1];
+  }
+
+  return {
+    project: options.project || null,
+    tasks: todo.length,
+    points: todo.reduce((s, t) => s + pointsOf(t.points), 0),
+    expected,
+    p90,
+    currency: 'TWD',
+    basis,
+    samples: basis === 'default' ? 0 : samples.length,
+    byPoints,
+    byModel,
+    generatedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Cost Ledger - append-only record of every priced model call
+ *
+ * One JSON line per call in <data dir>/cost_ledger.jsonl:
+ *   { ts, project, runSessionId, taskId, model, provider, role: 'engineer' | 'pm' | 'summary',
+ *     calls, input_tokens, cached_input_tokens, output_tokens, total_tokens,
+ *     priced, currency, cost, usd, twd, rate: { input, cachedInput, output, effectiveFrom } }
+ *
+ * The ledger is the only cost store. Totals (health, reports, budget checks,
+ * the dashboard) are always derived from it with summarizeCost, so they agree.
+ * Entries are never rewritten; a wrong price is corrected by a later entry.
+ *
+ * The parsed ledger is kept in memory, indexed by project; each read only
+ * parses the lines appended since the previous one (by any writer).
+ *
+ * Entries imported from the old stores are flagged `legacy: true`. They are
+ * totals without a real call time: they count in lifetime totals but never in
+ * a period (since/until) or a forecast.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { calculateCost } from './pricing.mjs';
+import { dataPath } from './dataDir.mjs';
+
+const ledgerFile = () => dataPath('cost_ledger.jsonl');
+export const COST_ROLES = ['engineer', 'pm', 'summary'];
+
+/**
+ * Append one model call to the ledger
+ * @param {Object} call - { project, runSessionId, taskId, model, provider, role, price }
+ *   (price from calculateCost; provider defaults to the pricing registry's)
+ * @returns {Object} the written entry
+ */
+export function appendCostEntry(call) {
+  const price = call.price;
+  const entry = {
+    ts: call.ts || new Date().toISOString(),
+    project: call.project || 'default',
+    runSessionId: call.runSessionId || null,
+    taskId: call.taskId || null,
+    model: call.model || null,
+    provider: call.provider || price.rate?.provider || null,
+    role: COST_ROLES.includes(call.role) ? call.role : null,
+    calls: call.calls || 1,
+    input_tokens: price.tokens.input,
+    cached_input_tokens: price.tokens.cachedInput,
+    output_tokens: price.tokens.output,
+    total_tokens: price.tokens.total,
+    priced: price.priced,
+    currency: price.currency,
+    cost: price.cost,
+    usd: price.usd,
+    twd: price.twd,
+    rate: price.rate ? { input: price.rate.input, cachedInput: price.rate.cachedInput ?? null, output: price.rate.output, effectiveFrom: price.rate.effectiveFrom || null } : null
+  };
+  if (call.legacy) entry.legacy = true;
+
+  const file = ledgerFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+const ledgerCache = { file: null, ino: null, size: 0, rest: Buffer.alloc(0), entries: [], byProject: new Map() };
+
+function resetLedgerCache(file = null, ino = null) {
+  Object.assign(ledgerCache, { file, ino, size: 0, rest: Buffer.alloc(0), entries: [], byProject: new Map() });
+}
+
+// Parse what was appended since the last read; a replaced or truncated file is read again in full
+function syncLedgerCache() {
+  const file = ledgerFile();
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    resetLedgerCache();
+    return;
+  }
+  if (file !== ledgerCache.file || stat.ino !== ledgerCache.ino || stat.size < ledgerCache.size) resetLedgerCache(file, stat.ino);
+  if (stat.size === ledgerCache.size) return;
+
+  const added = Buffer.alloc(stat.size - ledgerCache.size);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, added, 0, added.length, ledgerCache.size);
+  } finally {
+    fs.closeSync(fd);
+  }
+  ledgerCache.size = stat.size;
+  const data = Buffer.concat([ledgerCache.rest, added]);
+  // a line still being written stays in `rest` until its newline arrives
+  const end = data.lastIndexOf(0x0a) + 1;
+  ledgerCache.rest = data.subarray(end);
+  for (const line of data.subarray(0, end).toString('utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let e;
+    try { e = JSON.parse(line); } catch { continue; }
+    ledgerCache.entries.push(e);
+    if (!ledgerCache.byProject.has(e.project)) ledgerCache.byProject.set(e.project, []);
+    ledgerCache.byProject.get(e.project).push(e);
+  }
+}
+
+/**
+ * Read ledger entries
+ * @param {Object} filter - { project, runSessionId, taskId, role, since, until } (ISO dates; all optional).
+ *   With since or until, legacy entries are left out.
+ * @returns {Array} entries, oldest first (do not modify them: they are shared with the cache)
+ */
+export function readCostLedger(filter = {}) {
+  syncLedgerCache();
+  const source = filter.project ? ledgerCache.byProject.get(filter.project) || [] : ledgerCache.entries;
+  const sinceMs = filter.since ? Date.parse(filter.since) : null;
+  const untilMs = filter.until ? Date.parse(filter.until) : null;
+  const entries = [];
+  for (const e of source) {
+    if ((sinceMs !== null || untilMs !== null) && e.legacy) continue;
+    if (filter.runSessionId && e.runSessionId !== filter.runSessionId) continue;
+    if (filter.taskId && e.taskId !== filter.taskId) continue;
+    if (filter.role && e.role !== filter.role) continue;
+    if (sinceMs !== null && !(Date.parse(e.ts) >= sinceMs)) continue;
+    if (untilMs !== null && !(Date.parse(e.ts) < untilMs)) continue;
+    entries.push(e);
+  }
+  return entries;
+}
+
+function emptyTotals() {
+  return { calls: 0, unpriced_calls: 0, input_tokens: 0, cached_input_tokens: 0, output_tokens: 0, total_tokens: 0, cost_usd: 0, cost_twd: 0 };
+}
+
+function addTo(t, e) {
+  t.calls += e.calls || 1;
+  if (!e.priced) t.unpriced_calls += e.calls || 1;
+  t.input_tokens += e.input_tokens || 0;
+  t.cached_input_tokens += e.cached_input_tokens || 0;
+  t.output_tokens += e.output_tokens || 0;
+  t.total_tokens += e.total_tokens || 0;
+  t.cost_usd += e.usd || 0;
+  t.cost_twd += e.twd || 0;
+}
+
+/**
+ * Aggregate ledger entries
+ * @param {Array} entries - from readCostLedger
+ * @returns {Object} { ...totals, updatedAt, models: { model: totals }, roles: { role: totals }, tasks: { taskId: totals },
+ *   total: { calls, input_tokens, output_tokens, total_tokens, estimated_usd, estimated_twd, unpriced_calls } }
+ *   where totals = { calls, unpriced_calls, input_tokens, cached_input_tokens, output_tokens, total_tokens, cost_usd, cost_twd }.
+ *   `total` is the shape the dashboard and reports have always read.
+ */
+export function summarizeCost(entries) {
+  const sum = { ...emptyTotals(), updatedAt: null, models: {}, roles: {}, tasks: {} };
+  for (const e of entries) {
+    addTo(sum, e);
+    addTo(sum.models[e.model || 'unknown'] ||= emptyTotals(), e);
+    addTo(sum.roles[e.role || 'unknown'] ||= emptyTotals(), e);
+    if (e.taskId) addTo(sum.tasks[e.taskId] ||= emptyTotals(), e);
+    if (!sum.updatedAt || e.ts > sum.updatedAt) sum.updatedAt = e.ts;
+  }
+  sum.total = {
+    calls: sum.calls,
+    input_tokens: sum.input_tokens,
+    output_tokens: sum.output_tokens,
+    total_tokens: sum.total_tokens,
+    estimated_usd: sum.cost_usd,
+    estimated_twd: sum.cost_twd,
+    unpriced_calls: sum.unpriced_calls
+  };
+  return sum;
+}
+
+/**
+ * Aggregated cost of one project (optionally narrowed, see readCostLedger)
+ * @param {string} project
+ * @param {Object} filter
+ * @returns {Object} summarizeCost result plus { project }
+ */
+export function getProjectCost(project, filter = {}) {
+  return { project, ...summarizeCost(readCostLedger({ ...filter, project })) };
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One-time import of the old stores (data/cost.json and data/usage/<project>.json)
+ * into the ledger. Runs only while the ledger does not exist yet. Those stores
+ * overlapped (pm:ask wrote both), so a project/model pair found in cost.json is
+ * not imported again from usage. cost.json kept tokens only: it is repriced.
+ * Imported entries are flagged `legacy` and dated by their store's updatedAt
+ * (the epoch when it has none), never by the time of the import.
+ * @param {Object} options - { costFile, usageDir, usdToTwd }
+ * @returns {Object} { migrated: boolean, entries }
+ */
+export function migrateLegacyCostStores(options = {}) {
+  const file = ledgerFile();
+  if (fs.existsSync(file)) return { migrated: false, entries: 0 };
+  const costFile = options.costFile || dataPath('cost.json');
+  const usageDir = options.usageDir || dataPath('usage');
+  const legacy = [];
+  const seen = new Set();
+
+  // The old stores only kept totals: date them no later than the store's last write
+  const stampOf = (store) => (store?.updatedAt && !Number.isNaN(Date.parse(store.updatedAt)) ? store.updatedAt : new Date(0).toISOString());
+
+  const costs = readJson(costFile) || {};
+  for (const [project, store] of Object.entries(costs)) {
+    for (const [model, m] of Object.entries(store?.models || {})) {
+      seen.add(`${project}\u0000${model}`);
+      legacy.push({ project, model, calls: m.calls || 1, usage: m, usd: null, ts: stampOf(store) });
+    }
+  }
+
+  let usageFiles = [];
+  try { usageFiles = fs.readdirSync(usageDir).filter(f => f.endsWith('.json')); } catch { usageFiles = []; }
+  for (const f of usageFiles) {
+    const store = readJson(path.join(usageDir, f));
+    const project = store?.projectId || f.replace(/\.json$/, '');
+    for (const [model, t] of Object.entries(store?.totals || {})) {
+      if (seen.has(`${project}\u0000${model}`)) continue;
+      legacy.push({ project, model, calls: 1, usage: t, usd: t.cost_usd, twd: t.cost_twd, ts: stampOf(store) });
+    }
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '');
+  for (const item of legacy) {
+    const price = calculateCost(item.model, item.usage, { usdToTwd: options.usdToTwd });
+    // usage stores kept the price they were charged at
+    if (typeof item.usd === 'number') Object.assign(price, { priced: true, currency: 'USD', cost: item.usd, usd: item.usd, twd: item.twd || 0 });
+    appendCostEntry({ project: item.project, model: item.model, calls: item.calls, ts: item.ts, price, legacy: true });
+  }
+  return { migrated: true, entries: legacy.length };
+}
@@ -0,0 +1,33 @@
+/**
+ * Data Dir - where the core modules keep their runtime files
+ *
+ * Defaults to ./data under the process cwd. Paths are resolved on every call,
+ * so setDataDir (tests, embedders) takes effect for modules already imported.
+ */
+
+import path from 'path';
+
+let dataDir = null;
+
+/**
+ * Point the core modules at another data directory
+ * @param {string|null} dir - directory, or null to go back to ./data
+ */
+export function setDataDir(dir) {
+  dataDir = dir ? path.resolve(dir) : null;
+}
+
+/**
+ * @returns {string} absolute data directory
+ */
+export function getDataDir() {
+  return dataDir || path.resolve(process.cwd(), 'data');
+}
+
+/**
+ * @param {...string} parts - path below the data directory
+ * @returns {string} absolute path
+ */
+export function dataPath(...parts) {
+  return path.join(getDataDir(), ...parts);
+}
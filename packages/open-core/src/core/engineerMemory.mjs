@@ -0,0 +1,184 @@
+/**
+ * Engineer Memory - per-project conversation buffer for the engineer model
+ *
+ * One file per project in <data dir>/engineer_memory/<project>.json:
+ *   { project, summary: [lines], summarizedTurns, turns: [turn], updatedAt }
+ *   turn = { taskId, title, bash, patch, summary, exitCode, timedOut, output,
+ *            verification: { done, blocked, notes }, ts }
+ *
+ * Every task the engineer worked on becomes a turn: what it proposed, what ran,
+ * the (tail of the) output and the PM's verdict. renderMemory turns the buffer
+ * into the text sent with the next engineerAsk. When that text is over the
+ * token budget, the oldest turns are folded into one-line summaries (kept
+ * deterministic, no model call), always keeping the most recent turns whole.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './dataDir.mjs';
+
+export const DEFAULT_MEMORY_TOKENS = 4000;
+const KEEP_RECENT = 2;
+const MAX_OUTPUT_CHARS = 1500;
+const MAX_PATCH_CHARS = 1500;
+
+function memoryFile(project) {
+  return dataPath('engineer_memory', `${String(project).replace(/[^a-zA-Z0-9._-]/g, '_')}.json`);
+}
+
+function tail(text, max) {
+  const s = String(text || '');
+  return s.length > max ? '...' + s.slice(-max) : s;
+}
+
+/**
+ * Rough token count (about 4 characters per token)
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+export function createEngineerMemory(project) {
+  return { project, summary: [], summarizedTurns: 0, turns: [], updatedAt: null };
+}
+
+/**
+ * Read a project's memory (empty when none was saved)
+ * @param {string} project
+ * @returns {Object} memory
+ */
+export function loadEngineerMemory(project) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(memoryFile(project), 'utf8'));
+    return { ...createEngineerMemory(project), ...raw, project };
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[engineerMemory] Failed to read memory of ${project}, starting empty:`, e.message);
+    return createEngineerMemory(project);
+  }
+}
+
+export function saveEngineerMemory(memory) {
+  const file = memoryFile(memory.project);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(memory, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Forget everything for a project
+ * @param {string} project
+ * @returns {Object} the new, empty memory
+ */
+export function clearEngineerMemory(project) {
+  fs.rmSync(memoryFile(project), { force: true });
+  return createEngineerMemory(project);
+}
+
+function verdict(turn) {
+  const v = turn.verification;
+  if (!v) return turn.bash ? 'not verified' : 'proposed';
+  if (v.done) return 'done';
+  return v.blocked ? 'blocked' : 'not done';
+}
+
+function summarizeTurn(turn) {
+  const ran = turn.bash ? `ran \`${turn.bash.split('\n')[0].slice(0, 120)}\`${turn.exitCode !== undefined && turn.exitCode !== null ? ` (exit ${turn.exitCode})` : ''}` : 'ran nothing';
+  const notes = turn.verification?.notes ? ` - ${String(turn.verification.notes).split('\n')[0].slice(0, 120)}` : '';
+  return `- [${verdict(turn)}] ${turn.taskId ? `${turn.taskId} ` : ''}"${turn.title || ''}": ${ran}${notes}`;
+}
+
+function renderTurn(turn) {
+  const lines = [`### ${turn.taskId ? `Task ${turn.taskId}: ` : ''}${turn.title || '(untitled)'}`];
+  if (turn.summary) lines.push(`Engineer: ${turn.summary}`);
+  if (turn.bash) {
+    lines.push(`$ ${turn.bash}`);
+    if (turn.timedOut) lines.push('[timed out]');
+    else if (turn.exitCode !== undefined && turn.exitCode !== null) lines.push(`[exit ${turn.exitCode}]`);
+  }
+  if (turn.output) lines.push(turn.output);
+  if (turn.patch) lines.push(`Patch:\n${turn.patch}`);
+  lines.push(`PM verification: ${verdict(turn)}${turn.verification?.notes ? ` - ${turn.verification.notes}` : ''}`);
+  return lines.join('\n');
+}
+
+/**
+ * Memory as prompt text ('' when empty)
+ * @param {Object} memory
+ * @returns {string}
+ */
+export function renderMemory(memory) {
+  const parts = [];
+  if (memory.summary.length) parts.push(`Earlier tasks (summarized):\n${memory.summary.join('\n')}`);
+  if (memory.turns.length) parts.push(`Recent tasks:\n${memory.turns.map(renderTurn).join('\n\n')}`);
+  return parts.join('\n\n');
+}
+
+/**
+ * Fold the oldest turns into summary lines until the rendered memory fits the
+ * budget; the last KEEP_RECENT turns stay whole, and when even the summary is
+ * too long its oldest lines are dropped.
+ * @param {Object} memory - changed in place
+ * @param {number} budgetTokens
+ * @returns {number} turns folded
+ */
+export function compactMemory(memory, budgetTokens = DEFAULT_MEMORY_TOKENS) {
+  let folded = 0;
+  while (estimateTokens(renderMemory(memory)) > budgetTokens && memory.turns.length > KEEP_RECENT) {
+    memory.summary.push(summarizeTurn(memory.turns.shift()));
+    memory.summarizedTurns++;
+    folded++;
+  }
+  while (estimateTokens(renderMemory(memory)) > budgetTokens && memory.summary.length > 1) {
+    memory.summary.shift();
+  }
+  return folded;
+}
+
+/**
+ * Append one turn and compact to the budget
+ * @param {Object} memory - changed in place
+ * @param {Object} turn - { taskId, title, bash, patch, summary, result: { exitCode, timedOut, stdout, stderr }, verification }
+ * @param {number} budgetTokens
+ * @returns {Object} { turn, folded }
+ */
+export function addMemoryTurn(memory, turn, budgetTokens = DEFAULT_MEMORY_TOKENS) {
+  const result = turn.result || null;
+  const output = result ? [result.stdout, result.stderr && `stderr:\n${result.stderr}`].filter(Boolean).join('\n') : '';
+  const entry = {
+    taskId: turn.taskId || null,
+    title: turn.title || '',
+    bash: turn.bash || '',
+    patch: tail(turn.patch, MAX_PATCH_CHARS),
+    summary: turn.summary || '',
+    exitCode: result ? result.exitCode ?? null : null,
+    timedOut: Boolean(result?.timedOut),
+    output: tail(output.trim(), MAX_OUTPUT_CHARS),
+    verification: turn.verification
+      ? { done: turn.verification.done === true, blocked: turn.verification.blocked === true, notes: turn.verification.notes || '' }
+      : null,
+    ts: turn.ts || new Date().toISOString()
+  };
+  memory.turns.push(entry);
+  memory.updatedAt = entry.ts;
+  return { turn: entry, folded: compactMemory(memory, budgetTokens) };
+}
+
+/**
+ * Size of a memory, for the dashboard
+ * @param {Object} memory
+ * @param {number} budgetTokens
+ * @returns {Object} { turns, summarizedTurns, summaryLines, tokens, budgetTokens, updatedAt }
+ */
+export function memoryStats(memory, budgetTokens = DEFAULT_MEMORY_TOKENS) {
+  return {
+    turns: memory.turns.length,
+    summarizedTurns: memory.summarizedTurns,
+    summaryLines: memory.summary.length,
+    tokens: estimateTokens(renderMemory(memory)),
+    budgetTokens,
+    updatedAt: memory.updatedAt
+  };
+}
@@ -0,0 +1,321 @@
+/**
+ * Git Checkpoints - per-task snapshots of a project's working tree
+ *
+ * Before a task runs, the working tree (tracked and untracked files, honouring
+ * .gitignore) is committed to a shadow commit through a temporary index, so the
+ * user's index, branch and working tree are never touched. The commit is kept
+ * alive by a ref under refs/shipyard/checkpoints/<project>/. A second snapshot
+ * is taken when the task finishes; the diff of the two is the task changeset.
+ *
+ * One file per project in <data dir>/checkpoints/<project>.json:
+ *   { project, entries: [entry] }
+ *   entry = { taskId, title, cwd, before, after, startedAt, finishedAt, status,
+ *             files: [{ path, status, added, removed }], totals, rolledBack }
+ *
+ * Rolling a task back restores the files of its changeset to the "before"
+ * snapshot. It is refused while the task runs, when a later task touched any of
+ * the same files, or when those files changed on disk since the task finished.
+ * A cwd that is not inside a git repository gets no checkpoints.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { dataPath } from './dataDir.mjs';
+
+const execFileAsync = promisify(execFile);
+const REF_PREFIX = 'refs/shipyard/checkpoints';
+const GIT_TIMEOUT_MS = 30000;
+const MAX_ENTRIES = 200;
+const GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'shipyard',
+  GIT_AUTHOR_EMAIL: 'shipyard@localhost',
+  GIT_COMMITTER_NAME: 'shipyard',
+  GIT_COMMITTER_EMAIL: 'shipyard@localhost'
+};
+
+function checkpointError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function safeName(value) {
+  return String(value).replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+// Runs off the event loop: a snapshot of a large tree must not stall the server
+async function git(cwd, args, opts = {}) {
+  try {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd,
+      env: { ...process.env, GIT_LITERAL_PATHSPECS: '1', ...opts.env },
+      encoding: opts.buffer ? 'buffer' : 'utf8',
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return opts.buffer ? stdout : stdout.trim();
+  } catch (e) {
+    if (opts.allowFail) return null;
+    const detail = String(e.stderr || '').trim() || e.message;
+    throw checkpointError(`git ${args[0]} failed: ${detail}`, 'CHECKPOINT_GIT_FAILED');
+  }
+}
+
+/**
+ * Whether a directory is inside a git work tree
+ * @param {string} cwd
+ * @returns {Promise<boolean>}
+ */
+export async function isGitWorkTree(cwd) {
+  try {
+    return fs.statSync(cwd).isDirectory() && await git(cwd, ['rev-parse', '--is-inside-work-tree'], { allowFail: true }) === 'true';
+  } catch {
+    return false;
+  }
+}
+
+// Tree object of the working tree under cwd, on top of HEAD (null HEAD in a repo without commits)
+async function snapshotTree(cwd) {
+  const head = await git(cwd, ['rev-parse', '--verify', '-q', 'HEAD'], { allowFail: true }) || null;
+  const indexFile = path.join(os.tmpdir(), `shipyard-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  const env = { GIT_INDEX_FILE: indexFile };
+  try {
+    if (head) await git(cwd, ['read-tree', head], { env });
+    await git(cwd, ['add', '-A', '--', '.'], { env });
+    return { tree: await git(cwd, ['write-tree'], { env }), head };
+  } finally {
+    fs.rmSync(indexFile, { force: true });
+  }
+}
+
+/**
+ * Commit the working tree to a shadow checkpoint ref
+ * @param {string} cwd - project directory (inside a git work tree)
+ * @param {Object} opts - { project, taskId, label ('before' | 'after') }
+ * @returns {Promise<Object|null>} { commit, ref, head } or null when cwd is not in a git work tree
+ */
+export async function createCheckpoint(cwd, opts = {}) {
+  if (!await isGitWorkTree(cwd)) return null;
+  const { tree, head } = await snapshotTree(cwd);
+  const label = opts.label || 'checkpoint';
+  const message = `shipyard checkpoint: ${opts.project || ''} ${opts.taskId || ''} ${label}`.replace(/\s+/g, ' ').trim();
+  const args = ['commit-tree', tree, '-m', message];
+  if (head) args.push('-p', head);
+  const commit = await git(cwd, args, { env: GIT_IDENTITY });
+  const ref = `${REF_PREFIX}/${safeName(opts.project || 'default')}/${safeName(opts.taskId || 'task')}-${label}-${Date.now()}`;
+  await git(cwd, ['update-ref', ref, commit]);
+  return { commit, ref, head };
+}
+
+/**
+ * Files changed between two checkpoints, relative to cwd
+ * @param {string} cwd
+ * @param {string} from - commit or tree
+ * @param {string} to - commit or tree
+ * @returns {Promise<Object>} { files: [{ path, status, added, removed }], totals: { files, added, removed } }
+ */
+export async function diffCheckpoints(cwd, from, to) {
+  const status = new Map();
+  const nameStatus = (await git(cwd, ['diff', '--no-renames', '--relative', '--name-status', '-z', from, to])).split('\0');
+  for (let i = 0; i + 1 < nameStatus.length; i += 2) {
+    if (nameStatus[i]) status.set(nameStatus[i + 1], nameStatus[i]);
+  }
+  const files = [];
+  const numstat = await git(cwd, ['diff', '--no-renames', '--relative', '--numstat', '-z', from, to]);
+  for (const line of numstat.split('\0')) {
+    const m = line.match(/^(-|\d+)\t(-|\d+)\t(.+)$/s);
+    if (!m) continue;
+    const binary = m[1] === '-';
+    files.push({ path: m[3], status: status.get(m[3]) || 'M', added: binary ? null : Number(m[1]), removed: binary ? null : Number(m[2]) });
+  }
+  const totals = files.reduce((t, f) => ({ files: t.files + 1, added: t.added + (f.added || 0), removed: t.removed + (f.removed || 0) }), { files: 0, added: 0, removed: 0 });
+  return { files, totals };
+}
+
+function checkpointsFile(project) {
+  return dataPath('checkpoints', `${safeName(project)}.json`);
+}
+
+/**
+ * Checkpoint entries of a project, oldest first
+ * @param {string} project
+ * @returns {Object} { project, entries }
+ */
+export function loadTaskCheckpoints(project) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(checkpointsFile(project), 'utf8'));
+    return { project, entries: Array.isArray(raw.entries) ? raw.entries : [] };
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[gitCheckpoint] Failed to read checkpoints of ${project}:`, e.message);
+    return { project, entries: [] };
+  }
+}
+
+function saveTaskCheckpoints(store) {
+  const file = checkpointsFile(store.project);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ project: store.project, entries: store.entries.slice(-MAX_ENTRIES) }, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+function lastEntry(store, taskId) {
+  for (let i = store.entries.length - 1; i >= 0; i--) {
+    if (store.entries[i].taskId === taskId) return i;
+  }
+  return -1;
+}
+
+/**
+ * Take the "before" checkpoint of a task
+ * @param {string} project
+ * @param {string} cwd
+ * @param {Object} task - { id, title }
+ * @returns {Promise<Object|null>} the new entry, or null when cwd is not in a git work tree
+ */
+export async function beginTaskCheckpoint(project, cwd, task) {
+  const checkpoint = await createCheckpoint(cwd, { project, taskId: task.id, label: 'before' });
+  if (!checkpoint) return null;
+  const store = loadTaskCheckpoints(project);
+  // An attempt that never finished (e.g. requeued) is superseded by this one
+  store.entries = store.entries.filter(e => !(e.taskId === task.id && e.status === 'running'));
+  const entry = {
+    taskId: task.id,
+    title: task.title || '',
+    cwd,
+    before: checkpoint.commit,
+    beforeRef: checkpoint.ref,
+    after: null,
+    afterRef: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'running',
+    files: [],
+    totals: null,
+    rolledBack: null
+  };
+  store.entries.push(entry);
+  saveTaskCheckpoints(store);
+  return entry;
+}
+
+/**
+ * Take the "after" checkpoint of a running task and record its changeset
+ * @param {string} project
+ * @param {string} taskId
+ * @param {string} status - final task status
+ * @returns {Promise<Object|null>} the finished entry, or null when the task has no running checkpoint
+ */
+export async function endTaskCheckpoint(project, taskId, status) {
+  const before = loadTaskCheckpoints(project);
+  const started = before.entries[lastEntry(before, taskId)];
+  if (!started || started.status !== 'running') return null;
+  const checkpoint = await createCheckpoint(started.cwd, { project, taskId, label: 'after' });
+  if (!checkpoint) return null;
+  const { files, totals } = await diffCheckpoints(started.cwd, started.before, checkpoint.commit);
+  // Other tasks of the project may have saved the store meanwhile
+  const store = loadTaskCheckpoints(project);
+  const entry = store.entries.find(e => e.taskId === taskId && e.before === started.before);
+  if (!entry || entry.status !== 'running') return null;
+  Object.assign(entry, { after: checkpoint.commit, afterRef: checkpoint.ref, finishedAt: new Date().toISOString(), status, files, totals });
+  saveTaskCheckpoints(store);
+  return entry;
+}
+
+/**
+ * Why a task cannot be rolled back (null when it can)
+ * @param {Object} store - from loadTaskCheckpoints
+ * @param {string} taskId
+ * @returns {Object|null} { code, message, files? }
+ */
+export function rollbackBlocker(store, taskId) {
+  const index = lastEntry(store, taskId);
+  const entry = store.entries[index];
+  if (!entry) return { code: 'CHECKPOINT_NOT_FOUND', message: `No checkpoint recorded for task ${taskId}` };
+  if (entry.rolledBack) return { code: 'ROLLBACK_DONE', message: `Task ${taskId} was already rolled back at ${entry.rolledBack.at}` };
+  if (entry.status === 'running' || !entry.after) return { code: 'ROLLBACK_RUNNING', message: `Task ${taskId} is still running; roll it back once it has finished` };
+  if (!entry.files.length) return { code: 'ROLLBACK_EMPTY', message: `Task ${taskId} changed no files` };
+  const touched = new Set(entry.files.map(f => f.path));
+  for (const later of store.entries.slice(index + 1)) {
+    if (later.rolledBack) continue;
+    if (later.status === 'running') {
+      return { code: 'ROLLBACK_CONFLICT', message: `Task ${later.taskId} started after ${taskId} and is still running` };
+    }
+    const overlap = later.files.map(f => f.path).filter(p => touched.has(p));
+    if (overlap.length) {
+      return { code: 'ROLLBACK_CONFLICT', message: `Task ${later.taskId} later changed the same files: ${overlap.join(', ')}`, files: overlap };
+    }
+  }
+  return null;
+}
+
+// File content of a checkpoint: { mode, data } or null when the path does not exist there
+async function readCheckpointFile(cwd, commit, relPath) {
+  const out = await git(cwd, ['ls-tree', '-z', commit, '--', relPath]);
+  const m = out.split('\0')[0].match(/^(\d+) blob ([0-9a-f]+)\t/);
+  if (!m) return null;
+  return { mode: m[1], data: await git(cwd, ['cat-file', 'blob', m[2]], { buffer: true }) };
+}
+
+function writeRestoredFile(target, file) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.rmSync(target, { force: true });
+  if (file.mode === '120000') {
+    fs.symlinkSync(file.data.toString('utf8'), target);
+    return;
+  }
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, file.data, { mode: file.mode === '100755' ? 0o755 : 0o644 });
+  fs.renameSync(tmp, target);
+}
+
+/**
+ * Restore the files a task changed to its "before" checkpoint
+ * @param {string} project
+ * @param {string} taskId
+ * @param {Object} opts - { actor }
+ * @returns {Promise<Object>} the rolled back entry; rejects with err.code (see rollbackBlocker, ROLLBACK_DIRTY) when refused
+ */
+export async function rollbackTask(project, taskId, opts = {}) {
+  const store = loadTaskCheckpoints(project);
+  const blocker = rollbackBlocker(store, taskId);
+  if (blocker) {
+    const err = checkpointError(blocker.message, blocker.code);
+    if (blocker.files) err.files = blocker.files;
+    throw err;
+  }
+  const entry = store.entries[lastEntry(store, taskId)];
+  const paths = entry.files.map(f => f.path);
+  if (!await isGitWorkTree(entry.cwd)) throw checkpointError(`${entry.cwd} is no longer a git work tree`, 'CHECKPOINT_NOT_FOUND');
+
+  // Edits made on disk since the task finished would be lost
+  const { tree } = await snapshotTree(entry.cwd);
+  const drifted = (await git(entry.cwd, ['diff', '--no-renames', '--relative', '--name-only', '-z', entry.after, tree, '--', ...paths])).split('\0').filter(Boolean);
+  if (drifted.length) {
+    const err = checkpointError(`Files changed since task ${taskId} finished: ${drifted.join(', ')}`, 'ROLLBACK_DIRTY');
+    err.files = drifted;
+    throw err;
+  }
+
+  // Read everything first so a git failure leaves the tree as it was
+  const restores = [];
+  for (const p of paths) restores.push({ path: p, file: await readCheckpointFile(entry.cwd, entry.before, p) });
+  for (const { path: rel, file } of restores) {
+    const target = path.join(entry.cwd, rel);
+    if (file) writeRestoredFile(target, file);
+    else fs.rmSync(target, { force: true });
+  }
+
+  // Re-read: other tasks of the project may have saved the store meanwhile
+  const saved = loadTaskCheckpoints(project);
+  const current = saved.entries.find(e => e.taskId === taskId && e.before === entry.before);
+  entry.rolledBack = { at: new Date().toISOString(), by: opts.actor || null };
+  if (current) {
+    current.rolledBack = entry.rolledBack;
+    saveTaskCheckpoints(saved);
+  }
+  return entry;
+}
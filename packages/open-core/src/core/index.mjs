@@ -1,15 +1,31 @@
 // @open-core/orchestrator - Public exports
-export { mergePlans, computeProgress } from './plan.mjs';
-export { checkBudgetExceeded } from './budget.mjs';
-export { startRunSession, stopRunSession, getCurrentRunSessionId, logEvent, getRunEvents, getLatestRunSessionId, listRunSessions, truncateOutput } from './runlog.mjs';
+export { mergePlans, computeProgress, findRunnableTasks, blockDependents, blockStrandedTasks, computeCriticalPath } from './plan.mjs';
+export { checkBudgetExceeded, getProjectBudget, saveProjectBudget, getBudgetPeriod, evaluateBudget } from './budget.mjs';
+export { calculateCost, getModelRate, loadPricing, validatePricing } from './pricing.mjs';
+export { appendCostEntry, readCostLedger, summarizeCost, getProjectCost } from './costLedger.mjs';
+export { forecastPlanCost } from './costForecast.mjs';
+export { getProvider, loadProviders, resolveRoleLLM, normalizeUsage } from './llmProviders.mjs';
+export { LLM_SCHEMAS, validateSchema, validateLLMOutput } from './llmSchemas.mjs';
+export { loadEngineerMemory, addMemoryTurn, renderMemory, clearEngineerMemory } from './engineerMemory.mjs';
+export { parsePatch, dryRunPatch, applyPatch } from './patchApply.mjs';
+export { createCheckpoint, diffCheckpoints, rollbackTask } from './gitCheckpoint.mjs';
+export { createRunWorktree, mergeRunWorktree, discardRunWorktree, gcWorktrees, worktreeEvent } from './worktree.mjs';
+export { detectInterruptedRun, resetInterruptedTasks } from './runRecovery.mjs';
+export { readJsonStore, writeJsonStore, updateJsonStore } from './jsonStore.mjs';
+export { setDataDir, getDataDir, dataPath } from './dataDir.mjs';
+export { startRunSession, stopRunSession, getCurrentRunSessionId, listOpenRunSessions, recoverRunSessions, logEvent, getRunEvents, getLatestRunSessionId, listRunSessions, truncateOutput } from './runlog.mjs';
 export { buildMarkdownReport } from './report.mjs';
-export { isDangerousBash } from './safety.mjs';
+export { isDangerousBash, isProtectedPatch } from './safety.mjs';
+export { evaluateCommandPolicy, evaluatePatchPolicy, getEffectivePolicy, validatePolicy, savePolicy, watchPolicyFile } from './policy.mjs';
+export { simulatePolicy } from './policySimulation.mjs';
+export { parseShellCommand } from './commandParser.mjs';
 export { detectVerifyCmds, runVerification } from './autoVerify.mjs';
 export { createContextSnapshot } from './contextPack.mjs';
 export { CommandHeartbeat } from './heartbeat.mjs';
 export { runCompliance, getLatestComplianceStatus, getAllProjectsWithStatus } from './complianceRunner.mjs';
 export { getPolicyEngine } from './policyEngine.mjs';
 export { getQueueManager } from './projectQueue.mjs';
+export { runInTerm, runSpawned, formatCommandResult } from './commandRunner.mjs';
 export { getStorageClient, initializeStorage } from './storage.mjs';
 export { getStorageQueryEngine } from './storageQueryEngine.mjs';
 export { buildSummary, buildOfflineSummary } from './summary.mjs';
@@ -0,0 +1,173 @@
+/**
+ * JSON Store - crash-safe JSON documents (state.json, plans)
+ *
+ * - Writes go to a temp file that is fsynced and renamed over the target, so a
+ *   crash mid-write leaves the previous version in place.
+ * - Before each write the current file, if it parses, is kept as `<file>.bak.1`
+ *   (older ones shift to .bak.2 ... up to `backups`).
+ * - A file that no longer parses is moved aside to `<file>.bak.corrupt-<ts>` and
+ *   the newest good backup is restored. With no good backup the caller gets its
+ *   defaults; the broken file is never overwritten.
+ * - Documents carry `schemaVersion`. Reads run `migrations[n]` for every n from
+ *   the stored version up to `version` and return the document without the
+ *   field; the migrated document is persisted by the next write.
+ * - updateJsonStore serializes read-modify-write per file behind an async lock.
+ *   Sync writers do not take the lock: keep their read-modify-write in one tick.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_BACKUPS = 3;
+const locks = new Map();
+
+function storeError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function parseDoc(raw, file) {
+  let doc;
+  try {
+    doc = JSON.parse(raw);
+  } catch (e) {
+    throw storeError(`${file} is not valid JSON: ${e.message}`, 'STORE_CORRUPT');
+  }
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw storeError(`${file} does not hold a JSON object`, 'STORE_CORRUPT');
+  return doc;
+}
+
+function readDoc(file) {
+  return parseDoc(fs.readFileSync(file, 'utf8'), file);
+}
+
+function backupFile(file, n) {
+  return `${file}.bak.${n}`;
+}
+
+function writeAtomic(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// Move the broken file aside and put back the newest backup that parses
+function recover(file, err, backups) {
+  const aside = `${file}.bak.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  fs.renameSync(file, aside);
+  for (let n = 1; n <= backups; n++) {
+    const bak = backupFile(file, n);
+    let doc;
+    try { doc = readDoc(bak); } catch { continue; }
+    writeAtomic(file, fs.readFileSync(bak, 'utf8'));
+    console.error(`[store] ${err.message}; restored ${path.basename(bak)}, broken file kept at ${aside}`);
+    return doc;
+  }
+  console.error(`[store] ${err.message}; no good backup, using defaults. Broken file kept at ${aside}`);
+  return null;
+}
+
+function migrate(file, doc, version, migrations) {
+  const { schemaVersion, ...data } = doc;
+  let from = Number.isInteger(schemaVersion) ? schemaVersion : 0;
+  if (from > version) {
+    console.error(`[store] ${file} has schema version ${from}, newer than ${version}; reading it as is`);
+    return data;
+  }
+  let out = data;
+  for (; from < version; from++) {
+    if (migrations[from]) out = migrations[from](out) ?? out;
+  }
+  return out;
+}
+
+function defaultsOf(opts) {
+  return typeof opts.defaults === 'function' ? opts.defaults() : JSON.parse(JSON.stringify(opts.defaults ?? {}));
+}
+
+/**
+ * Read a store, recovering a corrupt file from its backups
+ * @param {string} file
+ * @param {Object} opts - { defaults (object or factory), version (default 1), migrations ({ [fromVersion]: doc => doc }), backups }
+ * @returns {Object} the migrated document, or the defaults when the file is missing or unrecoverable
+ */
+export function readJsonStore(file, opts = {}) {
+  const { version = 1, migrations = {}, backups = DEFAULT_BACKUPS } = opts;
+  let doc;
+  try {
+    doc = readDoc(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') return defaultsOf(opts);
+    if (e.code !== 'STORE_CORRUPT') {
+      console.error(`[store] Failed to read ${file}:`, e.message);
+      return defaultsOf(opts);
+    }
+    doc = recover(file, e, backups);
+    if (!doc) return defaultsOf(opts);
+  }
+  return migrate(file, doc, version, migrations);
+}
+
+/**
+ * Write a store atomically, keeping the current version as a backup
+ * @param {string} file
+ * @param {Object} value
+ * @param {Object} opts - { version (default 1), backups (default 3; 0 keeps none) }
+ */
+export function writeJsonStore(file, value, opts = {}) {
+  const { version = 1, backups = DEFAULT_BACKUPS } = opts;
+  if (backups > 0 && fs.existsSync(file)) {
+    // A broken file must not push the last good version out of the backups
+    let good = true;
+    try { readDoc(file); } catch { good = false; }
+    if (good) {
+      for (let n = backups - 1; n >= 1; n--) {
+        if (fs.existsSync(backupFile(file, n))) fs.renameSync(backupFile(file, n), backupFile(file, n + 1));
+      }
+      fs.copyFileSync(file, backupFile(file, 1));
+    }
+  }
+  writeAtomic(file, JSON.stringify({ schemaVersion: version, ...value }, null, 2) + '\n');
+}
+
+/**
+ * Run fn once every earlier holder of the file's lock has finished
+ * @param {string} file
+ * @param {Function} fn - may be async
+ * @returns {Promise} fn's result
+ */
+export function withStoreLock(file, fn) {
+  const key = path.resolve(file);
+  const run = (locks.get(key) || Promise.resolve()).then(() => fn());
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return run;
+}
+
+/**
+ * Read-modify-write a store under its lock
+ * @param {string} file
+ * @param {Function} mutate - (doc) => new doc, or undefined after changing doc in place,
+ *   or false to skip the write; may be async
+ * @param {Object} opts - as for readJsonStore and writeJsonStore
+ * @returns {Promise<Object>} the stored document
+ */
+export function updateJsonStore(file, mutate, opts = {}) {
+  return withStoreLock(file, async () => {
+    const doc = readJsonStore(file, opts);
+    const next = await mutate(doc);
+    if (next === false) return doc;
+    const value = next === undefined ? doc : next;
+    writeJsonStore(file, value, opts);
+    return value;
+  });
+}
@@ -0,0 +1,340 @@
+/**
+ * LLM Providers - one interface over the model backends
+ *
+ * Providers are configured in <data dir>/llm_providers.json (merged over the built-ins):
+ *   {
+ *     version: 1,
+ *     providers: {
+ *       'ollama': { type: 'openai-compatible', baseURL: 'http://localhost:11434/v1' },
+ *       'vllm': { type: 'openai-compatible', baseURL: 'http://gpu01:8000/v1', apiKeyEnv: 'VLLM_API_KEY', jsonMode: false }
+ *     }
+ *   }
+ *
+ * Types:
+ * - openai: OpenAI Responses API (key from apiKeyEnv, default OPENAI_API_KEY)
+ * - openai-compatible: Chat Completions at baseURL (llama.cpp, vLLM, Ollama, LM Studio).
+ *   The key is optional; jsonMode: false for servers without response_format support.
+ * - fixture: recorded responses read from dir (default $LLM_FIXTURES_DIR or
+ *   <data dir>/llm_fixtures), one <fixtureKey>.json per request; never touches the network
+ *
+ * Built-in providers: `openai`, `local` (openai-compatible at $LLM_BASE_URL,
+ * key $LLM_API_KEY; only when LLM_BASE_URL is set) and `fixture`.
+ *
+ * Record and replay (LLM_FIXTURES): `record` saves every answer of the
+ * configured providers as a fixture; `replay` answers every role from the
+ * fixtures only, so a recorded run can be repeated offline without API keys.
+ * A fixture file:
+ *   { key, model, provider, schema, system, user, recordedAt, response: { text, usage } }
+ *
+ * A role ('engineer' | 'pm') takes its provider and model from the project's
+ * `llm` entry in projects.json ({ engineer: { provider, model }, pm: 'model' }),
+ * else from ENGINEER_PROVIDER / PM_PROVIDER and ENGINEER_MODEL / PM_MODEL, else
+ * the `openai` provider. Every provider reports usage in the shape of
+ * normalizeUsage, so cost accounting does not depend on the backend.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './dataDir.mjs';
+
+const providersFile = () => dataPath('llm_providers.json');
+const defaultFixturesDir = () => dataPath('llm_fixtures');
+export const PROVIDER_TYPES = ['openai', 'openai-compatible', 'fixture'];
+export const LLM_ROLES = ['engineer', 'pm'];
+export const FIXTURE_MODES = ['record', 'replay'];
+
+let cached = null; // { key, providers: Map(name -> provider) }
+
+/**
+ * Token usage of any provider's response in the ledger's shape
+ * @param {Object} usage - Responses API, Chat Completions or Ollama-native usage
+ * @returns {Object} { input_tokens, output_tokens, total_tokens, cached_input_tokens }
+ */
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return { input_tokens: 0, output_tokens: 0, total_tokens: 0, cached_input_tokens: 0 };
+  const input = usage.input_tokens ?? usage.prompt_tokens ?? usage.prompt_eval_count ?? 0;
+  const output = usage.output_tokens ?? usage.completion_tokens ?? usage.eval_count ?? 0;
+  const total = usage.total_tokens ?? (input + output);
+  const cached = usage.cached_input_tokens ?? usage.input_tokens_details?.cached_tokens ?? usage.prompt_tokens_details?.cached_tokens ?? 0;
+  return { input_tokens: input, output_tokens: output, total_tokens: total, cached_input_tokens: cached };
+}
+
+/**
+ * Validate a providers document
+ * @param {Object} doc - { providers: { name: config } }
+ * @returns {Array} errors: [{ provider, field, message }]
+ */
+export function validateProviders(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== 'object' || !doc.providers || typeof doc.providers !== 'object' || Array.isArray(doc.providers)) {
+    return [{ provider: null, field: 'providers', message: 'must be an object keyed by provider name' }];
+  }
+  for (const [name, config] of Object.entries(doc.providers)) {
+    if (!config || typeof config !== 'object') {
+      errors.push({ provider: name, field: 'provider', message: 'must be an object' });
+      continue;
+    }
+    if (!PROVIDER_TYPES.includes(config.type)) errors.push({ provider: name, field: 'type', message: `must be one of ${PROVIDER_TYPES.join(', ')}` });
+    if (config.type === 'openai-compatible' && typeof config.baseURL !== 'string') errors.push({ provider: name, field: 'baseURL', message: 'is required for openai-compatible providers' });
+    if (config.baseURL !== undefined && typeof config.baseURL === 'string' && !/^https?:\/\//.test(config.baseURL)) errors.push({ provider: name, field: 'baseURL', message: 'must be an http(s) URL' });
+    for (const field of ['apiKeyEnv', 'dir']) {
+      if (config[field] !== undefined && typeof config[field] !== 'string') errors.push({ provider: name, field, message: 'must be a string' });
+    }
+    if (config.jsonMode !== undefined && typeof config.jsonMode !== 'boolean') errors.push({ provider: name, field: 'jsonMode', message: 'must be true or false' });
+  }
+  return errors;
+}
+
+/**
+ * Provider configs: built-ins plus llm_providers.json. An invalid file is
+ * reported and ignored.
+ * @param {Object} env - environment (default process.env)
+ * @returns {Object} { name: config }
+ */
+export function loadProviders(env = process.env) {
+  const providers = {
+    openai: { type: 'openai', apiKeyEnv: 'OPENAI_API_KEY' },
+    fixture: { type: 'fixture', dir: fixturesDir(env) }
+  };
+  if (env.LLM_BASE_URL) providers.local = { type: 'openai-compatible', baseURL: env.LLM_BASE_URL, apiKeyEnv: 'LLM_API_KEY' };
+
+  const file = providersFile();
+  let raw = null;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[llm] Failed to read ${file}, ignoring it:`, e.message);
+    return providers;
+  }
+  const errors = validateProviders(raw);
+  if (errors.length) {
+    console.error(`[llm] ${file} is invalid, using built-in providers:`, errors.map(e => `${e.provider ? `${e.provider}.` : ''}${e.field} ${e.message}`).join('; '));
+    return providers;
+  }
+  return { ...providers, ...raw.providers };
+}
+
+/**
+ * Provider and model a role uses for a project
+ * @param {string} role - 'engineer' | 'pm'
+ * @param {Object} options - { project (projects.json entry), env, defaults: { engineer, pm } (model names) }
+ * @returns {Object} { role, provider, model }
+ */
+export function resolveRoleLLM(role, options = {}) {
+  const env = options.env || process.env;
+  const prefix = role.toUpperCase();
+  const own = options.project?.llm?.[role];
+  const spec = typeof own === 'string' ? { model: own } : (own || {});
+  return {
+    role,
+    provider: spec.provider || env[`${prefix}_PROVIDER`] || 'openai',
+    model: spec.model || env[`${prefix}_MODEL`] || options.defaults?.[role] || null
+  };
+}
+
+// Parts of a prompt that differ between otherwise identical runs
+const VOLATILE = [
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})/g, '<ts>'],
+  [/\b\d+ms\b/g, '<ms>'],
+  [/\brun_\d+_[a-z0-9]+\b/g, '<run>']
+];
+
+/**
+ * Key of a recorded request: the same model, system prompt and input give the same
+ * key. Timestamps, durations ("in 42ms") and run session ids are masked first so a
+ * replayed run finds the answers of the recorded one.
+ * @returns {string} sha256 hex
+ */
+export function fixtureKey(model, system, user) {
+  const mask = (text) => VOLATILE.reduce((t, [re, to]) => t.replace(re, to), String(text ?? ''));
+  return crypto.createHash('sha256').update(JSON.stringify([model, mask(system), mask(user)])).digest('hex');
+}
+
+/**
+ * Directory fixtures are recorded to and replayed from
+ * @param {Object} env
+ * @returns {string}
+ */
+export function fixturesDir(env = process.env) {
+  return env.LLM_FIXTURES_DIR ? path.resolve(env.LLM_FIXTURES_DIR) : defaultFixturesDir();
+}
+
+/**
+ * Record/replay mode from LLM_FIXTURES (anything else means off)
+ * @param {Object} env
+ * @returns {string|null} 'record' | 'replay' | null
+ */
+export function fixtureMode(env = process.env) {
+  return FIXTURE_MODES.includes(env.LLM_FIXTURES) ? env.LLM_FIXTURES : null;
+}
+
+function unavailable(name, type, reason) {
+  return {
+    name,
+    type,
+    available: false,
+    reason,
+    async completeJSON() {
+      throw new Error(`LLM provider ${name} unavailable: ${reason}`);
+    }
+  };
+}
+
+/**
+ * Build a provider from its config
+ * @param {string} name
+ * @param {Object} config - see the header
+ * @param {Object} deps - { OpenAI (SDK class, for openai and openai-compatible), env }
+ * @returns {Object} { name, type, available, reason, completeJSON({ model, system, user }) => { text, usage, raw } }
+ */
+export function createProvider(name, config, deps = {}) {
+  const env = deps.env || process.env;
+  const type = config?.type;
+
+  if (type === 'fixture') {
+    const dir = config.dir ? path.resolve(config.dir) : defaultFixturesDir();
+    return {
+      name,
+      type,
+      dir,
+      available: true,
+      reason: null,
+      async completeJSON({ model, system, user }) {
+        const key = fixtureKey(model, system, user);
+        let fixture;
+        try {
+          fixture = JSON.parse(fs.readFileSync(path.join(dir, `${key}.json`), 'utf8'));
+        } catch (e) {
+          const err = new Error(e.code === 'ENOENT' ? `no recorded fixture for ${model} (${key}) in ${dir}` : `fixture ${key} is unreadable: ${e.message}`);
+          err.code = 'FIXTURE_MISSING';
+          err.fixtureKey = key;
+          throw err;
+        }
+        return { text: fixture.response?.text || '', usage: normalizeUsage(fixture.response?.usage), raw: fixture };
+      }
+    };
+  }
+
+  if (type !== 'openai' && type !== 'openai-compatible') return unavailable(name, type, `unknown provider type ${type}`);
+  if (!deps.OpenAI) return unavailable(name, type, 'OpenAI SDK not installed');
+
+  const keyEnv = config.apiKeyEnv || (type === 'openai' ? 'OPENAI_API_KEY' : null);
+  const apiKey = keyEnv ? env[keyEnv] : null;
+  if (type === 'openai' && !apiKey) return unavailable(name, type, `${keyEnv} missing`);
+
+  let client;
+  try {
+    // Local servers usually ignore the key, but the SDK requires one
+    client = new deps.OpenAI({ apiKey: apiKey || 'not-needed', ...(config.baseURL ? { baseURL: config.baseURL } : {}) });
+  } catch (e) {
+    return unavailable(name, type, e?.message || String(e));
+  }
+
+  if (type === 'openai') {
+    return {
+      name,
+      type,
+      available: true,
+      reason: null,
+      async completeJSON({ model, system, user }) {
+        const resp = await client.responses.create({
+          model,
+          input: [
+            { role: 'system', content: [{ type: 'input_text', text: system }] },
+            { role: 'user', content: [{ type: 'input_text', text: user }] }
+          ],
+          text: { format: { type: 'json_object' } }
+        });
+        return { text: resp.output_text || '', usage: normalizeUsage(resp.usage), raw: resp };
+      }
+    };
+  }
+
+  return {
+    name,
+    type,
+    baseURL: config.baseURL,
+    available: true,
+    reason: null,
+    async completeJSON({ model, system, user }) {
+      const resp = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ],
+        ...(config.jsonMode === false ? {} : { response_format: { type: 'json_object' } })
+      });
+      return { text: resp.choices?.[0]?.message?.content || '', usage: normalizeUsage(resp.usage), raw: resp };
+    }
+  };
+}
+
+/**
+ * Wrap a provider so each answer is also written as a fixture
+ * @param {Object} provider - from createProvider / getProvider
+ * @param {string} dir - fixture directory
+ * @returns {Object} provider with the same interface
+ */
+export function recordingProvider(provider, dir = defaultFixturesDir()) {
+  return {
+    ...provider,
+    recording: dir,
+    async completeJSON(request) {
+      const result = await provider.completeJSON(request);
+      const key = fixtureKey(request.model, request.system, request.user);
+      const fixture = {
+        key,
+        model: request.model,
+        provider: provider.name,
+        schema: request.schema || null,
+        system: request.system,
+        user: request.user,
+        recordedAt: new Date().toISOString(),
+        response: { text: result.text, usage: result.usage }
+      };
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${key}.json`);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(fixture, null, 2) + '\n');
+      fs.renameSync(tmp, file);
+      return result;
+    }
+  };
+}
+
+/**
+ * Provider a role should call, honouring LLM_FIXTURES: `replay` always uses the
+ * fixture provider, `record` wraps the configured provider with recordingProvider
+ * @param {Object} llm - from resolveRoleLLM
+ * @param {Object} deps - { OpenAI, env }
+ * @returns {Object|null} provider, or null when the configured provider does not exist
+ */
+export function getRoleProvider(llm, deps = {}) {
+  const env = deps.env || process.env;
+  const mode = fixtureMode(env);
+  if (mode === 'replay') return getProvider('fixture', deps);
+  const provider = getProvider(llm.provider, deps);
+  if (mode === 'record' && provider?.available && provider.type !== 'fixture') return recordingProvider(provider, fixturesDir(env));
+  return provider;
+}
+
+/**
+ * Provider by name, built once per configuration
+ * @param {string} name
+ * @param {Object} deps - { OpenAI, env }
+ * @returns {Object|null} provider, or null when no provider has that name
+ */
+export function getProvider(name, deps = {}) {
+  const configs = loadProviders(deps.env);
+  const key = JSON.stringify(configs);
+  if (!cached || cached.key !== key) cached = { key, providers: new Map() };
+  if (!configs[name]) return null;
+  if (!cached.providers.has(name)) cached.providers.set(name, createProvider(name, configs[name], deps));
+  return cached.providers.get(name);
+}
+
+export function clearProviderCache() {
+  cached = null;
+}
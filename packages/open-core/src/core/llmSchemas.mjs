@@ -0,0 +1,162 @@
+/**
+ * LLM Schemas - the JSON each role must answer with
+ *
+ * One JSON Schema per response kind (the schema names callJSON is given).
+ * validateSchema covers the subset these schemas use: type, enum, required,
+ * properties, additionalProperties, items, minimum/maximum, minLength and
+ * minItems. Extra properties are allowed unless a schema says otherwise, so a
+ * model adding a field does not cost a retry.
+ */
+
+const STATUS = ['todo', 'doing', 'done', 'blocked'];
+
+export const LLM_SCHEMAS = {
+  EngineerPlan: {
+    type: 'object',
+    required: ['bash', 'patch', 'summary'],
+    properties: {
+      bash: { type: 'string' },
+      patch: { type: 'string' },
+      summary: { type: 'string' }
+    }
+  },
+  PMPlan: {
+    type: 'object',
+    required: ['tasks'],
+    properties: {
+      project: { type: 'string' },
+      requirements: { type: 'string' },
+      tasks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['title', 'points', 'verify'],
+          properties: {
+            id: { type: 'string' },
+            title: { type: 'string', minLength: 1 },
+            points: { type: 'number', minimum: 0 },
+            status: { enum: STATUS },
+            verify: { type: 'array', items: { type: 'string' } },
+            notes: { type: 'string' },
+            dependsOn: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  },
+  PMVerify: {
+    type: 'object',
+    required: ['done', 'blocked', 'notes'],
+    properties: {
+      done: { type: 'boolean' },
+      blocked: { type: 'boolean' },
+      notes: { type: 'string' },
+      updates: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          points: { type: 'number', minimum: 0 }
+        }
+      }
+    }
+  },
+  PMUpdate: {
+    type: 'object',
+    required: ['state', 'summary'],
+    properties: {
+      state: {
+        type: 'object',
+        required: ['total', 'current', 'currentPct'],
+        properties: {
+          total: { type: 'number', minimum: 0, maximum: 100 },
+          current: { type: 'string' },
+          currentPct: { type: 'number', minimum: 0, maximum: 100 },
+          project: { type: 'string' }
+        }
+      },
+      summary: { type: 'string' }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a JSON Schema (the subset described above)
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} at - path of value, for messages
+ * @returns {Array} errors: [{ path, message }]
+ */
+export function validateSchema(value, schema, at = '$') {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push({ path: at, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: at, message: `must have at least ${schema.minLength} characters` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  } else if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${at}.${key}`, message: 'is required' });
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) errors.push(...validateSchema(v, props[key], `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push({ path: `${at}.${key}`, message: 'is not allowed' });
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') errors.push(...validateSchema(v, schema.additionalProperties, `${at}.${key}`));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a model's raw response text against a named schema
+ * @param {string} name - key of LLM_SCHEMAS (an unknown name only requires a JSON object)
+ * @param {string} text - raw response text
+ * @returns {Object} { ok, obj (parsed, or null), errors: [{ path, message }] }
+ */
+export function validateLLMOutput(name, text) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (e) {
+    return { ok: false, obj: null, errors: [{ path: '$', message: `not valid JSON (${e.message})` }] };
+  }
+  const errors = validateSchema(obj, LLM_SCHEMAS[name] || { type: 'object' });
+  return { ok: errors.length === 0, obj, errors };
+}
+
+/**
+ * Errors as the lines fed back to the model on a retry
+ * @param {Array} errors - from validateSchema / validateLLMOutput
+ * @returns {string}
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(e => `- ${e.path} ${e.message}`).join('\n');
+}
@@ -0,0 +1,333 @@
+/**
+ * Patch Apply - unified diffs from the engineer, applied to the project cwd
+ *
+ * parsePatch reads `git diff` and plain `diff -u` output (optionally wrapped in
+ * a ``` fence): new, deleted and renamed files, several hunks per file and
+ * "\ No newline at end of file". Binary patches are rejected.
+ *
+ * dryRunPatch applies every hunk in memory. A hunk is looked up at the line
+ * its header names, then anywhere after the previous hunk (models get line
+ * numbers wrong more often than context), first exactly and then ignoring
+ * trailing whitespace. Nothing is written unless every file applies.
+ *
+ * applyPatch writes the dry-run result file by file (temp file + rename) and,
+ * if any write fails, restores every file it already touched, so the tree is
+ * either fully patched or unchanged. Paths must stay inside the cwd.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { registerArtifact } from './artifactManager.mjs';
+
+const RUNS_DIR = path.resolve(process.cwd(), 'data', 'runs');
+
+function patchError(message, file) {
+  const err = new Error(message);
+  err.code = 'PATCH_INVALID';
+  err.file = file || null;
+  return err;
+}
+
+// The diff inside the first ``` fence, or the text itself
+function unfence(text) {
+  const m = /```[a-z]*\r?\n([\s\S]*?)```/i.exec(text);
+  return m ? m[1] : text;
+}
+
+function headerPath(raw, prefix) {
+  const p = raw.split('\t')[0].trim().replace(/^"(.*)"$/, '$1');
+  if (p === '/dev/null') return null;
+  return p.startsWith(prefix) ? p.slice(prefix.length) : p;
+}
+
+/**
+ * Parse a unified diff
+ * @param {string} text
+ * @returns {Array} [{ path, oldPath, newPath, type: 'add'|'delete'|'rename'|'modify', hunks, binary }]
+ *   hunk = { oldStart, oldLines, newStart, newLines, lines: [{ op: ' '|'-'|'+', text }], oldNoEol, newNoEol }
+ * @throws {Error} when the text holds no file diff or a hunk has no file header
+ */
+export function parsePatch(text) {
+  const lines = unfence(String(text || '')).split(/\r?\n/);
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let remaining = null; // { old, new } lines still expected by the hunk header
+
+  const startFile = (init = {}) => {
+    file = { oldPath: undefined, newPath: undefined, hunks: [], binary: false, mode: null, ...init };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (hunk) {
+      // Models miscount hunk headers: body lines keep coming until something else
+      // starts, and a blank line is an empty context line while the header expects more
+      const expecting = remaining.old > 0 || remaining.new > 0;
+      const op = line[0];
+      const nextHeader = !expecting && line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ');
+      if (((op === '-' || op === '+' || op === ' ') && !nextHeader) || (line === '' && expecting && i < lines.length - 1)) {
+        const entry = { op: line === '' ? ' ' : op, text: line.slice(1) };
+        hunk.lines.push(entry);
+        if (entry.op !== '+') remaining.old--;
+        if (entry.op !== '-') remaining.new--;
+        continue;
+      }
+    }
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file" belongs to the line right before it
+      const last = hunk?.lines[hunk.lines.length - 1];
+      if (last) {
+        if (last.op !== '+') hunk.oldNoEol = true;
+        if (last.op !== '-') hunk.newNoEol = true;
+      }
+      continue;
+    }
+
+    let m;
+    if ((m = /^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/.exec(line))) {
+      startFile({ oldPath: m[1], newPath: m[2], git: true });
+    } else if (line.startsWith('new file mode') && file) {
+      file.mode = 'add';
+    } else if (line.startsWith('deleted file mode') && file) {
+      file.mode = 'delete';
+    } else if ((m = /^rename from (.+)$/.exec(line)) && file) {
+      file.oldPath = m[1];
+      file.mode = 'rename';
+    } else if ((m = /^rename to (.+)$/.exec(line)) && file) {
+      file.newPath = m[1];
+    } else if (/^(GIT binary patch|Binary files .* differ)/.test(line)) {
+      if (file) file.binary = true;
+    } else if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      // plain diff -u has no "diff --git" line; a second file starts with its own ---
+      if (!file || !file.git || file.hunks.length || file.sawHeader) startFile();
+      file.oldPath = headerPath(line.slice(4), 'a/');
+      file.newPath = headerPath(lines[i + 1].slice(4), 'b/');
+      file.sawHeader = true;
+      i++;
+    } else if ((m = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line))) {
+      if (!file) throw patchError(`hunk without a file header at line ${i + 1}`);
+      hunk = {
+        oldStart: Number(m[1]),
+        oldLines: m[2] === undefined ? 1 : Number(m[2]),
+        newStart: Number(m[3]),
+        newLines: m[4] === undefined ? 1 : Number(m[4]),
+        lines: [],
+        oldNoEol: false,
+        newNoEol: false
+      };
+      remaining = { old: hunk.oldLines, new: hunk.newLines };
+      file.hunks.push(hunk);
+    }
+  }
+
+  const parsed = files
+    .filter(f => f.hunks.length || f.binary || f.mode)
+    .map((f) => {
+      const oldPath = f.mode === 'add' ? null : f.oldPath ?? null;
+      const newPath = f.mode === 'delete' ? null : f.newPath ?? null;
+      let type = 'modify';
+      if (oldPath === null) type = 'add';
+      else if (newPath === null) type = 'delete';
+      else if (oldPath !== newPath) type = 'rename';
+      return { path: newPath ?? oldPath, oldPath, newPath, type, hunks: f.hunks, binary: f.binary };
+    });
+  if (!parsed.length) throw patchError('no file diffs found');
+  return parsed;
+}
+
+/**
+ * Paths a patch touches (both sides of a rename)
+ * @param {Array} files - from parsePatch, or the files of a dry-run / apply result
+ * @returns {Array} relative paths
+ */
+export function patchPaths(files) {
+  return [...new Set(files.flatMap(f => [f.oldPath, f.path]).filter(Boolean))];
+}
+
+// Absolute path of a patch path, refusing anything that leaves the cwd
+function resolveInside(root, rel) {
+  if (!rel || path.isAbsolute(rel) || rel.split(/[\\/]/).includes('..')) throw patchError(`path escapes the project: ${rel}`, rel);
+  const abs = path.resolve(root, rel);
+  let existing = abs;
+  while (!fs.existsSync(existing)) existing = path.dirname(existing);
+  const real = fs.realpathSync(existing);
+  const realRoot = fs.realpathSync(root);
+  if (real !== realRoot && !real.startsWith(realRoot + path.sep)) throw patchError(`path resolves outside the project: ${rel}`, rel);
+  return abs;
+}
+
+function splitLines(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const finalEol = lines[lines.length - 1] === '';
+  if (finalEol) lines.pop();
+  return { lines, eol, finalEol };
+}
+
+function matchesAt(lines, pos, expected, loose) {
+  if (pos < 0 || pos + expected.length > lines.length) return false;
+  for (let k = 0; k < expected.length; k++) {
+    const a = lines[pos + k];
+    const b = expected[k];
+    if (loose ? a.trimEnd() !== b.trimEnd() : a !== b) return false;
+  }
+  return true;
+}
+
+// Nearest position at or after `from` where `expected` matches, searching outwards from `hint`
+function findHunk(lines, expected, hint, from) {
+  const last = lines.length - expected.length;
+  if (last < from) return -1;
+  const start = Math.min(Math.max(hint, from), last);
+  for (const loose of [false, true]) {
+    for (let d = 0; start + d <= last || start - d >= from; d++) {
+      if (start + d <= last && matchesAt(lines, start + d, expected, loose)) return start + d;
+      if (d && start - d >= from && matchesAt(lines, start - d, expected, loose)) return start - d;
+    }
+  }
+  return -1;
+}
+
+// New content of one file, or null for a deletion
+function applyFileHunks(file, before) {
+  const { lines, eol, finalEol } = before === null ? { lines: [], eol: '\n', finalEol: true } : splitLines(before);
+  let out = lines;
+  let offset = 0;
+  let from = 0;
+  let eolAtEnd = finalEol;
+  file.hunks.forEach((hunk, n) => {
+    const oldSide = hunk.lines.filter(l => l.op !== '+').map(l => l.text);
+    const newSide = hunk.lines.filter(l => l.op !== '-').map(l => l.text);
+    const hint = Math.max(0, (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset);
+    const pos = oldSide.length ? findHunk(out, oldSide, hint, from) : Math.min(hint, out.length);
+    if (pos < 0) throw patchError(`hunk ${n + 1} (@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@) does not apply`, file.path);
+    out = [...out.slice(0, pos), ...newSide, ...out.slice(pos + oldSide.length)];
+    offset += newSide.length - oldSide.length;
+    from = pos + newSide.length;
+    if (pos + newSide.length === out.length) {
+      if (hunk.newNoEol) eolAtEnd = false;
+      else if (hunk.oldNoEol) eolAtEnd = true;
+    }
+  });
+  if (file.type === 'delete') {
+    if (out.length) throw patchError('file does not match the deleted content', file.path);
+    return null;
+  }
+  return out.length ? out.join(eol) + (eolAtEnd ? eol : '') : '';
+}
+
+/**
+ * Apply a patch in memory only
+ * @param {string} cwd - project root
+ * @param {string|Array} patch - diff text, or parsePatch output
+ * @returns {Object} { ok, files: [{ path, oldPath, type, added, removed }], errors: [{ path, message }], changes }
+ *   (changes: [{ path, oldPath, type, after }] for applyPatch)
+ */
+export function dryRunPatch(cwd, patch) {
+  const root = path.resolve(cwd);
+  let parsed;
+  try {
+    parsed = Array.isArray(patch) ? patch : parsePatch(patch);
+  } catch (e) {
+    return { ok: false, files: [], errors: [{ path: null, message: e.message }], changes: [] };
+  }
+
+  const files = [];
+  const errors = [];
+  const changes = [];
+  for (const file of parsed) {
+    const added = file.hunks.reduce((n, h) => n + h.lines.filter(l => l.op === '+').length, 0);
+    const removed = file.hunks.reduce((n, h) => n + h.lines.filter(l => l.op === '-').length, 0);
+    files.push({ path: file.path, oldPath: file.oldPath, type: file.type, added, removed });
+    try {
+      if (file.binary) throw patchError('binary patches are not supported', file.path);
+      const source = file.oldPath ? resolveInside(root, file.oldPath) : null;
+      const target = file.newPath ? resolveInside(root, file.newPath) : null;
+      if (source && !fs.existsSync(source)) throw patchError('file does not exist', file.oldPath);
+      if (file.type === 'add' && fs.existsSync(target)) throw patchError('file already exists', file.newPath);
+      if (file.type === 'rename' && fs.existsSync(target)) throw patchError('rename target already exists', file.newPath);
+      const before = source ? fs.readFileSync(source, 'utf8') : null;
+      changes.push({ path: file.path, oldPath: file.oldPath, type: file.type, after: applyFileHunks(file, before) });
+    } catch (e) {
+      errors.push({ path: e.file || file.path, message: e.message });
+    }
+  }
+  return { ok: errors.length === 0, files, errors, changes };
+}
+
+/**
+ * Dry-run, then write the whole patch or nothing
+ * @param {string} cwd - project root
+ * @param {string|Array} patch - diff text, or parsePatch output
+ * @returns {Object} { ok, files, errors, rolledBack }
+ */
+export function applyPatch(cwd, patch) {
+  const root = path.resolve(cwd);
+  const dry = dryRunPatch(root, patch);
+  if (!dry.ok) return { ok: false, files: dry.files, errors: dry.errors, rolledBack: false };
+
+  const backups = new Map(); // abs path -> content before (null when it did not exist)
+  const createdDirs = [];
+  const remember = (abs) => {
+    if (!backups.has(abs)) backups.set(abs, fs.existsSync(abs) ? fs.readFileSync(abs) : null);
+  };
+  try {
+    for (const change of dry.changes) {
+      const source = change.oldPath ? path.resolve(root, change.oldPath) : null;
+      const mode = source ? fs.statSync(source).mode : undefined;
+      if (source && change.type !== 'modify') {
+        remember(source);
+        fs.rmSync(source);
+      }
+      if (change.after === null) continue;
+      const target = path.resolve(root, change.path);
+      const made = fs.mkdirSync(path.dirname(target), { recursive: true });
+      if (made) createdDirs.push(made);
+      remember(target);
+      const tmp = `${target}.${process.pid}.patch.tmp`;
+      fs.writeFileSync(tmp, change.after, mode ? { mode } : undefined);
+      fs.renameSync(tmp, target);
+    }
+  } catch (e) {
+    const restoreErrors = [];
+    for (const [abs, content] of [...backups].reverse()) {
+      try {
+        if (content === null) fs.rmSync(abs, { force: true });
+        else fs.writeFileSync(abs, content);
+      } catch (re) {
+        restoreErrors.push({ path: path.relative(root, abs), message: `rollback failed: ${re.message}` });
+      }
+    }
+    for (const dir of createdDirs.reverse()) fs.rmSync(dir, { recursive: true, force: true });
+    return { ok: false, files: dry.files, errors: [{ path: null, message: e.message }, ...restoreErrors], rolledBack: true };
+  }
+  return { ok: true, files: dry.files, errors: [], rolledBack: false };
+}
+
+/**
+ * Keep a patch (applied or not) as a run artifact: the diff and a meta file
+ * under data/runs/<project>/, registered in the artifact index
+ * @param {string} project
+ * @param {string|null} runSessionId
+ * @param {Object} info - { taskId, patch, result: { ok, files, errors, stage } }
+ * @returns {Object|null} artifact index entry
+ */
+export function storePatchArtifact(project, runSessionId, { taskId, patch, result }) {
+  try {
+    const dir = path.join(RUNS_DIR, String(project));
+    fs.mkdirSync(dir, { recursive: true });
+    const base = `patch_${runSessionId || 'no-session'}_${String(taskId || 'adhoc').replace(/[^a-zA-Z0-9._-]/g, '_')}_${Date.now()}`;
+    const diffPath = path.join(dir, `${base}.diff`);
+    const metaPath = path.join(dir, `${base}_meta.json`);
+    fs.writeFileSync(diffPath, String(patch || ''), 'utf8');
+    fs.writeFileSync(metaPath, JSON.stringify({ taskId, ok: result.ok, stage: result.stage || null, files: result.files, errors: result.errors }, null, 2), 'utf8');
+    return registerArtifact(project, runSessionId, `patch ${taskId || ''}`.trim(), result.ok ? 0 : 1, { diffPath, metaPath });
+  } catch (e) {
+    console.error('[patchApply] Failed to store patch artifact:', e.message);
+    return null;
+  }
+}
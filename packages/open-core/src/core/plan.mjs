@@ -2,6 +2,23 @@
  * Plan management utilities
  */
 
+/**
+ * Normalize a dependsOn list: unique, non-empty task ids, never the task itself
+ * @param {*} deps - Raw dependsOn value
+ * @param {string} selfId - Id of the owning task
+ * @returns {string[]} Dependency ids
+ */
+export function normalizeDependsOn(deps, selfId) {
+  if (!Array.isArray(deps)) return [];
+  const out = [];
+  for (const d of deps) {
+    const id = typeof d === 'string' ? d.trim() : (typeof d === 'number' ? String(d) : '');
+    if (!id || id === selfId || out.includes(id)) continue;
+    out.push(id);
+  }
+  return out;
+}
+
 /**
  * Normalize task object with defaults
  * @param {Object} task - Task object
@@ -16,7 +33,8 @@ export function normalizeTask(task, idx = 0) {
       points: 1,
       status: 'todo',
       verify: [],
-      notes: ''
+      notes: '',
+      dependsOn: []
     };
   }
 
@@ -30,12 +48,15 @@ export function normalizeTask(task, idx = 0) {
     points: Number(task.points) || 1,
     status: task.status || 'todo',
     verify: Array.isArray(task.verify) ? task.verify : [],
-    notes: task.notes || ''
+    notes: task.notes || '',
+    dependsOn: normalizeDependsOn(task.dependsOn, id)
   };
 }
 
 /**
- * Merge incoming tasks with existing plan, preserving done/blocked status
+ * Merge incoming tasks with existing plan, preserving done/blocked status.
+ * Dependency edges come from the incoming task when it declares them,
+ * otherwise the existing task's edges are kept.
  * @param {Object} existing - Existing plan { tasks: [] }
  * @param {Object} incoming - Incoming plan { tasks: [] }
  * @returns {Object} Merged plan { tasks: [] }
@@ -60,14 +81,16 @@ export function mergePlans(existing, incoming) {
     
     // If existing task found, preserve critical fields
     if (existingTask) {
+      const id = existingTask.id || inTask.id;
       return {
         ...inTask,
-        id: existingTask.id || inTask.id,
+        id,
         status: existingTask.status === 'done' || existingTask.status === 'blocked' 
           ? existingTask.status 
           : inTask.status || 'todo',
         points: existingTask.points || inTask.points || 1,
-        notes: existingTask.notes || inTask.notes || ''
+        notes: existingTask.notes || inTask.notes || '',
+        dependsOn: normalizeDependsOn(Array.isArray(inTask.dependsOn) ? inTask.dependsOn : existingTask.dependsOn, id)
       };
     }
     
@@ -78,10 +101,144 @@ export function mergePlans(existing, incoming) {
   return { tasks: mergedTasks };
 }
 
+/**
+ * Return todo tasks whose dependencies are all done, in plan order
+ * @param {Object} plan - Plan object { tasks: [] }
+ * @returns {Object[]} Runnable tasks
+ */
+export function findRunnableTasks(plan) {
+  const tasks = plan?.tasks || [];
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  return tasks.filter(t => {
+    if (t.status && t.status !== 'todo') return false;
+    return normalizeDependsOn(t.dependsOn, t.id).every(dep => byId.get(dep)?.status === 'done');
+  });
+}
+
+// Re-blocking a task (e.g. after it was reset to todo) does not repeat the note
+function markBlocked(task, reason) {
+  task.status = 'blocked';
+  task.blockedReason = reason;
+  if (!(task.notes || '').split('\n').includes(reason)) task.notes = (task.notes || '') + '\n' + reason;
+}
+
+/**
+ * Mark every todo task downstream of a blocked task as blocked (transitively)
+ * @param {Object} plan - Plan object { tasks: [] } (mutated)
+ * @param {string} taskId - Id of the task that blocked
+ * @param {string} reason - Why the upstream task blocked
+ * @returns {Object[]} [{ taskId, blockedBy, reason }] for each newly blocked task
+ */
+export function blockDependents(plan, taskId, reason = '') {
+  const tasks = plan?.tasks || [];
+  const blocked = [];
+  const queue = [taskId];
+  while (queue.length > 0) {
+    const upstream = queue.shift();
+    for (const t of tasks) {
+      if (t.status && t.status !== 'todo') continue;
+      if (!normalizeDependsOn(t.dependsOn, t.id).includes(upstream)) continue;
+      const why = `Blocked: upstream task ${upstream} is blocked` + (upstream === taskId && reason ? ` (${reason})` : '');
+      markBlocked(t, why);
+      t.blockedBy = upstream;
+      blocked.push({ taskId: t.id, blockedBy: upstream, reason: why });
+      queue.push(t.id);
+    }
+  }
+  return blocked;
+}
+
+/**
+ * Block todo tasks that can never become runnable: a dependency is missing,
+ * blocked, or part of a cycle.
+ * @param {Object} plan - Plan object { tasks: [] } (mutated)
+ * @returns {Object[]} [{ taskId, blockedBy, reason }] for each newly blocked task
+ */
+export function blockStrandedTasks(plan) {
+  const tasks = plan?.tasks || [];
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const isPending = (t) => !t.status || t.status === 'todo';
+
+  // Fixpoint: a pending task can eventually run once all of its deps can
+  const canRun = new Set(tasks.filter(t => t.status === 'done' || t.status === 'doing').map(t => t.id));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const t of tasks) {
+      if (!isPending(t) || canRun.has(t.id)) continue;
+      if (normalizeDependsOn(t.dependsOn, t.id).every(dep => canRun.has(dep))) {
+        canRun.add(t.id);
+        changed = true;
+      }
+    }
+  }
+
+  const stranded = tasks.filter(t => isPending(t) && !canRun.has(t.id));
+  const blocked = [];
+  for (const t of stranded) {
+    const dep = normalizeDependsOn(t.dependsOn, t.id).find(d => !canRun.has(d));
+    const upstream = byId.get(dep);
+    let why;
+    if (!upstream) why = `Blocked: unknown dependency ${dep}`;
+    else if (upstream.status === 'blocked') why = `Blocked: upstream task ${dep} is blocked`;
+    else why = `Blocked: dependency ${dep} can never run (cycle or blocked upstream)`;
+    blocked.push({ taskId: t.id, blockedBy: dep, reason: why });
+  }
+  // Mark after classifying so reasons reflect the original statuses
+  for (const b of blocked) {
+    const t = byId.get(b.taskId);
+    markBlocked(t, b.reason);
+    t.blockedBy = b.blockedBy;
+  }
+  return blocked;
+}
+
+/**
+ * Compute the critical path: the dependency chain with the most points.
+ * Edges that close a cycle or point at unknown tasks are ignored.
+ * @param {Object} plan - Plan object { tasks: [] }
+ * @returns {Object} { taskIds, points, remainingPoints }
+ */
+export function computeCriticalPath(plan) {
+  const tasks = plan?.tasks || [];
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const memo = new Map(); // id -> { points, chain } for the heaviest chain ending at id
+  const visiting = new Set();
+
+  const longestTo = (task) => {
+    if (memo.has(task.id)) return memo.get(task.id);
+    visiting.add(task.id);
+    let best = { points: 0, chain: [] };
+    for (const dep of normalizeDependsOn(task.dependsOn, task.id)) {
+      const upstream = byId.get(dep);
+      if (!upstream || visiting.has(dep)) continue;
+      const r = longestTo(upstream);
+      if (r.points > best.points) best = r;
+    }
+    visiting.delete(task.id);
+    const result = { points: best.points + (Number(task.points) || 0), chain: [...best.chain, task.id] };
+    memo.set(task.id, result);
+    return result;
+  };
+
+  let critical = { points: 0, chain: [] };
+  for (const task of tasks) {
+    const r = longestTo(task);
+    if (r.points > critical.points) critical = r;
+  }
+
+  const remainingPoints = critical.chain.reduce((sum, id) => {
+    const t = byId.get(id);
+    return sum + (t.status === 'done' ? 0 : (Number(t.points) || 0));
+  }, 0);
+
+  return { taskIds: critical.chain, points: critical.points, remainingPoints };
+}
+
 /**
  * Compute plan progress metrics
  * @param {Object} plan - Plan object { tasks: [] }
- * @returns {Object} { donePoints, totalPoints, percent }
+ * @returns {Object} { donePoints, totalPoints, percent, criticalPath }
  */
 export function computeProgress(plan) {
   const tasks = plan?.tasks || [];
@@ -99,5 +256,5 @@ export function computeProgress(plan) {
   
   const percent = totalPoints > 0 ? Math.round((donePoints / totalPoints) * 100) : 0;
   
-  return { donePoints, totalPoints, percent };
+  return { donePoints, totalPoints, percent, criticalPath: computeCriticalPath(plan) };
 }
@@ -3,45 +3,92 @@
  *
  * Supports allow/deny/approval rules with regex matching.
  * Default policy is built-in; file override at data/policy.json (JSON or YAML-like JSON).
+ *
+ * Commands are parsed into simple commands first (see commandParser.mjs), so a
+ * rule is checked against every sub-command of `a && bash -c "b" | c`. A rule
+ * matches with `pattern` (regex over a sub-command, then the whole line) and/or
+ * `match`, a structured form checked against one sub-command:
+ *   { binary, flags: [all required], args: [regex, each must match an arg],
+ *     redirects: [regex over targets], pipeFrom: [binary piped in], via: [wrapper/context] }
+ * `fallback` is a regex over the whole line, tried only when the parser gives
+ * up (unbalanced quotes or substitutions) or finds no command at all, so shell
+ * it cannot read still fails closed. The built-in rules keep their plain regex
+ * there; a parsed line is judged by its sub-commands alone.
+ * A rule with `paths` (globs relative to the project root) applies to the files
+ * an engineer patch touches instead of to commands (see evaluatePatchPolicy).
+ *
+ * Rule scoping (all optional, a rule applies only when every given scope matches):
+ * - projects: project id or glob, or a list of them ("web-*", "!legacy")
+ * - cwd: path prefix (or list) the command's working directory must be under
+ * - window: { start, end } ISO datetimes and/or { days: ['mon'..'sun'], hours: 'HH:MM-HH:MM', utc }
+ *
+ * Layers and precedence (first matching rule wins):
+ * 1. global rules marked `locked: true` (cannot be overridden by a project)
+ * 2. project layer: policy.json in the project's cwd
+ * 3. global layer: data/policy.json, or the built-in defaults when absent
+ * The project file is writable by the agent, so that layer can only tighten:
+ * a project allow never lifts a global deny. The built-in destructive denies
+ * and the rules guarding shell writes to policy.json are locked.
+ *
+ * The global file may also tune pending approvals (see getApprovalSettings):
+ *   approvals: { ttlMinutes: { critical, high, medium, low }, reminderMinutes,
+ *                escalateAfterMinutes, escalation: { webhook, command } }
  */
 
 import fs from 'fs';
 import path from 'path';
+import { minimatch } from 'minimatch';
+import { parseShellCommand } from './commandParser.mjs';
+import { dataPath } from './dataDir.mjs';
 
-const POLICY_FILE = path.resolve(process.cwd(), 'data', 'policy.json');
+const policyFile = () => dataPath('policy.json');
+const PROJECT_POLICY_FILENAME = 'policy.json';
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
 
 // Built-in defaults
+const SHUTDOWN_BINARIES = ['shutdown', 'reboot', 'poweroff', 'halt'];
+// Commands that can replace or remove a file named in their arguments
+const FILE_WRITER_BINARIES = ['tee', 'cp', 'mv', 'rm', 'ln', 'install', 'truncate', 'sed', 'perl', 'dd'];
+const POLICY_FILE_TARGET = '(^|[/=])policy\\.json$';
+const ROOT_ARG = '^(/|~|\\$HOME|\\$\\{HOME\\}|\\./|\\.\\./|\\.$|\\.\\.$|\\*$)';
 const DEFAULT_POLICY = {
   version: 1,
   rules: [
     {
       id: 'deny-rm-rf-root',
       action: 'deny',
-      pattern: /rm\s+-rf\s+(\/|~|\.\/|\.\.\/|\/tmp|\.(?:\s|$))/i,
+      match: { binary: 'rm', flags: ['-r', '-f'], args: ROOT_ARG },
+      fallback: /\brm\b(?=[^;&|\n]*\s(?:-[a-z]*r|--recursive))(?=[^;&|\n]*\s(?:-[a-z]*f|--force))[^;&|\n]*\s["']?(?:\/|~|\$\{?HOME\b|\.\.?(?:\/|\s|["']?$)|\*)/i,
       reason: 'rm -rf detected - destructive',
       severity: 'critical',
-      code: 'DANGER_RM_RF_ROOT'
+      code: 'DANGER_RM_RF_ROOT',
+      locked: true
     },
     {
       id: 'deny-mkfs',
       action: 'deny',
-      pattern: /\bmkfs\b/i,
+      match: { binary: 'mkfs' },
+      fallback: /\bmkfs\b/i,
       reason: 'mkfs detected - destructive',
       severity: 'critical',
-      code: 'DANGER_MKFS'
+      code: 'DANGER_MKFS',
+      locked: true
     },
     {
       id: 'deny-dd-destructive',
       action: 'deny',
-      pattern: /\bdd\b[^\n]*\bif=.*\bof=/i,
+      match: { binary: 'dd', args: ['^if=', '^of='] },
+      fallback: /\bdd\b[^\n]*\bif=.*\bof=/i,
       reason: 'dd if=...of=... detected - destructive',
       severity: 'high',
-      code: 'DANGER_DD_DESTRUCTIVE'
+      code: 'DANGER_DD_DESTRUCTIVE',
+      locked: true
     },
     {
       id: 'approval-chmod-777',
       action: 'approval',
-      pattern: /\bchmod\s+777\b/i,
+      match: { binary: 'chmod', args: '^0?777$' },
+      fallback: /\bchmod\s+(?:-\w+\s+)*0?777\b/i,
       reason: 'chmod 777 detected - requires approval',
       severity: 'medium',
       code: 'DANGER_CHMOD_777'
@@ -49,7 +96,8 @@ const DEFAULT_POLICY = {
     {
       id: 'approval-curl-pipe-sh',
       action: 'approval',
-      pattern: /curl[^\n]*\|\s*sh/i,
+      match: { binary: ['sh', 'bash', 'zsh', 'dash'], pipeFrom: ['curl', 'wget'] },
+      fallback: /\b(?:curl|wget)\b[^\n]*\|\s*(?:sudo\s+)?(?:ba|z|da)?sh\b/i,
       reason: 'curl | sh detected - requires approval',
       severity: 'high',
       code: 'DANGER_CURL_PIPE_SH'
@@ -57,7 +105,8 @@ const DEFAULT_POLICY = {
     {
       id: 'approval-shutdown',
       action: 'approval',
-      pattern: /\bshutdown\b|\breboot\b/i,
+      match: { binary: SHUTDOWN_BINARIES },
+      fallback: /\b(?:shutdown|reboot|poweroff|halt)\b/i,
       reason: 'shutdown/reboot detected - requires approval',
       severity: 'high',
       code: 'DANGER_SHUTDOWN'
@@ -65,84 +114,412 @@ const DEFAULT_POLICY = {
     {
       id: 'approval-sudo-shutdown',
       action: 'approval',
-      pattern: /\bsudo\b.*\bshutdown\b|\bsudo\b.*\breboot\b/i,
+      match: { binary: SHUTDOWN_BINARIES, via: 'sudo' },
+      fallback: /\bsudo\b.*\b(?:shutdown|reboot|poweroff|halt)\b/i,
       reason: 'sudo shutdown/reboot detected - requires approval',
       severity: 'high',
       code: 'DANGER_SHUTDOWN'
     },
+    {
+      id: 'deny-patch-git-dir',
+      action: 'deny',
+      paths: ['.git', '.git/**', '**/.git/**'],
+      reason: 'patch writes inside .git - destructive',
+      severity: 'critical',
+      code: 'PROTECTED_GIT_DIR',
+      locked: true
+    },
+    {
+      id: 'approval-patch-protected-paths',
+      action: 'approval',
+      paths: ['**/.env', '**/.env.*', '**/*.pem', '**/*.key', '.github/workflows/**', 'policy.json'],
+      reason: 'patch touches protected paths - requires approval',
+      severity: 'high',
+      code: 'PROTECTED_PATH'
+    },
+    {
+      id: 'approval-shell-write-policy',
+      action: 'approval',
+      match: { redirects: POLICY_FILE_TARGET },
+      fallback: />\|?\s*["']?[^\s;&|]*policy\.json\b/i,
+      reason: 'shell redirect into policy.json - requires approval',
+      severity: 'high',
+      code: 'PROTECTED_PATH',
+      locked: true
+    },
+    {
+      id: 'approval-shell-edit-policy',
+      action: 'approval',
+      match: { binary: FILE_WRITER_BINARIES, args: POLICY_FILE_TARGET },
+      fallback: /\b(?:tee|cp|mv|rm|ln|install|truncate|sed|perl)\b[^;&|\n]*policy\.json/i,
+      reason: 'command rewrites policy.json - requires approval',
+      severity: 'high',
+      code: 'PROTECTED_PATH',
+      locked: true
+    },
     {
       id: 'deny-fork-bomb',
       action: 'deny',
-      pattern: /:[()]{:|:&[}];:/i,
+      pattern: /:\s*\(\s*\)\s*\{\s*:\s*\|\s*:\s*&\s*\}\s*;\s*:/i,
       reason: 'fork bomb detected - destructive',
       severity: 'critical',
-      code: 'DANGER_FORK_BOMB'
+      code: 'DANGER_FORK_BOMB',
+      locked: true
     }
   ]
 };
 
+// Minutes; 0 disables (never expire / no reminders / no escalation)
+const DEFAULT_APPROVAL_SETTINGS = {
+  ttlMinutes: { critical: 30, high: 60, medium: 120, low: 240 },
+  reminderMinutes: 5,
+  escalateAfterMinutes: 15,
+  escalation: null
+};
+
 let cachedPolicy = null;
+let cachedPolicyFile = null; // the global file cachedPolicy was read from
+let lastLoadErrors = [];
+const projectPolicyCache = new Map(); // file path -> { mtimeMs, policy }
 
-function loadPolicyFile() {
+function readPolicyJson(file) {
+  if (!fs.existsSync(file)) return null;
+  const content = fs.readFileSync(file, 'utf8');
+  // Accept JSON; YAML is not required—keeping simple.
+  return JSON.parse(content);
+}
+
+function formatErrors(errors) {
+  return errors.map(e => (e.rule !== null && e.rule !== undefined ? `rule ${e.rule}${e.id ? ` (${e.id})` : ''} ${e.field}: ` : '') + e.message).join('; ');
+}
+
+// Read + strictly validate the global file: { raw, errors } (raw null when absent)
+function readGlobalPolicyFile(file) {
+  let raw;
   try {
-    if (!fs.existsSync(POLICY_FILE)) return null;
-    const content = fs.readFileSync(POLICY_FILE, 'utf8');
-    // Accept JSON; YAML is not required—keeping simple.
-    return JSON.parse(content);
+    raw = readPolicyJson(file);
   } catch (e) {
-    console.error('[policy] Failed to load policy file, falling back to defaults:', e.message);
-    return null;
+    return { raw: null, errors: [{ rule: null, field: 'file', message: `invalid JSON: ${e.message}` }] };
   }
+  if (!raw) return { raw: null, errors: [] };
+  return { raw, errors: validatePolicy(raw).errors };
 }
 
 export function loadPolicy() {
-  if (cachedPolicy) return cachedPolicy;
-  const filePolicy = loadPolicyFile();
-  cachedPolicy = normalizePolicy(filePolicy || DEFAULT_POLICY);
+  const file = policyFile();
+  if (cachedPolicy && cachedPolicyFile === file) return cachedPolicy;
+  const { raw, errors } = readGlobalPolicyFile(file);
+  lastLoadErrors = errors;
+  if (errors.length) {
+    // Nothing valid has been active yet: protect with the defaults and say so loudly
+    console.error(`[policy] ${file} is invalid, using built-in defaults: ${formatErrors(errors)}`);
+  }
+  cachedPolicy = raw && !errors.length ? normalizePolicy(raw, file) : normalizePolicy(DEFAULT_POLICY, 'builtin');
+  cachedPolicyFile = file;
   return cachedPolicy;
 }
 
-function normalizePolicy(policy) {
-  if (!policy || !Array.isArray(policy.rules)) return { ...DEFAULT_POLICY };
-  const normalized = { version: policy.version || 1, rules: [] };
-  for (const rule of policy.rules) {
-    if (!rule || !rule.pattern || !rule.action) continue;
+/**
+ * Re-read data/policy.json. A broken file never replaces the active policy.
+ * @returns {Object} { ok, changed, diff, errors, warnings }
+ */
+export function reloadPolicy() {
+  const previous = loadPolicy();
+  const { raw, errors } = readGlobalPolicyFile(cachedPolicyFile);
+  lastLoadErrors = errors;
+  if (errors.length) return { ok: false, changed: false, diff: null, errors, warnings: [] };
+
+  const next = raw ? normalizePolicy(raw, cachedPolicyFile) : normalizePolicy(DEFAULT_POLICY, 'builtin');
+  const diff = diffPolicies(previous.raw, next.raw);
+  const changed = diff.added.length + diff.removed.length + diff.changed.length > 0 || previous.source !== next.source ||
+    JSON.stringify(previous.approvals) !== JSON.stringify(next.approvals);
+  cachedPolicy = next;
+  return { ok: true, changed, diff, errors: [], warnings: raw ? validatePolicy(raw).warnings : [] };
+}
+
+/**
+ * Active global policy source and the errors of the last load attempt
+ * @returns {Object} { source, ruleCount, errors }
+ */
+export function getPolicyStatus() {
+  const policy = loadPolicy();
+  return { source: policy.source, ruleCount: policy.rules.length, errors: lastLoadErrors };
+}
+
+/**
+ * Load the project layer (policy.json in the project's cwd), cached by mtime.
+ * An invalid file keeps the last valid version of that file active.
+ * @param {string} projectRoot - project cwd
+ * @returns {Object|null} normalized policy, or null when the project has none
+ */
+export function loadProjectPolicy(projectRoot) {
+  if (!projectRoot) return null;
+  const file = path.resolve(projectRoot, PROJECT_POLICY_FILENAME);
+  const cached = projectPolicyCache.get(file);
+  try {
+    if (!fs.existsSync(file)) {
+      projectPolicyCache.delete(file);
+      return null;
+    }
+    const { mtimeMs } = fs.statSync(file);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.policy;
+    const raw = readPolicyJson(file);
+    const { errors } = validatePolicy(raw, { layer: 'project' });
+    if (errors.length) {
+      console.error(`[policy] ${file} is invalid, keeping the previous project policy: ${formatErrors(errors)}`);
+      projectPolicyCache.set(file, { mtimeMs, policy: cached?.policy || null });
+      return cached?.policy || null;
+    }
+    const policy = { version: raw.version || 1, source: file, raw: raw.rules, rules: normalizeRules(raw.rules, 'project', file) };
+    projectPolicyCache.set(file, { mtimeMs, policy });
+    return policy;
+  } catch (e) {
+    console.error(`[policy] Failed to load project policy ${file}, ignoring it:`, e.message);
+    return cached?.policy || null;
+  }
+}
+
+function asList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+}
+
+// Compile a structured `match` block; throws on invalid regexes
+function normalizeMatch(match) {
+  if (!match || typeof match !== 'object') return null;
+  const regexes = (v) => asList(v)?.map(toRegExp) || null;
+  return {
+    binary: asList(match.binary),
+    flags: asList(match.flags),
+    args: regexes(match.args),
+    redirects: regexes(match.redirects),
+    pipeFrom: asList(match.pipeFrom),
+    via: asList(match.via)
+  };
+}
+
+function normalizeRules(rules, layer, source) {
+  const out = [];
+  for (const rule of rules) {
+    if (!rule || !(rule.pattern || rule.match || rule.paths) || !rule.action) continue;
     try {
-      const re = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern, 'i');
-      normalized.rules.push({
-        id: rule.id || rule.code || `rule_${normalized.rules.length + 1}`,
+      out.push({
+        id: rule.id || rule.code || `rule_${out.length + 1}`,
         action: rule.action, // 'allow' | 'deny' | 'approval'
-        pattern: re,
+        pattern: rule.pattern ? toRegExp(rule.pattern) : null,
+        match: normalizeMatch(rule.match),
+        fallback: rule.fallback ? toRegExp(rule.fallback) : null,
+        paths: asList(rule.paths),
         reason: rule.reason || 'policy rule matched',
         severity: rule.severity || 'medium',
-        code: rule.code || rule.id || 'POLICY_MATCH'
+        code: rule.code || rule.id || 'POLICY_MATCH',
+        projects: asList(rule.projects ?? rule.project),
+        cwd: asList(rule.cwd),
+        window: rule.window && typeof rule.window === 'object' ? rule.window : null,
+        locked: layer === 'global' && rule.locked === true,
+        layer,
+        source
       });
     } catch (e) {
       // skip invalid regex
       continue;
     }
   }
-  if (normalized.rules.length === 0) return { ...DEFAULT_POLICY };
-  return normalized;
+  return out;
+}
+
+/**
+ * Compile a policy document without activating it (e.g. a candidate for simulation).
+ * Validate it first; invalid rules are skipped here.
+ * @param {Object} policy - policy document ({ version, rules })
+ * @param {Object} options - { layer: 'global' | 'project', source }
+ * @returns {Object} normalized policy, usable as context.globalPolicy / context.projectPolicy
+ */
+export function compilePolicy(policy, options = {}) {
+  const source = options.source || 'candidate';
+  if (options.layer === 'project') {
+    const rules = Array.isArray(policy?.rules) ? policy.rules : [];
+    return { version: policy?.version || 1, source, raw: rules.map(serializeRule), rules: normalizeRules(rules, 'project', source) };
+  }
+  return normalizePolicy(policy, source);
+}
+
+function normalizePolicy(policy, source) {
+  if (!policy || !Array.isArray(policy.rules)) return normalizePolicy(DEFAULT_POLICY, 'builtin');
+  const rules = normalizeRules(policy.rules, 'global', source);
+  if (rules.length === 0) return normalizePolicy(DEFAULT_POLICY, 'builtin');
+  return { version: policy.version || 1, source, raw: policy.rules.map(serializeRule), rules, approvals: policy.approvals || null };
+}
+
+// JSON form of a rule as written (RegExp patterns of the built-in defaults as strings)
+function serializeRule(rule) {
+  return JSON.parse(JSON.stringify(rule, (key, value) => (value instanceof RegExp ? value.source : value)));
+}
+
+// -----------------------------
+// Rule scopes
+// -----------------------------
+function matchesProject(rule, project) {
+  if (!rule.projects) return true;
+  let included = false;
+  let hasInclude = false;
+  for (const p of rule.projects) {
+    if (p.startsWith('!')) {
+      if (minimatch(project, p.slice(1))) return false;
+    } else {
+      hasInclude = true;
+      if (minimatch(project, p)) included = true;
+    }
+  }
+  return included || !hasInclude;
+}
+
+function matchesCwd(rule, cwd) {
+  if (!rule.cwd) return true;
+  if (!cwd) return false;
+  const dir = path.resolve(cwd);
+  return rule.cwd.some((prefix) => {
+    const base = path.resolve(prefix);
+    return dir === base || dir.startsWith(base.endsWith(path.sep) ? base : base + path.sep);
+  });
+}
+
+function minutesOf(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm).trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * Check whether a rule's time window contains `now`.
+ * `hours` may wrap midnight ('22:00-06:00'); days/hours use local time unless utc is set.
+ * @param {Object|null} window
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isWithinWindow(window, now = new Date()) {
+  if (!window) return true;
+  const t = now.getTime();
+  if (window.start && t < Date.parse(window.start)) return false;
+  if (window.end && t >= Date.parse(window.end)) return false;
+
+  const day = window.utc ? now.getUTCDay() : now.getDay();
+  if (Array.isArray(window.days) && window.days.length) {
+    const days = window.days.map(d => String(d).slice(0, 3).toLowerCase());
+    if (!days.includes(DAY_NAMES[day])) return false;
+  }
+
+  if (window.hours) {
+    const [from, to] = String(window.hours).split('-').map(minutesOf);
+    if (from === null || to === null) return false;
+    const cur = window.utc ? now.getUTCHours() * 60 + now.getUTCMinutes() : now.getHours() * 60 + now.getMinutes();
+    if (from <= to ? (cur < from || cur >= to) : (cur < from && cur >= to)) return false;
+  }
+  return true;
+}
+
+/**
+ * Build the ordered rule list for a project, in precedence order.
+ * @param {string} project
+ * @param {Object} context - { projectRoot, cwd, globalPolicy?, projectPolicy? }
+ *   (globalPolicy/projectPolicy replace a layer with a compiled candidate, see compilePolicy)
+ * @returns {Object} { layers: [{ layer, source, ruleCount }], rules }
+ */
+export function resolvePolicyLayers(project = 'default', context = {}) {
+  const global = context.globalPolicy || loadPolicy();
+  const projectPolicy = context.projectPolicy !== undefined ? context.projectPolicy : loadProjectPolicy(context.projectRoot);
+  const cwd = context.cwd || context.projectRoot;
+  const inScope = (rule) => matchesProject(rule, project) && matchesCwd(rule, cwd);
+
+  const locked = global.rules.filter(r => r.locked);
+  const rules = [
+    ...locked,
+    ...(projectPolicy ? projectPolicy.rules : []),
+    ...global.rules.filter(r => !r.locked)
+  ].filter(inScope);
+
+  const layers = [{ layer: 'global', source: global.source, ruleCount: global.rules.length }];
+  if (projectPolicy) layers.unshift({ layer: 'project', source: projectPolicy.source, ruleCount: projectPolicy.rules.length });
+  return { layers, rules };
+}
+
+function matchesStructured(match, cmd) {
+  if (match.binary && !match.binary.includes(cmd.binary)) return false;
+  if (match.flags && !match.flags.every(f => cmd.flags.includes(f))) return false;
+  if (match.args && !match.args.every(re => cmd.args.some(a => re.test(a)))) return false;
+  if (match.redirects && !match.redirects.every(re => cmd.redirects.some(r => re.test(r.target)))) return false;
+  if (match.pipeFrom && !match.pipeFrom.includes(cmd.pipeFrom)) return false;
+  if (match.via && !match.via.some(v => cmd.context.some(c => c === v || c.startsWith(v + ' ')))) return false;
+  return true;
+}
+
+/**
+ * Find the sub-command a rule matches.
+ * @param {Object} parsed - parseShellCommand result of line
+ * @returns {Object|null} { command } (command is null when only the whole line matched)
+ */
+function matchRule(rule, line, parsed) {
+  if (!rule.pattern && !rule.match) return null;
+  for (const cmd of parsed.commands) {
+    if (rule.match && !matchesStructured(rule.match, cmd)) continue;
+    if (rule.pattern && !rule.pattern.test(cmd.raw)) continue;
+    return { command: cmd };
+  }
+  if (!rule.match && rule.pattern.test(line)) return { command: null };
+  const unparsed = parsed.error || !parsed.commands.length;
+  if (unparsed && rule.fallback && rule.fallback.test(line)) return { command: null };
+  return null;
+}
+
+/**
+ * The project layer can only tighten: when its allow rule wins, a global deny
+ * matching the same input still applies.
+ * @returns {Object|null} { rule, hit } for the first such deny
+ */
+function globalDenyUnder(rule, rules, matches) {
+  if (rule.layer !== 'project' || rule.action !== 'allow') return null;
+  for (const r of rules) {
+    if (r.layer !== 'global' || r.action !== 'deny') continue;
+    const hit = matches(r);
+    if (hit) return { rule: r, hit };
+  }
+  return null;
+}
+
+function describeSubCommand(cmd) {
+  return cmd ? { index: cmd.index, raw: cmd.raw, binary: cmd.binary, context: cmd.context } : null;
 }
 
 /**
  * Evaluate a command against policy rules.
  * @param {string} cmd
  * @param {string} project
- * @returns {Object} { action: 'allow' | 'deny' | 'approval', code?, reason?, severity? }
+ * @param {Object} context - { projectRoot, cwd, now } (projectRoot enables the project layer; layer overrides as in resolvePolicyLayers)
+ * @returns {Object} { action: 'allow' | 'deny' | 'approval', code?, reason?, severity?, ruleId?, layer?, subCommand? }
  */
-export function evaluateCommandPolicy(cmd, project = 'default') {
+export function evaluateCommandPolicy(cmd, project = 'default', context = {}) {
   const s = (cmd || '').trim();
   if (!s) return { action: 'allow' };
-  const policy = loadPolicy();
-  for (const rule of policy.rules) {
-    if (rule.pattern.test(s)) {
+  const now = context.now || new Date();
+  const { rules } = resolvePolicyLayers(project, context);
+  const parsed = parseShellCommand(s);
+  const matches = (rule) => isWithinWindow(rule.window, now) ? matchRule(rule, s, parsed) : null;
+  for (let rule of rules) {
+    let hit = matches(rule);
+    if (hit) {
+      const deny = globalDenyUnder(rule, rules, matches);
+      if (deny) ({ rule, hit } = deny);
       return {
         action: rule.action === 'approval' ? 'approval' : rule.action === 'deny' ? 'deny' : 'allow',
         code: rule.code,
         reason: rule.reason,
         severity: rule.severity,
+        ruleId: rule.id,
+        layer: rule.layer,
+        subCommand: describeSubCommand(hit.command),
         project
       };
     }
@@ -150,6 +527,338 @@ export function evaluateCommandPolicy(cmd, project = 'default') {
   return { action: 'allow' };
 }
 
+/**
+ * Evaluate the files a patch touches against the `paths` rules.
+ * @param {Array} files - paths relative to the project root
+ * @param {string} project
+ * @param {Object} context - as for evaluateCommandPolicy
+ * @returns {Object} { action: 'allow' | 'deny' | 'approval', code?, reason?, severity?, ruleId?, layer?, paths?: [matched files] }
+ */
+export function evaluatePatchPolicy(files = [], project = 'default', context = {}) {
+  const list = (files || []).filter(Boolean).map(f => String(f).replace(/\\/g, '/').replace(/^\.\//, ''));
+  if (!list.length) return { action: 'allow' };
+  const now = context.now || new Date();
+  const { rules } = resolvePolicyLayers(project, context);
+  const matches = (rule) => {
+    if (!rule.paths || !isWithinWindow(rule.window, now)) return null;
+    const hit = list.filter(f => rule.paths.some(g => minimatch(f, g, { dot: true })));
+    return hit.length ? hit : null;
+  };
+  for (let rule of rules) {
+    let hit = matches(rule);
+    if (hit) {
+      const deny = globalDenyUnder(rule, rules, matches);
+      if (deny) ({ rule, hit } = deny);
+      return {
+        action: rule.action === 'approval' ? 'approval' : rule.action === 'deny' ? 'deny' : 'allow',
+        code: rule.code,
+        reason: rule.reason,
+        severity: rule.severity,
+        ruleId: rule.id,
+        layer: rule.layer,
+        paths: hit,
+        project
+      };
+    }
+  }
+  return { action: 'allow' };
+}
+
+/**
+ * Pending-approval timing from the global policy, over the built-in defaults
+ * @returns {Object} { ttlMinutes: { critical, high, medium, low }, reminderMinutes, escalateAfterMinutes, escalation }
+ */
+export function getApprovalSettings() {
+  const configured = loadPolicy().approvals || {};
+  return {
+    ...DEFAULT_APPROVAL_SETTINGS,
+    ...configured,
+    ttlMinutes: { ...DEFAULT_APPROVAL_SETTINGS.ttlMinutes, ...(configured.ttlMinutes || {}) },
+    escalation: configured.escalation || DEFAULT_APPROVAL_SETTINGS.escalation
+  };
+}
+
+/**
+ * Merged rule set for a project, serializable for the API.
+ * @param {string} project
+ * @param {Object} context - { projectRoot, cwd, now }
+ * @returns {Object} { project, cwd, layers, rules: [{ ..., pattern: string|null, fallback: string|null, match, activeNow }] }
+ */
+export function getEffectivePolicy(project = 'default', context = {}) {
+  const now = context.now || new Date();
+  const { layers, rules } = resolvePolicyLayers(project, context);
+  return {
+    project,
+    cwd: context.cwd || context.projectRoot || null,
+    evaluatedAt: now.toISOString(),
+    layers,
+    rules: rules.map(r => ({
+      id: r.id,
+      action: r.action,
+      pattern: r.pattern ? r.pattern.source : null,
+      fallback: r.fallback ? r.fallback.source : null,
+      match: r.match ? {
+        ...r.match,
+        args: r.match.args?.map(re => re.source) || null,
+        redirects: r.match.redirects?.map(re => re.source) || null
+      } : null,
+      paths: r.paths,
+      reason: r.reason,
+      severity: r.severity,
+      code: r.code,
+      projects: r.projects,
+      cwd: r.cwd,
+      window: r.window,
+      locked: r.locked,
+      layer: r.layer,
+      source: r.source,
+      activeNow: isWithinWindow(r.window, now)
+    }))
+  };
+}
+
+// -----------------------------
+// Validation, diff, save, watch
+// -----------------------------
+const RULE_KEYS = new Set(['id', 'action', 'pattern', 'match', 'fallback', 'paths', 'reason', 'severity', 'code', 'projects', 'project', 'cwd', 'window', 'locked', 'description']);
+const MATCH_KEYS = new Set(['binary', 'flags', 'args', 'redirects', 'pipeFrom', 'via']);
+const WINDOW_KEYS = new Set(['start', 'end', 'days', 'hours', 'utc']);
+const APPROVAL_KEYS = new Set(['ttlMinutes', 'reminderMinutes', 'escalateAfterMinutes', 'escalation']);
+const ESCALATION_KEYS = new Set(['webhook', 'command']);
+const ACTIONS = ['allow', 'deny', 'approval'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const isStringList = (v) => typeof v === 'string' || (Array.isArray(v) && v.length > 0 && v.every(x => typeof x === 'string'));
+
+/**
+ * Strictly validate a policy document (global or project layer).
+ * Errors make the policy unusable; warnings are reported but do not block.
+ * @param {Object} policy - parsed policy.json
+ * @param {Object} options - { layer: 'global' | 'project' }
+ * @returns {Object} { ok, errors: [{ rule, id, field, message }], warnings: [...] }
+ */
+export function validatePolicy(policy, options = {}) {
+  const layer = options.layer || 'global';
+  const errors = [];
+  const warnings = [];
+  const top = (field, message) => errors.push({ rule: null, id: null, field, message });
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    top('policy', 'must be a JSON object');
+    return { ok: false, errors, warnings };
+  }
+  if (policy.version !== undefined && typeof policy.version !== 'number') top('version', 'must be a number');
+  if (!Array.isArray(policy.rules)) {
+    top('rules', 'must be an array');
+    return { ok: false, errors, warnings };
+  }
+  if (policy.rules.length === 0) warnings.push({ rule: null, id: null, field: 'rules', message: 'no rules: every command will be allowed' });
+  if (policy.approvals !== undefined) {
+    if (layer === 'project') warnings.push({ rule: null, id: null, field: 'approvals', message: 'approval settings are only read from the global policy (ignored)' });
+    else validateApprovalSettings(policy.approvals, top);
+  }
+
+  const seen = new Map();
+  policy.rules.forEach((rule, index) => {
+    const id = rule && typeof rule === 'object' ? rule.id || rule.code || null : null;
+    const err = (field, message) => errors.push({ rule: index, id, field, message });
+    const warn = (field, message) => warnings.push({ rule: index, id, field, message });
+    const regex = (field, value) => {
+      try { new RegExp(value, 'i'); } catch (e) { err(field, `invalid regex: ${e.message}`); }
+    };
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return err('rule', 'must be an object');
+    for (const key of Object.keys(rule)) if (!RULE_KEYS.has(key)) warn(key, 'unknown field (ignored)');
+
+    if (id) {
+      if (seen.has(id)) err('id', `duplicate id (also rule ${seen.get(id)})`);
+      else seen.set(id, index);
+    }
+    if (!ACTIONS.includes(rule.action)) err('action', `must be one of ${ACTIONS.join(', ')}`);
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) err('severity', `must be one of ${SEVERITIES.join(', ')}`);
+    if (rule.pattern === undefined && rule.match === undefined && rule.paths === undefined) err('pattern', 'rule needs a pattern, a match block or paths');
+
+    if (rule.pattern !== undefined) {
+      if (typeof rule.pattern !== 'string' || !rule.pattern) err('pattern', 'must be a non-empty string');
+      else regex('pattern', rule.pattern);
+    }
+
+    if (rule.fallback !== undefined) {
+      if (typeof rule.fallback !== 'string' || !rule.fallback) err('fallback', 'must be a non-empty string');
+      else regex('fallback', rule.fallback);
+      if (rule.match === undefined && rule.pattern === undefined) warn('fallback', 'only used next to a pattern or a match block (ignored)');
+    }
+
+    if (rule.match !== undefined) {
+      const m = rule.match;
+      if (!m || typeof m !== 'object' || Array.isArray(m)) err('match', 'must be an object');
+      else {
+        if (Object.keys(m).length === 0) err('match', 'must have at least one field');
+        for (const key of Object.keys(m)) {
+          if (!MATCH_KEYS.has(key)) { err(`match.${key}`, `unknown field (expected ${[...MATCH_KEYS].join(', ')})`); continue; }
+          if (!isStringList(m[key])) { err(`match.${key}`, 'must be a string or a non-empty array of strings'); continue; }
+          if (key === 'args' || key === 'redirects') asList(m[key]).forEach(v => regex(`match.${key}`, v));
+        }
+      }
+    }
+
+    if (rule.paths !== undefined && !isStringList(rule.paths)) err('paths', 'must be a glob or a non-empty array of globs');
+
+    for (const key of ['projects', 'project', 'cwd']) {
+      if (rule[key] !== undefined && !isStringList(rule[key])) err(key, 'must be a string or a non-empty array of strings');
+    }
+
+    if (rule.window !== undefined) {
+      const w = rule.window;
+      if (!w || typeof w !== 'object' || Array.isArray(w)) err('window', 'must be an object');
+      else {
+        for (const key of Object.keys(w)) if (!WINDOW_KEYS.has(key)) err(`window.${key}`, `unknown field (expected ${[...WINDOW_KEYS].join(', ')})`);
+        for (const key of ['start', 'end']) {
+          if (w[key] !== undefined && Number.isNaN(Date.parse(w[key]))) err(`window.${key}`, 'must be an ISO date/time');
+        }
+        if (w.start && w.end && Date.parse(w.end) <= Date.parse(w.start)) err('window.end', 'must be after window.start');
+        if (w.days !== undefined) {
+          const bad = Array.isArray(w.days) ? w.days.filter(d => !DAY_NAMES.includes(String(d).slice(0, 3).toLowerCase())) : ['(not an array)'];
+          if (bad.length) err('window.days', `invalid day(s): ${bad.join(', ')}`);
+        }
+        if (w.hours !== undefined) {
+          const parts = String(w.hours).split('-');
+          if (parts.length !== 2 || parts.some(h => minutesOf(h) === null || minutesOf(h) >= 24 * 60)) err('window.hours', "must look like 'HH:MM-HH:MM'");
+        }
+        if (w.utc !== undefined && typeof w.utc !== 'boolean') err('window.utc', 'must be a boolean');
+      }
+    }
+
+    if (rule.locked !== undefined && typeof rule.locked !== 'boolean') err('locked', 'must be a boolean');
+    if (rule.locked && layer === 'project') warn('locked', 'only global rules can be locked (ignored)');
+  });
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+function validateApprovalSettings(approvals, err) {
+  const minutes = (field, value) => {
+    if (typeof value !== 'number' || !(value >= 0)) err(field, 'must be a number of minutes (0 disables)');
+  };
+  if (!approvals || typeof approvals !== 'object' || Array.isArray(approvals)) return err('approvals', 'must be an object');
+  for (const key of Object.keys(approvals)) if (!APPROVAL_KEYS.has(key)) err(`approvals.${key}`, `unknown field (expected ${[...APPROVAL_KEYS].join(', ')})`);
+
+  const ttl = approvals.ttlMinutes;
+  if (ttl !== undefined) {
+    if (!ttl || typeof ttl !== 'object' || Array.isArray(ttl)) err('approvals.ttlMinutes', 'must be an object keyed by severity');
+    else {
+      for (const [severity, value] of Object.entries(ttl)) {
+        if (!SEVERITIES.includes(severity)) err(`approvals.ttlMinutes.${severity}`, `unknown severity (expected ${SEVERITIES.join(', ')})`);
+        else minutes(`approvals.ttlMinutes.${severity}`, value);
+      }
+    }
+  }
+  for (const key of ['reminderMinutes', 'escalateAfterMinutes']) {
+    if (approvals[key] !== undefined) minutes(`approvals.${key}`, approvals[key]);
+  }
+
+  const escalation = approvals.escalation;
+  if (escalation !== undefined && escalation !== null) {
+    if (typeof escalation !== 'object' || Array.isArray(escalation)) return err('approvals.escalation', 'must be an object');
+    for (const key of Object.keys(escalation)) if (!ESCALATION_KEYS.has(key)) err(`approvals.escalation.${key}`, `unknown field (expected ${[...ESCALATION_KEYS].join(', ')})`);
+    if (escalation.webhook !== undefined && !/^https?:\/\/\S+$/.test(String(escalation.webhook))) err('approvals.escalation.webhook', 'must be an http(s) URL');
+    if (escalation.command !== undefined && (typeof escalation.command !== 'string' || !escalation.command.trim())) err('approvals.escalation.command', 'must be a non-empty string');
+  }
+}
+
+/**
+ * Compare two rule lists (raw JSON form) by rule id.
+ * @returns {Object} { added: [id], removed: [id], changed: [{ id, fields: [{ field, before, after }] }] }
+ */
+export function diffPolicies(previousRules = [], nextRules = []) {
+  const keyed = (rules) => new Map((rules || []).map((r, i) => [r.id || r.code || `rule_${i + 1}`, r]));
+  const before = keyed(previousRules);
+  const after = keyed(nextRules);
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [id, rule] of after) {
+    if (!before.has(id)) { diff.added.push(id); continue; }
+    const prev = before.get(id);
+    const fields = [...new Set([...Object.keys(prev), ...Object.keys(rule)])]
+      .filter(f => JSON.stringify(prev[f]) !== JSON.stringify(rule[f]))
+      .map(f => ({ field: f, before: prev[f], after: rule[f] }));
+    if (fields.length) diff.changed.push({ id, fields });
+  }
+  for (const id of before.keys()) if (!after.has(id)) diff.removed.push(id);
+  return diff;
+}
+
+/**
+ * Validate and write a policy. Nothing is written when validation fails.
+ * @param {Object} policy - policy document ({ version, rules })
+ * @param {Object} options - { projectRoot } to write that project's layer instead of data/policy.json
+ * @returns {Object} { ok, file, diff, errors, warnings }
+ */
+export function savePolicy(policy, options = {}) {
+  const layer = options.projectRoot ? 'project' : 'global';
+  const file = options.projectRoot ? path.resolve(options.projectRoot, PROJECT_POLICY_FILENAME) : policyFile();
+  const { ok, errors, warnings } = validatePolicy(policy, { layer });
+  if (!ok) return { ok: false, file, diff: null, errors, warnings };
+
+  const previousRules = layer === 'global' ? loadPolicy().raw : (loadProjectPolicy(options.projectRoot)?.raw || []);
+  const doc = { version: policy.version || 1, rules: policy.rules };
+  if (layer === 'global' && policy.approvals !== undefined) doc.approvals = policy.approvals;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(doc, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+
+  if (layer === 'global') {
+    cachedPolicy = normalizePolicy(doc, file);
+    cachedPolicyFile = file;
+    lastLoadErrors = [];
+  } else {
+    projectPolicyCache.delete(file);
+  }
+  return { ok: true, file, diff: diffPolicies(previousRules, doc.rules.map(serializeRule)), errors: [], warnings };
+}
+
+/**
+ * Watch data/policy.json and hot-reload it. Broken edits are rejected and the
+ * active policy stays in place.
+ * @param {Object} handlers - { onReload({ diff, warnings, file }), onError({ errors, file }) }
+ * @returns {Object} { close() }
+ */
+export function watchPolicyFile(handlers = {}) {
+  const file = policyFile();
+  const dir = path.dirname(file);
+  const name = path.basename(file);
+  let timer = null;
+
+  const check = () => {
+    timer = null;
+    const result = reloadPolicy();
+    if (!result.ok) handlers.onError?.({ errors: result.errors, file });
+    else if (result.changed) handlers.onReload?.({ diff: result.diff, warnings: result.warnings, file });
+  };
+  // Editors write in several steps; settle before reading
+  const schedule = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(check, 200);
+  };
+
+  loadPolicy();
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const watcher = fs.watch(dir, (event, filename) => {
+      if (!filename || filename === name) schedule();
+    });
+    return { close() { if (timer) clearTimeout(timer); watcher.close(); } };
+  } catch (e) {
+    // fs.watch is unavailable on some file systems; poll instead
+    fs.watchFile(file, { interval: 2000 }, schedule);
+    return { close() { if (timer) clearTimeout(timer); fs.unwatchFile(file, schedule); } };
+  }
+}
+
 export function clearPolicyCache() {
   cachedPolicy = null;
+  cachedPolicyFile = null;
+  lastLoadErrors = [];
+  projectPolicyCache.clear();
 }
@@ -6,28 +6,42 @@
  * - Audit logging for all policy decisions
  * - Policy violation history
  * - Configurable escalation and enforcement
+ *
+ * Approval requests expire after a per-severity TTL, get reminders and one
+ * escalation (timings from getApprovalSettings), and are persisted to
+ * data/pending_approvals.json so a restart can restore them. The engine only
+ * keeps time; sweep() reports what is due and the caller acts on it.
+ *
+ * Quorum is advisory: approver identities are whatever the caller asserts
+ * (approverId / approverName), so it guards against one person clicking twice,
+ * not against someone posing as a second approver. A vote that repeats the id
+ * or the name of an earlier vote (in either field) is the same person; a vote
+ * with neither is refused when more than one approval is required.
  */
 
 import fs from 'fs';
 import path from 'path';
-import { evaluateCommandPolicy, loadPolicy } from './policy.mjs';
+import { evaluateCommandPolicy, evaluatePatchPolicy, loadPolicy, getApprovalSettings } from './policy.mjs';
+import { dataPath } from './dataDir.mjs';
 
-const AUDIT_LOG_DIR = path.resolve(process.cwd(), 'data', 'policy_audit');
+const MINUTE_MS = 60 * 1000;
 
 export class PolicyEngine {
   constructor(options = {}) {
     this.enableAuditLogging = options.enableAuditLogging !== false;
     this.autoApprovalThreshold = options.autoApprovalThreshold || 'medium'; // 'low', 'medium', 'high', 'critical'
-    this.approvalCallbacks = new Map(); // taskId -> { resolve, reject }
-    this.decisions = new Map(); // taskId -> decision
+    this.approvalCallbacks = new Map(); // projectId:taskId -> { resolve, reject, request }
+    this.decisions = new Map(); // projectId:taskId -> decision
     this.violations = new Map(); // project -> [violations]
+    this.persistFile = options.persistApprovals === false ? null : (options.persistFile || dataPath('pending_approvals.json'));
+    this.auditDir = options.auditDir || dataPath('policy_audit');
     
     this._ensureAuditDir();
   }
 
   _ensureAuditDir() {
-    if (this.enableAuditLogging && !fs.existsSync(AUDIT_LOG_DIR)) {
-      fs.mkdirSync(AUDIT_LOG_DIR, { recursive: true });
+    if (this.enableAuditLogging && !fs.existsSync(this.auditDir)) {
+      fs.mkdirSync(this.auditDir, { recursive: true });
     }
   }
 
@@ -35,12 +49,28 @@ export class PolicyEngine {
    * Evaluate command and return decision with audit trail
    * @param {string} cmd - Command to evaluate
    * @param {string} projectId - Project context
-   * @param {Object} context - Additional context { taskId, userId, runSessionId }
+   * @param {Object} context - Additional context { taskId, userId, runSessionId, projectRoot, cwd }
    * @returns {Object} { action, code, reason, requiresApproval, decision }
    */
   evaluateCommand(cmd, projectId = 'default', context = {}) {
-    const evaluation = evaluateCommandPolicy(cmd, projectId);
-    
+    const evaluation = evaluateCommandPolicy(cmd, projectId, { projectRoot: context.projectRoot, cwd: context.cwd });
+    return this._recordDecision(cmd, evaluation, projectId, context);
+  }
+
+  /**
+   * Evaluate the files of an engineer patch (policy `paths` rules); the decision
+   * goes through the same approval flow as a command's
+   * @param {Array} files - paths relative to the project root
+   * @param {string} projectId
+   * @param {Object} context - as for evaluateCommand
+   * @returns {Object} decision (command is 'patch: <files>')
+   */
+  evaluatePatch(files, projectId = 'default', context = {}) {
+    const evaluation = evaluatePatchPolicy(files, projectId, { projectRoot: context.projectRoot, cwd: context.cwd });
+    return this._recordDecision(`patch: ${(files || []).join(' ')}`, evaluation, projectId, context);
+  }
+
+  _recordDecision(cmd, evaluation, projectId, context) {
     const decision = {
       timestamp: new Date().toISOString(),
       command: cmd.substring(0, 500), // Truncate for logging
@@ -49,7 +79,8 @@ export class PolicyEngine {
         action: evaluation.action,
         code: evaluation.code,
         reason: evaluation.reason,
-        severity: evaluation.severity
+        severity: evaluation.severity,
+        subCommand: evaluation.subCommand
       },
       context: {
         taskId: context.taskId,
@@ -65,7 +96,7 @@ export class PolicyEngine {
 
     // Store decision
     if (context.taskId) {
-      this.decisions.set(context.taskId, decision);
+      this.decisions.set(this._approvalKey(projectId, context.taskId), decision);
     }
 
     // Record in violation history if not allowed
@@ -88,70 +119,231 @@ export class PolicyEngine {
     return decision;
   }
 
+  _approvalKey(projectId, taskId) {
+    return `${projectId || 'default'}:${taskId}`;
+  }
+
+  // Find an open request by task id, scoped to a project when one is given
+  _findApproval(taskId, projectId) {
+    if (projectId) return this.approvalCallbacks.get(this._approvalKey(projectId, taskId)) || null;
+    for (const callbacks of this.approvalCallbacks.values()) {
+      if (callbacks.request.taskId === taskId) return callbacks;
+    }
+    return null;
+  }
+
+  // Same for the latest decision recorded for a task
+  _findDecision(taskId, projectId) {
+    if (projectId) return this.decisions.get(this._approvalKey(projectId, taskId)) || null;
+    for (const decision of this.decisions.values()) {
+      if (decision.context.taskId === taskId) return decision;
+    }
+    return null;
+  }
+
   /**
-   * Request approval for a command
+   * Request approval for a command evaluated with evaluateCommand.
+   * Denied commands can only run through an approval too (a human override),
+   * with the same severity-based quorum.
    * @param {string} taskId
-   * @param {Object} approverInfo - { userId, username, reason }
-   * @returns {Promise} resolves with approval result
+   * @param {Object} options - { projectId, requestedBy, meta } (meta is kept with the request, e.g. the full command)
+   * @returns {Promise} resolves with { approved, approvals, timestamp } once quorum is reached,
+   *   rejects when the request is rejected or expires (err.code 'APPROVAL_EXPIRED')
    */
-  async requestApproval(taskId, approverInfo = {}) {
-    const decision = this.decisions.get(taskId);
+  async requestApproval(taskId, options = {}) {
+    const decision = this._findDecision(taskId, options.projectId);
     if (!decision) {
       throw new Error(`No decision found for task ${taskId}`);
     }
 
-    if (!decision.requiresApproval) {
+    if (decision.status === 'allowed') {
       return {
         approved: true,
         reason: 'No approval required'
       };
     }
 
+    const key = this._approvalKey(decision.projectId, taskId);
+    if (this.approvalCallbacks.has(key)) {
+      throw new Error(`Approval already requested for task ${taskId}`);
+    }
+
     // Create approval request
+    const now = Date.now();
     const approvalRequest = {
       taskId,
       command: decision.command,
       projectId: decision.projectId,
       severity: decision.evaluation.severity,
-      requestedAt: new Date().toISOString(),
+      code: decision.evaluation.code,
+      reason: decision.evaluation.reason,
+      requestedBy: options.requestedBy,
+      requestedAt: new Date(now).toISOString(),
       requiredApprovals: this._getRequiredApprovals(decision.evaluation.severity),
       approvals: [],
-      status: 'pending'
+      status: 'pending',
+      ...this._deadlines(decision.evaluation.severity, now),
+      remindedAt: null,
+      escalatedAt: null,
+      meta: options.meta || null
     };
+    decision.status = 'pending_approval';
 
-    // Setup promise for approval response
-    const approvalPromise = new Promise((resolve, reject) => {
-      this.approvalCallbacks.set(taskId, { resolve, reject, request: approvalRequest });
-    });
+    const approvalPromise = this._trackApproval(approvalRequest);
 
     this._auditLog({
       type: 'APPROVAL_REQUESTED',
-      taskId,
-      ...approvalRequest
+      ...approvalRequest,
+      meta: undefined
     });
+    this._persistApprovals();
 
     return approvalPromise;
   }
 
+  // Register a request and the promise its caller waits on
+  _trackApproval(request) {
+    return new Promise((resolve, reject) => {
+      this.approvalCallbacks.set(this._approvalKey(request.projectId, request.taskId), { resolve, reject, request });
+    });
+  }
+
+  _deadlines(severity, now) {
+    const settings = getApprovalSettings();
+    const ttl = Number(settings.ttlMinutes[severity] ?? settings.ttlMinutes.medium) || 0;
+    const escalateAfter = Number(settings.escalateAfterMinutes) || 0;
+    return {
+      expiresAt: ttl > 0 ? new Date(now + ttl * MINUTE_MS).toISOString() : null,
+      escalateAt: escalateAfter > 0 ? new Date(now + escalateAfter * MINUTE_MS).toISOString() : null
+    };
+  }
+
   /**
-   * Approve a pending command
+   * Check open requests against the clock. Expired requests are rejected
+   * (their promise rejects with err.code 'APPROVAL_EXPIRED') and removed.
+   * @param {Date} now
+   * @returns {Object} { reminders: [request], escalations: [request], expired: [request], escalation: { webhook, command } | null }
+   */
+  sweep(now = new Date()) {
+    const settings = getApprovalSettings();
+    const t = now.getTime();
+    const reminderMs = (Number(settings.reminderMinutes) || 0) * MINUTE_MS;
+    const due = { reminders: [], escalations: [], expired: [], escalation: settings.escalation || null };
+
+    for (const [key, callbacks] of [...this.approvalCallbacks.entries()]) {
+      const request = callbacks.request;
+      if (request.expiresAt && t >= Date.parse(request.expiresAt)) {
+        request.status = 'expired';
+        request.expiredAt = now.toISOString();
+        this._auditLog({ type: 'APPROVAL_EXPIRED', ...request, meta: undefined });
+        this._settleDecision(request, 'expired');
+        this.approvalCallbacks.delete(key);
+        const err = new Error(`Approval for task ${request.taskId} expired after waiting since ${request.requestedAt}`);
+        err.code = 'APPROVAL_EXPIRED';
+        callbacks.reject(err);
+        due.expired.push(request);
+        continue;
+      }
+      if (request.escalateAt && !request.escalatedAt && t >= Date.parse(request.escalateAt)) {
+        request.escalatedAt = now.toISOString();
+        this._auditLog({ type: 'APPROVAL_ESCALATED', ...request, meta: undefined });
+        due.escalations.push(request);
+      }
+      if (reminderMs > 0 && t - Date.parse(request.remindedAt || request.requestedAt) >= reminderMs) {
+        request.remindedAt = now.toISOString();
+        due.reminders.push(request);
+      }
+    }
+
+    if (due.expired.length || due.escalations.length || due.reminders.length) this._persistApprovals();
+    return due;
+  }
+
+  // Write open requests to disk (atomic replace)
+  _persistApprovals() {
+    if (!this.persistFile) return;
+    try {
+      const requests = [...this.approvalCallbacks.values()].map(cb => cb.request);
+      fs.mkdirSync(path.dirname(this.persistFile), { recursive: true });
+      const tmp = `${this.persistFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, savedAt: new Date().toISOString(), requests }, null, 2) + '\n');
+      fs.renameSync(tmp, this.persistFile);
+    } catch (err) {
+      console.error('[PolicyEngine] Failed to persist pending approvals:', err);
+    }
+  }
+
+  /**
+   * Reload requests persisted by a previous process. Requests already open in
+   * this process are kept as they are; overdue ones expire on the next sweep().
+   * @returns {Array} [{ request, settled: Promise }] (settled behaves like requestApproval's promise)
+   */
+  restoreApprovals() {
+    if (!this.persistFile || !fs.existsSync(this.persistFile)) return [];
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.persistFile, 'utf8'));
+    } catch (err) {
+      console.error('[PolicyEngine] Ignoring unreadable pending approvals file:', err.message);
+      return [];
+    }
+
+    const restored = [];
+    for (const request of Array.isArray(saved?.requests) ? saved.requests : []) {
+      if (!request || !request.taskId || request.status !== 'pending') continue;
+      if (this.approvalCallbacks.has(this._approvalKey(request.projectId, request.taskId))) continue;
+      restored.push({ request, settled: this._trackApproval(request) });
+    }
+    return restored;
+  }
+
+  /**
+   * Approve a pending command. Approvals are counted per approver: a vote whose
+   * approverId or approverName matches either field of an earlier vote is the
+   * same person. The request resolves once quorum is reached.
+   * Throws err.code 'APPROVER_REQUIRED' for a vote without identity when quorum
+   * is above one, 'DUPLICATE_APPROVER' for a second vote from the same identity.
    * @param {string} taskId
-   * @param {Object} approvalInfo - { approverId, approverName, reason }
+   * @param {Object} approvalInfo - { projectId, approverId, approverName, reason }
+   * @returns {Object} { status: 'pending' | 'approved', approvals, requiredApprovals, remaining, approvers }
    */
   approveCommand(taskId, approvalInfo = {}) {
-    const callbacks = this.approvalCallbacks.get(taskId);
+    const callbacks = this._findApproval(taskId, approvalInfo.projectId);
     if (!callbacks) {
       throw new Error(`No approval request found for task ${taskId}`);
     }
 
     const request = callbacks.request;
+    const identity = approverIdentity(approvalInfo.approverId, approvalInfo.approverName);
+    const names = approverNames(approvalInfo);
+    if (identity === ANONYMOUS && request.requiredApprovals > 1) {
+      const err = new Error(`Task ${taskId} needs ${request.requiredApprovals} approvals from named approvers; give an approverId or approverName`);
+      err.code = 'APPROVER_REQUIRED';
+      throw err;
+    }
+    if (request.approvals.some(a => approverNames(a).some(n => names.includes(n)))) {
+      const err = new Error(`${approvalInfo.approverName || approvalInfo.approverId || identity} has already approved task ${taskId}`);
+      err.code = 'DUPLICATE_APPROVER';
+      throw err;
+    }
+
     request.approvals.push({
+      identity,
       approverId: approvalInfo.approverId,
       approverName: approvalInfo.approverName,
       reason: approvalInfo.reason,
       timestamp: new Date().toISOString()
     });
 
+    this._auditLog({
+      type: 'APPROVAL_RECORDED',
+      taskId,
+      projectId: request.projectId,
+      approver: identity,
+      approvals: request.approvals.length,
+      requiredApprovals: request.requiredApprovals
+    });
+
     // Check if we have enough approvals
     if (request.approvals.length >= request.requiredApprovals) {
       request.status = 'approved';
@@ -159,26 +351,30 @@ export class PolicyEngine {
       
       this._auditLog({
         type: 'APPROVAL_GRANTED',
-        taskId,
-        ...request
+        ...request,
+        meta: undefined
       });
 
-      this.approvalCallbacks.delete(taskId);
+      this._settleDecision(request, 'approved');
+      this.approvalCallbacks.delete(this._approvalKey(request.projectId, taskId));
       callbacks.resolve({
         approved: true,
         approvals: request.approvals,
         timestamp: request.approvedAt
       });
     }
+
+    this._persistApprovals();
+    return approvalProgress(request);
   }
 
   /**
    * Reject a pending command
    * @param {string} taskId
-   * @param {Object} rejectionInfo - { rejectionReason, rejectorId, rejectorName }
+   * @param {Object} rejectionInfo - { projectId, rejectionReason, rejectorId, rejectorName }
    */
   rejectCommand(taskId, rejectionInfo = {}) {
-    const callbacks = this.approvalCallbacks.get(taskId);
+    const callbacks = this._findApproval(taskId, rejectionInfo.projectId);
     if (!callbacks) {
       throw new Error(`No approval request found for task ${taskId}`);
     }
@@ -192,14 +388,25 @@ export class PolicyEngine {
 
     this._auditLog({
       type: 'APPROVAL_REJECTED',
-      taskId,
-      ...request
+      ...request,
+      meta: undefined
     });
 
-    this.approvalCallbacks.delete(taskId);
+    this._settleDecision(request, 'rejected');
+    this.approvalCallbacks.delete(this._approvalKey(request.projectId, taskId));
+    this._persistApprovals();
     callbacks.reject(new Error(`Approval rejected: ${rejectionInfo.rejectionReason}`));
   }
 
+  // Keep the stored decision in step with its approval request
+  _settleDecision(request, status) {
+    const decision = this.decisions.get(this._approvalKey(request.projectId, request.taskId));
+    if (decision) {
+      decision.status = status;
+      decision.approved = status === 'approved';
+    }
+  }
+
   /**
    * Get required approval count based on severity
    * @private
@@ -228,7 +435,7 @@ export class PolicyEngine {
       const date = new Date();
       const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
       
-      const auditFile = path.join(AUDIT_LOG_DIR, `policy_${projectId}_${dateStr}.jsonl`);
+      const auditFile = path.join(this.auditDir, `policy_${projectId}_${dateStr}.jsonl`);
       const line = JSON.stringify({
         timestamp: new Date().toISOString(),
         ...decision
@@ -241,20 +448,40 @@ export class PolicyEngine {
   }
 
   /**
-   * Get list of pending approvals (from evaluated decisions)
-   * @returns {Array} [{ taskId, projectId, command, severity, status, timestamp }]
+   * Get list of pending approvals: open approval requests with their quorum,
+   * then evaluated decisions still waiting for requestApproval
+   * @returns {Array} [{ taskId, projectId, command, severity, status, timestamp, approvals, requiredApprovals, approvers }]
    */
   getPendingApprovals() {
     const out = [];
-    for (const [taskId, decision] of this.decisions.entries()) {
-      if (decision && decision.requiresApproval && decision.status === 'pending_approval') {
+    const requested = new Set();
+    for (const { request } of this.approvalCallbacks.values()) {
+      requested.add(this._approvalKey(request.projectId, request.taskId));
+      out.push({
+        taskId: request.taskId,
+        projectId: request.projectId,
+        command: request.command,
+        severity: request.severity,
+        timestamp: request.requestedAt,
+        expiresAt: request.expiresAt,
+        escalatedAt: request.escalatedAt,
+        ...approvalProgress(request),
+        status: 'pending_approval'
+      });
+    }
+    for (const [key, decision] of this.decisions.entries()) {
+      if (decision.requiresApproval && decision.status === 'pending_approval' && !requested.has(key)) {
+        const taskId = decision.context.taskId;
         out.push({
           taskId,
           projectId: decision.projectId,
           command: decision.command,
           severity: decision.evaluation?.severity,
           status: decision.status,
-          timestamp: decision.timestamp
+          timestamp: decision.timestamp,
+          approvals: 0,
+          requiredApprovals: this._getRequiredApprovals(decision.evaluation?.severity),
+          approvers: []
         });
       }
     }
@@ -263,9 +490,11 @@ export class PolicyEngine {
 
   /**
    * Inspect approval request (if requestApproval was called)
+   * @param {string} taskId
+   * @param {string} projectId - optional scope
    */
-  getApprovalRequest(taskId) {
-    const cb = this.approvalCallbacks.get(taskId);
+  getApprovalRequest(taskId, projectId) {
+    const cb = this._findApproval(taskId, projectId);
     return cb ? cb.request : null;
   }
 
@@ -278,10 +507,11 @@ export class PolicyEngine {
 
   /**
    * Get audit trail for a task
+   * @param {string} taskId
+   * @param {string} projectId - optional scope
    */
-  getAuditTrail(taskId) {
-    const decision = this.decisions.get(taskId);
-    return decision || null;
+  getAuditTrail(taskId, projectId) {
+    return this._findDecision(taskId, projectId);
   }
 
   /**
@@ -313,6 +543,31 @@ export class PolicyEngine {
   }
 }
 
+const ANONYMOUS = 'anonymous';
+
+const normalizeApprover = (value) => String(value || '').trim().toLowerCase();
+
+function approverIdentity(approverId, approverName) {
+  return normalizeApprover(approverId) || normalizeApprover(approverName) || ANONYMOUS;
+}
+
+// Every name a vote goes by: its id and its display name (older saved votes only have identity)
+function approverNames(vote) {
+  const names = [normalizeApprover(vote.approverId), normalizeApprover(vote.approverName)].filter(Boolean);
+  if (!names.length && vote.identity) names.push(vote.identity);
+  return names;
+}
+
+function approvalProgress(request) {
+  return {
+    status: request.status,
+    approvals: request.approvals.length,
+    requiredApprovals: request.requiredApprovals,
+    remaining: Math.max(0, request.requiredApprovals - request.approvals.length),
+    approvers: request.approvals.map(a => a.approverName || a.approverId || a.identity)
+  };
+}
+
 // Export singleton
 let policyEngineInstance = null;
 
@@ -0,0 +1,200 @@
+/**
+ * Policy Simulation - dry-run a candidate policy against command history
+ *
+ * Commands are collected from COMMAND_EXECUTED, POLICY_EVALUATED,
+ * POLICY_REQUIRES_APPROVAL and DANGER_* events in <data dir>/runs/*.jsonl and the
+ * replay sessions. The events of one execution (same run, task and command)
+ * count once. Each execution is evaluated at its original time twice: with
+ * the active policy and with the candidate. Nothing is activated or written.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { evaluateCommandPolicy, compilePolicy, validatePolicy } from './policy.mjs';
+import { dataPath } from './dataDir.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Replay storage lives next to this package; older installs wrote it under the data dir
+const PACKAGE_REPLAY_DIR = path.join(__dirname, '../../data/replay');
+const COMMAND_EVENT_TYPES = new Set(['COMMAND_EXECUTED', 'POLICY_EVALUATED', 'POLICY_REQUIRES_APPROVAL']);
+const ACTION_RANK = { allow: 0, approval: 1, deny: 2 };
+const MAX_CHANGES = 500;
+
+function listJsonl(dir) {
+  try {
+    return fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).map(f => path.join(dir, f));
+  } catch {
+    return [];
+  }
+}
+
+function readJsonl(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim()).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function historyFiles() {
+  const files = listJsonl(dataPath('runs'));
+  for (const dir of new Set([PACKAGE_REPLAY_DIR, dataPath('replay')])) {
+    const projectsDir = path.join(dir, 'projects');
+    let projects = [];
+    try { projects = fs.readdirSync(projectsDir); } catch { continue; }
+    for (const p of projects) files.push(...listJsonl(path.join(projectsDir, p, 'sessions')));
+  }
+  return files;
+}
+
+// Decision the server logged at the time, when the event carries one
+function recordedAction(event) {
+  if (event.type === 'POLICY_EVALUATED') return event.action || null;
+  if (event.type === 'POLICY_REQUIRES_APPROVAL' || event.type.startsWith('DANGER_')) return 'approval';
+  return null;
+}
+
+/**
+ * Collect historical command executions
+ * @param {Object} options - { project, since } (ISO date; both optional)
+ * @returns {Object} { files, events, commands: [{ project, command, taskId, runSessionId, ts, recorded }] }
+ */
+export function collectHistoricalCommands(options = {}) {
+  const sinceMs = options.since ? Date.parse(options.since) : null;
+  const files = historyFiles();
+  const executions = new Map();
+  let events = 0;
+
+  for (const file of files) {
+    for (const event of readJsonl(file)) {
+      if (typeof event.type !== 'string') continue;
+      if (!COMMAND_EVENT_TYPES.has(event.type) && !event.type.startsWith('DANGER_')) continue;
+      const command = String(event.command || event.bash || '').trim();
+      if (!command) continue;
+      const project = event.project || event.projectId || 'unknown';
+      if (options.project && project !== options.project) continue;
+      if (sinceMs && !(Date.parse(event.ts) >= sinceMs)) continue;
+      events++;
+
+      const runSessionId = event.runSessionId || event.sessionId || null;
+      const key = [project, runSessionId, event.taskId || '', command].join('\u0000');
+      const entry = executions.get(key) || { project, command, taskId: event.taskId || null, runSessionId, ts: event.ts || null, recorded: null };
+      entry.recorded = entry.recorded || recordedAction(event);
+      // The decision was made at the first event of the execution
+      if (event.ts && (!entry.ts || event.ts < entry.ts)) entry.ts = event.ts;
+      executions.set(key, entry);
+    }
+  }
+
+  return { files: files.length, events, commands: [...executions.values()] };
+}
+
+function decisionOf(result) {
+  return { action: result.action, ruleId: result.ruleId || null, layer: result.layer || null, code: result.code || null };
+}
+
+function bump(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Replay historical commands against a candidate policy
+ * @param {Object} candidate - policy document ({ version, rules })
+ * @param {Object} options - { layer: 'global' | 'project', project, since, contextFor(project) => { projectRoot, cwd } }
+ *   With layer 'project' the candidate replaces that project's policy.json and only its history is replayed.
+ * @returns {Object} { ok, errors, warnings, scanned, summary, byProject, byRule, changes, truncated }
+ */
+export function simulatePolicy(candidate, options = {}) {
+  const layer = options.layer === 'project' ? 'project' : 'global';
+  const { ok, errors, warnings } = validatePolicy(candidate, { layer });
+  if (!ok) return { ok: false, errors, warnings };
+  if (layer === 'project' && !options.project) {
+    return { ok: false, errors: [{ rule: null, id: null, field: 'project', message: 'a project is required to simulate a project layer' }], warnings };
+  }
+
+  const compiled = compilePolicy(candidate, { layer, source: 'candidate' });
+  const override = layer === 'project' ? { projectPolicy: compiled } : { globalPolicy: compiled };
+  const contextFor = options.contextFor || (() => ({}));
+  const history = collectHistoricalCommands({ project: options.project, since: options.since });
+
+  const contexts = new Map();
+  const summary = { commands: 0, changed: 0, unchanged: 0, stricter: 0, looser: 0, transitions: {} };
+  const byProject = {};
+  const byRule = {};
+  const groups = new Map();
+  const ruleStats = (id) => (byRule[id] = byRule[id] || { matchedBefore: 0, matchedAfter: 0, changed: 0 });
+
+  for (const item of history.commands) {
+    if (!contexts.has(item.project)) contexts.set(item.project, contextFor(item.project) || {});
+    const at = item.ts ? new Date(item.ts) : new Date();
+    const context = { ...contexts.get(item.project), now: Number.isNaN(at.getTime()) ? new Date() : at };
+
+    const before = decisionOf(evaluateCommandPolicy(item.command, item.project, context));
+    const after = decisionOf(evaluateCommandPolicy(item.command, item.project, { ...context, ...override }));
+    const projectStats = byProject[item.project] = byProject[item.project] || { commands: 0, changed: 0, transitions: {} };
+
+    summary.commands++;
+    projectStats.commands++;
+    if (before.ruleId) ruleStats(before.ruleId).matchedBefore++;
+    if (after.ruleId) ruleStats(after.ruleId).matchedAfter++;
+
+    if (before.action === after.action) {
+      summary.unchanged++;
+      continue;
+    }
+
+    const transition = `${before.action}→${after.action}`;
+    const direction = ACTION_RANK[after.action] > ACTION_RANK[before.action] ? 'stricter' : 'looser';
+    summary.changed++;
+    summary[direction]++;
+    bump(summary.transitions, transition);
+    projectStats.changed++;
+    bump(projectStats.transitions, transition);
+    // Credit the rule that now decides, or the rule whose decision went away
+    ruleStats(after.ruleId || before.ruleId || '(no rule)').changed++;
+
+    const key = [item.project, item.command, transition].join('\u0000');
+    const group = groups.get(key) || {
+      project: item.project,
+      command: item.command,
+      transition,
+      direction,
+      before,
+      after,
+      recorded: item.recorded,
+      occurrences: 0,
+      firstSeen: item.ts,
+      lastSeen: item.ts,
+      taskIds: []
+    };
+    group.occurrences++;
+    if (item.ts && (!group.firstSeen || item.ts < group.firstSeen)) group.firstSeen = item.ts;
+    if (item.ts && (!group.lastSeen || item.ts > group.lastSeen)) group.lastSeen = item.ts;
+    if (item.taskId && !group.taskIds.includes(item.taskId)) group.taskIds.push(item.taskId);
+    groups.set(key, group);
+  }
+
+  const changes = [...groups.values()].sort((a, b) =>
+    (ACTION_RANK[b.after.action] - ACTION_RANK[a.after.action]) || (b.occurrences - a.occurrences));
+
+  return {
+    ok: true,
+    errors: [],
+    warnings,
+    layer,
+    project: options.project || null,
+    scanned: { files: history.files, events: history.events, executions: history.commands.length },
+    summary,
+    byProject,
+    byRule,
+    changes: changes.slice(0, MAX_CHANGES),
+    truncated: changes.length > MAX_CHANGES
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Model Pricing - per-model token rates as configuration
+ *
+ * Registry file: <data dir>/pricing.json (built-in defaults when absent or invalid)
+ *   {
+ *     version: 1,
+ *     currency: 'USD',                 // default currency of the rates
+ *     fxToUsd: { EUR: 1.08 },          // 1 unit of <currency> in USD, for non-USD rates
+ *     models: {
+ *       'gpt-5-mini': [
+ *         { provider: 'openai', effectiveFrom: '2025-08-07', input: 0.25, cachedInput: 0.025, output: 2.00 }
+ *       ]
+ *     }
+ *   }
+ *
+ * Rates are per 1M tokens. A model may list several rates; the one with the
+ * latest effectiveFrom on or before the call time applies (effectiveTo, when
+ * given, ends a rate). Cached input tokens are charged at cachedInput, or at
+ * the input rate when the model has no cached rate. Models the registry does
+ * not know are reported as unpriced instead of borrowing another model's rate.
+ */
+
+import fs from 'fs';
+import { dataPath } from './dataDir.mjs';
+
+const DATE_SUFFIX_RE = /-\d{4}-\d{2}-\d{2}$/;
+
+// Built-in defaults (the models the server uses out of the box)
+const DEFAULT_PRICING = {
+  version: 1,
+  currency: 'USD',
+  fxToUsd: {},
+  models: {
+    'gpt-5-mini': [
+      { provider: 'openai', effectiveFrom: '2025-08-07', input: 0.25, cachedInput: 0.025, output: 2.00 }
+    ],
+    'gpt-5.1-codex-mini': [
+      { provider: 'openai', effectiveFrom: '2025-11-13', input: 0.25, cachedInput: 0.025, output: 2.00 }
+    ]
+  }
+};
+
+let cached = null; // { file, mtimeMs, pricing }
+
+function isRate(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate a pricing document
+ * @param {Object} pricing
+ * @returns {Object} { ok, errors: [{ model, index, field, message }] }
+ */
+export function validatePricing(pricing) {
+  const errors = [];
+  const err = (model, index, field, message) => errors.push({ model, index, field, message });
+
+  if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+    err(null, null, 'pricing', 'must be an object');
+    return { ok: false, errors };
+  }
+  if (pricing.currency !== undefined && typeof pricing.currency !== 'string') err(null, null, 'currency', 'must be a currency code');
+  if (pricing.fxToUsd !== undefined) {
+    if (!pricing.fxToUsd || typeof pricing.fxToUsd !== 'object' || Array.isArray(pricing.fxToUsd)) {
+      err(null, null, 'fxToUsd', 'must be an object of { currency: usdPerUnit }');
+    } else {
+      for (const [code, rate] of Object.entries(pricing.fxToUsd)) {
+        if (!isRate(rate) || rate === 0) err(null, null, `fxToUsd.${code}`, 'must be a positive number');
+      }
+    }
+  }
+  if (!pricing.models || typeof pricing.models !== 'object' || Array.isArray(pricing.models)) {
+    err(null, null, 'models', 'must be an object keyed by model name');
+    return { ok: false, errors };
+  }
+
+  for (const [model, value] of Object.entries(pricing.models)) {
+    const entries = Array.isArray(value) ? value : [value];
+    if (!entries.length) err(model, null, 'rates', 'must list at least one rate');
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') {
+        err(model, index, 'rate', 'must be an object');
+        return;
+      }
+      if (!isRate(entry.input)) err(model, index, 'input', 'must be a non-negative number (per 1M tokens)');
+      if (!isRate(entry.output)) err(model, index, 'output', 'must be a non-negative number (per 1M tokens)');
+      if (entry.cachedInput !== undefined && !isRate(entry.cachedInput)) err(model, index, 'cachedInput', 'must be a non-negative number (per 1M tokens)');
+      if (entry.currency !== undefined && typeof entry.currency !== 'string') err(model, index, 'currency', 'must be a currency code');
+      for (const field of ['effectiveFrom', 'effectiveTo']) {
+        if (entry[field] !== undefined && Number.isNaN(Date.parse(entry[field]))) err(model, index, field, 'must be an ISO date');
+      }
+    });
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+function normalizePricing(raw, source) {
+  const currency = raw.currency || 'USD';
+  const models = {};
+  for (const [model, value] of Object.entries(raw.models || {})) {
+    models[model] = (Array.isArray(value) ? value : [value])
+      .map(entry => ({
+        rate: { ...entry, model, currency: entry.currency || currency },
+        fromMs: entry.effectiveFrom ? Date.parse(entry.effectiveFrom) : -Infinity,
+        toMs: entry.effectiveTo ? Date.parse(entry.effectiveTo) : Infinity
+      }))
+      .sort((a, b) => b.fromMs - a.fromMs);
+  }
+  return { version: raw.version || 1, source, currency, fxToUsd: { USD: 1, ...(raw.fxToUsd || {}) }, models };
+}
+
+/**
+ * Load the pricing registry, cached by mtime. An invalid file keeps the
+ * previous registry (or the built-in defaults) active.
+ * @returns {Object} { version, source, currency, fxToUsd, models }
+ */
+export function loadPricing() {
+  const file = dataPath('pricing.json');
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+  } catch {
+    mtimeMs = null;
+  }
+  const previous = cached?.file === file ? cached : null;
+  if (previous && previous.mtimeMs === mtimeMs) return previous.pricing;
+
+  let pricing = previous?.pricing || normalizePricing(DEFAULT_PRICING, 'builtin');
+  if (mtimeMs === null) {
+    pricing = normalizePricing(DEFAULT_PRICING, 'builtin');
+  } else {
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const { errors } = validatePricing(raw);
+      if (errors.length) {
+        const detail = errors.map(e => `${e.model ? `${e.model}${e.index !== null ? `[${e.index}]` : ''} ` : ''}${e.field}: ${e.message}`).join('; ');
+        console.error(`[pricing] ${file} is invalid, keeping ${pricing.source} rates: ${detail}`);
+      } else {
+        pricing = normalizePricing(raw, file);
+      }
+    } catch (e) {
+      console.error(`[pricing] Failed to read ${file}, keeping ${pricing.source} rates:`, e.message);
+    }
+  }
+  cached = { file, mtimeMs, pricing };
+  return pricing;
+}
+
+/**
+ * Rate in effect for a model at a point in time
+ * @param {string} model - model name; provider prefixes ("openai/") and date snapshots ("-2025-08-07") are tried without
+ * @param {Date|string|number} at - call time (default now)
+ * @returns {Object|null} { model, provider, currency, input, cachedInput, output, effectiveFrom, effectiveTo }
+ */
+export function getModelRate(model, at = new Date()) {
+  if (!model) return null;
+  const { models } = loadPricing();
+  const name = String(model);
+  const bare = name.includes('/') ? name.slice(name.lastIndexOf('/') + 1) : name;
+  const key = [name, bare, bare.replace(DATE_SUFFIX_RE, '')].find(k => models[k]);
+  if (!key) return null;
+
+  const atMs = at instanceof Date ? at.getTime() : new Date(at).getTime();
+  const when = Number.isNaN(atMs) ? Date.now() : atMs;
+  const entry = models[key].find(e => e.fromMs <= when && when < e.toMs);
+  return entry ? entry.rate : null;
+}
+
+/**
+ * Price one model call. This is the only place token counts become money.
+ * @param {string} model
+ * @param {Object} usage - { input_tokens, output_tokens, total_tokens, cached_input_tokens }
+ *   (input_tokens_details.cached_tokens / prompt_tokens_details.cached_tokens are accepted too)
+ * @param {Object} options - { at (call time), usdToTwd }
+ * @returns {Object} { priced, reason, model, rate, tokens: { input, cachedInput, output, total }, currency, cost, usd, twd }
+ */
+export function calculateCost(model, usage = {}, options = {}) {
+  const input = usage?.input_tokens || usage?.prompt_tokens || 0;
+  const output = usage?.output_tokens || usage?.completion_tokens || 0;
+  const cachedInput = Math.min(input, usage?.cached_input_tokens ||
+    usage?.input_tokens_details?.cached_tokens || usage?.prompt_tokens_details?.cached_tokens || 0);
+  const tokens = { input, cachedInput, output, total: usage?.total_tokens || (input + output) };
+  const unpriced = (reason, rate = null) => ({ priced: false, reason, model, rate, tokens, currency: null, cost: 0, usd: 0, twd: 0 });
+
+  const rate = getModelRate(model, options.at);
+  if (!rate) return unpriced(`no rate for ${model || '(unknown model)'} in the pricing registry`);
+
+  const cachedRate = isRate(rate.cachedInput) ? rate.cachedInput : rate.input;
+  const cost = ((input - cachedInput) / 1e6) * rate.input + (cachedInput / 1e6) * cachedRate + (output / 1e6) * rate.output;
+  const fx = loadPricing().fxToUsd[rate.currency];
+  if (!fx) return unpriced(`no fxToUsd rate for ${rate.currency}`, rate);
+
+  const usd = cost * fx;
+  const twd = usd * (Number(options.usdToTwd) || 0);
+  return { priced: true, reason: null, model, rate, tokens, currency: rate.currency, cost, usd, twd };
+}
+
+export function clearPricingCache() {
+  cached = null;
+}
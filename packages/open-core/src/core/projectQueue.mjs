@@ -4,13 +4,15 @@
  * Implements per-project task queuing with global concurrency control:
  * - Each project has its own task queue
  * - Global limit on concurrent projects (default: 5)
- * - One task executes per project at a time
+ * - Global limit on concurrent tasks across all projects (default: maxConcurrentProjects)
+ * - Up to maxParallel tasks execute per project at a time (default: 1)
  * - Tasks from different projects can run concurrently
  * 
  * Usage:
- *   const queueManager = new ProjectQueueManager({ maxConcurrentProjects: 5 });
+ *   const queueManager = new ProjectQueueManager({ maxConcurrentProjects: 5, maxConcurrentTasks: 5 });
+ *   queueManager.setProjectConcurrency('project-a', 2);
  *   await queueManager.enqueue('project-a', async () => { ... });
- *   queueManager.getStatus('project-a');
+ *   queueManager.getProjectStatus('project-a');
  */
 
 import EventEmitter from 'events';
@@ -21,10 +23,11 @@ export class ProjectQueueManager extends EventEmitter {
     
     // Configuration
     this.maxConcurrentProjects = options.maxConcurrentProjects || 5;
+    this.maxConcurrentTasks = options.maxConcurrentTasks || this.maxConcurrentProjects;
     this.defaultTimeout = options.defaultTimeout || 3600000; // 1 hour
     
     // State tracking
-    this.projectQueues = new Map(); // project -> { queue: [], executing: false, current?: Task }
+    this.projectQueues = new Map(); // project -> { queue: [], executing, current?: Task, running: Map, maxParallel }
     this.activeTasks = new Map(); // taskId -> Task
     this.projectStats = new Map(); // project -> { completed, failed, running, queued }
     this.globalStats = { tasksEnqueued: 0, tasksCompleted: 0, tasksFailed: 0 };
@@ -45,23 +48,7 @@ export class ProjectQueueManager extends EventEmitter {
       throw new Error('Invalid project or task function');
     }
 
-    // Get or create project queue
-    if (!this.projectQueues.has(projectId)) {
-      this.projectQueues.set(projectId, {
-        queue: [],
-        executing: false,
-        current: null,
-        startedAt: Date.now()
-      });
-      this.projectStats.set(projectId, {
-        completed: 0,
-        failed: 0,
-        running: 0,
-        queued: 0
-      });
-    }
-
-    const queue = this.projectQueues.get(projectId);
+    const queue = this._getOrCreateQueue(projectId);
 
     // Check queue size limit
     if (queue.queue.length >= this.maxQueueSize) {
@@ -123,122 +110,211 @@ export class ProjectQueueManager extends EventEmitter {
   }
 
   /**
-   * Process queue for a specific project
+   * Set how many tasks of a project may run at the same time
+   * @param {string} projectId
+   * @param {number} maxParallel - >= 1
+   */
+  setProjectConcurrency(projectId, maxParallel) {
+    const n = Number(maxParallel);
+    const queue = this._getOrCreateQueue(projectId);
+    queue.maxParallel = Number.isInteger(n) && n > 0 ? n : 1;
+    // A raised limit may free slots right away
+    this._processQueue(projectId).catch(err => {
+      console.error(`[ProjectQueue] Error processing ${projectId}:`, err);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _getOrCreateQueue(projectId) {
+    if (!this.projectQueues.has(projectId)) {
+      this.projectQueues.set(projectId, {
+        queue: [],
+        executing: false,
+        current: null,
+        running: new Map(), // taskId -> Task
+        maxParallel: 1,
+        startedAt: Date.now()
+      });
+    }
+    if (!this.projectStats.has(projectId)) {
+      this.projectStats.set(projectId, {
+        completed: 0,
+        failed: 0,
+        running: 0,
+        queued: 0
+      });
+    }
+    return this.projectQueues.get(projectId);
+  }
+
+  /**
+   * Number of tasks running across all projects
+   * @private
+   */
+  _runningTaskCount() {
+    let n = 0;
+    for (const q of this.projectQueues.values()) n += q.running.size;
+    return n;
+  }
+
+  /**
+   * Number of projects with at least one running task
+   * @private
+   */
+  _runningProjectCount() {
+    let n = 0;
+    for (const q of this.projectQueues.values()) if (q.running.size > 0) n++;
+    return n;
+  }
+
+  /**
+   * Whether the global limits leave room for another task of this project
+   * @private
+   */
+  _hasGlobalCapacity(queue) {
+    if (this._runningTaskCount() >= this.maxConcurrentTasks) return false;
+    // A project that already runs a task does not take another project slot
+    if (queue.running.size === 0 && this._runningProjectCount() >= this.maxConcurrentProjects) return false;
+    return true;
+  }
+
+  /**
+   * Start queued tasks of a project while its own and the global limits allow
    * @private
    */
   async _processQueue(projectId) {
     const queue = this.projectQueues.get(projectId);
-    if (!queue || queue.executing) return;
+    if (!queue) return;
+
+    while (queue.queue.length > 0 && queue.running.size < queue.maxParallel) {
+      if (!this._hasGlobalCapacity(queue)) {
+        // Resumed by _processAll() when any running task settles
+        break;
+      }
+      const task = queue.queue.shift();
+      if (!task) break;
+      this._runTask(queue, task);
+    }
 
+    queue.executing = queue.running.size > 0;
+  }
+
+  /**
+   * Give every project a chance to use freed capacity
+   * @private
+   */
+  _processAll() {
+    for (const projectId of this.projectQueues.keys()) {
+      this._processQueue(projectId).catch(err => {
+        console.error(`[ProjectQueue] Error processing ${projectId}:`, err);
+      });
+    }
+  }
+
+  /**
+   * Execute one task; settles its promise and frees its slot
+   * @private
+   */
+  async _runTask(queue, task) {
+    const projectId = task.projectId;
+    queue.running.set(task.id, task);
+    queue.current = queue.current || task;
     queue.executing = true;
+    task.status = 'running';
+    task.startedAt = Date.now();
+
+    const stats = this.projectStats.get(projectId);
+    stats.queued--;
+    stats.running++;
 
-    while (queue.queue.length > 0) {
-      // Check global concurrency limit
-      const activeProjectCount = Array.from(this.projectQueues.values())
-        .filter(q => q.executing && q.current).length;
+    this.emit('task:started', {
+      taskId: task.id,
+      projectId,
+      label: task.label
+    });
 
-      if (activeProjectCount >= this.maxConcurrentProjects) {
-        // Wait before checking again
-        await new Promise(r => setTimeout(r, 100));
-        continue;
+    // Call user callback if provided
+    if (task.onStart) {
+      try {
+        task.onStart(task);
+      } catch (err) {
+        console.error(`[ProjectQueue] onStart error for ${task.id}:`, err);
       }
+    }
 
-      // Get next task
-      const task = queue.queue.shift();
-      if (!task) break;
+    // Execute task with timeout
+    let timer = null;
+    try {
+      const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Task timeout after ${task.timeout}ms`)), task.timeout);
+      });
 
-      queue.current = task;
-      task.status = 'running';
-      task.startedAt = Date.now();
+      const result = await Promise.race([task.fn(), timeoutPromise]);
 
-      const stats = this.projectStats.get(projectId);
-      stats.queued--;
-      stats.running++;
+      task.result = result;
+      task.status = 'completed';
+      task.completedAt = Date.now();
 
-      this.emit('task:started', {
+      stats.completed++;
+      stats.running--;
+
+      this.emit('task:completed', {
         taskId: task.id,
         projectId,
-        label: task.label
+        label: task.label,
+        duration: task.completedAt - task.startedAt,
+        result
       });
 
-      // Call user callback if provided
-      if (task.onStart) {
+      // Call user callback
+      if (task.onComplete) {
         try {
-          task.onStart(task);
+          task.onComplete(task);
         } catch (err) {
-          console.error(`[ProjectQueue] onStart error for ${task.id}:`, err);
+          console.error(`[ProjectQueue] onComplete error for ${task.id}:`, err);
         }
       }
 
-      // Execute task with timeout
-      try {
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error(`Task timeout after ${task.timeout}ms`)), task.timeout)
-        );
-
-        const result = await Promise.race([task.fn(), timeoutPromise]);
-
-        task.result = result;
-        task.status = 'completed';
-        task.completedAt = Date.now();
-
-        stats.completed++;
-        stats.running--;
-
-        this.emit('task:completed', {
-          taskId: task.id,
-          projectId,
-          label: task.label,
-          duration: task.completedAt - task.startedAt,
-          result
-        });
-
-        // Call user callback
-        if (task.onComplete) {
-          try {
-            task.onComplete(task);
-          } catch (err) {
-            console.error(`[ProjectQueue] onComplete error for ${task.id}:`, err);
-          }
-        }
-
-        task._resolve(result);
-      } catch (error) {
-        task.error = error;
-        task.status = 'failed';
-        task.completedAt = Date.now();
+      task._resolve(result);
+    } catch (error) {
+      task.error = error;
+      task.status = 'failed';
+      task.completedAt = Date.now();
 
-        stats.failed++;
-        stats.running--;
+      stats.failed++;
+      stats.running--;
 
-        this.globalStats.tasksFailed++;
+      this.globalStats.tasksFailed++;
 
-        this.emit('task:failed', {
-          taskId: task.id,
-          projectId,
-          label: task.label,
-          duration: task.completedAt - task.startedAt,
-          error: error.message
-        });
+      this.emit('task:failed', {
+        taskId: task.id,
+        projectId,
+        label: task.label,
+        duration: task.completedAt - task.startedAt,
+        error: error.message
+      });
 
-        // Call user callback
-        if (task.onError) {
-          try {
-            task.onError(task);
-          } catch (err) {
-            console.error(`[ProjectQueue] onError error for ${task.id}:`, err);
-          }
+      // Call user callback
+      if (task.onError) {
+        try {
+          task.onError(task);
+        } catch (err) {
+          console.error(`[ProjectQueue] onError error for ${task.id}:`, err);
         }
-
-        task._reject(error);
-      } finally {
-        queue.current = null;
-        this.activeTasks.delete(task.id);
-        this.globalStats.tasksCompleted++;
       }
-    }
 
-    queue.executing = false;
+      task._reject(error);
+    } finally {
+      clearTimeout(timer);
+      queue.running.delete(task.id);
+      queue.current = queue.running.values().next().value || null;
+      queue.executing = queue.running.size > 0;
+      this.activeTasks.delete(task.id);
+      this.globalStats.tasksCompleted++;
+      this._processAll();
+    }
   }
 
   /**
@@ -276,11 +352,17 @@ export class ProjectQueueManager extends EventEmitter {
       stats: { ...stats },
       queueSize: queue.queue.length,
       executing: queue.executing,
+      maxParallel: queue.maxParallel,
       currentTask: queue.current ? {
         id: queue.current.id,
         label: queue.current.label,
         elapsed: Date.now() - queue.current.startedAt
       } : null,
+      runningTasks: Array.from(queue.running.values()).map(t => ({
+        id: t.id,
+        label: t.label,
+        elapsed: Date.now() - t.startedAt
+      })),
       nextTask: queue.queue[0] ? {
         id: queue.queue[0].id,
         label: queue.queue[0].label
@@ -296,12 +378,11 @@ export class ProjectQueueManager extends EventEmitter {
       .filter(([_, q]) => q.executing || q.queue.length > 0)
       .map(([projectId, _]) => projectId);
 
-    const concurrentTaskCount = Array.from(this.projectQueues.values())
-      .filter(q => q.current).length;
-
     return {
       maxConcurrentProjects: this.maxConcurrentProjects,
-      currentConcurrentProjects: concurrentTaskCount,
+      currentConcurrentProjects: this._runningProjectCount(),
+      maxConcurrentTasks: this.maxConcurrentTasks,
+      currentConcurrentTasks: this._runningTaskCount(),
       activeProjects,
       projectCount: this.projectQueues.size,
       globalStats: { ...this.globalStats },
@@ -341,8 +422,15 @@ export class ProjectQueueManager extends EventEmitter {
     if (!queue) return 0;
 
     const count = queue.queue.length;
+    for (const task of queue.queue) {
+      task.status = 'cancelled';
+      this.activeTasks.delete(task.id);
+      task._reject(new Error('Project queue cleared'));
+    }
     queue.queue = [];
-    this.projectStats.delete(projectId);
+    // Running tasks still report into the stats entry, so reset rather than delete
+    const stats = this.projectStats.get(projectId);
+    if (stats) stats.queued = 0;
 
     return count;
   }
@@ -353,14 +441,14 @@ export class ProjectQueueManager extends EventEmitter {
   async drain() {
     const promises = Array.from(this.projectQueues.entries())
       .map(([projectId, queue]) => {
-        if (!queue.current && queue.queue.length === 0) {
+        if (queue.running.size === 0 && queue.queue.length === 0) {
           return Promise.resolve();
         }
         // Poll until queue is empty
         return new Promise(resolve => {
           const checkInterval = setInterval(() => {
             const q = this.projectQueues.get(projectId);
-            if (!q || (!q.current && q.queue.length === 0)) {
+            if (!q || (q.running.size === 0 && q.queue.length === 0)) {
               clearInterval(checkInterval);
               resolve();
             }
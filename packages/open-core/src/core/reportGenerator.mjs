@@ -47,7 +47,7 @@ export class ReportBuilder {
         tasks: this.plan?.tasks || []
       },
       cost: {
-        totalCost: this.cost?.total || 0,
+        totalCost: this.cost?.total?.estimated_usd || 0,
         costTwd: this.cost?.cost_twd || 0,
         costUsd: this.cost?.cost_usd || 0,
         calls: this.cost?.total?.calls || 0,
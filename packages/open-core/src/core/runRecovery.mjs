@@ -0,0 +1,68 @@
+/**
+ * Run Recovery - finds autopilot runs that a server restart cut short
+ *
+ * On boot, a project's run counts as interrupted when:
+ * - it still has an open run session (data/runs/sessions.json), or
+ * - the last session in its runlog never logged RUN_STOPPED, or
+ * - plan tasks are still 'doing' (nothing runs them any more)
+ * Projects waiting on a restored approval are not interrupted; the caller
+ * leaves them out. The 'doing' tasks of an interrupted run go back to 'todo'
+ * with a note and `interruptedAt`, so a resumed run picks them up again.
+ */
+
+/**
+ * Last RUN_* event of a runlog
+ * @param {Array} events - runlog events, oldest first
+ * @returns {Object|null}
+ */
+export function lastRunEvent(events) {
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (String(events[i]?.type || '').startsWith('RUN_')) return events[i];
+  }
+  return null;
+}
+
+/**
+ * Whether a project's run was interrupted
+ * @param {Object} opts - { project, plan, openSession ({ runSessionId } or null), events (its runlog) }
+ * @returns {Object|null} { project, runSessionId, tasks: [{ id, title }], lastEvent: { type, ts, taskId }, reasons }
+ */
+export function detectInterruptedRun({ project, plan, openSession = null, events = [] }) {
+  const reasons = [];
+  const lastRun = lastRunEvent(events);
+  if (openSession) reasons.push('open_session');
+  else if (lastRun && lastRun.type !== 'RUN_STOPPED') reasons.push('unfinished_runlog');
+  const tasks = (plan?.tasks || []).filter(t => t.status === 'doing').map(t => ({ id: t.id, title: t.title || '' }));
+  if (tasks.length) reasons.push('doing_tasks');
+  if (!reasons.length) return null;
+
+  const last = events[events.length - 1] || null;
+  return {
+    project,
+    runSessionId: openSession?.runSessionId || (lastRun && lastRun.type !== 'RUN_STOPPED' ? lastRun.runSessionId : null),
+    tasks,
+    lastEvent: last ? { type: last.type, ts: last.ts, taskId: last.taskId || null } : null,
+    reasons
+  };
+}
+
+/**
+ * Put the interrupted tasks of a plan back to 'todo'
+ * @param {Object} plan - changed in place
+ * @param {Array} taskIds
+ * @param {string} note - appended to each task's notes
+ * @returns {number} tasks reset
+ */
+export function resetInterruptedTasks(plan, taskIds, note) {
+  const ids = new Set(taskIds);
+  const at = new Date().toISOString();
+  let reset = 0;
+  for (const task of plan?.tasks || []) {
+    if (!ids.has(task.id) || task.status !== 'doing') continue;
+    task.status = 'todo';
+    task.interruptedAt = at;
+    task.notes = (task.notes || '') + '\n' + note;
+    reset++;
+  }
+  return reset;
+}
@@ -1,64 +1,150 @@
 #!/usr/bin/env node
-import { writeFileSync, appendFileSync, mkdirSync, existsSync, readdirSync, readFileSync } from 'node:fs';
+import { writeFileSync, appendFileSync, mkdirSync, existsSync, readdirSync, readFileSync, renameSync } from 'node:fs';
 import { join, dirname } from 'node:path';
+import { dataPath } from './dataDir.mjs';
 
 /**
  * Run Session Logger - records events to JSONL
  * 
  * Event types:
- * - RUN_STARTED / RUN_STOPPED
+ * - RUN_STARTED / RUN_STOPPED / RUN_RESUMED / RUN_INTERRUPTED
  * - TASK_STARTED / TASK_FINISHED
  * - COMMAND_PROPOSED / COMMAND_EXECUTED
  * - DANGER_REQUIRES_APPROVAL / DANGER_APPROVED
  * - COST_UPDATED
  * - TEST_RUN / DEPLOY_RUN
+ *
+ * Events go to <data dir>/runs/<project>.jsonl. Each project has at most one
+ * open run session. Open sessions are kept in runs/sessions.json so they
+ * survive a restart; on boot, recoverRunSessions resumes them or closes them
+ * with reason RUN_ABORTED.
+ * An event without a runSessionId gets its own project's open session.
  */
 
-let currentRunSessionId = null;
-let currentProject = null;
+const runsDir = () => dataPath('runs');
+const sessionsFile = () => join(runsDir(), 'sessions.json');
+
+let openSessions = null; // project -> { runSessionId, project, startedAt }
+let openSessionsFile = null; // the sessions.json openSessions was read from
 let eventCallback = null;
 
 export function setEventCallback(callback) {
   eventCallback = callback;
 }
 
-export function startRunSession(project) {
-  currentRunSessionId = `run_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
-  currentProject = project;
+function loadSessions() {
+  const file = sessionsFile();
+  if (openSessions && openSessionsFile === file) return openSessions;
+  openSessions = new Map();
+  openSessionsFile = file;
+  try {
+    const raw = JSON.parse(readFileSync(file, 'utf8'));
+    for (const session of Object.values(raw.sessions || {})) {
+      if (session?.project && session.runSessionId) openSessions.set(session.project, session);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('[runlog] Failed to read open run sessions:', err.message);
+  }
+  return openSessions;
+}
+
+function saveSessions() {
+  const sessions = loadSessions();
+  mkdirSync(dirname(openSessionsFile), { recursive: true });
+  const tmp = `${openSessionsFile}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ sessions: Object.fromEntries(sessions) }, null, 2) + '\n');
+  renameSync(tmp, openSessionsFile);
+}
+
+/**
+ * Open a run session for a project; a project that already has one keeps it (RUN_RESUMED)
+ * @param {string} project
+ * @param {string} resumeReason - reason logged with RUN_RESUMED
+ * @returns {string} runSessionId
+ */
+export function startRunSession(project, resumeReason = 'play') {
+  const existing = loadSessions().get(project);
+  if (existing) {
+    logEvent({ type: 'RUN_RESUMED', project, runSessionId: existing.runSessionId, reason: resumeReason });
+    return existing.runSessionId;
+  }
+
+  const runSessionId = `run_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+  loadSessions().set(project, { runSessionId, project, startedAt: new Date().toISOString() });
+  saveSessions();
   
   logEvent({
     type: 'RUN_STARTED',
     project,
-    runSessionId: currentRunSessionId
+    runSessionId
   });
   
-  return currentRunSessionId;
+  return runSessionId;
 }
 
 export function stopRunSession(project, reason = 'manual') {
-  if (!currentRunSessionId) return null;
+  const session = loadSessions().get(project);
+  if (!session) return null;
   
   logEvent({
     type: 'RUN_STOPPED',
     project,
-    runSessionId: currentRunSessionId,
+    runSessionId: session.runSessionId,
     reason
   });
   
-  const sessionId = currentRunSessionId;
-  currentRunSessionId = null;
-  currentProject = null;
-  return sessionId;
+  loadSessions().delete(project);
+  saveSessions();
+  return session.runSessionId;
 }
 
-export function getCurrentRunSessionId() {
-  return currentRunSessionId;
+/**
+ * Open run session of a project
+ * @param {string} project
+ * @returns {string|null}
+ */
+export function getCurrentRunSessionId(project) {
+  if (!project) return null;
+  return loadSessions().get(project)?.runSessionId || null;
+}
+
+/**
+ * All open run sessions
+ * @returns {Array} [{ runSessionId, project, startedAt }]
+ */
+export function listOpenRunSessions() {
+  return Array.from(loadSessions().values());
+}
+
+/**
+ * Deal with the sessions left open by a previous server process
+ * @param {Function} decide - (session) => 'resume' (logs RUN_RESUMED), 'keep' (left open, nothing logged)
+ *   or anything else to close it with reason RUN_ABORTED
+ * @returns {Object} { resumed: [session], kept: [session], aborted: [session] }
+ */
+export function recoverRunSessions(decide = () => 'abort') {
+  const resumed = [];
+  const kept = [];
+  const aborted = [];
+  for (const session of listOpenRunSessions()) {
+    const action = decide(session);
+    if (action === 'resume') {
+      logEvent({ type: 'RUN_RESUMED', project: session.project, runSessionId: session.runSessionId, reason: 'server_restart' });
+      resumed.push(session);
+    } else if (action === 'keep') {
+      kept.push(session);
+    } else {
+      stopRunSession(session.project, 'RUN_ABORTED');
+      aborted.push(session);
+    }
+  }
+  return { resumed, kept, aborted };
 }
 
 export function logEvent(event) {
   const ts = new Date().toISOString();
-  const project = event.project || currentProject || 'unknown';
-  const runSessionId = event.runSessionId || currentRunSessionId || 'no-session';
+  const project = event.project || 'unknown';
+  const runSessionId = event.runSessionId || getCurrentRunSessionId(project) || 'no-session';
   
   const fullEvent = {
     ts,
@@ -68,13 +154,13 @@ export function logEvent(event) {
   };
   
   // Ensure runs directory exists
-  const runsDir = join(process.cwd(), 'data', 'runs');
-  if (!existsSync(runsDir)) {
-    mkdirSync(runsDir, { recursive: true });
+  const dir = runsDir();
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
   }
   
   // Write to JSONL file
-  const logPath = join(runsDir, `${project}.jsonl`);
+  const logPath = join(dir, `${project}.jsonl`);
   const line = JSON.stringify(fullEvent) + '\n';
   
   try {
@@ -92,7 +178,7 @@ export function logEvent(event) {
 }
 
 export function getRunEvents(project, runSessionId) {
-  const logPath = join(process.cwd(), 'data', 'runs', `${project}.jsonl`);
+  const logPath = join(runsDir(), `${project}.jsonl`);
   
   if (!existsSync(logPath)) {
     return [];
@@ -131,7 +217,7 @@ export function getLatestRunSessionId(project) {
 }
 
 export function listRunSessions(project, limit = 20) {
-  const logPath = join(process.cwd(), 'data', 'runs', `${project}.jsonl`);
+  const logPath = join(runsDir(), `${project}.jsonl`);
   
   if (!existsSync(logPath)) {
     return [];
@@ -160,7 +246,8 @@ export function listRunSessions(project, limit = 20) {
           runSessionId: sid,
           firstTs: event.ts,
           lastTs: event.ts,
-          eventsCount: 0
+          eventsCount: 0,
+          active: getCurrentRunSessionId(project) === sid
         });
       }
       
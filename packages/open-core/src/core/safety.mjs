@@ -2,7 +2,7 @@
  * Safety checks for bash commands
  */
 
-import { evaluateCommandPolicy } from './policy.mjs';
+import { evaluateCommandPolicy, evaluatePatchPolicy } from './policy.mjs';
 
 // Danger codes (stable enum for testing)
 export const DANGER_CODES = {
@@ -17,10 +17,11 @@ export const DANGER_CODES = {
  * Check if bash command is dangerous via Policy-as-Code rules.
  * @param {string} cmd - Bash command to check
  * @param {string} project - project id for context (optional)
- * @returns {Object} { danger: boolean, requiresApproval?: boolean, code?: string, reason?: string, action?: string }
+ * @param {Object} context - { projectRoot, cwd, now } for project/cwd/time-scoped rules (optional)
+ * @returns {Object} { danger: boolean, requiresApproval?: boolean, code?: string, reason?: string, action?: string, subCommand?: Object }
  */
-export function isDangerousBash(cmd, project = 'default') {
-  const result = evaluateCommandPolicy(cmd, project);
+export function isDangerousBash(cmd, project = 'default', context = {}) {
+  const result = evaluateCommandPolicy(cmd, project, context);
   if (result.action === 'allow') return { danger: false };
   const requiresApproval = result.action === 'approval';
   return {
@@ -30,5 +31,27 @@ export function isDangerousBash(cmd, project = 'default') {
     code: result.code,
     reason: result.reason,
     severity: result.severity,
+    subCommand: result.subCommand,
+  };
+}
+
+/**
+ * Check if an engineer patch touches protected paths (policy `paths` rules).
+ * @param {Array} files - paths the patch touches, relative to the project root
+ * @param {string} project - project id for context (optional)
+ * @param {Object} context - as for isDangerousBash (optional)
+ * @returns {Object} { danger: boolean, requiresApproval?, action?, code?, reason?, severity?, paths?: [matched files] }
+ */
+export function isProtectedPatch(files, project = 'default', context = {}) {
+  const result = evaluatePatchPolicy(files, project, context);
+  if (result.action === 'allow') return { danger: false };
+  return {
+    danger: true,
+    requiresApproval: result.action === 'approval',
+    action: result.action,
+    code: result.code,
+    reason: result.reason,
+    severity: result.severity,
+    paths: result.paths,
   };
 }
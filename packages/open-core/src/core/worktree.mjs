@@ -0,0 +1,285 @@
+/**
+ * Run Worktrees - an isolated git worktree per autopilot run
+ *
+ * A project with `isolation: "worktree"` in projects.json does not run in the
+ * developer's checkout. Each run session gets a worktree on a new branch
+ * (shipyard/<project>/<runSessionId>), created from the checkout's HEAD;
+ * uncommitted changes in the checkout are not carried over. When the run stops
+ * the worktree is kept until it is merged into the checkout's current branch
+ * (its changes are committed first) or discarded. gcWorktrees removes stopped
+ * worktrees older than the TTL; what they left is committed to their branch,
+ * and a branch that is not merged into the checkout is kept.
+ *
+ * Registry in data/worktrees.json:
+ *   { worktrees: [entry] }
+ *   entry = { id (run session id), project, repoRoot, subdir, path, cwd, branch, base,
+ *             status ('active' | 'stopped'), createdAt, stoppedAt, stopReason, changes }
+ * Merged and discarded worktrees leave the registry.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { dataPath } from './dataDir.mjs';
+
+const registryFile = () => dataPath('worktrees.json');
+// Outside any project repo: a worktree nested in a checkout would show up in its git status
+const worktreesDir = () => process.env.WORKTREES_DIR || path.join(os.homedir(), '.shipyard', 'worktrees');
+const GIT_TIMEOUT_MS = 60000;
+export const DEFAULT_WORKTREE_TTL_MS = 72 * 60 * 60 * 1000;
+
+let registry = null;
+let registryLoadedFrom = null; // the worktrees.json registry was read from
+
+function worktreeError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function safeName(value) {
+  return String(value).replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+function git(cwd, args, opts = {}) {
+  const r = spawnSync('git', args, { cwd, encoding: 'utf8', timeout: GIT_TIMEOUT_MS });
+  if (r.status !== 0) {
+    if (opts.allowFail) return null;
+    const detail = r.error?.message || [r.stderr, r.stdout].map(s => String(s || '').trim()).filter(Boolean).join('\n');
+    throw worktreeError(`git ${args[0]} failed: ${detail}`, 'WORKTREE_GIT_FAILED');
+  }
+  return opts.raw ? r.stdout : r.stdout.trim();
+}
+
+// Commit identity for checkouts without user.name/user.email configured
+function identityArgs(cwd) {
+  if (git(cwd, ['config', 'user.email'], { allowFail: true })) return [];
+  return ['-c', 'user.name=shipyard', '-c', 'user.email=shipyard@localhost'];
+}
+
+function loadRegistry() {
+  const file = registryFile();
+  if (registry && registryLoadedFrom === file) return registry;
+  registryLoadedFrom = file;
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    registry = { worktrees: Array.isArray(raw.worktrees) ? raw.worktrees : [] };
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('[worktree] Failed to read worktree registry:', e.message);
+    registry = { worktrees: [] };
+  }
+  return registry;
+}
+
+function saveRegistry() {
+  const reg = loadRegistry();
+  fs.mkdirSync(path.dirname(registryLoadedFrom), { recursive: true });
+  const tmp = `${registryLoadedFrom}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(reg, null, 2) + '\n');
+  fs.renameSync(tmp, registryLoadedFrom);
+}
+
+function dropEntry(entry) {
+  const reg = loadRegistry();
+  reg.worktrees = reg.worktrees.filter(w => w !== entry);
+  saveRegistry();
+}
+
+/**
+ * Worktrees in the registry
+ * @param {string} [project] - only this project's
+ * @returns {Array} entries, oldest first
+ */
+export function listWorktrees(project) {
+  const all = loadRegistry().worktrees;
+  return project ? all.filter(w => w.project === project) : all.slice();
+}
+
+/**
+ * The worktree the project's current run works in
+ * @param {string} project
+ * @returns {Object|null}
+ */
+export function getActiveWorktree(project) {
+  return loadRegistry().worktrees.find(w => w.project === project && w.status === 'active') || null;
+}
+
+function findStopped(project, id) {
+  const entry = loadRegistry().worktrees.filter(w => w.project === project && (!id || w.id === id)).pop();
+  if (!entry) throw worktreeError(`No worktree${id ? ` ${id}` : ''} for project ${project}`, 'WORKTREE_NOT_FOUND');
+  if (entry.status === 'active') throw worktreeError(`The run in ${entry.branch} is still active; stop it first`, 'WORKTREE_ACTIVE');
+  return entry;
+}
+
+/**
+ * Create the worktree of a run session on a new branch from the checkout's HEAD
+ * @param {string} project
+ * @param {string} cwd - the project's checkout directory (may be a subdirectory of the repo)
+ * @param {string} runSessionId
+ * @returns {Object} entry
+ */
+export function createRunWorktree(project, cwd, runSessionId) {
+  const repoRoot = git(cwd, ['rev-parse', '--show-toplevel'], { allowFail: true });
+  if (!repoRoot) throw worktreeError(`${cwd} is not inside a git repository`, 'WORKTREE_NOT_GIT');
+  const base = git(repoRoot, ['rev-parse', '--verify', '-q', 'HEAD'], { allowFail: true });
+  if (!base) throw worktreeError(`${repoRoot} has no commits to branch from`, 'WORKTREE_NOT_GIT');
+  const subdir = git(cwd, ['rev-parse', '--show-prefix']).replace(/\/$/, '');
+  const branch = `shipyard/${safeName(project)}/${safeName(runSessionId)}`;
+  const wtPath = path.join(worktreesDir(), safeName(project), safeName(runSessionId));
+  fs.mkdirSync(path.dirname(wtPath), { recursive: true });
+  git(repoRoot, ['worktree', 'add', '-b', branch, wtPath, base]);
+  const entry = {
+    id: runSessionId,
+    project,
+    repoRoot,
+    subdir,
+    path: wtPath,
+    cwd: subdir ? path.join(wtPath, subdir) : wtPath,
+    branch,
+    base,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    stoppedAt: null,
+    stopReason: null,
+    changes: null
+  };
+  loadRegistry().worktrees.push(entry);
+  saveRegistry();
+  return entry;
+}
+
+/**
+ * What a worktree changed: commits on its branch and uncommitted files
+ * @param {Object} entry
+ * @returns {Object} { commits, files: [path] }
+ */
+export function worktreeChanges(entry) {
+  if (!fs.existsSync(entry.path)) return { commits: 0, files: [] };
+  const commits = Number(git(entry.path, ['rev-list', '--count', `${entry.base}..HEAD`], { allowFail: true })) || 0;
+  const committed = git(entry.path, ['diff', '--name-only', entry.base, 'HEAD'], { allowFail: true }) || '';
+  const uncommitted = (git(entry.path, ['status', '--porcelain', '--untracked-files=all'], { allowFail: true, raw: true }) || '')
+    .split('\n').map(l => l.slice(3)).map(p => (p.includes(' -> ') ? p.split(' -> ')[1] : p));
+  const files = [...new Set([...committed.split('\n'), ...uncommitted].map(p => p.trim()).filter(Boolean))];
+  return { commits, files };
+}
+
+/**
+ * Mark the project's active worktree as stopped (kept until merged, discarded or collected)
+ * @param {string} project
+ * @param {string} reason
+ * @returns {Object|null} entry, or null when the project has no active worktree
+ */
+export function stopRunWorktree(project, reason = 'stopped') {
+  const entry = getActiveWorktree(project);
+  if (!entry) return null;
+  Object.assign(entry, { status: 'stopped', stoppedAt: new Date().toISOString(), stopReason: reason, changes: worktreeChanges(entry) });
+  saveRegistry();
+  return entry;
+}
+
+// Commit what the run left uncommitted in its worktree onto its branch
+function commitLeftovers(entry) {
+  git(entry.path, ['add', '-A']);
+  if (git(entry.path, ['status', '--porcelain'])) {
+    git(entry.path, [...identityArgs(entry.path), 'commit', '-q', '-m', `shipyard: run ${entry.id} (${entry.project})`]);
+  }
+}
+
+// --force: after a merge or a commit of the leftovers only ignored files (node_modules, build output) are left,
+// and a discard drops everything. Returns whether the branch is still there (-d keeps one that is not merged)
+function removeWorktree(entry, { keepUnmergedBranch }) {
+  if (fs.existsSync(entry.path)) {
+    git(entry.repoRoot, ['worktree', 'remove', '--force', entry.path]);
+  } else {
+    git(entry.repoRoot, ['worktree', 'prune'], { allowFail: true });
+  }
+  git(entry.repoRoot, ['branch', keepUnmergedBranch ? '-d' : '-D', entry.branch], { allowFail: true });
+  return git(entry.repoRoot, ['rev-parse', '--verify', '-q', `refs/heads/${entry.branch}`], { allowFail: true }) !== null;
+}
+
+/**
+ * Commit what the run left in its worktree and merge the branch into the checkout's current branch
+ * @param {string} project
+ * @param {string} [id] - run session id (default: the project's latest worktree)
+ * @returns {Object} { entry, commit, merged } - merged is false when there was nothing to merge
+ */
+export function mergeRunWorktree(project, id) {
+  const entry = findStopped(project, id);
+  if (!fs.existsSync(entry.path)) throw worktreeError(`Worktree ${entry.path} no longer exists`, 'WORKTREE_NOT_FOUND');
+  commitLeftovers(entry);
+  const commit = git(entry.path, ['rev-parse', 'HEAD']);
+  const merged = commit !== entry.base;
+  if (merged) {
+    const r = spawnSync('git', [...identityArgs(entry.repoRoot), 'merge', '--no-ff', '--no-edit', '-m', `Merge ${entry.branch}`, entry.branch], { cwd: entry.repoRoot, encoding: 'utf8', timeout: GIT_TIMEOUT_MS });
+    if (r.status !== 0) {
+      git(entry.repoRoot, ['merge', '--abort'], { allowFail: true });
+      const detail = [r.stderr, r.stdout].map(s => String(s || '').trim()).filter(Boolean).join('\n');
+      const err = worktreeError(`Could not merge ${entry.branch} into ${entry.repoRoot}; the checkout was left as it was and the worktree kept:\n${detail}`, 'WORKTREE_MERGE_FAILED');
+      err.branch = entry.branch;
+      throw err;
+    }
+  }
+  removeWorktree(entry, { keepUnmergedBranch: true });
+  dropEntry(entry);
+  return { entry, commit, merged };
+}
+
+/**
+ * Remove a stopped worktree and delete its branch
+ * @param {string} project
+ * @param {string} [id] - run session id (default: the project's latest worktree)
+ * @returns {Object} entry
+ */
+export function discardRunWorktree(project, id) {
+  const entry = findStopped(project, id);
+  removeWorktree(entry, { keepUnmergedBranch: false });
+  dropEntry(entry);
+  return entry;
+}
+
+/**
+ * Remove stopped worktrees older than the TTL and forget those whose directory is gone.
+ * What an expired worktree left is committed to its branch first; only a branch that is
+ * merged into the checkout is deleted, the others are kept for the developer
+ * @param {Object} opts - { ttlMs, now }
+ * @returns {Array} removed entries, each with `gcReason` ('expired' | 'missing') and `branchKept`
+ */
+export function gcWorktrees(opts = {}) {
+  const ttlMs = Number.isFinite(opts.ttlMs) ? opts.ttlMs : DEFAULT_WORKTREE_TTL_MS;
+  const now = opts.now || Date.now();
+  const removed = [];
+  for (const entry of listWorktrees()) {
+    if (entry.status === 'active') continue;
+    const missing = !fs.existsSync(entry.path);
+    const expired = now - Date.parse(entry.stoppedAt || entry.createdAt) > ttlMs;
+    if (!missing && !expired) continue;
+    let branchKept;
+    try {
+      if (!missing) commitLeftovers(entry);
+      branchKept = removeWorktree(entry, { keepUnmergedBranch: true });
+    } catch (e) {
+      console.error(`[worktree] Failed to remove ${entry.path}:`, e.message);
+      continue;
+    }
+    dropEntry(entry);
+    removed.push({ ...entry, gcReason: missing ? 'missing' : 'expired', branchKept });
+  }
+  return removed;
+}
+
+/**
+ * The run-log event of a worktree lifecycle step
+ * @param {string} type - WORKTREE_CREATED | WORKTREE_STOPPED | WORKTREE_MERGED | WORKTREE_DISCARDED | WORKTREE_GC
+ * @param {Object} entry
+ * @param {Object} [extra] - fields of the step (the merge commit, ...)
+ * @returns {Object} event for logEvent
+ */
+export function worktreeEvent(type, entry, extra = {}) {
+  const event = { type, project: entry.project, branch: entry.branch, path: entry.path };
+  if (type === 'WORKTREE_CREATED') event.base = entry.base;
+  if (type === 'WORKTREE_STOPPED') Object.assign(event, { reason: entry.stopReason, commits: entry.changes?.commits ?? 0, files: entry.changes?.files ?? [] });
+  if (type === 'WORKTREE_MERGED') event.into = entry.repoRoot;
+  if (type === 'WORKTREE_GC') Object.assign(event, { reason: entry.gcReason, branchKept: entry.branchKept });
+  return { ...event, ...extra };
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShellCommand } from '../../packages/open-core/src/core/commandParser.mjs';
+
+const binaries = (cmd) => parseShellCommand(cmd).commands.map(c => c.binary);
+const find = (cmd, binary) => parseShellCommand(cmd).commands.find(c => c.binary === binary);
+
+test('quotes, operators and bundled flags', () => {
+  const { commands } = parseShellCommand('cd "my dir" && rm -rf ./build || echo \'a; b\' | tee log');
+  assert.deepEqual(commands.map(c => c.binary), ['cd', 'rm', 'echo', 'tee']);
+  assert.deepEqual(commands[1].flags, ['-r', '-f']);
+  assert.deepEqual(commands[2].args, ['a; b']);
+  assert.equal(commands[3].pipeFrom, 'echo');
+});
+
+test('reserved words are not read as the binary', () => {
+  for (const cmd of [
+    'if true; then rm -rf /; fi',
+    'if [ -f x ]; then :; elif rm -rf /; then :; else rm -rf /; fi',
+    'for f in a b; do rm -rf /; done',
+    'while true; do rm -rf /; done',
+    'until false; do rm -rf /; done',
+    'case $x in a) rm -rf / ;; esac',
+    '! rm -rf /',
+    '{ rm -rf /; }'
+  ]) {
+    const list = binaries(cmd);
+    assert.ok(list.includes('rm'), cmd);
+    for (const word of ['if', 'then', 'elif', 'else', 'fi', 'for', 'do', 'done', 'while', 'until', 'case', 'esac', '!', '{', '}', 'a', 'f']) {
+      assert.ok(!list.includes(word), `${cmd} -> ${word}`);
+    }
+  }
+});
+
+test('loop and case headers still expose their substitutions', () => {
+  assert.deepEqual(find('for f in $(rm -rf /); do :; done', 'rm')?.context, ['substitution']);
+});
+
+test('a quoted reserved word is a command name', () => {
+  assert.deepEqual(binaries("'if' x"), ['if']);
+});
+
+test('here-strings fed to a shell are parsed as commands', () => {
+  const rm = find('bash <<< "rm -rf /"', 'rm');
+  assert.deepEqual(rm.flags, ['-r', '-f']);
+  assert.deepEqual(rm.context, ['bash <<<']);
+  assert.equal(find('cat <<< "rm -rf /"', 'rm'), undefined);
+});
+
+test('shell -c strings are parsed as commands', () => {
+  for (const cmd of ['bash -c "rm -rf /"', 'sh -c -- "rm -rf /"', 'sudo bash -lc "rm -rf /"', 'env X=1 sh -ec \'rm -rf /\'']) {
+    assert.deepEqual(find(cmd, 'rm')?.args, ['/'], cmd);
+  }
+});
+
+test('home and find -delete arguments are kept as written', () => {
+  assert.deepEqual(find('rm -rf ${HOME}', 'rm').args, ['${HOME}']);
+  const f = find('find / -name x -delete', 'find');
+  assert.ok(f.flags.includes('-delete'));
+  assert.deepEqual(f.args, ['/', 'x']);
+});
+
+test('wrappers and find -exec are unwrapped', () => {
+  assert.deepEqual(find('sudo -u root nice -n 5 rm -rf /', 'rm').context, ['sudo', 'nice']);
+  assert.deepEqual(find('find . -exec rm -rf {} +', 'rm').context, ['find -exec']);
+});
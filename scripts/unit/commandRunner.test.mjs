@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { buildSentinelCommand, parseSentinelOutput, simulateSentinelOutput, runInTerm, runSpawned } from '../../packages/open-core/src/core/commandRunner.mjs';
+
+// What a PTY echoes back for a written command: the typed lines, then the expanded markers
+function ptyOutput(cmd, id, body, code) {
+  return `$ ${buildSentinelCommand(cmd, id).replace(/\r/g, '\r\n')}` +
+    `\r\n__SHIPYARD:BEGIN:${id}:0__\r\n${body}\r\n__SHIPYARD:END:${id}:${code}__\r\n$ `;
+}
+
+test('the END sentinel carries the exit code', () => {
+  for (const code of [0, 1, 2, 127, 130]) {
+    const parsed = parseSentinelOutput(ptyOutput('npm test', 'c1', 'output', code), 'c1', 'npm test');
+    assert.equal(parsed.done, true);
+    assert.equal(parsed.exitCode, code);
+  }
+});
+
+test('output is read between the markers without the echo, prompt or ANSI codes', () => {
+  const body = '\x1b[32mok 1 - passes\x1b[0m\r\nok 2 - also';
+  const parsed = parseSentinelOutput(ptyOutput('node --test', 'c2', body, 0), 'c2', 'node --test');
+  assert.equal(parsed.output, 'ok 1 - passes\nok 2 - also');
+});
+
+test('output without an END marker is not done yet', () => {
+  const raw = ptyOutput('sleep 5', 'c3', '', 0);
+  assert.deepEqual(parseSentinelOutput(raw.slice(0, raw.indexOf('__SHIPYARD:END:c3')), 'c3', 'sleep 5'), { done: false, exitCode: null, output: '' });
+});
+
+test('markers of another command are ignored', () => {
+  assert.equal(parseSentinelOutput(ptyOutput('ls', 'other', 'x', 1), 'c4', 'ls').done, false);
+});
+
+test('runInTerm resolves from the sentinels a terminal prints', async () => {
+  let listener = null;
+  const term = {
+    onData(fn) { listener = fn; return { dispose() { listener = null; } }; },
+    write(data) { listener?.(simulateSentinelOutput(data)); }
+  };
+  const result = await runInTerm(term, 'echo hi', { commandId: 'c5', timeoutMs: 1000 });
+  assert.equal(result.exitCode, 0);
+  assert.equal(result.timedOut, false);
+  assert.equal(result.mode, 'pty');
+});
+
+test('runInTerm rejects as soon as the shell exits instead of waiting for the timeout', async () => {
+  let listener = null;
+  let onExit = null;
+  let disposed = 0;
+  const term = {
+    onData(fn) { listener = fn; return { dispose() { disposed++; } }; },
+    onExit(fn) { onExit = fn; return { dispose() { disposed++; } }; },
+    write() {
+      listener('\r\n__SHIPYARD:BEGIN:c6:0__\r\nbye\r\n');
+      sleep(10).then(() => onExit({ exitCode: 0 }));
+    }
+  };
+  const started = Date.now();
+  await assert.rejects(runInTerm(term, 'exit', { commandId: 'c6', timeoutMs: 60000 }), (err) => {
+    assert.equal(err.code, 'TERM_EXITED');
+    assert.equal(err.exitCode, 0);
+    assert.equal(err.stdout.trim(), 'bye');
+    return true;
+  });
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(disposed, 2);
+});
+
+test('runSpawned reports the exit code and keeps stderr apart', async () => {
+  const result = await runSpawned('echo out; echo err >&2; exit 3', { timeoutMs: 10000 });
+  assert.equal(result.exitCode, 3);
+  assert.equal(result.stdout, 'out\n');
+  assert.equal(result.stderr, 'err\n');
+});
+
+test('a runSpawned timeout also stops the processes the command started', async () => {
+  const result = await runSpawned('sleep 30 & echo $!; wait', { timeoutMs: 300 });
+  assert.equal(result.timedOut, true);
+  assert.equal(result.exitCode, null);
+  assert.ok(result.durationMs < 5000);
+  const child = Number(result.stdout.trim());
+  assert.ok(child > 0);
+  // the orphaned child is reaped by init, which can lag behind on a busy machine
+  const alive = () => { try { process.kill(child, 0); return true; } catch { return false; } };
+  for (let i = 0; i < 20 && alive(); i++) await sleep(100);
+  assert.throws(() => process.kill(child, 0), { code: 'ESRCH' });
+});
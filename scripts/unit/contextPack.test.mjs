@@ -0,0 +1,105 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { createContextSnapshot, parseGitignore, summarizeTree } from '../../packages/open-core/src/core/contextPack.mjs';
+
+const roots = [];
+after(() => { for (const dir of roots) fs.rmSync(dir, { recursive: true, force: true }); });
+
+// A repository on disk from { relPath: content }
+function repo(files, { git = false } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-context-'));
+  roots.push(root);
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+    fs.writeFileSync(path.join(root, rel), content);
+  }
+  if (git) {
+    const run = (...args) => execFileSync('git', args, { cwd: root });
+    run('init', '-q');
+    run('-c', 'user.name=t', '-c', 'user.email=t@localhost', 'add', '-A');
+    run('-c', 'user.name=t', '-c', 'user.email=t@localhost', 'commit', '-q', '-m', 'init');
+  }
+  return root;
+}
+
+const paths = (snapshot) => snapshot.files.map(f => f.path).sort();
+
+test('gitignore patterns without a slash match at any depth, with one are anchored', () => {
+  assert.deepEqual(parseGitignore('# comment\n\n*.log\n/build\ndocs/out/\n!keep.log\n'), [
+    { pattern: '**/*.log', negate: false, dirOnly: false },
+    { pattern: 'build', negate: false, dirOnly: false },
+    { pattern: 'docs/out', negate: false, dirOnly: true },
+    { pattern: '**/keep.log', negate: true, dirOnly: false }
+  ]);
+  assert.deepEqual(parseGitignore('tmp\n/gen\n', 'pkg'), [
+    { pattern: 'pkg/**/tmp', negate: false, dirOnly: false },
+    { pattern: 'pkg/gen', negate: false, dirOnly: false }
+  ]);
+});
+
+test('ignored files stay out, negated ones come back, nested gitignores apply to their directory', async () => {
+  const root = repo({
+    '.gitignore': '*.log\n!keep.log\n/build\ncache/\n',
+    'a.js': 'a',
+    'debug.log': 'x',
+    'keep.log': 'kept',
+    'build/out.js': 'x',
+    'src/build/util.js': 'not anchored to src',
+    'src/cache/x.js': 'x',
+    'pkg/.gitignore': 'gen.js\n',
+    'pkg/gen.js': 'x',
+    'gen.js': 'outside pkg'
+  });
+  const snapshot = await createContextSnapshot(root);
+  assert.deepEqual(paths(snapshot), ['.gitignore', 'a.js', 'gen.js', 'keep.log', 'pkg/.gitignore', 'src/build/util.js']);
+  assert.ok(snapshot.stats.ignored >= 4);
+});
+
+test('include and exclude globs, ** included', async () => {
+  const root = repo({ 'src/a.ts': 'a', 'src/deep/b.ts': 'b', 'src/deep/b.test.ts': 't', 'src/c.js': 'c', 'docs/d.md': 'd' });
+  const snapshot = await createContextSnapshot(root, { includeGlobs: 'src/**/*.ts', excludeGlobs: ['**/*.test.ts'] });
+  assert.deepEqual(paths(snapshot), ['src/a.ts', 'src/deep/b.ts']);
+  assert.equal(snapshot.stats.excluded, 3);
+});
+
+test('binary files are skipped', async () => {
+  const root = repo({ 'logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]), 'a.txt': 'text' });
+  const snapshot = await createContextSnapshot(root);
+  assert.deepEqual(paths(snapshot), ['a.txt']);
+  assert.equal(snapshot.stats.binary, 1);
+});
+
+test('file contents stay within maxFileBytes and the maxBytes budget', async () => {
+  const root = repo({ 'a.txt': 'a'.repeat(100), 'b.txt': 'b'.repeat(100), 'c.txt': 'c'.repeat(100) });
+  const snapshot = await createContextSnapshot(root, { maxFileBytes: 60, maxBytes: 100 });
+  assert.deepEqual(snapshot.files.map(f => [f.path, f.content.length, f.truncated]), [['a.txt', 60, true], ['b.txt', 40, true]]);
+  assert.equal(snapshot.stats.bytes, 100);
+  assert.equal(snapshot.stats.overBudget, 1);
+  assert.equal((await createContextSnapshot(root, { maxFiles: 1 })).files.length, 1);
+});
+
+test('uncommitted, task-named and recently committed files rank first', async () => {
+  const root = repo({ 'a/old.js': 'x', 'b/billing.js': 'x', 'c/other.js': 'x', 'd/touched.js': 'x' }, { git: true });
+  fs.writeFileSync(path.join(root, 'd/touched.js'), 'changed');
+  const snapshot = await createContextSnapshot(root, { task: { title: 'Fix the billing export' } });
+  assert.deepEqual(snapshot.terms, ['fix', 'billing', 'export']);
+  assert.deepEqual(snapshot.files.map(f => [f.path, f.reasons]), [
+    ['d/touched.js', ['uncommitted', 'commit-0']],
+    ['b/billing.js', ['name:billing', 'commit-0']],
+    ['a/old.js', ['commit-0']],
+    ['c/other.js', ['commit-0']]
+  ]);
+  assert.ok(snapshot.files.every((f, i, all) => i === 0 || all[i - 1].score >= f.score));
+});
+
+test('the tree summary counts files per directory down to the depth', () => {
+  assert.equal(summarizeTree(['README.md', 'src/a.js', 'src/core/b.js', 'src/core/deep/c.js'], 2), [
+    './ (4 files, 1 at top level)',
+    '  src/ (3 files)',
+    '    core/ (2 files)'
+  ].join('\n'));
+});
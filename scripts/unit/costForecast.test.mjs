@@ -0,0 +1,85 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import { appendCostEntry } from '../../packages/open-core/src/core/costLedger.mjs';
+import { calculateCost } from '../../packages/open-core/src/core/pricing.mjs';
+import { logEvent } from '../../packages/open-core/src/core/runlog.mjs';
+import { collectTaskSamples, forecastPlanCost } from '../../packages/open-core/src/core/costForecast.mjs';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-forecast-'));
+after(() => {
+  setDataDir(null);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// A fresh data dir (built-in pricing: gpt-5-mini input is 0.25 USD per 1M tokens)
+let n = 0;
+function freshHistory() {
+  setDataDir(path.join(root, String(++n)));
+}
+
+// One finished task that cost `twd` (at usdToTwd 1) over two ledger entries
+function finishedTask(project, taskId, twd, { points, finished = true } = {}) {
+  const half = { input_tokens: twd * 2_000_000, output_tokens: 0 };
+  for (const role of ['engineer', 'pm']) {
+    appendCostEntry({ project, taskId, role, model: 'gpt-5-mini', price: calculateCost('gpt-5-mini', half, { usdToTwd: 1 }) });
+  }
+  if (points !== undefined) logEvent({ type: 'TASK_STARTED', project, taskId, points });
+  if (finished) logEvent({ type: 'TASK_FINISHED', project, taskId, status: 'done' });
+}
+
+const todo = (...points) => ({ tasks: points.map((p, i) => ({ id: `n${i}`, points: p, status: 'todo' })) });
+
+test('each finished task with ledger entries is one sample', () => {
+  freshHistory();
+  finishedTask('web', 't1', 2, { points: 3 });
+  finishedTask('web', 't2', 1);
+  finishedTask('web', 't3', 5, { finished: false });
+  appendCostEntry({ project: 'web', taskId: 't4', model: 'gpt-5-mini', legacy: true, price: calculateCost('gpt-5-mini', { input_tokens: 4_000_000 }, { usdToTwd: 1 }) });
+  logEvent({ type: 'TASK_FINISHED', project: 'web', taskId: 't4' });
+
+  const samples = collectTaskSamples({ usdToTwd: 1, planFor: () => ({ tasks: [{ id: 't1', points: 8 }, { id: 't2', points: 2 }] }) });
+  assert.deepEqual(samples.map(s => [s.taskId, s.points, s.cost]), [['t1', 3, 2], ['t2', 2, 1]]);
+  assert.deepEqual(samples[0].models, { 'gpt-5-mini': { tokens: 8_000_000, cost: 2 } });
+});
+
+test('with no history the per-point prior applies and p90 doubles it', () => {
+  freshHistory();
+  const forecast = forecastPlanCost(todo(1, 2), { project: 'web', usdToTwd: 1, models: { engineer: 'gpt-5-mini', pm: 'gpt-5-mini' } });
+  const perPoint = ((3000 + 1500) * 0.25 + (800 + 300) * 2) / 1e6;
+  assert.equal(forecast.basis, 'default');
+  assert.equal(forecast.samples, 0);
+  assert.ok(Math.abs(forecast.expected - perPoint * 3) < 1e-12);
+  assert.equal(forecast.p90, forecast.expected * 2);
+  assert.deepEqual(Object.keys(forecast.byModel), ['gpt-5-mini']);
+  assert.equal(forecast.byPoints[2].source, 'default');
+});
+
+test('tasks draw from samples with the same points, else from all samples scaled', () => {
+  freshHistory();
+  for (const [id, twd] of [['a', 1], ['b', 2], ['c', 3]]) finishedTask('web', id, twd, { points: 1 });
+  finishedTask('web', 'd', 10, { points: 5 });
+  const plan = { tasks: [...todo(1, 2).tasks, { id: 'x', points: 1, status: 'done' }] };
+  const forecast = forecastPlanCost(plan, { project: 'web', usdToTwd: 1 });
+  assert.equal(forecast.basis, 'project');
+  assert.equal(forecast.tasks, 2);
+  assert.equal(forecast.points, 3);
+  assert.deepEqual(forecast.byPoints[1], { tasks: 1, samples: 3, source: 'points', expectedPerTask: 2 });
+  assert.deepEqual(forecast.byPoints[2], { tasks: 1, samples: 4, source: 'scaled', expectedPerTask: (2 + 4 + 6 + 4) / 4 });
+  assert.equal(forecast.expected, 6);
+  assert.ok(forecast.p90 >= forecast.expected && forecast.p90 <= 3 + 6);
+});
+
+test('a project with little history borrows all projects\' samples, and the same history gives the same p90', () => {
+  freshHistory();
+  for (const [id, twd] of [['a', 1], ['b', 4], ['c', 7]]) finishedTask('api', id, twd, { points: 1 });
+  finishedTask('web', 'w1', 2, { points: 1 });
+  const forecast = forecastPlanCost(todo(1, 1, 1), { project: 'web', usdToTwd: 1 });
+  assert.equal(forecast.basis, 'all');
+  assert.equal(forecast.samples, 4);
+  assert.equal(forecast.expected, 3 * 3.5);
+  assert.equal(forecastPlanCost(todo(1, 1, 1), { project: 'web', usdToTwd: 1 }).p90, forecast.p90);
+});
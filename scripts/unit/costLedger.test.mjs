@@ -0,0 +1,104 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import { appendCostEntry, readCostLedger, getProjectCost, migrateLegacyCostStores } from '../../packages/open-core/src/core/costLedger.mjs';
+import { getBudgetPeriod, evaluateBudget, getProjectBudget, saveProjectBudget, DEFAULT_BUDGET } from '../../packages/open-core/src/core/budget.mjs';
+import { calculateCost } from '../../packages/open-core/src/core/pricing.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-ledger-'));
+setDataDir(dir);
+after(() => {
+  setDataDir(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const LEDGER = path.join(dir, 'cost_ledger.jsonl');
+const usage = { input_tokens: 1000, output_tokens: 500, total_tokens: 1500 };
+const charge = (project, ts, extra = {}) => appendCostEntry({ project, model: 'gpt-5-mini', ts, price: calculateCost('gpt-5-mini', usage, { usdToTwd: 30 }), ...extra });
+
+test('legacy stores are imported once, dated by their last write', () => {
+  fs.mkdirSync(path.join(dir, 'usage'), { recursive: true });
+  const costFile = path.join(dir, 'cost.json');
+  fs.writeFileSync(costFile, JSON.stringify({
+    a: { updatedAt: '2025-01-15T10:00:00.000Z', models: { 'gpt-5-mini': usage } },
+    b: { models: { 'gpt-5-mini': usage } }
+  }));
+  fs.writeFileSync(path.join(dir, 'usage', 'a.json'), JSON.stringify({
+    projectId: 'a',
+    updatedAt: '2025-02-01T00:00:00.000Z',
+    totals: { 'gpt-5-mini': { ...usage, cost_usd: 9, cost_twd: 270 }, 'other-model': { ...usage, cost_usd: 1, cost_twd: 30 } }
+  }));
+
+  assert.deepEqual(migrateLegacyCostStores({ usdToTwd: 30 }), { migrated: true, entries: 3 });
+  const entries = readCostLedger();
+  assert.ok(entries.every(e => e.legacy === true));
+  assert.deepEqual(entries.map(e => [e.project, e.model, e.ts]), [
+    ['a', 'gpt-5-mini', '2025-01-15T10:00:00.000Z'],
+    ['b', 'gpt-5-mini', '1970-01-01T00:00:00.000Z'],
+    ['a', 'other-model', '2025-02-01T00:00:00.000Z']
+  ]);
+  assert.equal(entries[2].twd, 30);
+  assert.equal(migrateLegacyCostStores({ costFile }).migrated, false);
+});
+
+test('period totals leave legacy entries out, lifetime totals keep them', () => {
+  const now = new Date();
+  charge('a', now.toISOString());
+  const lifetime = getProjectCost('a');
+  const period = getProjectCost('a', { since: new Date(0).toISOString() });
+  assert.equal(lifetime.calls, 3);
+  assert.equal(period.calls, 1);
+  assert.equal(getProjectCost('a', { until: now.toISOString() }).calls, 0);
+});
+
+test('lines appended by another writer are picked up, a partial line waits', () => {
+  const before = readCostLedger({ project: 'c' }).length;
+  const line = JSON.stringify({ ts: new Date().toISOString(), project: 'c', model: 'x', calls: 1, twd: 5, usd: 0.1, priced: true });
+  fs.appendFileSync(LEDGER, line.slice(0, 20));
+  assert.equal(readCostLedger({ project: 'c' }).length, before);
+  fs.appendFileSync(LEDGER, line.slice(20) + '\n');
+  assert.equal(readCostLedger({ project: 'c' }).length, before + 1);
+  assert.equal(getProjectCost('c').cost_twd, 5);
+});
+
+test('a replaced ledger is read again from the start', () => {
+  const copy = `${LEDGER}.new`;
+  fs.writeFileSync(copy, JSON.stringify({ ts: new Date().toISOString(), project: 'd', model: 'x', calls: 1, twd: 1 }) + '\n');
+  fs.renameSync(copy, LEDGER);
+  assert.deepEqual(readCostLedger().map(e => e.project), ['d']);
+});
+
+test('monthly and weekly periods start on the 1st and on Monday', () => {
+  const now = new Date('2026-03-18T12:00:00Z'); // a Wednesday
+  const monthly = getBudgetPeriod({ ...DEFAULT_BUDGET, period: 'monthly', utc: true }, now);
+  assert.deepEqual(monthly, { period: 'monthly', start: '2026-03-01T00:00:00.000Z', end: '2026-04-01T00:00:00.000Z', previousStart: '2026-02-01T00:00:00.000Z' });
+  const weekly = getBudgetPeriod({ ...DEFAULT_BUDGET, period: 'weekly', utc: true }, now);
+  assert.equal(weekly.start, '2026-03-16T00:00:00.000Z');
+  assert.equal(weekly.previousStart, '2026-03-09T00:00:00.000Z');
+  assert.equal(getBudgetPeriod({ ...DEFAULT_BUDGET, period: 'lifetime' }, now).start, null);
+});
+
+test('rollover adds what the previous period left unspent', () => {
+  const budget = { ...DEFAULT_BUDGET, amount: 100, period: 'monthly', rollover: true, utc: true };
+  const status = evaluateBudget(budget, { spent: 150, previousSpent: 40, now: new Date('2026-03-18T12:00:00Z') });
+  assert.equal(status.carriedOver, 60);
+  assert.equal(status.remaining, 10);
+  assert.equal(status.exceeded, false);
+  assert.equal(status.crossed, 0.8);
+  assert.equal(evaluateBudget(budget, { spent: 100, previousSpent: 120 }).exceeded, true);
+});
+
+test('budgets are saved to the data dir and merged over the default', () => {
+  assert.equal(getProjectBudget('web', { amount: 50 }).source, 'fallback');
+  assert.equal(saveProjectBudget(null, { amount: 200, period: 'monthly' }).ok, true);
+  assert.equal(saveProjectBudget('web', { amount: 500 }).budget.amount, 500);
+  assert.equal(saveProjectBudget('web', { period: 'hourly' }).ok, false);
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'budgets.json'), 'utf8'));
+  assert.deepEqual(saved.projects.web, { amount: 500 });
+  const web = getProjectBudget('web');
+  assert.deepEqual([web.amount, web.period, web.source], [500, 'monthly', 'project']);
+  assert.equal(getProjectBudget('api').source, 'default');
+});
@@ -0,0 +1,92 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import {
+  loadEngineerMemory, saveEngineerMemory, clearEngineerMemory, createEngineerMemory,
+  addMemoryTurn, compactMemory, renderMemory, memoryStats, estimateTokens
+} from '../../packages/open-core/src/core/engineerMemory.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-memory-'));
+setDataDir(dir);
+after(() => {
+  setDataDir(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const turn = (n, extra = {}) => ({
+  taskId: `t${n}`,
+  title: `Task ${n}`,
+  bash: `npm run step-${n}`,
+  summary: `step ${n}`,
+  result: { exitCode: 0, stdout: 'x'.repeat(400) },
+  verification: { done: true, notes: `step ${n} ok` },
+  ts: `2026-05-0${n}T00:00:00.000Z`,
+  ...extra
+});
+
+test('a turn keeps what was proposed, what ran and the verdict', () => {
+  const memory = createEngineerMemory('web');
+  const { turn: entry, folded } = addMemoryTurn(memory, turn(1, {
+    patch: 'p'.repeat(2000),
+    result: { exitCode: 2, timedOut: false, stdout: 'FAIL a.test.js', stderr: 'boom' },
+    verification: { done: false, blocked: true, notes: 'tests fail' }
+  }));
+  assert.equal(folded, 0);
+  assert.equal(entry.exitCode, 2);
+  assert.equal(entry.output, 'FAIL a.test.js\nstderr:\nboom');
+  assert.equal(entry.patch.length, 1503);
+  assert.ok(entry.patch.startsWith('...'));
+  assert.deepEqual(entry.verification, { done: false, blocked: true, notes: 'tests fail' });
+  assert.equal(memory.updatedAt, '2026-05-01T00:00:00.000Z');
+
+  const text = renderMemory(memory);
+  assert.match(text, /^Recent tasks:\n### Task t1: Task 1\nEngineer: step 1\n\$ npm run step-1\n\[exit 2\]\nFAIL a\.test\.js/);
+  assert.match(text, /PM verification: blocked - tests fail$/);
+});
+
+test('over budget the oldest turns fold into summary lines, the last two stay whole', () => {
+  const memory = createEngineerMemory('web');
+  let folded = 0;
+  for (let n = 1; n <= 5; n++) folded += addMemoryTurn(memory, turn(n), 300).folded;
+  assert.equal(folded, 3);
+  assert.deepEqual(memory.turns.map(t => t.taskId), ['t4', 't5']);
+  assert.equal(memory.summarizedTurns, 3);
+  assert.ok(memory.summary.length >= 1);
+  assert.equal(memory.summary.at(-1), '- [done] t3 "Task 3": ran `npm run step-3` (exit 0) - step 3 ok');
+  assert.ok(renderMemory(memory).startsWith('Earlier tasks (summarized):\n'));
+});
+
+test('with a tiny budget the oldest summary lines are dropped, one always stays', () => {
+  const memory = createEngineerMemory('web');
+  for (let n = 1; n <= 4; n++) addMemoryTurn(memory, turn(n), 1_000_000);
+  compactMemory(memory, 10);
+  assert.equal(memory.turns.length, 2);
+  assert.equal(memory.summary.length, 1);
+  assert.match(memory.summary[0], /t2/);
+  assert.equal(memoryStats(memory, 10).summarizedTurns, 2);
+});
+
+test('memory is saved per project in the data dir and can be cleared', () => {
+  const memory = loadEngineerMemory('web/app');
+  assert.deepEqual(memory, createEngineerMemory('web/app'));
+  addMemoryTurn(memory, turn(1));
+  saveEngineerMemory(memory);
+  assert.ok(fs.existsSync(path.join(dir, 'engineer_memory', 'web_app.json')));
+  assert.deepEqual(loadEngineerMemory('web/app').turns, memory.turns);
+  assert.deepEqual(memoryStats(loadEngineerMemory('web/app')), {
+    turns: 1, summarizedTurns: 0, summaryLines: 0, tokens: estimateTokens(renderMemory(memory)), budgetTokens: 4000, updatedAt: '2026-05-01T00:00:00.000Z'
+  });
+  assert.deepEqual(clearEngineerMemory('web/app'), createEngineerMemory('web/app'));
+  assert.equal(loadEngineerMemory('web/app').turns.length, 0);
+});
+
+test('an unreadable memory file starts empty', (t) => {
+  t.mock.method(console, 'error', () => {});
+  fs.mkdirSync(path.join(dir, 'engineer_memory'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'engineer_memory', 'broken.json'), '{');
+  assert.deepEqual(loadEngineerMemory('broken'), createEngineerMemory('broken'));
+  assert.equal(console.error.mock.callCount(), 1);
+});
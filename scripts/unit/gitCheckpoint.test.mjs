@@ -0,0 +1,56 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import { beginTaskCheckpoint, endTaskCheckpoint, rollbackTask, isGitWorkTree } from '../../packages/open-core/src/core/gitCheckpoint.mjs';
+
+// Repositories and the checkpoint store live in one temp dir
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-checkpoint-'));
+setDataDir(path.join(dir, 'data'));
+after(() => {
+  setDataDir(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function repo(name) {
+  const cwd = path.join(dir, name);
+  fs.mkdirSync(cwd);
+  execFileSync('git', ['init', '-q'], { cwd });
+  fs.writeFileSync(path.join(cwd, 'a.txt'), 'one\n');
+  return cwd;
+}
+
+test('a task changeset is recorded and rolled back', async () => {
+  const cwd = repo('round-trip');
+  assert.equal((await beginTaskCheckpoint('p', cwd, { id: 't1', title: 'edit' })).status, 'running');
+  fs.writeFileSync(path.join(cwd, 'a.txt'), 'two\n');
+  fs.writeFileSync(path.join(cwd, 'b.txt'), 'new\n');
+  const entry = await endTaskCheckpoint('p', 't1', 'done');
+  assert.deepEqual(entry.files.map(f => [f.path, f.status]), [['a.txt', 'M'], ['b.txt', 'A']]);
+  const stored = JSON.parse(fs.readFileSync(path.join(dir, 'data', 'checkpoints', 'p.json'), 'utf8'));
+  assert.deepEqual(stored.entries.map(e => e.taskId), ['t1']);
+
+  await rollbackTask('p', 't1', { actor: 'ana' });
+  assert.equal(fs.readFileSync(path.join(cwd, 'a.txt'), 'utf8'), 'one\n');
+  assert.equal(fs.existsSync(path.join(cwd, 'b.txt')), false);
+  await assert.rejects(rollbackTask('p', 't1'), { code: 'ROLLBACK_DONE' });
+});
+
+test('a rollback is refused when the files changed since the task', async () => {
+  const cwd = repo('dirty');
+  await beginTaskCheckpoint('q', cwd, { id: 't1' });
+  fs.writeFileSync(path.join(cwd, 'a.txt'), 'two\n');
+  await endTaskCheckpoint('q', 't1', 'done');
+  fs.writeFileSync(path.join(cwd, 'a.txt'), 'edited by hand\n');
+  await assert.rejects(rollbackTask('q', 't1'), { code: 'ROLLBACK_DIRTY', files: ['a.txt'] });
+});
+
+test('a directory outside git gets no checkpoint', async () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-nogit-'));
+  after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+  assert.equal(await isGitWorkTree(cwd), false);
+  assert.equal(await beginTaskCheckpoint('r', cwd, { id: 't1' }), null);
+});
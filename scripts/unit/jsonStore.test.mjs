@@ -0,0 +1,87 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setImmediate as tick } from 'node:timers/promises';
+import { readJsonStore, writeJsonStore, updateJsonStore } from '../../packages/open-core/src/core/jsonStore.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-store-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let n = 0;
+const storeFile = () => path.join(dir, `store-${++n}`, 'state.json');
+const corruptCopies = (file) => fs.readdirSync(path.dirname(file)).filter(f => f.startsWith('state.json.bak.corrupt-'));
+
+test('each write keeps the previous versions as rotating backups', () => {
+  const file = storeFile();
+  for (let v = 1; v <= 5; v++) writeJsonStore(file, { v });
+  assert.deepEqual(readJsonStore(file), { v: 5 });
+  assert.deepEqual([1, 2, 3].map(k => JSON.parse(fs.readFileSync(`${file}.bak.${k}`, 'utf8')).v), [4, 3, 2]);
+  assert.equal(fs.existsSync(`${file}.bak.4`), false);
+});
+
+test('a corrupt file is moved aside and the newest good backup restored', () => {
+  const file = storeFile();
+  writeJsonStore(file, { v: 1 });
+  writeJsonStore(file, { v: 2 });
+  fs.writeFileSync(file, '{"v": 3, "trunc');
+  assert.deepEqual(readJsonStore(file), { v: 1 });
+  const [aside] = corruptCopies(file);
+  assert.equal(fs.readFileSync(path.join(path.dirname(file), aside), 'utf8'), '{"v": 3, "trunc');
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { schemaVersion: 1, v: 1 });
+});
+
+test('a backup that does not parse is skipped', () => {
+  const file = storeFile();
+  for (let v = 1; v <= 3; v++) writeJsonStore(file, { v });
+  fs.writeFileSync(`${file}.bak.1`, 'not json');
+  fs.writeFileSync(file, '[]');
+  assert.deepEqual(readJsonStore(file), { v: 1 });
+});
+
+test('with no good backup the defaults are returned and the broken file kept', () => {
+  const file = storeFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{');
+  assert.deepEqual(readJsonStore(file, { defaults: () => ({ tasks: [] }) }), { tasks: [] });
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(corruptCopies(file).length, 1);
+});
+
+test('a corrupt file never becomes a backup', () => {
+  const file = storeFile();
+  writeJsonStore(file, { v: 1 });
+  writeJsonStore(file, { v: 2 });
+  fs.writeFileSync(file, 'garbage');
+  writeJsonStore(file, { v: 3 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak.1`, 'utf8')), { schemaVersion: 1, v: 1 });
+  assert.equal(fs.existsSync(`${file}.bak.2`), false);
+});
+
+test('older documents are migrated on read', () => {
+  const file = storeFile();
+  writeJsonStore(file, { name: 'a' }, { version: 1 });
+  const doc = readJsonStore(file, { version: 3, migrations: { 1: d => ({ ...d, tags: [] }), 2: (d) => { d.name = d.name.toUpperCase(); } } });
+  assert.deepEqual(doc, { name: 'A', tags: [] });
+});
+
+test('concurrent updates are applied one after the other', async () => {
+  const file = storeFile();
+  writeJsonStore(file, { count: 0 });
+  await Promise.all(Array.from({ length: 10 }, () => updateJsonStore(file, async (doc) => {
+    const seen = doc.count;
+    await tick();
+    doc.count = seen + 1;
+  })));
+  assert.equal(readJsonStore(file).count, 10);
+});
+
+test('an update that recovers from a corrupt file writes on top of the restored backup', async () => {
+  const file = storeFile();
+  writeJsonStore(file, { items: ['a'] });
+  writeJsonStore(file, { items: ['a', 'b'] });
+  fs.writeFileSync(file, '');
+  const doc = await updateJsonStore(file, (d) => { d.items.push('c'); });
+  assert.deepEqual(doc.items, ['a', 'c']);
+  assert.deepEqual(readJsonStore(file).items, ['a', 'c']);
+});
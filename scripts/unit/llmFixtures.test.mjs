@@ -0,0 +1,46 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import { fixtureKey, createProvider, recordingProvider } from '../../packages/open-core/src/core/llmProviders.mjs';
+
+// The default fixture directory is <data dir>/llm_fixtures
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-fixtures-'));
+setDataDir(dir);
+after(() => {
+  setDataDir(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('timestamps, durations and run ids do not change the key', () => {
+  const recorded = fixtureKey('m', 'System at 2026-01-02T03:04:05.678Z', 'run_1712345678_ab12cd finished in 42ms');
+  assert.equal(fixtureKey('m', 'System at 2026-10-19T11:22:33+02:00', 'run_1799999999_zz99 finished in 7ms'), recorded);
+  assert.match(recorded, /^[0-9a-f]{64}$/);
+});
+
+test('model, prompt text and numbers that are not durations change the key', () => {
+  const base = fixtureKey('m', 'sys', 'estimate 3 points');
+  assert.notEqual(fixtureKey('other', 'sys', 'estimate 3 points'), base);
+  assert.notEqual(fixtureKey('m', 'sys2', 'estimate 3 points'), base);
+  assert.notEqual(fixtureKey('m', 'sys', 'estimate 5 points'), base);
+  assert.notEqual(fixtureKey('m', 'sys', 'estimate 3 points 2026-01-02'), base);
+});
+
+test('system and user text are keyed apart', () => {
+  assert.notEqual(fixtureKey('m', 'a', 'b'), fixtureKey('m', 'ab', ''));
+  assert.equal(fixtureKey('m', undefined, null), fixtureKey('m', '', ''));
+});
+
+test('a recorded answer replays for a request that differs only in masked values', async () => {
+  const live = { name: 'live', type: 'openai', async completeJSON() { return { text: '{"ok":true}', usage: { prompt_tokens: 3, completion_tokens: 2 } }; } };
+  await recordingProvider(live).completeJSON({ model: 'm', system: 's', user: 'started 2026-01-02T03:04:05Z' });
+  assert.equal(fs.readdirSync(path.join(dir, 'llm_fixtures')).length, 1);
+
+  const replay = createProvider('fixture', { type: 'fixture' });
+  const result = await replay.completeJSON({ model: 'm', system: 's', user: 'started 2026-03-04T05:06:07Z' });
+  assert.equal(result.text, '{"ok":true}');
+  assert.equal(result.usage.total_tokens, 5);
+  await assert.rejects(replay.completeJSON({ model: 'm', system: 's', user: 'something else' }), { code: 'FIXTURE_MISSING' });
+});
@@ -0,0 +1,138 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import {
+  normalizeUsage, validateProviders, loadProviders, resolveRoleLLM, createProvider,
+  getProvider, getRoleProvider, fixturesDir, clearProviderCache
+} from '../../packages/open-core/src/core/llmProviders.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-providers-'));
+const PROVIDERS_FILE = path.join(dir, 'llm_providers.json');
+setDataDir(dir);
+after(() => {
+  setDataDir(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+beforeEach(() => {
+  fs.rmSync(PROVIDERS_FILE, { force: true });
+  clearProviderCache();
+});
+
+// Stand-in for the OpenAI SDK: records the client options and each request
+function fakeSdk(reply) {
+  const calls = [];
+  class OpenAI {
+    constructor(options) {
+      calls.push({ options });
+      this.responses = { create: async (body) => { calls.push({ responses: body }); return reply; } };
+      this.chat = { completions: { create: async (body) => { calls.push({ chat: body }); return reply; } } };
+    }
+  }
+  return { OpenAI, calls };
+}
+
+test('usage from every backend comes out in the ledger shape', () => {
+  assert.deepEqual(normalizeUsage({ input_tokens: 10, output_tokens: 5, input_tokens_details: { cached_tokens: 4 } }),
+    { input_tokens: 10, output_tokens: 5, total_tokens: 15, cached_input_tokens: 4 });
+  assert.deepEqual(normalizeUsage({ prompt_tokens: 7, completion_tokens: 3, total_tokens: 11, prompt_tokens_details: { cached_tokens: 2 } }),
+    { input_tokens: 7, output_tokens: 3, total_tokens: 11, cached_input_tokens: 2 });
+  assert.deepEqual(normalizeUsage({ prompt_eval_count: 8, eval_count: 4 }),
+    { input_tokens: 8, output_tokens: 4, total_tokens: 12, cached_input_tokens: 0 });
+  assert.deepEqual(normalizeUsage(null), { input_tokens: 0, output_tokens: 0, total_tokens: 0, cached_input_tokens: 0 });
+});
+
+test('provider documents are validated field by field', () => {
+  assert.deepEqual(validateProviders({ providers: [] }), [{ provider: null, field: 'providers', message: 'must be an object keyed by provider name' }]);
+  const errors = validateProviders({
+    providers: {
+      a: { type: 'grpc' },
+      b: { type: 'openai-compatible' },
+      c: { type: 'openai-compatible', baseURL: 'ftp://x', jsonMode: 'no', apiKeyEnv: 3 }
+    }
+  });
+  assert.deepEqual(errors.map(e => `${e.provider}.${e.field}`), ['a.type', 'b.baseURL', 'c.baseURL', 'c.apiKeyEnv', 'c.jsonMode']);
+});
+
+test('the providers file is merged over the built-ins, an invalid one is ignored', (t) => {
+  t.mock.method(console, 'error', () => {});
+  assert.deepEqual(Object.keys(loadProviders({})), ['openai', 'fixture']);
+  assert.deepEqual(loadProviders({ LLM_BASE_URL: 'http://localhost:8080/v1' }).local, { type: 'openai-compatible', baseURL: 'http://localhost:8080/v1', apiKeyEnv: 'LLM_API_KEY' });
+
+  fs.writeFileSync(PROVIDERS_FILE, JSON.stringify({ providers: { ollama: { type: 'openai-compatible', baseURL: 'http://localhost:11434/v1' } } }));
+  assert.equal(loadProviders({}).ollama.baseURL, 'http://localhost:11434/v1');
+  fs.writeFileSync(PROVIDERS_FILE, JSON.stringify({ providers: { ollama: { type: 'openai-compatible' } } }));
+  assert.equal(loadProviders({}).ollama, undefined);
+  fs.writeFileSync(PROVIDERS_FILE, '{');
+  assert.deepEqual(Object.keys(loadProviders({})), ['openai', 'fixture']);
+  assert.equal(console.error.mock.callCount(), 2);
+});
+
+test('a role takes the project setting, then the environment, then the defaults', () => {
+  const env = { ENGINEER_PROVIDER: 'local', ENGINEER_MODEL: 'qwen', PM_MODEL: 'pm-env' };
+  assert.deepEqual(resolveRoleLLM('engineer', { env, project: { llm: { engineer: { provider: 'ollama', model: 'llama' } } } }),
+    { role: 'engineer', provider: 'ollama', model: 'llama' });
+  assert.deepEqual(resolveRoleLLM('pm', { env, project: { llm: { pm: 'gpt-x' } } }), { role: 'pm', provider: 'openai', model: 'gpt-x' });
+  assert.deepEqual(resolveRoleLLM('engineer', { env }), { role: 'engineer', provider: 'local', model: 'qwen' });
+  assert.deepEqual(resolveRoleLLM('pm', { env: {}, defaults: { pm: 'gpt-5-mini' } }), { role: 'pm', provider: 'openai', model: 'gpt-5-mini' });
+});
+
+test('a provider that cannot run says why instead of throwing', async () => {
+  const { OpenAI } = fakeSdk({});
+  assert.match(createProvider('x', { type: 'grpc' }, { OpenAI }).reason, /unknown provider type grpc/);
+  assert.equal(createProvider('x', { type: 'openai' }, {}).reason, 'OpenAI SDK not installed');
+  const noKey = createProvider('openai', { type: 'openai' }, { OpenAI, env: {} });
+  assert.equal(noKey.available, false);
+  assert.equal(noKey.reason, 'OPENAI_API_KEY missing');
+  await assert.rejects(noKey.completeJSON({}), /LLM provider openai unavailable: OPENAI_API_KEY missing/);
+});
+
+test('openai uses the Responses API in JSON mode', async () => {
+  const { OpenAI, calls } = fakeSdk({ output_text: '{"a":1}', usage: { input_tokens: 3, output_tokens: 1 } });
+  const provider = createProvider('openai', { type: 'openai' }, { OpenAI, env: { OPENAI_API_KEY: 'sk-test' } });
+  const result = await provider.completeJSON({ model: 'm', system: 'sys', user: 'hi' });
+  assert.equal(result.text, '{"a":1}');
+  assert.equal(result.usage.total_tokens, 4);
+  assert.deepEqual(calls[0].options, { apiKey: 'sk-test' });
+  assert.deepEqual(calls[1].responses.text, { format: { type: 'json_object' } });
+  assert.equal(calls[1].responses.input[1].content[0].text, 'hi');
+});
+
+test('openai-compatible servers get Chat Completions at their base URL, JSON mode optional', async () => {
+  const { OpenAI, calls } = fakeSdk({ choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 2, completion_tokens: 2 } });
+  const strict = createProvider('vllm', { type: 'openai-compatible', baseURL: 'http://gpu:8000/v1' }, { OpenAI, env: {} });
+  await strict.completeJSON({ model: 'm', system: 's', user: 'u' });
+  assert.deepEqual(calls[0].options, { apiKey: 'not-needed', baseURL: 'http://gpu:8000/v1' });
+  assert.deepEqual(calls[1].chat.response_format, { type: 'json_object' });
+  assert.deepEqual(calls[1].chat.messages, [{ role: 'system', content: 's' }, { role: 'user', content: 'u' }]);
+
+  const loose = createProvider('llama', { type: 'openai-compatible', baseURL: 'http://localhost:8080/v1', jsonMode: false }, { OpenAI, env: {} });
+  const result = await loose.completeJSON({ model: 'm', system: 's', user: 'u' });
+  assert.equal('response_format' in calls[3].chat, false);
+  assert.equal(result.usage.total_tokens, 4);
+});
+
+test('providers are built once per configuration', () => {
+  const { OpenAI, calls } = fakeSdk({});
+  const deps = { OpenAI, env: { OPENAI_API_KEY: 'k' } };
+  const first = getProvider('openai', deps);
+  assert.equal(getProvider('openai', deps), first);
+  assert.equal(calls.length, 1);
+  assert.equal(getProvider('nope', deps), null);
+  fs.writeFileSync(PROVIDERS_FILE, JSON.stringify({ providers: { openai: { type: 'openai', apiKeyEnv: 'OTHER_KEY' } } }));
+  assert.notEqual(getProvider('openai', { OpenAI, env: { OTHER_KEY: 'k2' } }), first);
+});
+
+test('LLM_FIXTURES picks the fixture provider or wraps the live one for recording', () => {
+  const { OpenAI } = fakeSdk({});
+  const llm = { role: 'pm', provider: 'openai', model: 'm' };
+  assert.equal(getRoleProvider(llm, { OpenAI, env: { OPENAI_API_KEY: 'k', LLM_FIXTURES: 'replay' } }).type, 'fixture');
+  const recording = getRoleProvider(llm, { OpenAI, env: { OPENAI_API_KEY: 'k', LLM_FIXTURES: 'record', LLM_FIXTURES_DIR: '/tmp/fx' } });
+  assert.equal(recording.type, 'openai');
+  assert.equal(recording.recording, path.resolve('/tmp/fx'));
+  assert.equal(getRoleProvider(llm, { OpenAI, env: { OPENAI_API_KEY: 'k' } }).recording, undefined);
+  assert.equal(fixturesDir({}), path.join(dir, 'llm_fixtures'));
+  assert.equal(getProvider('fixture', { env: {} }).dir, path.join(dir, 'llm_fixtures'));
+});
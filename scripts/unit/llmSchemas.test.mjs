@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, validateLLMOutput, formatSchemaErrors } from '../../packages/open-core/src/core/llmSchemas.mjs';
+
+const paths = (errors) => errors.map(e => e.path);
+
+test('a well-formed answer of each kind passes', () => {
+  const answers = {
+    EngineerPlan: { bash: 'npm test', patch: '', summary: 'run the tests' },
+    PMPlan: { tasks: [{ title: 'Build', points: 2, verify: ['npm test'], status: 'todo', dependsOn: [] }] },
+    PMVerify: { done: true, blocked: false, notes: 'ok', updates: { points: 3 } },
+    PMUpdate: { state: { total: 40, current: 'Build', currentPct: 50 }, summary: 'halfway' }
+  };
+  for (const [name, obj] of Object.entries(answers)) {
+    assert.deepEqual(validateLLMOutput(name, JSON.stringify(obj)), { ok: true, obj, errors: [] }, name);
+  }
+});
+
+test('missing fields, wrong types and bad enum values are reported by path', () => {
+  const { ok, errors } = validateLLMOutput('PMPlan', JSON.stringify({
+    tasks: [{ title: '', points: -1, verify: 'npm test', status: 'later' }, 'second']
+  }));
+  assert.equal(ok, false);
+  assert.deepEqual(errors, [
+    { path: '$.tasks[0].title', message: 'must have at least 1 characters' },
+    { path: '$.tasks[0].points', message: 'must be >= 0' },
+    { path: '$.tasks[0].verify', message: 'must be array, got string' },
+    { path: '$.tasks[0].status', message: 'must be one of "todo", "doing", "done", "blocked"' },
+    { path: '$.tasks[1]', message: 'must be object, got string' }
+  ]);
+  assert.deepEqual(paths(validateLLMOutput('PMVerify', '{"done":"yes","notes":"x"}').errors), ['$.blocked', '$.done']);
+  assert.deepEqual(paths(validateLLMOutput('PMUpdate', '{"state":{"total":120,"current":"a","currentPct":5},"summary":""}').errors), ['$.state.total']);
+});
+
+test('extra fields pass unless the schema closes the object', () => {
+  assert.equal(validateLLMOutput('EngineerPlan', '{"bash":"","patch":"","summary":"","confidence":0.9}').ok, true);
+  const closed = { type: 'object', properties: { a: { type: 'number' } }, additionalProperties: false };
+  assert.deepEqual(validateSchema({ a: 1, b: 2 }, closed), [{ path: '$.b', message: 'is not allowed' }]);
+  const typed = { type: 'object', additionalProperties: { type: 'string' } };
+  assert.deepEqual(validateSchema({ a: 'x', b: 2 }, typed), [{ path: '$.b', message: 'must be string, got number' }]);
+});
+
+test('numbers must be finite, integers whole, and union types accept any member', () => {
+  assert.equal(validateSchema(NaN, { type: 'number' }).length, 1);
+  assert.equal(validateSchema(1.5, { type: 'integer' }).length, 1);
+  assert.equal(validateSchema(2, { type: 'integer' }).length, 0);
+  assert.equal(validateSchema(null, { type: ['string', 'null'] }).length, 0);
+  assert.deepEqual(validateSchema([], { type: 'array', minItems: 1 }), [{ path: '$', message: 'must have at least 1 items' }]);
+});
+
+test('text that is not JSON, or a name with no schema, still yields a clear answer', () => {
+  const broken = validateLLMOutput('PMVerify', 'Sure! Here is the JSON: {');
+  assert.equal(broken.ok, false);
+  assert.equal(broken.obj, null);
+  assert.match(broken.errors[0].message, /^not valid JSON/);
+  assert.equal(validateLLMOutput('Unknown', '{"anything":1}').ok, true);
+  assert.deepEqual(paths(validateLLMOutput('Unknown', '[1]').errors), ['$']);
+});
+
+test('errors become one line each for the retry prompt', () => {
+  assert.equal(formatSchemaErrors([{ path: '$.done', message: 'is required' }, { path: '$.notes', message: 'must be string, got number' }]),
+    '- $.done is required\n- $.notes must be string, got number');
+});
@@ -0,0 +1,124 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { parsePatch, applyPatch } from '../../packages/open-core/src/core/patchApply.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-patch-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const git = (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8' });
+git('init', '-q');
+git('config', 'user.email', 'test@localhost');
+git('config', 'user.name', 'test');
+
+// Seeded, so a failing case can be replayed
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomFile(rand) {
+  const n = 5 + Math.floor(rand() * 40);
+  const lines = Array.from({ length: n }, (_, i) => `line ${i}${rand() < 0.2 ? '   ' : ''}`);
+  return lines.join('\n') + (rand() < 0.8 ? '\n' : '');
+}
+
+function randomEdit(rand, text) {
+  const lines = text.replace(/\n$/, '').split('\n');
+  const edits = 1 + Math.floor(rand() * 4);
+  for (let k = 0; k < edits; k++) {
+    const at = Math.floor(rand() * (lines.length + 1));
+    const kind = rand();
+    if (kind < 0.35 && lines.length > 1) lines.splice(Math.min(at, lines.length - 1), 1 + Math.floor(rand() * 3));
+    else if (kind < 0.7) lines.splice(at, 0, ...Array.from({ length: 1 + Math.floor(rand() * 3) }, (_, j) => `new ${k}.${j}`));
+    else if (lines.length) lines[Math.min(at, lines.length - 1)] = `changed ${k}`;
+  }
+  return lines.join('\n') + (rand() < 0.8 ? '\n' : '');
+}
+
+// A real `git diff` of a random edit to a committed file; the file is reset to its committed content
+function randomPatch(rand, name) {
+  const file = path.join(dir, name);
+  const before = randomFile(rand);
+  fs.writeFileSync(file, before);
+  git('add', name);
+  git('commit', '-q', '-m', name);
+  let edited = randomEdit(rand, before);
+  if (edited === before) edited += 'tail\n';
+  fs.writeFileSync(file, edited);
+  const patch = git('diff', '--', name);
+  git('checkout', '-q', '--', name);
+  return { file, before, edited, patch };
+}
+
+test('random git diffs apply back to the edited file', () => {
+  const rand = random(17);
+  for (let round = 0; round < 30; round++) {
+    const { file, edited, patch } = randomPatch(rand, `apply-${round}.txt`);
+    const result = applyPatch(dir, patch);
+    assert.deepEqual(result.errors, [], `round ${round}\n${patch}`);
+    assert.equal(fs.readFileSync(file, 'utf8'), edited, `round ${round}\n${patch}`);
+  }
+});
+
+test('hunks with wrong line numbers still find their context', () => {
+  const rand = random(23);
+  for (let round = 0; round < 20; round++) {
+    const { file, edited, patch } = randomPatch(rand, `shift-${round}.txt`);
+    const shift = 1 + Math.floor(rand() * 5);
+    const moved = patch.replace(/^@@ -(\d+)(,\d+)? \+(\d+)(,\d+)? @@/gm,
+      (_, o, ol = '', n, nl = '') => `@@ -${Number(o) + shift}${ol} +${Number(n) + shift}${nl} @@`);
+    const result = applyPatch(dir, moved);
+    assert.deepEqual(result.errors, [], `round ${round}\n${moved}`);
+    assert.equal(fs.readFileSync(file, 'utf8'), edited, `round ${round}\n${moved}`);
+  }
+});
+
+test('a mangled patch is applied whole or not at all', () => {
+  const rand = random(42);
+  for (let round = 0; round < 60; round++) {
+    const { file, before, patch } = randomPatch(rand, `mangle-${round}.txt`);
+    const lines = patch.split('\n');
+    for (let k = 0; k < 1 + Math.floor(rand() * 3); k++) {
+      const at = Math.floor(rand() * lines.length);
+      const kind = rand();
+      if (kind < 0.3) lines.splice(at, 1);
+      else if (kind < 0.5) lines.splice(at, 0, lines[at] ?? '');
+      else if (kind < 0.7) lines[at] = ' unrelated context';
+      else if (kind < 0.85) lines[at] = (lines[at] || '').slice(0, Math.floor(rand() * 8));
+      else lines[at] = `-${lines[at] || ''}`;
+    }
+    const mangled = lines.join('\n');
+    try {
+      parsePatch(mangled);
+    } catch (e) {
+      assert.equal(e.code, 'PATCH_INVALID', `round ${round}: ${e.message}`);
+    }
+    const result = applyPatch(dir, mangled);
+    if (!result.ok) {
+      assert.equal(fs.readFileSync(file, 'utf8'), before, `round ${round}\n${mangled}`);
+      assert.ok(result.errors.length > 0);
+    }
+    git('checkout', '-q', '--', '.');
+    git('clean', '-fdq');
+  }
+});
+
+test('random text is either a patch or a PATCH_INVALID error', () => {
+  const rand = random(7);
+  const alphabet = ['-', '+', ' ', '@', '\n', 'a', '/', '\\', '0', ','];
+  for (let round = 0; round < 200; round++) {
+    const text = Array.from({ length: Math.floor(rand() * 120) }, () => alphabet[Math.floor(rand() * alphabet.length)]).join('');
+    try {
+      assert.ok(Array.isArray(parsePatch(`--- a/x\n+++ b/x\n${text}`)));
+    } catch (e) {
+      assert.equal(e.code, 'PATCH_INVALID', `round ${round}: ${e.message}`);
+    }
+  }
+});
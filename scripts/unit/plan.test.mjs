@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRunnableTasks, blockDependents, blockStrandedTasks, computeCriticalPath, mergePlans } from '../../packages/open-core/src/core/plan.mjs';
+
+const plan = (...tasks) => ({ tasks: tasks.map(t => ({ status: 'todo', points: 1, notes: '', ...t })) });
+
+test('runnable tasks wait for every dependency to be done', () => {
+  const p = plan({ id: 'a', status: 'done' }, { id: 'b', dependsOn: ['a'] }, { id: 'c', dependsOn: ['a', 'b'] }, { id: 'd' });
+  assert.deepEqual(findRunnableTasks(p).map(t => t.id), ['b', 'd']);
+  p.tasks[1].status = 'done';
+  assert.deepEqual(findRunnableTasks(p).map(t => t.id), ['c', 'd']);
+});
+
+test('a task depending on itself is runnable', () => {
+  assert.deepEqual(findRunnableTasks(plan({ id: 'a', dependsOn: ['a'] })).map(t => t.id), ['a']);
+});
+
+test('blocking a task blocks everything downstream of it', () => {
+  const p = plan({ id: 'a', status: 'blocked' }, { id: 'b', dependsOn: ['a'] }, { id: 'c', dependsOn: ['b'] }, { id: 'd' });
+  const blocked = blockDependents(p, 'a', 'tests fail');
+  assert.deepEqual(blocked.map(b => [b.taskId, b.blockedBy]), [['b', 'a'], ['c', 'b']]);
+  assert.match(p.tasks[1].notes, /tests fail/);
+  assert.equal(p.tasks[3].status, 'todo');
+});
+
+test('missing, blocked and cyclic dependencies strand their tasks', () => {
+  const p = plan(
+    { id: 'a', dependsOn: ['ghost'] },
+    { id: 'b', status: 'blocked' },
+    { id: 'c', dependsOn: ['b'] },
+    { id: 'd', dependsOn: ['e'] },
+    { id: 'e', dependsOn: ['d'] },
+    { id: 'f' }
+  );
+  const reasons = Object.fromEntries(blockStrandedTasks(p).map(b => [b.taskId, b.reason]));
+  assert.deepEqual(Object.keys(reasons).sort(), ['a', 'c', 'd', 'e']);
+  assert.match(reasons.a, /unknown dependency ghost/);
+  assert.match(reasons.c, /upstream task b is blocked/);
+  assert.match(reasons.d, /can never run/);
+  assert.equal(p.tasks[5].status, 'todo');
+});
+
+test('re-blocking a stranded task does not repeat its note', () => {
+  const p = plan({ id: 'a', dependsOn: ['ghost'] });
+  blockStrandedTasks(p);
+  p.tasks[0].status = 'todo';
+  blockStrandedTasks(p);
+  assert.equal(p.tasks[0].notes.split('\n').filter(l => l.includes('ghost')).length, 1);
+});
+
+test('the critical path is the heaviest dependency chain', () => {
+  const p = plan(
+    { id: 'a', points: 2, status: 'done' },
+    { id: 'b', points: 5, dependsOn: ['a'] },
+    { id: 'c', points: 1, dependsOn: ['a'] },
+    { id: 'd', points: 3, dependsOn: ['b', 'c'] },
+    { id: 'x', points: 9 }
+  );
+  assert.deepEqual(computeCriticalPath(p), { taskIds: ['a', 'b', 'd'], points: 10, remainingPoints: 8 });
+});
+
+test('the critical path ignores cycle-closing and unknown edges', () => {
+  const p = plan({ id: 'a', points: 1, dependsOn: ['b'] }, { id: 'b', points: 1, dependsOn: ['a', 'ghost'] });
+  assert.equal(computeCriticalPath(p).points, 2);
+});
+
+test('merging keeps done status and existing edges unless the new task declares them', () => {
+  const merged = mergePlans(
+    plan({ id: 'a', status: 'done' }, { id: 'b', dependsOn: ['a'] }),
+    { tasks: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C', dependsOn: ['c', 'b', 'b'] }] }
+  );
+  assert.equal(merged.tasks[0].status, 'done');
+  assert.deepEqual(merged.tasks[1].dependsOn, ['a']);
+  assert.deepEqual(merged.tasks[2].dependsOn, ['b']);
+});
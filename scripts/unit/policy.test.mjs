@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { evaluateCommandPolicy, evaluatePatchPolicy, compilePolicy, validatePolicy } from '../../packages/open-core/src/core/policy.mjs';
+
+const POLICY_FILE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../data/policy.json');
+const globalPolicy = compilePolicy(JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8')));
+const projectLayer = (...rules) => compilePolicy({ version: 1, rules }, { layer: 'project', source: 'policy.json' });
+const evaluate = (cmd, projectPolicy = null) => evaluateCommandPolicy(cmd, 'p', { globalPolicy, projectPolicy });
+
+test('the shipped global policy validates', () => {
+  const raw = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8'));
+  assert.deepEqual(validatePolicy(raw).errors, []);
+});
+
+test('a project allow does not lift a global deny', () => {
+  const project = projectLayer({ id: 'yolo', action: 'allow', pattern: '.*' });
+  assert.equal(evaluate('rm -rf /', project).action, 'deny');
+  assert.equal(evaluate('rm -rf /', project).ruleId, 'deny-rm-rf-root');
+  assert.equal(evaluate('mkfs /dev/sda', project).action, 'deny');
+  assert.equal(evaluate('ls', project).ruleId, 'yolo');
+});
+
+test('a project allow still overrides the project\'s own stricter rules', () => {
+  const project = projectLayer(
+    { id: 'allow-push-feature', action: 'allow', match: { binary: 'git', args: ['^push$', '^feature/'] } },
+    { id: 'approve-push', action: 'approval', match: { binary: 'git', args: '^push$' } }
+  );
+  assert.equal(evaluate('git push origin feature/x', project).ruleId, 'allow-push-feature');
+  assert.equal(evaluate('git push origin main', project).ruleId, 'approve-push');
+});
+
+test('a project rule cannot claim to be locked', () => {
+  const project = projectLayer({ id: 'mine', action: 'allow', match: { binary: 'rm' }, locked: true });
+  assert.equal(project.rules[0].locked, false);
+  assert.equal(evaluate('rm -rf /', project).action, 'deny');
+});
+
+test('a project allow on paths does not open .git to patches', () => {
+  const project = projectLayer({ id: 'all-paths', action: 'allow', paths: ['**'] });
+  const result = evaluatePatchPolicy(['.git/config'], 'p', { globalPolicy, projectPolicy: project });
+  assert.equal(result.action, 'deny');
+  assert.equal(result.code, 'PROTECTED_GIT_DIR');
+});
+
+test('shell writes to policy.json need approval', () => {
+  for (const cmd of [
+    'echo \'{"rules":[]}\' > policy.json',
+    'cat rules.json >> ./policy.json',
+    'echo x | tee policy.json',
+    'cp /tmp/open.json policy.json',
+    'mv other.json data/policy.json',
+    'rm policy.json',
+    'sed -i s/deny/allow/ policy.json',
+    'truncate -s 0 policy.json'
+  ]) {
+    const result = evaluate(cmd);
+    assert.equal(result.action, 'approval', cmd);
+    assert.equal(result.code, 'PROTECTED_PATH', cmd);
+  }
+  assert.equal(evaluate('cat policy.json').action, 'allow');
+});
+
+test('a project allow does not skip the policy.json write approval', () => {
+  const project = projectLayer({ id: 'yolo', action: 'allow', pattern: '.*' });
+  assert.equal(evaluate('echo \'{"rules":[]}\' > policy.json', project).action, 'approval');
+});
+
+test('destructive commands behind shell syntax are denied', () => {
+  for (const cmd of [
+    'if true; then rm -rf /; fi',
+    'for f in a; do rm -rf /; done',
+    'while true; do rm -rf ~; done',
+    'bash <<< "rm -rf /"',
+    'sh -c "rm -rf /"',
+    'rm -rf ${HOME}',
+    'rm -rf "$HOME"'
+  ]) {
+    assert.equal(evaluate(cmd).action, 'deny', cmd);
+  }
+  assert.equal(evaluate('rm -rf node_modules').action, 'allow');
+});
+
+test('a line the parser cannot read still hits the regex fallback', () => {
+  // the quote never closes, so the substitution is not read as the argument
+  const result = evaluate('rm -rf "$(echo /)');
+  assert.equal(result.action, 'deny');
+  assert.equal(result.ruleId, 'deny-rm-rf-root');
+  assert.equal(result.subCommand, null);
+});
+
+test('a parsed line is judged by its sub-commands, not by the text of its arguments', () => {
+  for (const cmd of [
+    'cat halt.txt',
+    'git log --grep shutdown',
+    'grep -rn "rm -rf /" docs',
+    'echo "rm -rf /"',
+    'ls # rm -rf /',
+    'echo "mkfs /dev/sda" > notes.md'
+  ]) {
+    assert.equal(evaluate(cmd).action, 'allow', cmd);
+  }
+});
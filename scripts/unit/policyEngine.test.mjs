@@ -0,0 +1,134 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import { PolicyEngine } from '../../packages/open-core/src/core/policyEngine.mjs';
+
+// An empty data dir: the built-in policy, nothing persisted outside the test
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-engine-'));
+setDataDir(dir);
+after(() => {
+  setDataDir(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const newEngine = () => new PolicyEngine({ enableAuditLogging: false, persistApprovals: false });
+const MINUTE_MS = 60 * 1000;
+
+function pendingCritical(engine, projectId = 'p', taskId = 't1') {
+  engine.evaluateCommand('rm -rf /', projectId, { taskId });
+  return engine.requestApproval(taskId, { projectId });
+}
+
+test('a critical command needs two different approvers', async () => {
+  const engine = newEngine();
+  const settled = pendingCritical(engine);
+  assert.equal(engine.approveCommand('t1', { projectId: 'p', approverName: 'Ana' }).status, 'pending');
+  assert.throws(() => engine.approveCommand('t1', { projectId: 'p', approverName: 'ana' }), { code: 'DUPLICATE_APPROVER' });
+  const progress = engine.approveCommand('t1', { projectId: 'p', approverId: 'bo' });
+  assert.equal(progress.status, 'approved');
+  assert.deepEqual(progress.approvers, ['Ana', 'bo']);
+  assert.equal((await settled).approvals.length, 2);
+});
+
+test('a vote that repeats the id or the name of an earlier one is the same approver', () => {
+  const engine = newEngine();
+  pendingCritical(engine).catch(() => {});
+  engine.approveCommand('t1', { projectId: 'p', approverName: 'Ana' });
+  assert.throws(() => engine.approveCommand('t1', { projectId: 'p', approverId: 'u-17', approverName: 'ana ' }), { code: 'DUPLICATE_APPROVER' });
+  assert.throws(() => engine.approveCommand('t1', { projectId: 'p', approverId: 'ANA' }), { code: 'DUPLICATE_APPROVER' });
+
+  const other = newEngine();
+  pendingCritical(other).catch(() => {});
+  other.approveCommand('t1', { projectId: 'p', approverId: 'u-17', approverName: 'Ana' });
+  assert.throws(() => other.approveCommand('t1', { projectId: 'p', approverName: 'U-17' }), { code: 'DUPLICATE_APPROVER' });
+  assert.equal(other.getApprovalRequest('t1', 'p').approvals.length, 1);
+});
+
+test('an anonymous vote does not count towards a quorum above one', () => {
+  const engine = newEngine();
+  pendingCritical(engine).catch(() => {});
+  assert.throws(() => engine.approveCommand('t1', { projectId: 'p' }), { code: 'APPROVER_REQUIRED' });
+  assert.throws(() => engine.approveCommand('t1', { projectId: 'p', approverName: '  ' }), { code: 'APPROVER_REQUIRED' });
+  assert.equal(engine.getApprovalRequest('t1', 'p').approvals.length, 0);
+});
+
+test('a single-approval request accepts an anonymous vote', async () => {
+  const engine = newEngine();
+  engine.evaluateCommand('chmod 777 x', 'p', { taskId: 't1' });
+  const settled = engine.requestApproval('t1', { projectId: 'p' });
+  assert.equal(engine.approveCommand('t1', { projectId: 'p' }).status, 'approved');
+  assert.equal((await settled).approved, true);
+});
+
+test('decisions of the same task id in two projects stay apart', async () => {
+  const engine = newEngine();
+  engine.evaluateCommand('rm -rf /', 'a', { taskId: 't1' });
+  engine.evaluateCommand('chmod 777 x', 'b', { taskId: 't1' });
+  const a = engine.requestApproval('t1', { projectId: 'a' });
+  const b = engine.requestApproval('t1', { projectId: 'b' });
+  assert.equal(engine.getApprovalRequest('t1', 'a').requiredApprovals, 2);
+  assert.equal(engine.getApprovalRequest('t1', 'b').requiredApprovals, 1);
+  engine.approveCommand('t1', { projectId: 'b', approverName: 'ana' });
+  await b;
+  assert.equal(engine.getAuditTrail('t1', 'b').status, 'approved');
+  assert.equal(engine.getAuditTrail('t1', 'a').status, 'pending_approval');
+  engine.rejectCommand('t1', { projectId: 'a', rejectionReason: 'no' });
+  await assert.rejects(a, /Approval rejected: no/);
+  assert.equal(engine.getAuditTrail('t1', 'a').status, 'rejected');
+});
+
+test('a request expires after its severity TTL', async () => {
+  const engine = newEngine();
+  const settled = pendingCritical(engine);
+  const request = engine.getApprovalRequest('t1', 'p');
+  const start = Date.parse(request.requestedAt);
+
+  let due = engine.sweep(new Date(start + 16 * MINUTE_MS));
+  assert.deepEqual(due.escalations.map(r => r.taskId), ['t1']);
+  assert.deepEqual(due.expired, []);
+  assert.equal(engine.sweep(new Date(start + 17 * MINUTE_MS)).escalations.length, 0);
+
+  due = engine.sweep(new Date(start + 30 * MINUTE_MS));
+  assert.deepEqual(due.expired.map(r => r.taskId), ['t1']);
+  await assert.rejects(settled, { code: 'APPROVAL_EXPIRED' });
+  assert.equal(engine.getApprovalRequest('t1', 'p'), null);
+  assert.equal(engine.getAuditTrail('t1', 'p').status, 'expired');
+});
+
+test('reminders repeat while a request waits', () => {
+  const engine = newEngine();
+  engine.evaluateCommand('chmod 777 x', 'p', { taskId: 't1' });
+  engine.requestApproval('t1', { projectId: 'p' }).catch(() => {});
+  const start = Date.parse(engine.getApprovalRequest('t1', 'p').requestedAt);
+  assert.equal(engine.sweep(new Date(start + 4 * MINUTE_MS)).reminders.length, 0);
+  assert.equal(engine.sweep(new Date(start + 5 * MINUTE_MS)).reminders.length, 1);
+  assert.equal(engine.sweep(new Date(start + 6 * MINUTE_MS)).reminders.length, 0);
+  assert.equal(engine.sweep(new Date(start + 10 * MINUTE_MS)).reminders.length, 1);
+});
+
+test('approvals persisted by one engine are restored by the next', async () => {
+  const file = path.join(dir, 'pending.json');
+  const first = new PolicyEngine({ enableAuditLogging: false, persistFile: file });
+  first.evaluateCommand('rm -rf /', 'p', { taskId: 't1' });
+  first.requestApproval('t1', { projectId: 'p' }).catch(() => {});
+  first.approveCommand('t1', { projectId: 'p', approverName: 'ana' });
+
+  const second = new PolicyEngine({ enableAuditLogging: false, persistFile: file });
+  const [restored] = second.restoreApprovals();
+  assert.equal(restored.request.approvals.length, 1);
+  second.approveCommand('t1', { projectId: 'p', approverName: 'bo' });
+  assert.equal((await restored.settled).approved, true);
+});
+
+test('audit lines and pending approvals go to the data dir', () => {
+  const engine = new PolicyEngine();
+  engine.evaluateCommand('chmod 777 x', 'audit', { taskId: 't1' });
+  engine.requestApproval('t1', { projectId: 'audit' }).catch(() => {});
+  const [auditFile] = fs.readdirSync(path.join(dir, 'policy_audit'));
+  assert.match(auditFile, /^policy_audit_\d{4}-\d{2}-\d{2}\.jsonl$/);
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'pending_approvals.json'), 'utf8'));
+  assert.deepEqual(saved.requests.map(r => [r.projectId, r.taskId]), [['audit', 't1']]);
+});
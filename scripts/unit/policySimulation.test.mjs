@@ -0,0 +1,101 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import { compilePolicy } from '../../packages/open-core/src/core/policy.mjs';
+import { collectHistoricalCommands, simulatePolicy } from '../../packages/open-core/src/core/policySimulation.mjs';
+
+const POLICY_FILE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../data/policy.json');
+const shipped = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8'));
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-simulation-'));
+setDataDir(dataDir);
+after(() => {
+  setDataDir(null);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function writeLog(file, events) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, events.map(e => typeof e === 'string' ? e : JSON.stringify(e)).join('\n') + '\n');
+}
+
+writeLog(path.join(dataDir, 'runs', 'web.jsonl'), [
+  { ts: '2026-03-01T10:00:01Z', type: 'POLICY_EVALUATED', project: 'web', runSessionId: 'r1', taskId: 't1', command: 'npm publish', action: 'allow' },
+  { ts: '2026-03-01T10:00:05Z', type: 'COMMAND_EXECUTED', project: 'web', runSessionId: 'r1', taskId: 't1', bash: 'npm publish', exitCode: 0 },
+  { ts: '2026-03-02T09:00:00Z', type: 'COMMAND_EXECUTED', project: 'web', runSessionId: 'r2', taskId: 't4', bash: 'npm publish', exitCode: 0 },
+  { ts: '2026-03-02T09:01:00Z', type: 'COMMAND_EXECUTED', project: 'web', runSessionId: 'r2', taskId: 't5', bash: 'npm test', exitCode: 1 },
+  { ts: '2026-03-02T09:02:00Z', type: 'TASK_DONE', project: 'web', taskId: 't5' },
+  '{"ts": "2026-03-02T09:03:00Z", "type": "COMMAND_EXEC',
+  { ts: '2026-03-02T09:04:00Z', type: 'COMMAND_EXECUTED', project: 'web', bash: '  ' }
+]);
+writeLog(path.join(dataDir, 'replay', 'projects', 'api', 'sessions', 's1.jsonl'), [
+  { ts: '2026-02-01T08:00:00Z', type: 'DANGER_CHMOD_777', projectId: 'api', sessionId: 's1', taskId: 'a1', command: 'chmod 777 build' }
+]);
+
+const baseline = { globalPolicy: compilePolicy(shipped), projectPolicy: null };
+
+test('the events of one execution count once, at its earliest time', () => {
+  const history = collectHistoricalCommands();
+  assert.equal(history.files, 2);
+  assert.equal(history.events, 5);
+  const byKey = Object.fromEntries(history.commands.map(c => [`${c.project} ${c.runSessionId} ${c.command}`, c]));
+  assert.deepEqual(Object.keys(byKey).sort(), ['api s1 chmod 777 build', 'web r1 npm publish', 'web r2 npm publish', 'web r2 npm test']);
+  assert.equal(byKey['web r1 npm publish'].ts, '2026-03-01T10:00:01Z');
+  assert.equal(byKey['web r1 npm publish'].recorded, 'allow');
+  assert.equal(byKey['api s1 chmod 777 build'].recorded, 'approval');
+  assert.equal(byKey['web r2 npm test'].recorded, null);
+});
+
+test('history can be narrowed to a project and a start date', () => {
+  assert.deepEqual(collectHistoricalCommands({ project: 'api' }).commands.map(c => c.command), ['chmod 777 build']);
+  assert.deepEqual(collectHistoricalCommands({ since: '2026-03-02T00:00:00Z' }).commands.map(c => c.command).sort(), ['npm publish', 'npm test']);
+});
+
+test('a stricter project candidate reports the commands it would now stop', () => {
+  const candidate = { version: 1, rules: [{ id: 'approve-publish', action: 'approval', match: { binary: 'npm', args: '^publish$' } }] };
+  const result = simulatePolicy(candidate, { layer: 'project', project: 'web', contextFor: () => baseline });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.scanned, { files: 2, events: 4, executions: 3 });
+  assert.deepEqual(result.summary, { commands: 3, changed: 2, unchanged: 1, stricter: 2, looser: 0, transitions: { 'allow→approval': 2 } });
+  assert.equal(result.changes.length, 1);
+  const [change] = result.changes;
+  assert.equal(change.command, 'npm publish');
+  assert.equal(change.direction, 'stricter');
+  assert.equal(change.occurrences, 2);
+  assert.deepEqual(change.taskIds, ['t1', 't4']);
+  assert.equal(change.firstSeen, '2026-03-01T10:00:01Z');
+  assert.equal(change.lastSeen, '2026-03-02T09:00:00Z');
+  assert.deepEqual(result.byRule['approve-publish'], { matchedBefore: 0, matchedAfter: 2, changed: 2 });
+});
+
+test('a looser global candidate is credited to the rule whose decision went away', () => {
+  const candidate = { ...shipped, rules: shipped.rules.filter(r => r.id !== 'approval-chmod-777') };
+  const result = simulatePolicy(candidate, { contextFor: () => baseline });
+  assert.equal(result.ok, true);
+  assert.equal(result.layer, 'global');
+  assert.deepEqual(result.summary.transitions, { 'approval→allow': 1 });
+  assert.equal(result.byProject.api.changed, 1);
+  assert.equal(result.byProject.web.changed, 0);
+  assert.equal(result.byRule['approval-chmod-777'].changed, 1);
+  assert.equal(result.changes[0].recorded, 'approval');
+});
+
+test('an invalid candidate or a project layer without a project is refused', () => {
+  const invalid = simulatePolicy({ version: 1, rules: [{ id: 'x', action: 'explode', pattern: 'ls' }] }, { layer: 'project', project: 'web' });
+  assert.equal(invalid.ok, false);
+  assert.ok(invalid.errors.length > 0);
+  const noProject = simulatePolicy({ version: 1, rules: [] }, { layer: 'project' });
+  assert.equal(noProject.ok, false);
+  assert.equal(noProject.errors[0].field, 'project');
+});
+
+test('a simulation writes nothing', () => {
+  const list = (dir) => fs.readdirSync(dir, { recursive: true }).sort();
+  const before = list(dataDir);
+  simulatePolicy({ version: 1, rules: [] }, { layer: 'project', project: 'web', contextFor: () => baseline });
+  assert.deepEqual(list(dataDir), before);
+});
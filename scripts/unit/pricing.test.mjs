@@ -0,0 +1,102 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import { calculateCost, getModelRate, loadPricing, validatePricing } from '../../packages/open-core/src/core/pricing.mjs';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-pricing-'));
+after(() => {
+  setDataDir(null);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// A fresh data dir holding `doc` as pricing.json (none when doc is null)
+let n = 0;
+function registry(doc) {
+  const dir = path.join(root, String(++n));
+  fs.mkdirSync(dir, { recursive: true });
+  if (doc) fs.writeFileSync(path.join(dir, 'pricing.json'), JSON.stringify(doc));
+  setDataDir(dir);
+  return path.join(dir, 'pricing.json');
+}
+
+const usage = { input_tokens: 1_000_000, output_tokens: 500_000 };
+
+test('without a registry file the built-in rates apply', () => {
+  registry(null);
+  assert.equal(loadPricing().source, 'builtin');
+  const cost = calculateCost('gpt-5-mini', usage, { usdToTwd: 30 });
+  assert.equal(cost.priced, true);
+  assert.equal(cost.usd, 0.25 + 1.0);
+  assert.equal(cost.twd, 37.5);
+});
+
+test('provider prefixes and date snapshots resolve to the base model, unknown models stay unpriced', () => {
+  registry(null);
+  assert.equal(getModelRate('openai/gpt-5-mini-2025-08-07').model, 'gpt-5-mini');
+  const cost = calculateCost('mystery-model', usage);
+  assert.equal(cost.priced, false);
+  assert.equal(cost.usd, 0);
+  assert.match(cost.reason, /no rate for mystery-model/);
+});
+
+test('the rate in effect at the call time applies', () => {
+  registry({
+    version: 1,
+    models: {
+      m: [
+        { effectiveFrom: '2026-01-01', input: 1, output: 2 },
+        { effectiveFrom: '2026-06-01', input: 3, output: 4 },
+        { effectiveFrom: '2025-01-01', effectiveTo: '2025-12-31', input: 9, output: 9 }
+      ]
+    }
+  });
+  assert.equal(getModelRate('m', '2026-03-01').input, 1);
+  assert.equal(getModelRate('m', new Date('2026-07-01')).input, 3);
+  assert.equal(getModelRate('m', '2025-06-01').input, 9);
+  assert.equal(getModelRate('m', '2024-06-01'), null);
+  assert.equal(getModelRate('m', '2026-01-01T00:00:00Z').input, 1);
+});
+
+test('cached input is charged at the cached rate, else at the input rate', () => {
+  registry({ models: { a: { input: 2, cachedInput: 0.5, output: 0 }, b: { input: 2, output: 0 } } });
+  const tokens = { input_tokens: 1_000_000, input_tokens_details: { cached_tokens: 400_000 } };
+  assert.equal(calculateCost('a', tokens).usd, 0.6 * 2 + 0.4 * 0.5);
+  assert.equal(calculateCost('b', tokens).usd, 2);
+  assert.equal(calculateCost('a', { prompt_tokens: 10, cached_input_tokens: 50 }).tokens.cachedInput, 10);
+});
+
+test('rates in another currency are converted with fxToUsd', () => {
+  registry({ currency: 'EUR', fxToUsd: { EUR: 1.5 }, models: { eu: { input: 2, output: 0 }, yen: { currency: 'JPY', input: 100, output: 0 } } });
+  const cost = calculateCost('eu', usage);
+  assert.equal(cost.currency, 'EUR');
+  assert.equal(cost.cost, 2);
+  assert.equal(cost.usd, 3);
+  const yen = calculateCost('yen', usage);
+  assert.equal(yen.priced, false);
+  assert.match(yen.reason, /no fxToUsd rate for JPY/);
+});
+
+test('an invalid edit keeps the rates that were active', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const file = registry({ models: { m: { input: 1, output: 1 } } });
+  assert.equal(getModelRate('m').input, 1);
+  fs.writeFileSync(file, JSON.stringify({ models: { m: { input: -1, output: 'free' } } }));
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+  assert.equal(getModelRate('m').input, 1);
+  assert.equal(console.error.mock.callCount(), 1);
+  fs.writeFileSync(file, JSON.stringify({ models: { m: { input: 7, output: 1 } } }));
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 10000));
+  assert.equal(getModelRate('m').input, 7);
+});
+
+test('validation names the model, entry and field at fault', () => {
+  assert.deepEqual(validatePricing({ models: { m: [{ input: 1, output: 1 }, { input: -1, output: 1, effectiveFrom: 'soon' }] } }).errors, [
+    { model: 'm', index: 1, field: 'input', message: 'must be a non-negative number (per 1M tokens)' },
+    { model: 'm', index: 1, field: 'effectiveFrom', message: 'must be an ISO date' }
+  ]);
+  assert.equal(validatePricing({ fxToUsd: { EUR: 0 }, models: {} }).errors[0].field, 'fxToUsd.EUR');
+  assert.equal(validatePricing([]).ok, false);
+});
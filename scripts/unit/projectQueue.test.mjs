@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as tick } from 'node:timers/promises';
+import { ProjectQueueManager } from '../../packages/open-core/src/core/projectQueue.mjs';
+
+// A task that runs until release() is called; records the peak concurrency it saw
+function gate(counter) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const fn = async () => {
+    counter.now++;
+    counter.peak = Math.max(counter.peak, counter.now);
+    await done;
+    counter.now--;
+  };
+  return { fn, release };
+}
+
+test('a project runs up to maxParallel tasks at once', async () => {
+  const q = new ProjectQueueManager({ maxConcurrentProjects: 5 });
+  q.setProjectConcurrency('p', 2);
+  const counter = { now: 0, peak: 0 };
+  const gates = [gate(counter), gate(counter), gate(counter)];
+  const runs = gates.map(g => q.enqueue('p', g.fn));
+  await tick();
+  assert.equal(counter.now, 2);
+  assert.equal(q.getProjectStatus('p').queueSize, 1);
+  gates[0].release();
+  await tick(); await tick();
+  assert.equal(counter.now, 2);
+  gates[1].release(); gates[2].release();
+  await Promise.all(runs);
+  assert.equal(counter.peak, 2);
+});
+
+test('an invalid concurrency falls back to one task at a time', () => {
+  const q = new ProjectQueueManager();
+  q.setProjectConcurrency('p', 0);
+  assert.equal(q.getProjectStatus('p').maxParallel, 1);
+});
+
+test('the global task limit holds across projects', async () => {
+  const q = new ProjectQueueManager({ maxConcurrentProjects: 5, maxConcurrentTasks: 2 });
+  q.setProjectConcurrency('a', 2);
+  q.setProjectConcurrency('b', 2);
+  const counter = { now: 0, peak: 0 };
+  const gates = [gate(counter), gate(counter), gate(counter)];
+  const runs = [q.enqueue('a', gates[0].fn), q.enqueue('a', gates[1].fn), q.enqueue('b', gates[2].fn)];
+  await tick();
+  assert.equal(q.getGlobalStatus().currentConcurrentTasks, 2);
+  gates[0].release();
+  await tick(); await tick();
+  assert.equal(q.getProjectStatus('b').runningTasks.length, 1);
+  gates[1].release(); gates[2].release();
+  await Promise.all(runs);
+  assert.equal(counter.peak, 2);
+});
+
+test('clearing a project rejects its queued tasks and leaves running ones alone', async () => {
+  const q = new ProjectQueueManager();
+  const counter = { now: 0, peak: 0 };
+  const running = gate(counter);
+  const first = q.enqueue('p', running.fn);
+  const queued = [q.enqueue('p', async () => 'never'), q.enqueue('p', async () => 'never')];
+  await tick();
+  assert.equal(q.clearProject('p'), 2);
+  for (const p of queued) await assert.rejects(p, /Project queue cleared/);
+  assert.equal(q.getProjectStatus('p').stats.queued, 0);
+  running.release();
+  await first;
+  assert.equal(q.getProjectStatus('p').stats.completed, 1);
+});
+
+test('a failing task rejects its promise and frees its slot', async () => {
+  const q = new ProjectQueueManager();
+  await assert.rejects(q.enqueue('p', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await q.enqueue('p', async () => 'next'), 'next');
+  assert.equal(q.getProjectStatus('p').stats.failed, 1);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectInterruptedRun, resetInterruptedTasks, lastRunEvent } from '../../packages/open-core/src/core/runRecovery.mjs';
+
+const plan = (...statuses) => ({ tasks: statuses.map((status, i) => ({ id: `t${i + 1}`, title: `Task ${i + 1}`, status })) });
+const events = (...types) => types.map((type, i) => ({ type, ts: `2026-01-01T00:00:0${i}Z`, runSessionId: 'run_1_a', taskId: type.startsWith('TASK_') ? 't1' : undefined }));
+
+test('a finished run is not interrupted', () => {
+  assert.equal(detectInterruptedRun({ project: 'p', plan: plan('done', 'todo'), events: events('RUN_STARTED', 'TASK_FINISHED', 'RUN_STOPPED') }), null);
+  assert.equal(detectInterruptedRun({ project: 'p', plan: plan('todo') }), null);
+});
+
+test('an open session marks the run interrupted', () => {
+  const run = detectInterruptedRun({ project: 'p', plan: plan('done'), openSession: { runSessionId: 'run_2_b' }, events: events('RUN_STARTED', 'RUN_STOPPED') });
+  assert.deepEqual(run.reasons, ['open_session']);
+  assert.equal(run.runSessionId, 'run_2_b');
+});
+
+test('a runlog that never logged RUN_STOPPED marks the run interrupted', () => {
+  const run = detectInterruptedRun({ project: 'p', plan: plan('doing', 'todo'), events: events('RUN_STARTED', 'TASK_STARTED') });
+  assert.deepEqual(run.reasons, ['unfinished_runlog', 'doing_tasks']);
+  assert.equal(run.runSessionId, 'run_1_a');
+  assert.deepEqual(run.tasks, [{ id: 't1', title: 'Task 1' }]);
+  assert.deepEqual(run.lastEvent, { type: 'TASK_STARTED', ts: '2026-01-01T00:00:01Z', taskId: 't1' });
+});
+
+test('tasks left doing mark the run interrupted without any runlog', () => {
+  const run = detectInterruptedRun({ project: 'p', plan: plan('doing', 'doing', 'done') });
+  assert.deepEqual(run.reasons, ['doing_tasks']);
+  assert.equal(run.runSessionId, null);
+  assert.equal(run.lastEvent, null);
+  assert.equal(run.tasks.length, 2);
+});
+
+test('the last RUN_ event decides, whatever follows it', () => {
+  assert.equal(lastRunEvent(events('RUN_STARTED', 'RUN_STOPPED', 'TASK_FINISHED')).type, 'RUN_STOPPED');
+  assert.equal(lastRunEvent([]), null);
+});
+
+test('only the listed doing tasks go back to todo, with a note', () => {
+  const p = plan('doing', 'doing', 'done');
+  p.tasks[0].notes = 'started';
+  assert.equal(resetInterruptedTasks(p, ['t1', 't3'], 'Interrupted'), 1);
+  assert.equal(p.tasks[0].status, 'todo');
+  assert.equal(p.tasks[0].notes, 'started\nInterrupted');
+  assert.ok(!Number.isNaN(Date.parse(p.tasks[0].interruptedAt)));
+  assert.equal(p.tasks[1].status, 'doing');
+  assert.equal(p.tasks[2].status, 'done');
+  assert.equal(resetInterruptedTasks(p, ['t1'], 'again'), 0);
+});
@@ -0,0 +1,145 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import {
+  startRunSession, stopRunSession, getCurrentRunSessionId, listOpenRunSessions, recoverRunSessions,
+  logEvent, getRunEvents, getLatestRunSessionId, listRunSessions, setEventCallback, truncateOutput
+} from '../../packages/open-core/src/core/runlog.mjs';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-runlog-'));
+after(() => {
+  setEventCallback(null);
+  setDataDir(null);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// A fresh, empty data dir
+let n = 0;
+function dataDir() {
+  const dir = path.join(root, String(++n));
+  setDataDir(dir);
+  return dir;
+}
+
+// The next server process: the open sessions are read back from sessions.json
+function restart(dir) {
+  setDataDir(path.join(root, 'elsewhere'));
+  listOpenRunSessions();
+  setDataDir(dir);
+}
+
+test('each project has its own session and its events carry it', () => {
+  dataDir();
+  const a = startRunSession('a');
+  const b = startRunSession('b');
+  assert.notEqual(a, b);
+  assert.equal(getCurrentRunSessionId('a'), a);
+  assert.equal(getCurrentRunSessionId('b'), b);
+  assert.equal(getCurrentRunSessionId(null), null);
+
+  logEvent({ type: 'TASK_STARTED', project: 'a', taskId: 't1' });
+  logEvent({ type: 'TASK_STARTED', project: 'b', taskId: 't1' });
+  logEvent({ type: 'COST_UPDATED', project: 'c' });
+  assert.deepEqual(getRunEvents('a').map(e => [e.type, e.runSessionId]), [['RUN_STARTED', a], ['TASK_STARTED', a]]);
+  assert.deepEqual(getRunEvents('b').map(e => [e.type, e.runSessionId]), [['RUN_STARTED', b], ['TASK_STARTED', b]]);
+  assert.equal(getRunEvents('c')[0].runSessionId, 'no-session');
+  assert.equal(logEvent({ type: 'X', project: 'a', runSessionId: 'other' }).runSessionId, 'other');
+});
+
+test('starting a project that has a session resumes it; stopping closes it', () => {
+  dataDir();
+  const id = startRunSession('a');
+  assert.equal(startRunSession('a', 'retry'), id);
+  assert.equal(stopRunSession('a', 'done'), id);
+  assert.equal(stopRunSession('a'), null);
+  assert.equal(getCurrentRunSessionId('a'), null);
+  assert.deepEqual(getRunEvents('a').map(e => [e.type, e.reason]), [['RUN_STARTED', undefined], ['RUN_RESUMED', 'retry'], ['RUN_STOPPED', 'done']]);
+  assert.notEqual(startRunSession('a'), id);
+});
+
+test('open sessions are kept in runs/sessions.json and survive a restart', () => {
+  const dir = dataDir();
+  const a = startRunSession('a');
+  startRunSession('b');
+  stopRunSession('b');
+  const stored = JSON.parse(fs.readFileSync(path.join(dir, 'runs', 'sessions.json'), 'utf8'));
+  assert.deepEqual(Object.keys(stored.sessions), ['a']);
+  assert.equal(stored.sessions.a.runSessionId, a);
+
+  restart(dir);
+  assert.deepEqual(listOpenRunSessions().map(s => s.runSessionId), [a]);
+  assert.equal(getCurrentRunSessionId('a'), a);
+  assert.equal(getCurrentRunSessionId('b'), null);
+});
+
+test('on boot a left-open session is resumed, kept or aborted', () => {
+  const dir = dataDir();
+  const ids = Object.fromEntries(['keep', 'resume', 'abort'].map(p => [p, startRunSession(p)]));
+  restart(dir);
+
+  const { resumed, kept, aborted } = recoverRunSessions(session => session.project);
+  assert.deepEqual([resumed, kept, aborted].map(list => list.map(s => s.runSessionId)), [[ids.resume], [ids.keep], [ids.abort]]);
+  const last = (project) => { const { type, reason, runSessionId } = getRunEvents(project).at(-1); return [type, reason, runSessionId]; };
+  assert.deepEqual(last('resume'), ['RUN_RESUMED', 'server_restart', ids.resume]);
+  assert.deepEqual(last('abort'), ['RUN_STOPPED', 'RUN_ABORTED', ids.abort]);
+  assert.equal(getRunEvents('keep').length, 1);
+  assert.deepEqual(listOpenRunSessions().map(s => s.project).sort(), ['keep', 'resume']);
+
+  assert.deepEqual(recoverRunSessions().aborted.map(s => s.project).sort(), ['keep', 'resume']);
+  assert.deepEqual(listOpenRunSessions(), []);
+});
+
+test('an unreadable sessions file starts with no open session', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const dir = dataDir();
+  fs.mkdirSync(path.join(dir, 'runs'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'runs', 'sessions.json'), '{');
+  assert.deepEqual(listOpenRunSessions(), []);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('sessions are listed from the log, newest first, with the open one active', () => {
+  const dir = dataDir();
+  fs.mkdirSync(path.join(dir, 'runs'), { recursive: true });
+  const lines = [
+    { ts: '2026-01-01T00:00:00Z', type: 'RUN_STARTED', runSessionId: 'old' },
+    { ts: '2026-01-01T00:05:00Z', type: 'RUN_STOPPED', runSessionId: 'old' },
+    { ts: '2026-01-02T00:00:00Z', type: 'RUN_STARTED', runSessionId: 'new' }
+  ].map(e => JSON.stringify({ project: 'a', ...e }));
+  fs.writeFileSync(path.join(dir, 'runs', 'a.jsonl'), [...lines, '{"broken'].join('\n') + '\n');
+
+  assert.equal(getRunEvents('a').length, 3);
+  assert.deepEqual(getRunEvents('a', 'old').map(e => e.type), ['RUN_STARTED', 'RUN_STOPPED']);
+  assert.equal(getLatestRunSessionId('a'), 'new');
+  assert.equal(getLatestRunSessionId('none'), null);
+  assert.deepEqual(listRunSessions('a'), [
+    { runSessionId: 'new', firstTs: '2026-01-02T00:00:00Z', lastTs: '2026-01-02T00:00:00Z', eventsCount: 1, active: false },
+    { runSessionId: 'old', firstTs: '2026-01-01T00:00:00Z', lastTs: '2026-01-01T00:05:00Z', eventsCount: 2, active: false }
+  ]);
+  assert.deepEqual(listRunSessions('a', 1).map(s => s.runSessionId), ['new']);
+  assert.deepEqual(listRunSessions('none'), []);
+
+  const open = startRunSession('a');
+  assert.equal(listRunSessions('a')[0].runSessionId, open);
+  assert.equal(listRunSessions('a')[0].active, true);
+});
+
+test('every logged event is handed to the event callback', () => {
+  dataDir();
+  const seen = [];
+  setEventCallback(event => seen.push(event));
+  const event = logEvent({ type: 'TEST_RUN', project: 'a' });
+  setEventCallback(null);
+  logEvent({ type: 'TEST_RUN', project: 'a' });
+  assert.deepEqual(seen, [event]);
+  assert.ok(!Number.isNaN(Date.parse(event.ts)));
+});
+
+test('long output is cut with a note of how much was dropped', () => {
+  assert.equal(truncateOutput('short'), 'short');
+  assert.equal(truncateOutput(''), '');
+  assert.equal(truncateOutput('x'.repeat(12), 10), 'xxxxxxxxxx\n... (truncated 2 chars)');
+});
@@ -0,0 +1,155 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+
+const CLI = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../bin/shipyard.mjs');
+
+// A stand-in for the server: each test sets the HTTP routes and WS replies it needs
+let routes = {};
+let onSocketMessage = () => {};
+const requests = [];
+let url;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const route = `${req.method} ${req.url.split('?')[0]}`;
+    requests.push({ route, url: req.url, body: body ? JSON.parse(body) : null });
+    const handler = routes[route];
+    if (!handler) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'not found' }));
+    }
+    const [status, data] = handler(requests.at(-1));
+    res.writeHead(status, { 'content-type': typeof data === 'string' ? 'text/markdown' : 'application/json' });
+    res.end(typeof data === 'string' ? data : JSON.stringify(data));
+  });
+});
+const wss = new WebSocketServer({ server });
+wss.on('connection', (ws) => {
+  ws.on('message', (raw) => onSocketMessage(JSON.parse(String(raw)), (msg) => ws.send(JSON.stringify(msg))));
+});
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  for (const ws of wss.clients) ws.terminate();
+  await new Promise((resolve) => wss.close(resolve));
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// The CLI runs as a child process; execFile keeps this process free to serve it
+function shipyard(...args) {
+  requests.length = 0;
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, '--url', url, ...args], { timeout: 20000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+const plan = { project: 'web', tasks: [{ id: 't1', title: 'Build', status: 'done', points: 2 }, { id: 't2', title: 'Ship', status: 'blocked', dependsOn: ['t1'] }] };
+
+test('help exits 0, a missing or unknown command exits 1', async () => {
+  const help = await shipyard('--help');
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /^Usage: shipyard/);
+  assert.equal((await shipyard()).code, 1);
+  const unknown = await shipyard('deploy');
+  assert.equal(unknown.code, 1);
+  assert.match(unknown.stderr, /shipyard: unknown command: deploy/);
+  assert.equal((await shipyard('--no-such-flag', 'projects')).code, 1);
+});
+
+test('projects are listed as text or JSON', async () => {
+  routes = { 'GET /api/projects': () => [200, [{ id: 'web', label: 'Web app', cwd: '/src/web' }]] };
+  const text = await shipyard('projects');
+  assert.equal(text.code, 0);
+  assert.equal(text.stdout, `${'web'.padEnd(24)} Web app  (/src/web)\n`);
+  const json = await shipyard('--json', 'projects');
+  assert.deepEqual(JSON.parse(json.stdout), [{ id: 'web', label: 'Web app', cwd: '/src/web' }]);
+});
+
+test('a failing request exits 1 with the server error', async () => {
+  routes = { 'GET /api/projects': () => [500, { error: 'store locked' }] };
+  const res = await shipyard('projects');
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /GET \/api\/projects failed \(500\): store locked/);
+});
+
+test('plan show asks over the socket and falls back to the active project', async () => {
+  routes = { 'GET /api/state': () => [200, { project: 'web' }] };
+  onSocketMessage = (msg, reply) => {
+    if (msg.type === 'plan:get') reply({ type: 'plan:updated', plan: { ...plan, project: msg.project } });
+  };
+  const res = await shipyard('plan', 'show');
+  assert.equal(res.code, 0);
+  assert.deepEqual(res.stdout.trim().split('\n'), [
+    '[done   ] t1  Build (2pt)',
+    '[blocked] t2  Ship (1pt)  after: t1'
+  ]);
+});
+
+test('approve exits 2 while more approvals are needed, 0 once approved', async () => {
+  let status = 'pending';
+  routes = { 'POST /api/policy/approve': ({ body }) => [200, { status, taskId: body.taskId, approvals: 1, requiredApprovals: 2 }] };
+  const waiting = await shipyard('-p', 'web', 'approve', '--task', 't2');
+  assert.equal(waiting.code, 2);
+  assert.equal(waiting.stdout, 'web t2: approval recorded (1 of 2 approvals)\n');
+  const { body } = requests[0];
+  assert.equal(body.project, 'web');
+  assert.equal(body.taskId, 't2');
+  assert.ok(body.approverId);
+  status = 'approved';
+  assert.equal((await shipyard('-p', 'web', 'approve', '--task', 't2')).code, 0);
+});
+
+test('run start exits 3 when the budget forecast refuses it', async () => {
+  onSocketMessage = (msg, reply) => {
+    if (msg.type === 'run:control') reply({ type: 'run:refused', project: msg.project, reason: 'p90 forecast over budget', forecast: { p90: 12 } });
+  };
+  const res = await shipyard('-p', 'web', 'run', 'start');
+  assert.equal(res.code, 3);
+  assert.match(res.stdout, /web: refused, p90 forecast over budget/);
+});
+
+test('run start --wait follows the run and exits 1 when tasks end blocked', async () => {
+  onSocketMessage = (msg, reply) => {
+    if (msg.type === 'run:control') {
+      reply({ type: 'runState:updated', runState: 'running' });
+      reply({ type: 'runlog:event', event: { ts: '2026-01-01T10:00:00.000Z', project: 'web', type: 'RUN_STOPPED', reason: 'plan finished' } });
+    }
+    if (msg.type === 'plan:get') reply({ type: 'plan:updated', plan });
+  };
+  const res = await shipyard('-p', 'web', 'run', 'start', '--wait');
+  assert.equal(res.code, 1);
+  assert.deepEqual(res.stdout.trim().split('\n'), [
+    '10:00:00 web RUN_STOPPED reason="plan finished"',
+    'web: blocked (t2)'
+  ]);
+});
+
+test('compliance exits 1 when a check fails', async () => {
+  routes = {
+    'POST /api/compliance/run': () => [200, { results: [{ status: 'fail', projectId: 'web', checksCount: 3, durationMs: 12 }], passed: 0, warned: 0, failed: 1 }]
+  };
+  const res = await shipyard('compliance', 'run');
+  assert.equal(res.code, 1);
+  assert.deepEqual(requests[0].body, { all: true });
+  assert.match(res.stdout, /FAIL web {2}3 checks, 12ms\n0 passed, 0 warned, 1 failed/);
+});
+
+test('report prints the markdown of the given run', async () => {
+  routes = { 'GET /api/report': () => [200, '# Run report\n'] };
+  const res = await shipyard('-p', 'web', 'report', '--run', 'run_1');
+  assert.equal(res.code, 0);
+  assert.equal(res.stdout, '# Run report\n\n');
+  assert.equal(requests[0].url, '/api/report?project=web&runSessionId=run_1');
+});
@@ -0,0 +1,121 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { setDataDir } from '../../packages/open-core/src/core/dataDir.mjs';
+import { logEvent, getRunEvents } from '../../packages/open-core/src/core/runlog.mjs';
+import {
+  listWorktrees, getActiveWorktree, createRunWorktree, stopRunWorktree, mergeRunWorktree,
+  discardRunWorktree, gcWorktrees, worktreeEvent, DEFAULT_WORKTREE_TTL_MS
+} from '../../packages/open-core/src/core/worktree.mjs';
+
+// Checkouts, worktrees and the data dir live in one temp dir
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipyard-worktree-'));
+const previousWorktreesDir = process.env.WORKTREES_DIR;
+process.env.WORKTREES_DIR = path.join(dir, 'worktrees');
+setDataDir(path.join(dir, 'data'));
+after(() => {
+  setDataDir(null);
+  if (previousWorktreesDir === undefined) delete process.env.WORKTREES_DIR;
+  else process.env.WORKTREES_DIR = previousWorktreesDir;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const IDENTITY = ['-c', 'user.name=test', '-c', 'user.email=test@localhost'];
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+const hasBranch = (cwd, branch) => git(cwd, 'branch', '--list', branch) !== '';
+const expired = () => Date.now() + DEFAULT_WORKTREE_TTL_MS + 60000;
+
+function checkout(name) {
+  const cwd = path.join(dir, name);
+  fs.mkdirSync(cwd);
+  git(cwd, 'init', '-q');
+  fs.writeFileSync(path.join(cwd, 'a.txt'), 'one\n');
+  git(cwd, 'add', '-A');
+  git(cwd, ...IDENTITY, 'commit', '-q', '-m', 'init');
+  return cwd;
+}
+
+test('a run worktree is created, stopped and merged, and each step is logged', () => {
+  const cwd = checkout('merge');
+  const entry = createRunWorktree('merge', cwd, 'r1');
+  logEvent(worktreeEvent('WORKTREE_CREATED', entry));
+  assert.equal(entry.branch, 'shipyard/merge/r1');
+  assert.equal(entry.path, path.join(dir, 'worktrees', 'merge', 'r1'));
+  assert.equal(getActiveWorktree('merge'), entry);
+  const stored = JSON.parse(fs.readFileSync(path.join(dir, 'data', 'worktrees.json'), 'utf8'));
+  assert.deepEqual(stored.worktrees.map(w => w.id), ['r1']);
+
+  fs.writeFileSync(path.join(entry.path, 'b.txt'), 'new\n');
+  const stopped = stopRunWorktree('merge', 'done');
+  logEvent(worktreeEvent('WORKTREE_STOPPED', stopped));
+  assert.deepEqual(stopped.changes, { commits: 0, files: ['b.txt'] });
+  assert.equal(getActiveWorktree('merge'), null);
+
+  const { commit, merged } = mergeRunWorktree('merge');
+  logEvent(worktreeEvent('WORKTREE_MERGED', stopped, { commit, merged }));
+  assert.equal(merged, true);
+  assert.equal(fs.readFileSync(path.join(cwd, 'b.txt'), 'utf8'), 'new\n');
+  assert.equal(fs.existsSync(entry.path), false);
+  assert.equal(hasBranch(cwd, entry.branch), false);
+  assert.deepEqual(listWorktrees('merge'), []);
+
+  const events = getRunEvents('merge');
+  assert.deepEqual(events.map(e => e.type), ['WORKTREE_CREATED', 'WORKTREE_STOPPED', 'WORKTREE_MERGED']);
+  assert.equal(events[0].base, entry.base);
+  assert.deepEqual([events[1].reason, events[1].commits, events[1].files], ['done', 0, ['b.txt']]);
+  assert.deepEqual([events[2].into, events[2].commit, events[2].merged], [cwd, commit, true]);
+  assert.ok(events.every(e => e.branch === entry.branch && e.path === entry.path));
+});
+
+test('a discard drops the worktree and its branch; an active run cannot be discarded', () => {
+  const cwd = checkout('discard');
+  const entry = createRunWorktree('discard', cwd, 'r1');
+  assert.throws(() => discardRunWorktree('discard'), { code: 'WORKTREE_ACTIVE' });
+  fs.writeFileSync(path.join(entry.path, 'b.txt'), 'new\n');
+  git(entry.path, 'add', '-A');
+  git(entry.path, ...IDENTITY, 'commit', '-q', '-m', 'work');
+  stopRunWorktree('discard');
+  discardRunWorktree('discard', 'r1');
+  assert.equal(fs.existsSync(entry.path), false);
+  assert.equal(hasBranch(cwd, entry.branch), false);
+  assert.equal(fs.existsSync(path.join(cwd, 'b.txt')), false);
+  assert.throws(() => discardRunWorktree('discard'), { code: 'WORKTREE_NOT_FOUND' });
+});
+
+test('an expired worktree is collected, its unmerged work kept on its branch', () => {
+  const cwd = checkout('gc-kept');
+  const entry = createRunWorktree('gc-kept', cwd, 'r1');
+  fs.writeFileSync(path.join(entry.path, 'b.txt'), 'uncommitted\n');
+  stopRunWorktree('gc-kept', 'done');
+
+  assert.deepEqual(gcWorktrees(), []);
+  const [removed] = gcWorktrees({ now: expired() });
+  logEvent(worktreeEvent('WORKTREE_GC', removed));
+  assert.equal(removed.gcReason, 'expired');
+  assert.equal(removed.branchKept, true);
+  assert.equal(fs.existsSync(entry.path), false);
+  assert.equal(hasBranch(cwd, entry.branch), true);
+  assert.equal(git(cwd, 'show', `${entry.branch}:b.txt`), 'uncommitted');
+  assert.deepEqual(listWorktrees('gc-kept'), []);
+
+  const [event] = getRunEvents('gc-kept');
+  assert.deepEqual([event.type, event.reason, event.branchKept, event.branch], ['WORKTREE_GC', 'expired', true, entry.branch]);
+});
+
+test('a collected worktree with nothing unmerged loses its branch, a deleted one is forgotten', () => {
+  const cwd = checkout('gc-clean');
+  const clean = createRunWorktree('gc-clean', cwd, 'r1');
+  stopRunWorktree('gc-clean');
+  const gone = createRunWorktree('gc-clean', cwd, 'r2');
+  stopRunWorktree('gc-clean');
+  fs.rmSync(gone.path, { recursive: true, force: true });
+  createRunWorktree('gc-clean', cwd, 'r3');
+
+  const removed = gcWorktrees({ now: expired() });
+  assert.deepEqual(removed.map(e => [e.id, e.gcReason, e.branchKept]), [['r1', 'expired', false], ['r2', 'missing', false]]);
+  assert.equal(hasBranch(cwd, clean.branch), false);
+  assert.deepEqual(listWorktrees('gc-clean').map(w => [w.id, w.status]), [['r3', 'active']]);
+});
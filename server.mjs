@@ -9,34 +9,8 @@ import { WebSocketServer } from 'ws';
 import OpenAI from 'openai';
 
 /* __OPENAI_OPTIONAL_V1__ */
-// Open Core: OpenAI is OPTIONAL. Server must boot without OPENAI_API_KEY.
-let openai = null;
-
-function getOpenAI() {
-  if (openai) return openai;
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) return null;
-  try {
-    openai = new OpenAI({ apiKey: key });
-    return openai;
-  } catch (e) {
-    console.warn("[open-core] OpenAI disabled:", e?.message || e);
-    return null;
-  }
-}
-
-function requireOpenAI(res) {
-  const c = getOpenAI();
-  if (!c) {
-    res.status(501).json({
-      ok: false,
-      error: "OPENAI_DISABLED",
-      message: "This feature requires OPENAI_API_KEY. Open Core defaults to offline mode."
-    });
-    return null;
-  }
-  return c;
-}
+// Open Core: model providers are OPTIONAL. Server must boot without OPENAI_API_KEY.
+// Providers (OpenAI, OpenAI-compatible local servers, recorded fixtures) live in core/llmProviders.mjs.
 
 /* __PTY_OPTIONAL_V1__ */
 // Terminal features (node-pty) are OPTIONAL. Server must boot without node-pty.
@@ -63,10 +37,21 @@ async function getPty() {
 
 
 // Open Core imports (local orchestrator)
-import { isDangerousBash } from './src/core/safety.mjs';
-import { checkBudgetExceeded as checkBudgetCore } from './src/core/budget.mjs';
-import { mergePlans, computeProgress } from './src/core/plan.mjs';
-import { startRunSession, stopRunSession, getCurrentRunSessionId, logEvent as logEventCore, getRunEvents, getLatestRunSessionId, listRunSessions, truncateOutput } from './src/core/runlog.mjs';
+import { isDangerousBash, isProtectedPatch } from './src/core/safety.mjs';
+import { getProjectBudget, saveProjectBudget, getBudgetPeriod, evaluateBudget } from './src/core/budget.mjs';
+import { calculateCost } from './src/core/pricing.mjs';
+import { appendCostEntry, getProjectCost, migrateLegacyCostStores } from './src/core/costLedger.mjs';
+import { forecastPlanCost } from './src/core/costForecast.mjs';
+import { getRoleProvider, resolveRoleLLM, fixtureMode, fixturesDir } from './src/core/llmProviders.mjs';
+import { validateLLMOutput, formatSchemaErrors } from './src/core/llmSchemas.mjs';
+import { loadEngineerMemory, saveEngineerMemory, clearEngineerMemory, addMemoryTurn, renderMemory, memoryStats } from './src/core/engineerMemory.mjs';
+import { dryRunPatch, applyPatch, patchPaths, storePatchArtifact } from './src/core/patchApply.mjs';
+import { beginTaskCheckpoint, endTaskCheckpoint, loadTaskCheckpoints, rollbackBlocker, rollbackTask } from './src/core/gitCheckpoint.mjs';
+import { detectInterruptedRun, resetInterruptedTasks } from './src/core/runRecovery.mjs';
+import { readJsonStore, writeJsonStore, updateJsonStore } from './src/core/jsonStore.mjs';
+import { listWorktrees, getActiveWorktree, createRunWorktree, stopRunWorktree, mergeRunWorktree, discardRunWorktree, gcWorktrees, worktreeEvent } from './src/core/worktree.mjs';
+import { mergePlans, computeProgress, findRunnableTasks, blockDependents, blockStrandedTasks } from './src/core/plan.mjs';
+import { startRunSession, stopRunSession, getCurrentRunSessionId, listOpenRunSessions, recoverRunSessions, logEvent as logEventCore, getRunEvents, getLatestRunSessionId, listRunSessions, truncateOutput } from './src/core/runlog.mjs';
 import { buildMarkdownReport } from './src/core/report.mjs';
 import { getStorageClient, initializeStorage } from './src/core/storage.mjs';
 import { once } from 'node:events';
@@ -77,7 +62,10 @@ import { createContextSnapshot } from './src/core/contextPack.mjs';
 import { buildSummary, buildOfflineSummary } from './src/core/summary.mjs';
 import { cleanupArtifacts } from './src/core/artifactManager.mjs';
 import { getQueueManager } from './src/core/projectQueue.mjs';
+import { runInTerm, runSpawned, simulateSentinelOutput, formatCommandResult } from './src/core/commandRunner.mjs';
 import { getPolicyEngine } from './src/core/policyEngine.mjs';
+import { getEffectivePolicy, validatePolicy, savePolicy, diffPolicies, loadPolicy, loadProjectPolicy, watchPolicyFile } from './src/core/policy.mjs';
+import { simulatePolicy } from './src/core/policySimulation.mjs';
 import { getStorageQueryEngine } from './src/core/storageQueryEngine.mjs';
 import { runCompliance, getLatestComplianceStatus, getAllProjectsWithStatus, setEventCallbacks } from './src/core/complianceRunner.mjs';
 
@@ -155,12 +143,13 @@ Required schema:
   "project": string,
   "requirements": string,
   "tasks": [
-    { "id"?: string, "title": string, "points": number, "status"?: "todo"|"doing"|"done"|"blocked", "verify": string[], "notes"?: string }
+    { "id"?: string, "title": string, "points": number, "status"?: "todo"|"doing"|"done"|"blocked", "verify": string[], "notes"?: string, "dependsOn"?: string[] }
   ]
 }
 
 Rules:
 - Preserve clarity: titles concise. Use status 'todo' for new tasks. IDs optional.
+- dependsOn lists the ids of tasks that must be done first; give every referenced task an id. Avoid cycles.
 `.trim();
 
 const PM_VERIFY_PROMPT = `
@@ -177,6 +166,7 @@ Required schema:
 
 Rules:
 - bash may be empty if not needed. patch may be empty.
+- patch is a unified diff (git diff format) with paths relative to the project root; it is applied before bash runs.
 - Prefer safe, reversible commands when possible.
 - Do not explain; summary must be short.
 `.trim();
@@ -186,43 +176,58 @@ const USD_TO_TWD = Number(process.env.USD_TO_TWD || 32);
 const ENGINEER_MODEL = process.env.ENGINEER_MODEL || 'gpt-5.1-codex-mini';
 const PM_MODEL = process.env.PM_MODEL || 'gpt-5-mini';
 const ALLOW_DESTRUCTIVE = process.env.ALLOW_DESTRUCTIVE === '1';
+// Extra attempts when a model's answer does not match its schema (errors are fed back)
+const LLM_SCHEMA_RETRIES = Math.max(0, Number(process.env.LLM_SCHEMA_RETRIES ?? 2) || 0);
+// Token budget of the engineer's conversation memory; older turns are summarized to fit
+const ENGINEER_MEMORY_TOKENS = Math.max(0, Number(process.env.ENGINEER_MEMORY_TOKENS ?? 4000) || 0);
 
 // Smoke test mode: deterministic, no OpenAI calls
 function isSmoke() {
   return process.env.WS_SMOKE === '1';
 }
 
-const hasKey = !!process.env.OPENAI_API_KEY;
-if (isSmoke()) {
+// WS_SMOKE swaps the model calls for keyword stubs, unless LLM_FIXTURES records or replays real answers
+function llmStubbed() {
+  return isSmoke() && !fixtureMode();
+}
+
+if (llmStubbed()) {
   console.log('WS_SMOKE mode: using deterministic stubs (no OpenAI)');
 } else {
-  console.log('OPENAI_API_KEY:', hasKey ? 'has_key' : 'missing');
+  if (fixtureMode()) console.log(`[llm] LLM_FIXTURES=${fixtureMode()}: ${fixturesDir()}`);
+  for (const role of ['engineer', 'pm']) {
+    const llm = resolveRoleLLM(role, { defaults: { engineer: ENGINEER_MODEL, pm: PM_MODEL } });
+    const provider = getRoleProvider(llm, { OpenAI });
+    console.log(`[llm] ${role}: ${provider?.name || llm.provider}/${llm.model}`, provider ? (provider.available ? 'ready' : `unavailable (${provider.reason})`) : 'unknown provider');
+  }
 }
 
-const client = isSmoke() ? null : getOpenAI();
-
 // -----------------------------
 // Projects
 // -----------------------------
 const DATA_DIR = path.resolve('./data');
 const PROJECTS_FILE = path.join(DATA_DIR, 'projects.json');
-const USAGE_DIR = path.join(DATA_DIR, 'usage');
-fs.mkdirSync(USAGE_DIR, { recursive: true });
 const STATE_FILE = path.join(DATA_DIR, 'state.json');
 const PLANS_DIR = path.join(DATA_DIR, 'plans');
-const COST_FILE = path.join(DATA_DIR, 'cost.json');
 fs.mkdirSync(PLANS_DIR, { recursive: true });
+// Costs live in the append-only ledger; the old cost.json/usage stores are imported once
+try {
+  const { migrated, entries } = migrateLegacyCostStores({ costFile: path.join(DATA_DIR, 'cost.json'), usageDir: path.join(DATA_DIR, 'usage'), usdToTwd: USD_TO_TWD });
+  if (migrated) console.log(`[cost] imported ${entries} legacy cost entries into data/cost_ledger.jsonl`);
+} catch (e) {
+  console.error('[cost] legacy cost import failed:', e.message);
+}
 // runtime maps
-const pendingApprovals = new Map(); // project -> { project, taskId, bash, dangerReason }
-const projectProcessing = new Set(); // per-project in-flight guard
+// Commands waiting for approval. Quorum lives in the PolicyEngine request; this keeps the full command.
+// Keyed like the engine's requests: parallel tasks of one project can each wait for approval.
+const pendingApprovals = new Map(); // `${project}:${taskId}` -> { project, taskId, bash, dangerReason, dangerSubCommand, severity, requiredApprovals, settled }
 const projectTerm = new Map(); // project -> term (PTY) (latest attached)
 const commandHeartbeats = new Map(); // project -> CommandHeartbeat instance
 const sessionSummaries = new Map(); // project -> { summaryText, updatedAt }
-const engineerContexts = new Map(); // project -> conversation context buffer
+const engineerContexts = new Map(); // project -> engineer memory (core/engineerMemory.mjs), loaded on first use
 let eventCountSinceLastSummary = 0;
 const SUMMARY_TRIGGER_INTERVAL = 25; // Refresh summary every 25 events
 const GLOBAL_CONCURRENCY = Number(process.env.GLOBAL_CONCURRENCY || 5);
-let globalInFlight = 0;
 
 function loadProjects() {
   try {
@@ -271,145 +276,164 @@ function logEvent(eventData) {
   }
 }
 
-function usagePath(projectId) {
-  return path.join(USAGE_DIR, `${projectId}.json`);
+// Plans are JSON stores: atomic writes, backups, schemaVersion (see jsonStore.mjs)
+function planStore(projectId) {
+  return {
+    version: 1,
+    defaults: () => ({ projectId, tasks: [] }),
+    migrations: { 0: (plan) => ({ ...plan, tasks: Array.isArray(plan.tasks) ? plan.tasks : [] }) }
+  };
 }
 
-function loadUsage(projectId) {
-  const p = usagePath(projectId);
-  if (!fs.existsSync(p)) {
-    return { projectId, totals: {}, updatedAt: null };
-  }
-  try {
-    return JSON.parse(fs.readFileSync(p, 'utf8'));
-  } catch {
-    return { projectId, totals: {}, updatedAt: null };
-  }
+function loadPlan(projectId) {
+  return readJsonStore(path.join(PLANS_DIR, `${projectId}.json`), planStore(projectId));
 }
 
-function loadPlan(projectId) {
-  const p = path.join(PLANS_DIR, `${projectId}.json`);
-  if (!fs.existsSync(p)) return { projectId, tasks: [] };
-  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return { projectId, tasks: [] }; }
+// Read-modify-write a plan under its lock. Every plan write goes through here: an
+// unlocked load/save could land while a locked update awaits, and one would be lost
+function updatePlan(projectId, mutate) {
+  return updateJsonStore(path.join(PLANS_DIR, `${projectId}.json`), mutate, planStore(projectId));
 }
 
-function savePlan(projectId, planObj) {
-  const p = path.join(PLANS_DIR, `${projectId}.json`);
-  fs.writeFileSync(p, JSON.stringify(planObj, null, 2));
+// DAG: a blocked task strands every task downstream of it
+function blockDownstream(project, plan, task, reason) {
+  const blocked = blockDependents(plan, task.id, reason);
+  for (const b of blocked) logEvent({ type: 'TASK_BLOCKED', project, ...b });
+  return blocked;
 }
 
-function loadCost() {
-  if (!fs.existsSync(COST_FILE)) return {};
-  try { return JSON.parse(fs.readFileSync(COST_FILE, 'utf8')); } catch { return {}; }
+// Up to `limit` todo tasks whose dependencies are all done. When nothing is
+// runnable, tasks that can never run (missing/blocked/cyclic deps) are marked
+// blocked in `plan` and returned as `stranded`.
+function pickRunnableTasks(plan, limit = 1) {
+  const runnable = findRunnableTasks(plan).slice(0, limit);
+  if (runnable.length > 0) return { runnable, stranded: [] };
+  return { runnable: [], stranded: blockStrandedTasks(plan) };
 }
 
-function saveCost(costObj) { fs.writeFileSync(COST_FILE, JSON.stringify(costObj, null, 2)); }
+// Price one model call from data/pricing.json. Unknown models cost 0 and are
+// flagged with COST_UNPRICED so they are fixed in the registry, not guessed.
+function priceUsage(projectId, model, usage) {
+  const price = calculateCost(model, usage, { usdToTwd: USD_TO_TWD });
+  if (!price.priced) {
+    logEvent({
+      type: 'COST_UNPRICED',
+      project: projectId,
+      model,
+      reason: price.reason,
+      input_tokens: price.tokens.input,
+      cached_input_tokens: price.tokens.cachedInput,
+      output_tokens: price.tokens.output
+    });
+  }
+  return price;
+}
+
+// Record one model call in the cost ledger and publish the project's new totals
+function recordModelCost(projectId, model, usage, { role, taskId = null, price = priceUsage(projectId, model, usage) } = {}) {
+  const provider = role === 'engineer' || role === 'pm' ? llmFor(role, projectId).provider : null;
+  appendCostEntry({ project: projectId, runSessionId: getCurrentRunSessionId(projectId) || null, taskId, model, provider, role, price });
+  const cost = getProjectCost(projectId);
+  const budget = checkBudgetExceeded(projectId);
 
-function addCost(projectId, model, usage) {
-  const costs = loadCost();
-  costs[projectId] ||= { models: {}, total: { input_tokens: 0, output_tokens: 0, total_tokens: 0, calls: 0, estimated_usd: 0, estimated_twd: 0 } };
-  const store = costs[projectId];
-  store.models[model] ||= { input_tokens: 0, output_tokens: 0, total_tokens: 0, calls: 0 };
-  const m = store.models[model];
-  const input = usage.input_tokens || 0; const output = usage.output_tokens || 0; const total = usage.total_tokens || (input + output);
-  
-  // Calculate cost
-  const PRICES = {
-    'gpt-5-mini': { in: 0.25, out: 2.00 },
-    'gpt-5.1-codex-mini': { in: 0.25, out: 2.00 },
-  };
-  const rate = PRICES[model] || PRICES['gpt-5-mini'];
-  const costUsd = (input / 1e6) * rate.in + (output / 1e6) * rate.out;
-  const costTwd = costUsd * USD_TO_TWD;
-  
-  m.input_tokens += input; m.output_tokens += output; m.total_tokens += total; m.calls = (m.calls || 0) + 1;
-  store.total.input_tokens += input; store.total.output_tokens += output; store.total.total_tokens += total;
-  store.total.calls = (store.total.calls || 0) + 1;
-  store.total.estimated_usd = (store.total.estimated_usd || 0) + costUsd;
-  store.total.estimated_twd = (store.total.estimated_twd || 0) + costTwd;
-  
-  saveCost(costs);
-  
-  // Log cost update event
   logEvent({
     type: 'COST_UPDATED',
     project: projectId,
-    calls: store.total.calls,
-    tokens: store.total.total_tokens,
-    twd: store.total.estimated_twd
+    taskId,
+    model,
+    role,
+    calls: cost.calls,
+    tokens: cost.total_tokens,
+    usd: cost.cost_usd,
+    twd: cost.cost_twd
   });
-  
-  return costs[projectId];
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'cost:updated', project: projectId, cost, budget })); });
+  maybeWarnBudget(projectId, budget);
+
+  return cost;
 }
 
+// data/budgets.json, falling back to the dashboard's single state.budget
+function projectBudget(projectId) {
+  return getProjectBudget(projectId, { amount: Number(loadState().budget) || 0 });
+}
+
+// Spend of the current budget period against its allowance (see evaluateBudget)
 function checkBudgetExceeded(projectId) {
-  const state = loadState();
-  const budget = Number(state.budget) || 0;
-  
-  const costs = loadCost();
-  const projectCost = costs[projectId] || {};
-  const spent = projectCost.total?.estimated_twd || 0;
-  
-  return checkBudgetCore(spent, budget);
+  const budget = projectBudget(projectId);
+  const { start, previousStart } = getBudgetPeriod(budget);
+  const spent = getProjectCost(projectId, { since: start || undefined }).cost_twd;
+  const previousSpent = budget.rollover && previousStart
+    ? getProjectCost(projectId, { since: previousStart, until: start }).cost_twd
+    : 0;
+  return evaluateBudget(budget, { spent, previousSpent });
 }
 
-function saveUsage(projectId, usageObj) {
-  const p = usagePath(projectId);
-  fs.writeFileSync(p, JSON.stringify(usageObj, null, 2));
+// Forecast of the plan's todo tasks next to what is left of the budget period
+function forecastProject(projectId) {
+  const forecast = forecastPlanCost(loadPlan(projectId), {
+    project: projectId,
+    usdToTwd: USD_TO_TWD,
+    planFor: loadPlan,
+    models: { engineer: llmFor('engineer', projectId).model, pm: llmFor('pm', projectId).model }
+  });
+  const budget = checkBudgetExceeded(projectId);
+  return {
+    ...forecast,
+    budget: { amount: budget.budget, spent: budget.spent, remaining: budget.remaining, period: budget.period },
+    exceedsBudget: budget.remaining !== null && forecast.p90 > budget.remaining
+  };
 }
 
-function addUsage(projectId, model, usage) {
-  // usage: { input_tokens, output_tokens, total_tokens }
-  const store = loadUsage(projectId);
-  store.totals[model] ||= { input_tokens: 0, output_tokens: 0, total_tokens: 0, cost_usd: 0, cost_twd: 0 };
+// Highest soft-warning threshold already announced per project and period
+const budgetWarnings = new Map(); // project -> { periodStart, threshold }
 
-  const input = usage?.input_tokens || 0;
-  const output = usage?.output_tokens || 0;
-  const total = usage?.total_tokens || (input + output);
+function maybeWarnBudget(projectId, status) {
+  if (status.crossed === null || status.exceeded) return;
+  const last = budgetWarnings.get(projectId);
+  if (last && last.periodStart === status.periodStart && last.threshold >= status.crossed) return;
+  budgetWarnings.set(projectId, { periodStart: status.periodStart, threshold: status.crossed });
 
-  // Standard tier pricing (你貼的表)
-  const PRICES = {
-    'gpt-5-mini': { in: 0.25, out: 2.00 },            // per 1M tokens
-    'gpt-5.1-codex-mini': { in: 0.25, out: 2.00 },
-    // fallback 可以再加
+  const warning = {
+    project: projectId,
+    threshold: status.crossed,
+    ratio: status.ratio,
+    spent: status.spent,
+    budget: status.budget,
+    period: status.period,
+    periodStart: status.periodStart,
+    periodEnd: status.periodEnd
   };
-  const rate = PRICES[model] || PRICES['gpt-5-mini'];
-
-  const costUsd = (input / 1e6) * rate.in + (output / 1e6) * rate.out;
-  const costTwd = costUsd * USD_TO_TWD;
+  logEvent({ type: 'BUDGET_WARNING', ...warning });
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'cost:budgetWarning', ...warning })); });
+}
 
-  const t = store.totals[model];
-  t.input_tokens += input;
-  t.output_tokens += output;
-  t.total_tokens += total;
-  t.cost_usd += costUsd;
-  t.cost_twd += costTwd;
+// Tokens a task has used this budget period against the project's per-task cap
+function checkTaskTokenCap(projectId, taskId) {
+  const budget = projectBudget(projectId);
+  if (!budget.taskTokenCap) return { exceeded: false, tokens: 0, cap: 0 };
+  const { start } = getBudgetPeriod(budget);
+  const tokens = getProjectCost(projectId, { taskId, since: start || undefined }).total_tokens;
+  return { exceeded: tokens >= budget.taskTokenCap, tokens, cap: budget.taskTokenCap };
+}
 
-  store.updatedAt = new Date().toISOString();
-  saveUsage(projectId, store);
-  return store;
+function blockForTaskTokenCap(project, taskId, capCheck) {
+  const reason = `Task token cap exceeded: ${capCheck.tokens} >= ${capCheck.cap} tokens`;
+  console.log('[autopilot] task token cap', project, taskId, capCheck.tokens, capCheck.cap);
+  logEvent({ type: 'TASK_TOKEN_CAP_EXCEEDED', project, taskId, tokens: capCheck.tokens, cap: capCheck.cap });
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'cost:taskCapExceeded', project, taskId, tokens: capCheck.tokens, cap: capCheck.cap, reason })); });
+  return finishTask(project, taskId, 'blocked', reason);
 }
 
 function summarizeUsage(projectId) {
-  const store = loadUsage(projectId);
-  let cost_usd = 0, cost_twd = 0, input_tokens = 0, output_tokens = 0, total_tokens = 0;
-
-  for (const m of Object.keys(store.totals || {})) {
-    const t = store.totals[m];
-    cost_usd += t.cost_usd || 0;
-    cost_twd += t.cost_twd || 0;
-    input_tokens += t.input_tokens || 0;
-    output_tokens += t.output_tokens || 0;
-    total_tokens += t.total_tokens || 0;
-  }
-
-  return { projectId, cost_usd, cost_twd, input_tokens, output_tokens, total_tokens, updatedAt: store.updatedAt };
+  const { cost_usd, cost_twd, input_tokens, output_tokens, total_tokens, updatedAt } = getProjectCost(projectId);
+  return { projectId, cost_usd, cost_twd, input_tokens, output_tokens, total_tokens, updatedAt };
 }
 
 // -----------------------------
 // Terminal sessions (per connection)
 // -----------------------------
-async function createTerm(projectId) {
+async function createTerm(projectId, cwd) {
   const proj = PROJECTS.map.get(projectId) || PROJECTS.list[0];
   const shell = process.env.SHELL || 'bash';
   // In test mode, allow a fake PTY implementation via FAKE_PTY=1
@@ -436,10 +460,10 @@ async function createTerm(projectId) {
           }, 200);
           // simulate completion after longer delay
           currentTimer = setTimeout(() => {
-            for (const cb of listeners) cb('DONE\r\n');
+            for (const cb of listeners) cb('DONE\r\n' + simulateSentinelOutput(s));
           }, 4000);
         } else {
-          for (const cb of listeners) cb(s);
+          for (const cb of listeners) cb(s + simulateSentinelOutput(s));
         }
       },
       onData(cb) {
@@ -463,131 +487,606 @@ async function createTerm(projectId) {
   return pty.spawn(shell, [], {
     cols: 120,
     rows: 30,
-    cwd: proj?.cwd || process.env.HOME,
+    cwd: cwd || proj?.cwd || process.env.HOME,
     env: process.env,
   });
 }
 
-async function processNextTask(project) {
-  if (projectProcessing.has(project)) return; // per-project limit = 1
-  if (globalInFlight >= GLOBAL_CONCURRENCY) {
-    setTimeout(() => processNextTask(project), 300);
-    return;
+// -----------------------------
+// Autopilot (tasks run through the ProjectQueueManager)
+// -----------------------------
+const queueManager = getQueueManager({ maxConcurrentProjects: GLOBAL_CONCURRENCY, maxConcurrentTasks: GLOBAL_CONCURRENCY });
+const autopilotInFlight = new Map(); // project -> Set of plan task ids enqueued or running
+const projectTermBusy = new Map(); // project -> plan task id currently using the attached PTY
+
+// projects.json: { "maxParallelTasks": 2 } lets independent tasks run side by side
+function getMaxParallelTasks(project) {
+  const n = Number(PROJECTS.map.get(project)?.maxParallelTasks);
+  return Number.isInteger(n) && n > 0 ? n : 1;
+}
+
+// Read-modify-write one task on the freshest plan, under the plan lock. Parallel
+// tasks of the same project would otherwise overwrite each other's updates with stale copies.
+async function updatePlanTask(project, taskId, mutate) {
+  let task = null;
+  const plan = await updatePlan(project, (current) => {
+    task = (current.tasks || []).find(t => t.id === taskId) || null;
+    if (!task) return false;
+    mutate(task, current);
+  });
+  if (task) wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
+  return { plan, task };
+}
+
+async function finishTask(project, taskId, status, note, updates) {
+  const { task } = await updatePlanTask(project, taskId, (t, plan) => {
+    t.status = status;
+    t.notes = (t.notes || '') + '\n' + note;
+    if (status === 'done' && updates) {
+      if (updates.title) t.title = updates.title;
+      if (typeof updates.points === 'number') t.points = updates.points;
+    }
+    if (status === 'blocked') blockDownstream(project, plan, t, note);
+  });
+  if (task) logEvent({ type: 'TASK_FINISHED', project, taskId, taskTitle: task.title, status });
+  recordTaskChangeset(project, taskId, status);
+}
+
+// Only the task waits: it stays 'doing' and holds its slot while the project's other tasks run on
+function pauseForApproval(project, task, bash, danger, patch = null) {
+  const taskId = task.id || task.title;
+  console.log('[autopilot] requiresApproval', project, taskId, bash, danger.reason);
+  const dangerSubCommand = danger.subCommand?.raw;
+
+  // The engine owns the quorum; the command runs when its request resolves
+  const engine = getPolicyEngine({ enableAuditLogging: true });
+  if (engine.getApprovalRequest(taskId, project)) {
+    engine.rejectCommand(taskId, { projectId: project, rejectionReason: 'superseded by a new approval request' });
+  }
+  const decisionContext = { taskId, runSessionId: getCurrentRunSessionId(project), ...policyContext(project) };
+  if (danger.source === 'patch') engine.evaluatePatch(patch.files, project, decisionContext);
+  else engine.evaluateCommand(bash, project, decisionContext);
+  const patchText = patch?.text || '';
+  const patchFiles = patch?.files || [];
+  const pending = { project, taskId, bash, patch: patchText, patchFiles, dangerReason: danger.reason, dangerSubCommand, severity: danger.severity || 'high' };
+  const settled = engine.requestApproval(taskId, {
+    projectId: project,
+    requestedBy: 'autopilot',
+    meta: { bash, patch: patchText, patchFiles, dangerReason: danger.reason, dangerSubCommand, taskTitle: task.title }
+  });
+  trackPendingApproval(pending, settled, engine.getApprovalRequest(taskId, project));
+
+  const { requiredApprovals, severity, expiresAt } = pending;
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'autopilot:requiresApproval', project, taskId, bash, patchFiles, dangerReason: danger.reason, dangerSubCommand, severity, approvals: 0, requiredApprovals, expiresAt })); });
+  logEvent({ type: 'DANGER_REQUIRES_APPROVAL', project, taskId: task.id, taskTitle: task.title, bash, patchFiles, dangerReason: danger.reason, dangerCode: danger.code, dangerSubCommand, severity, requiredApprovals, expiresAt });
+  logEvent({ type: 'POLICY_REQUIRES_APPROVAL', project, taskId: task.id, command: bash, patchFiles, code: danger.code, reason: danger.reason, severity, requiredApprovals });
+}
+
+// Wire an engine approval request to the autopilot: run the command once quorum is reached
+function trackPendingApproval(pending, settled, request) {
+  pending.requiredApprovals = request?.requiredApprovals || 1;
+  pending.expiresAt = request?.expiresAt || null;
+  pending.settled = settled.then(
+    (grant) => runApprovedCommand(pending.project, pending, grant),
+    (err) => console.log('[autopilot] approval closed', pending.project, pending.taskId, err.message)
+  );
+  pendingApprovals.set(approvalKey(pending.project, pending.taskId), pending);
+}
+
+function approvalKey(project, taskId) {
+  return `${project}:${taskId}`;
+}
+
+function projectPendingApprovals(project) {
+  return [...pendingApprovals.values()].filter(p => p.project === project);
+}
+
+/**
+ * A project's pending approval
+ * @param {string} project
+ * @param {string} [taskId] - may be omitted while the project has a single pending approval
+ * @returns {Object|null} the pending entry
+ */
+function findPendingApproval(project, taskId) {
+  if (taskId) return pendingApprovals.get(approvalKey(project, taskId)) || null;
+  const waiting = projectPendingApprovals(project);
+  if (waiting.length > 1) {
+    const err = new Error(`${waiting.length} approvals are pending for ${project} (tasks ${waiting.map(p => p.taskId).join(', ')}); pass taskId`);
+    err.code = 'APPROVAL_AMBIGUOUS';
+    throw err;
   }
-  projectProcessing.add(project);
-  globalInFlight++;
+  return waiting[0] || null;
+}
+
+function pauseForBudget(project, budgetCheck) {
+  console.log('[autopilot] budget exceeded', project, budgetCheck.spent, budgetCheck.budget);
+  const s = loadState(); s.runState = 'paused_budget'; saveState(s);
+  wss.clients.forEach((c) => { if (c.readyState === 1) {
+    c.send(JSON.stringify({ type: 'cost:budgetExceeded', project, spent: budgetCheck.spent, budget: budgetCheck.budget, reason: budgetCheck.reason, period: budgetCheck.period, periodEnd: budgetCheck.periodEnd }));
+    c.send(JSON.stringify({ type: 'runState:updated', runState: 'paused_budget' }));
+  }});
+  logEvent({ type: 'BUDGET_EXCEEDED', project, spent: budgetCheck.spent, budget: budgetCheck.budget, reason: budgetCheck.reason, period: budgetCheck.period, periodStart: budgetCheck.periodStart });
+}
+
+// The first task of a project uses the PTY attached by the UI; tasks running
+// in parallel (or with no UI attached) get a dedicated PTY for their lifetime.
+async function acquireTaskTerm(project, taskId) {
+  const attached = projectTerm.get(project);
+  // The attached terminal sits in the developer's checkout, not in the run's worktree
+  if (attached && !projectTermBusy.has(project) && !getActiveWorktree(project)) {
+    projectTermBusy.set(project, taskId);
+    return { term: attached, release() { projectTermBusy.delete(project); } };
+  }
+  const term = await createTerm(project, projectDir(project));
+  if (!term) return { term: null, release() {} };
+  const sub = term.onData((data) => {
+    wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'task:term:data', project, taskId, data })); });
+  });
+  return {
+    term,
+    release() {
+      try { sub?.dispose?.(); } catch (e) {}
+      try { term.kill(); } catch (e) {}
+    }
+  };
+}
+
+// Run one autopilot command to completion and record its exit code, duration
+// and output. Uses the task's PTY (sentinel protocol) or, without a PTY, a
+// dedicated bash process in the project directory.
+async function executeTaskCommand(project, taskId, taskTitle, bash) {
+  const commandId = `cmd_${Date.now()}_${Math.random().toString(36).slice(2,7)}`;
+  const timeoutMs = Number(process.env.AUTOPILOT_CMD_TIMEOUT_MS) || 600000;
+  const stall = getStallWatchdog();
+  let hb = null;
+
+  // Start heartbeat to emit progress and feed stall watchdog
   try {
-    const plan = loadPlan(project);
-    const todo = (plan.tasks || []).find(t => !t.status || t.status === 'todo');
-    if (!todo) return;
+    hb = new CommandHeartbeat(Number(process.env.HEARTBEAT_THRESHOLD_MS) || 8000, Number(process.env.HEARTBEAT_INTERVAL_MS) || 5000);
+    hb.start(() => {
+      // record progress in runlog and stall watchdog
+      logEvent({ type: 'COMMAND_PROGRESS', project, taskId, commandId, message: 'heartbeat' });
+      try { stall.recordProgress(commandId); } catch(e) {}
+      // broadcast to clients
+      wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'command:progress', project, taskId, commandId })); });
+    });
+  } catch (e) {}
 
-    // mark doing
-    todo.status = 'doing';
-    savePlan(project, plan);
-    wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
+  // Start stall watchdog
+  stall.startWatching(commandId, {
+    onStall: (info) => {
+      // emit WS message and runlog event once per command
+      const payload = {
+        project,
+        runSessionId: getCurrentRunSessionId(project),
+        taskId,
+        commandId: info.commandId || commandId,
+        elapsedMs: info.elapsedMs,
+        lastProgressAt: info.lastProgressAt,
+        hint: info.hint
+      };
+      wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'command:stall', ...payload })); });
+      logEvent({ type: 'COMMAND_STALL', severity: 'warn', ...payload });
+    }
+  });
 
-    // check for candidate bash in task fields before asking engineer
-    const candidate = getTaskCandidateBash(todo);
-    if (candidate) {
-      const danger = isDangerousBash(candidate, project);
-      logEvent({ type: 'POLICY_EVALUATED', project, action: danger.action || (danger.danger ? 'approval' : 'allow'), code: danger.code, reason: danger.reason, command: candidate, taskId: todo.id });
-      if (danger.danger) {
-        console.log('[autopilot] requiresApproval', project, todo.id || todo.title, candidate, danger.reason);
-        // pause autopilot and store pending approval
-        const s = loadState(); s.runState = 'paused'; saveState(s);
-        pendingApprovals.set(project, { project, taskId: todo.id || todo.title, bash: candidate, dangerReason: danger.reason });
-        wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'autopilot:requiresApproval', project, taskId: todo.id || todo.title, bash: candidate, dangerReason: danger.reason })); });
-        logEvent({ type: 'POLICY_REQUIRES_APPROVAL', project, taskId: todo.id, command: candidate, code: danger.code, reason: danger.reason });
-        return;
+  const onData = () => { try { stall.recordProgress(commandId); } catch (e) {} };
+  const { term, release } = await acquireTaskTerm(project, taskId);
+  let result;
+  try {
+    if (term) {
+      try {
+        result = await runInTerm(term, bash, { commandId, timeoutMs, onData });
+      } catch (err) {
+        if (err.code !== 'TERM_EXITED') throw err;
+        // The shell is gone (the command ran `exit`): report it as a failed command
+        result = { exitCode: err.exitCode, durationMs: err.durationMs, stdout: err.stdout, stderr: err.message, timedOut: false, mode: 'pty' };
       }
+    } else {
+      result = await runSpawned(bash, {
+        cwd: projectDir(project),
+        timeoutMs,
+        onData: (data) => {
+          onData();
+          wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'task:term:data', project, taskId, data })); });
+        }
+      });
     }
+  } finally {
+    // Stop heartbeat and watchdog for this command
+    try { if (hb && typeof hb.stop === 'function') hb.stop(); } catch (e) {}
+    try { stall.clearStall(commandId); } catch (e) {}
+    try { stall.stopWatching(commandId); } catch (e) {}
+    release();
+  }
 
-    // ask engineer
-    const { obj, usage, raw } = await engineerAsk(todo, { project });
-    if (!obj) {
-      todo.status = 'blocked';
-      todo.notes = (todo.notes || '') + '\nEngineer failed to produce result';
-      savePlan(project, plan);
-      wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-      return;
+  logEvent({
+    type: 'COMMAND_EXECUTED',
+    project,
+    taskId,
+    taskTitle,
+    bash,
+    commandId,
+    exitCode: result.exitCode,
+    durationMs: result.durationMs,
+    timedOut: result.timedOut,
+    mode: result.mode,
+    stdout: truncateOutput(result.stdout),
+    stderr: truncateOutput(result.stderr)
+  });
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'command:result', project, taskId, commandId, exitCode: result.exitCode, durationMs: result.durationMs, timedOut: result.timedOut })); });
+  return { commandId, ...result };
+}
+
+// ---- Engineer patches ----
+// A proposed patch is dry-run against the project cwd first (a diff that does
+// not apply never waits for approval), then applied all or nothing right
+// before the task's command runs. Applied or not, the diff is kept as an artifact.
+// Where the project's commands run: the current run's worktree, else the configured cwd
+function projectDir(project) {
+  const worktree = getActiveWorktree(project);
+  if (worktree) return worktree.cwd;
+  return path.resolve((PROJECTS.map.get(project) || {}).cwd || process.cwd());
+}
+
+// projects.json: { "isolation": "worktree" } runs each session in its own git worktree
+function isolatedProject(project) {
+  return PROJECTS.map.get(project)?.isolation === 'worktree';
+}
+
+function worktreeSummary(entry) {
+  const { id, project, branch, path: worktreePath, cwd, base, status, createdAt, stoppedAt, stopReason, changes } = entry;
+  return { id, project, branch, path: worktreePath, cwd, base, status, createdAt, stoppedAt, stopReason, changes };
+}
+
+function broadcastWorktree(type, entry, extra = {}) {
+  const payload = JSON.stringify({ type, project: entry.project, worktree: worktreeSummary(entry), ...extra });
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(payload); });
+}
+
+// Create the worktree of a new run session (reused across pause/play)
+function openRunWorktree(project, runSessionId) {
+  const current = getActiveWorktree(project);
+  if (current) return current;
+  const entry = createRunWorktree(project, path.resolve(PROJECTS.map.get(project).cwd), runSessionId);
+  logEvent(worktreeEvent('WORKTREE_CREATED', entry));
+  broadcastWorktree('worktree:created', entry);
+  return entry;
+}
+
+// Keep the worktree of a finished run until it is merged or discarded
+function closeRunWorktree(project, reason) {
+  try {
+    const entry = stopRunWorktree(project, reason);
+    if (!entry) return;
+    logEvent(worktreeEvent('WORKTREE_STOPPED', entry));
+    broadcastWorktree('worktree:stopped', entry);
+  } catch (e) {
+    console.error('[worktree] failed to stop', project, e.message);
+  }
+}
+
+function collectWorktrees() {
+  const ttlHours = Number(process.env.WORKTREE_TTL_HOURS);
+  const removed = gcWorktrees(Number.isFinite(ttlHours) && ttlHours >= 0 ? { ttlMs: ttlHours * 3600000 } : {});
+  for (const entry of removed) {
+    logEvent(worktreeEvent('WORKTREE_GC', entry));
+    if (entry.branchKept) console.log('[worktree] collected', entry.path, 'kept unmerged branch', entry.branch);
+  }
+  return removed;
+}
+
+function worktreeAction(action, project, id) {
+  if (action === 'merge') {
+    const { entry, commit, merged } = mergeRunWorktree(project, id);
+    logEvent(worktreeEvent('WORKTREE_MERGED', entry, { commit, merged }));
+    broadcastWorktree('worktree:merged', entry, { commit, merged });
+    return { ok: true, project, action, branch: entry.branch, commit, merged };
+  }
+  const entry = discardRunWorktree(project, id);
+  logEvent(worktreeEvent('WORKTREE_DISCARDED', entry));
+  broadcastWorktree('worktree:discarded', entry);
+  return { ok: true, project, action, branch: entry.branch };
+}
+
+const WORKTREE_STATUS = { WORKTREE_NOT_FOUND: 404, WORKTREE_ACTIVE: 409, WORKTREE_MERGE_FAILED: 409 };
+
+// Git checkpoint of the project cwd before a task runs (skipped when the cwd is not a git work tree)
+async function checkpointTask(project, task) {
+  try {
+    const entry = await beginTaskCheckpoint(project, projectDir(project), task);
+    if (entry) logEvent({ type: 'TASK_CHECKPOINT', project, taskId: task.id, checkpoint: entry.before, ref: entry.beforeRef });
+  } catch (e) {
+    console.error('[checkpoint] failed before task', project, task.id, e.message);
+  }
+}
+
+// Diff of the task's checkpoints once it finished
+async function recordTaskChangeset(project, taskId, status) {
+  try {
+    const entry = await endTaskCheckpoint(project, taskId, status);
+    if (!entry) return;
+    logEvent({ type: 'TASK_CHANGESET', project, taskId, taskTitle: entry.title, status, before: entry.before, after: entry.after, files: entry.files, totals: entry.totals });
+    wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'task:changeset', project, taskId, files: entry.files, totals: entry.totals })); });
+  } catch (e) {
+    console.error('[checkpoint] failed after task', project, taskId, e.message);
+  }
+}
+
+// Checkpoints of a project, with whether each task's latest one can be rolled back
+function taskCheckpointsSnapshot(project) {
+  const store = loadTaskCheckpoints(project);
+  const latest = new Set();
+  const entries = store.entries.slice().reverse().map((e) => {
+    const isLatest = !latest.has(e.taskId);
+    latest.add(e.taskId);
+    return { ...e, rollbackBlocked: isLatest ? rollbackBlocker(store, e.taskId) : { code: 'SUPERSEDED', message: 'A later run of this task has its own checkpoint' } };
+  });
+  return { project, entries };
+}
+
+// Restore the files a task changed to its pre-task checkpoint and put it back to todo
+async function rollbackTaskChanges(project, taskId, actor) {
+  const task = (loadPlan(project).tasks || []).find(t => t.id === taskId);
+  if (!task) {
+    const err = new Error(`Unknown task ${taskId}`);
+    err.code = 'TASK_NOT_FOUND';
+    throw err;
+  }
+  if (task.status === 'doing') {
+    const err = new Error(`Task ${taskId} is in progress; roll it back once it has finished`);
+    err.code = 'ROLLBACK_RUNNING';
+    throw err;
+  }
+  const entry = await rollbackTask(project, taskId, { actor });
+  const files = entry.files.map(f => f.path);
+  logEvent({ type: 'TASK_ROLLED_BACK', project, taskId, taskTitle: task.title, checkpoint: entry.before, files, actor: actor || null });
+  await updatePlanTask(project, taskId, (t) => {
+    t.status = 'todo';
+    t.notes = (t.notes || '') + `\nRolled back to checkpoint ${entry.before.slice(0, 10)} (${files.length} file${files.length === 1 ? '' : 's'})`;
+  });
+  return { ok: true, project, taskId, checkpoint: entry.before, files };
+}
+
+const ROLLBACK_STATUS = { TASK_NOT_FOUND: 404, CHECKPOINT_NOT_FOUND: 404, ROLLBACK_CONFLICT: 409, ROLLBACK_DIRTY: 409, ROLLBACK_RUNNING: 409, ROLLBACK_DONE: 409 };
+
+function recordPatchResult(project, taskId, patch, result, stage) {
+  const artifact = storePatchArtifact(project, getCurrentRunSessionId(project) || null, { taskId, patch, result: { ...result, stage } });
+  const files = result.files.map(f => f.path);
+  if (result.ok) {
+    logEvent({ type: 'PATCH_APPLIED', project, taskId, files, changes: result.files, artifactId: artifact?.id || null });
+  } else {
+    logEvent({ type: 'PATCH_FAILED', project, taskId, stage, files, errors: result.errors, rolledBack: Boolean(result.rolledBack), artifactId: artifact?.id || null });
+  }
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'patch:result', project, taskId, ok: result.ok, stage, files: result.files, errors: result.errors })); });
+}
+
+function applyTaskPatch(project, taskId, patch) {
+  const result = applyPatch(projectDir(project), patch);
+  recordPatchResult(project, taskId, patch, result, 'apply');
+  return result;
+}
+
+// Patch outcome as PM verification input / task note
+function formatPatchResult(result) {
+  if (!result.ok) return `Patch failed:\n${result.errors.map(e => `${e.path ? `${e.path}: ` : ''}${e.message}`).join('\n')}`;
+  const marks = { add: 'A', delete: 'D', rename: 'R', modify: 'M' };
+  return `Patch applied:\n${result.files.map(f => `${marks[f.type]} ${f.type === 'rename' ? `${f.oldPath} -> ` : ''}${f.path} (+${f.added} -${f.removed})`).join('\n')}`;
+}
+
+function blockForPatchFailure(project, task, turn, result) {
+  const note = formatPatchResult(result);
+  rememberEngineerTurn(project, { ...turn, taskId: task.id, title: task.title, result: null, verification: { done: false, blocked: true, notes: note } });
+  return finishTask(project, task.id, 'blocked', note);
+}
+
+// One approval covers a task's command and its patch: the more severe finding
+// (deny over approval at equal severity) drives the quorum, both reasons are shown
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+function combineDanger(commandDanger, patchDanger) {
+  if (!patchDanger.danger) return commandDanger;
+  const patchReason = `${patchDanger.reason} (${patchDanger.paths.join(', ')})`;
+  if (!commandDanger.danger) return { ...patchDanger, reason: patchReason, source: 'patch' };
+  const rank = (d) => (SEVERITY_RANK[d.severity] ?? 1) * 2 + (d.action === 'deny' ? 1 : 0);
+  return rank(patchDanger) > rank(commandDanger)
+    ? { ...patchDanger, source: 'patch', reason: `${patchReason}; ${commandDanger.reason}` }
+    : { ...commandDanger, source: 'command', reason: `${commandDanger.reason}; ${patchReason}` };
+}
+
+// Run auto-verify recipes (project-specific or defaults)
+async function runAutoVerify(project) {
+  try {
+    const projCfg = PROJECTS.map.get(project) || {};
+    const repoRoot = projectDir(project);
+    const verifyCmds = detectVerifyCmds(repoRoot, projCfg);
+    if (verifyCmds && verifyCmds.length > 0) {
+      const verifyResult = await runVerification(verifyCmds, repoRoot, project, getCurrentRunSessionId(project));
+      // Cleanup old artifacts after verify
+      try { cleanupArtifacts(); } catch (e) {}
+      // Emit WS and runlog
+      wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'verify:result', project, runSessionId: getCurrentRunSessionId(project), verifyResult })); });
+      logEvent({ type: 'VERIFY_RESULT', project, runSessionId: getCurrentRunSessionId(project), verifyResult });
+      // Log artifact entries for runlog
+      try {
+        const artifacts = verifyResult.artifacts || [];
+        for (const a of artifacts) {
+          logEvent({ type: 'VERIFY_ARTIFACT', project, runSessionId: getCurrentRunSessionId(project), artifact: a });
+        }
+      } catch (e) {}
     }
+  } catch (e) {
+    console.error('auto-verify error', e);
+  }
+}
 
-    const bash = typeof obj.bash === 'string' ? obj.bash.trim() : '';
-    const patch = typeof obj.patch === 'string' ? obj.patch.trim() : '';
-    const summary = typeof obj.summary === 'string' ? obj.summary.trim() : '';
-    const danger = isDangerousBash(bash, project);
-    logEvent({ type: 'POLICY_EVALUATED', project, taskId: todo.id, command: bash, action: danger.action || (danger.danger ? 'approval' : 'allow'), code: danger.code, reason: danger.reason });
-
-    if (usage) {
-      addCost(project, ENGINEER_MODEL, usage);
-      // Check budget after adding cost
-      const budgetCheck = checkBudgetExceeded(project);
-      if (budgetCheck.exceeded) {
-        console.log('[autopilot] budget exceeded', project, budgetCheck.spent, budgetCheck.budget);
-        const s = loadState(); s.runState = 'paused_budget'; saveState(s);
-        wss.clients.forEach((c) => { if (c.readyState === 1) {
-          c.send(JSON.stringify({ type: 'cost:budgetExceeded', project, spent: budgetCheck.spent, budget: budgetCheck.budget }));
-          c.send(JSON.stringify({ type: 'runState:updated', runState: 'paused_budget' }));
-        }});
-        todo.status = 'blocked';
-        todo.notes = (todo.notes || '') + `\nBudget exceeded: ${budgetCheck.spent.toFixed(2)} >= ${budgetCheck.budget}`;
-        savePlan(project, plan);
-        wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-        return;
+// Fill the project's free task slots with runnable tasks and enqueue them.
+// Called on play, after every finished task and when a paused run resumes.
+async function processNextTask(project) {
+  if (loadState().runState !== 'running') return;
+
+  const budgetCheck = checkBudgetExceeded(project);
+  if (budgetCheck.exceeded) {
+    pauseForBudget(project, budgetCheck);
+    return;
+  }
+
+  if (!autopilotInFlight.has(project)) autopilotInFlight.set(project, new Set());
+  const inFlight = autopilotInFlight.get(project);
+  const maxParallel = getMaxParallelTasks(project);
+  queueManager.setProjectConcurrency(project, maxParallel);
+
+  // Slots are counted under the plan lock, so calls that overlap do not fill the same slot twice
+  let slots = 0;
+  let next = [];
+  let stranded = [];
+  let plan;
+  try {
+    plan = await updatePlan(project, (current) => {
+      // The run may have been paused while this waited for the lock
+      if (loadState().runState !== 'running') return false;
+      // A task waiting for approval keeps its slot: the approved command runs outside the queue
+      slots = maxParallel - inFlight.size - projectPendingApprovals(project).length;
+      if (slots <= 0) return false;
+      ({ runnable: next, stranded } = pickRunnableTasks(current, slots));
+      for (const task of next) {
+        task.status = 'doing';
+        inFlight.add(task.id);
       }
+      if (next.length === 0 && stranded.length === 0) return false;
+    });
+  } catch (e) {
+    console.error('autopilot error', e);
+    return;
+  }
+  if (slots <= 0) return;
+  for (const b of stranded) logEvent({ type: 'TASK_BLOCKED', project, ...b });
+  if (next.length > 0 || stranded.length > 0) {
+    wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
+  }
+
+  if (next.length === 0) {
+    // Tasks still 'doing' are in flight or waiting for approval
+    const busy = inFlight.size > 0 || (plan.tasks || []).some(t => t.status === 'doing');
+    if (!busy) {
+      stopRunSession(project, 'completed');
+      closeRunWorktree(project, 'completed');
     }
+    return;
+  }
 
-    const engResult = { ok: true, requiresApproval: danger.danger, dangerReason: danger.reason, bash, patch, summary, raw };
-    wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'engineer:result', ...engResult })); });
+  for (const task of next) {
+    logEvent({ type: 'TASK_STARTED', project, taskId: task.id, taskTitle: task.title, points: task.points });
+    // The "before" snapshot is taken in the task's slot, ahead of its first step
+    queueManager.enqueue(project, async () => {
+      await checkpointTask(project, task);
+      return runAutopilotTask(project, task.id);
+    }, { label: task.title || task.id })
+      .catch((e) => {
+        console.error('autopilot error', e);
+        // e.g. a provider error or a missing replay fixture: do not leave the task 'doing'
+        const current = (loadPlan(project).tasks || []).find(t => t.id === task.id);
+        if (current?.status === 'doing') return finishTask(project, task.id, 'blocked', `Autopilot error: ${e?.message || e}`);
+      })
+      .finally(() => {
+        inFlight.delete(task.id);
+        setTimeout(() => processNextTask(project), 300);
+      });
+  }
+}
+
+async function runAutopilotTask(project, taskId) {
+  const task = (loadPlan(project).tasks || []).find(t => t.id === taskId);
+  if (!task) return;
 
+  // check for candidate bash in task fields before asking engineer
+  const candidate = getTaskCandidateBash(task);
+  if (candidate) {
+    const danger = isDangerousBash(candidate, project, policyContext(project));
+    logEvent({ type: 'POLICY_EVALUATED', project, action: danger.action || (danger.danger ? 'approval' : 'allow'), code: danger.code, reason: danger.reason, subCommand: danger.subCommand?.raw, command: candidate, taskId });
     if (danger.danger) {
-      // pause autopilot and store pending approval
-      const s = loadState(); s.runState = 'paused'; saveState(s);
-      pendingApprovals.set(project, { project, taskId: todo.id, bash, dangerReason: danger.reason });
-      wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'autopilot:requiresApproval', project, taskId: todo.id, bash, dangerReason: danger.reason })); });
-      logEvent({ type: 'POLICY_REQUIRES_APPROVAL', project, taskId: todo.id, command: bash, code: danger.code, reason: danger.reason });
+      pauseForApproval(project, task, candidate, danger);
       return;
     }
+  }
 
-    // execute bash
-    const term = projectTerm.get(project);
-    if (bash && term) term.write(bash + '\r');
-
-    await new Promise(r => setTimeout(r, 800));
+  // a task that already used its token cap gets no further model calls
+  const capBefore = checkTaskTokenCap(project, taskId);
+  if (capBefore.exceeded) {
+    await blockForTaskTokenCap(project, taskId, capBefore);
+    return;
+  }
 
-    // PM verification using strict schema
-    const { obj: pmObj, usage: pmUsage } = await pmVerify(todo, summary, bash);
-    if (pmUsage) addCost(project, PM_MODEL, pmUsage);
-    if (pmObj && typeof pmObj.done === 'boolean') {
-      if (pmObj.done) {
-        todo.status = 'done';
-        todo.notes = (todo.notes || '') + '\n' + (pmObj.notes || 'Completed');
-        if (pmObj.updates) {
-          if (pmObj.updates.title) todo.title = pmObj.updates.title;
-          if (typeof pmObj.updates.points === 'number') todo.points = pmObj.updates.points;
-        }
-        savePlan(project, plan);
-        wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-        const newState = loadState();
-        if (newState.runState === 'running') setTimeout(() => processNextTask(project), 300);
-      } else if (pmObj.blocked) {
-        todo.status = 'blocked';
-        todo.notes = (todo.notes || '') + '\n' + (pmObj.notes || 'Blocked');
-        savePlan(project, plan);
-        wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-      } else {
-        // not done, mark blocked
-        todo.status = 'blocked';
-        todo.notes = (todo.notes || '') + '\nPM did not mark done';
-        savePlan(project, plan);
-        wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-      }
+  // ask engineer to complete task
+  const { obj, usage, raw, errors } = await engineerAsk(task, { project });
+  if (!obj) {
+    await finishTask(project, taskId, 'blocked', errors?.length ? `Engineer output failed schema validation: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}` : 'Engineer failed to produce result');
+    return;
+  }
+  const bash = typeof obj.bash === 'string' ? obj.bash.trim() : '';
+  const patch = typeof obj.patch === 'string' ? obj.patch.trim() : '';
+  const summary = typeof obj.summary === 'string' ? obj.summary.trim() : '';
+
+  // record usage/cost, then re-check budget
+  if (usage) {
+    recordModelCost(project, llmFor('engineer', project).model, usage, { role: 'engineer', taskId });
+    const budgetCheck = checkBudgetExceeded(project);
+    if (budgetCheck.exceeded) {
+      pauseForBudget(project, budgetCheck);
+      await finishTask(project, taskId, 'blocked', `Budget exceeded: ${budgetCheck.spent.toFixed(2)} >= ${budgetCheck.budget}`);
+      return;
     }
-  } catch (e) {
-    console.error('processNextTask error', e);
-  } finally {
-    projectProcessing.delete(project);
-    if (globalInFlight > 0) globalInFlight--;
+    const capCheck = checkTaskTokenCap(project, taskId);
+    if (capCheck.exceeded) {
+      await blockForTaskTokenCap(project, taskId, capCheck);
+      return;
+    }
+  }
+
+  const commandDanger = isDangerousBash(bash, project, policyContext(project));
+  const patchCheck = patch ? dryRunPatch(projectDir(project), patch) : null;
+  const patchFiles = patchCheck ? patchPaths(patchCheck.files) : [];
+  const patchDanger = patchCheck?.ok ? isProtectedPatch(patchFiles, project, policyContext(project)) : { danger: false };
+  const danger = combineDanger(commandDanger, patchDanger);
+
+  const engResult = { ok: true, project, taskId, requiresApproval: danger.danger, dangerReason: danger.reason, dangerSubCommand: danger.subCommand?.raw, bash, patch, patchFiles, summary, raw };
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'engineer:result', ...engResult })); });
+
+  logEvent({ type: 'COMMAND_PROPOSED', project, taskId, taskTitle: task.title, bash, patchFiles, summary });
+  logEvent({ type: 'POLICY_EVALUATED', project, taskId, command: bash, action: commandDanger.action || (commandDanger.danger ? 'approval' : 'allow'), code: commandDanger.code, reason: commandDanger.reason, subCommand: commandDanger.subCommand?.raw });
+  if (patchCheck?.ok) logEvent({ type: 'POLICY_EVALUATED', project, taskId, patchFiles, action: patchDanger.action || 'allow', code: patchDanger.code, reason: patchDanger.reason, paths: patchDanger.paths });
+
+  if (patchCheck && !patchCheck.ok) {
+    recordPatchResult(project, taskId, patch, patchCheck, patchCheck.files.length ? 'dry-run' : 'parse');
+    await blockForPatchFailure(project, task, { bash, patch, summary }, patchCheck);
+    return;
+  }
+
+  if (danger.danger) {
+    pauseForApproval(project, task, bash, danger, patch ? { text: patch, files: patchFiles } : null);
+    return;
+  }
+
+  // apply the patch, then execute bash and wait for it to finish
+  const patchResult = patch ? applyTaskPatch(project, taskId, patch) : null;
+  if (patchResult && !patchResult.ok) {
+    await blockForPatchFailure(project, task, { bash, patch, summary }, patchResult);
+    return;
+  }
+  const cmdResult = bash ? await executeTaskCommand(project, taskId, task.title, bash) : null;
+
+  // ask PM to verify completion against the real patch and command output
+  const verifyLogs = [patchResult && formatPatchResult(patchResult), cmdResult && formatCommandResult(bash, cmdResult)].filter(Boolean).join('\n\n');
+  const { obj: pmObj, usage: pmUsage } = await pmVerify(task, verifyLogs, summary, project);
+  if (pmUsage) recordModelCost(project, llmFor('pm', project).model, pmUsage, { role: 'pm', taskId });
+  rememberEngineerTurn(project, { taskId, title: task.title, bash, patch, summary, result: cmdResult, verification: pmObj });
+
+  if (pmObj && pmObj.done === true) {
+    await finishTask(project, taskId, 'done', pmObj.notes || 'Completed', pmObj.updates);
+    await runAutoVerify(project);
+  } else if (pmObj && pmObj.blocked) {
+    await finishTask(project, taskId, 'blocked', pmObj.notes || 'Blocked');
+  } else {
+    await finishTask(project, taskId, 'blocked', 'PM did not mark done');
   }
 }
 
@@ -599,6 +1098,14 @@ async function processNextTask(project) {
 // Guard - isDangerousBash now imported from ./src/core/safety.mjs
 // -----------------------------
 
+// Policy context for a project: its cwd enables the project policy layer and
+// cwd-scoped rules. Commands run in the project's cwd (or the run's worktree).
+function policyContext(project) {
+  if (!PROJECTS.map.get(project)?.cwd) return {};
+  const projectRoot = projectDir(project);
+  return { projectRoot, cwd: projectRoot };
+}
+
 function getTaskCandidateBash(task) {
   if (!task || typeof task !== 'object') return '';
   // direct fields
@@ -614,37 +1121,73 @@ function getTaskCandidateBash(task) {
   return '';
 }
 
-function extractUsage(resp) {
-  // openai SDK response usage shape may vary
-  const u = resp?.usage;
-  if (!u) return { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
-  const input = u.input_tokens ?? u.prompt_tokens ?? 0;
-  const output = u.output_tokens ?? u.completion_tokens ?? 0;
-  const total = u.total_tokens ?? (input + output);
-  return { input_tokens: input, output_tokens: output, total_tokens: total };
+// Engineer conversation memory of a project
+function engineerMemory(project) {
+  if (!engineerContexts.has(project)) engineerContexts.set(project, loadEngineerMemory(project));
+  return engineerContexts.get(project);
 }
 
-async function callJSON(model, systemText, userText, schema) {
-  const resp = await client.responses.create({
-    model,
-    input: [
-      {
-        role: 'system',
-        content: [{ type: 'input_text', text: systemText }],
-      },
-      {
-        role: 'user',
-        content: [{ type: 'input_text', text: userText }],
-      },
-    ],
-    // ✅ 你現在用的格式（避免之前踩過的坑）
-    text: { format: { type: 'json_object' } },
-  });
+function engineerMemorySnapshot(project) {
+  const memory = engineerMemory(project);
+  return { project, stats: memoryStats(memory, ENGINEER_MEMORY_TOKENS), summary: memory.summary, turns: memory.turns, rendered: renderMemory(memory) };
+}
+
+// Remember what the engineer did on a task (command, output, PM verdict) for its next prompts
+function rememberEngineerTurn(project, turn) {
+  if (!ENGINEER_MEMORY_TOKENS) return;
+  const memory = engineerMemory(project);
+  const { folded } = addMemoryTurn(memory, turn, ENGINEER_MEMORY_TOKENS);
+  saveEngineerMemory(memory);
+  if (folded) logEvent({ type: 'ENGINEER_MEMORY_COMPACTED', project, taskId: turn.taskId || null, folded, summarizedTurns: memory.summarizedTurns });
+  const payload = JSON.stringify({ type: 'engineer:memory', ...engineerMemorySnapshot(project) });
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(payload); });
+}
 
-  const text = resp.output_text || '';
-  let obj = null;
-  try { obj = JSON.parse(text); } catch { obj = null; }
-  return { obj, usage: extractUsage(resp), raw: text };
+// Provider and model of a role for a project (projects.json `llm`, else ENGINEER_/PM_ PROVIDER and MODEL)
+function llmFor(role, projectId) {
+  return resolveRoleLLM(role, { project: PROJECTS.map.get(projectId), defaults: { engineer: ENGINEER_MODEL, pm: PM_MODEL } });
+}
+
+// Why a role cannot call its model right now (null when it can)
+function llmUnavailable(role, projectId) {
+  if (llmStubbed()) return null;
+  const llm = llmFor(role, projectId);
+  const provider = getRoleProvider(llm, { OpenAI });
+  if (!provider) return `unknown LLM provider ${llm.provider}`;
+  return provider.available ? null : provider.reason;
+}
+
+// Ask a role's model for JSON matching `schema` (see core/llmSchemas.mjs). An invalid
+// answer is logged as LLM_SCHEMA_ERROR, charged to the ledger here, and retried with
+// the errors fed back. `usage` is that of the valid answer (null when none was valid),
+// for the caller to charge as before.
+async function callJSON(llm, systemText, userText, schema, { project = null, taskId = null } = {}) {
+  const provider = getRoleProvider(llm, { OpenAI });
+  if (!provider) throw new Error(`unknown LLM provider ${llm.provider}`);
+
+  let input = userText;
+  let last = { text: '', errors: [] };
+  for (let attempt = 1; attempt <= LLM_SCHEMA_RETRIES + 1; attempt++) {
+    let answer;
+    try {
+      answer = await provider.completeJSON({ model: llm.model, system: systemText, user: input, schema });
+    } catch (e) {
+      // Replay asked for a request that was never recorded
+      if (e.code === 'FIXTURE_MISSING' && project) logEvent({ type: 'LLM_FIXTURE_MISSING', project, taskId, role: llm.role, schema, model: llm.model, key: e.fixtureKey });
+      throw e;
+    }
+    const { text, usage } = answer;
+    const check = validateLLMOutput(schema, text);
+    if (check.ok) return { obj: check.obj, usage, raw: text, model: llm.model, provider: llm.provider, attempts: attempt };
+
+    last = { text, errors: check.errors };
+    if (project) {
+      logEvent({ type: 'LLM_SCHEMA_ERROR', project, taskId, role: llm.role, schema, model: llm.model, provider: llm.provider, attempt, errors: check.errors, raw: text });
+      recordModelCost(project, llm.model, usage, { role: llm.role, taskId });
+    }
+    input = `${userText}\n\nYour previous answer was rejected:\n${text.slice(0, 2000)}\n\nSchema errors:\n${formatSchemaErrors(check.errors)}\n\nAnswer again with ONLY a JSON object that matches the required schema.`;
+  }
+  return { obj: null, usage: null, raw: last.text, model: llm.model, provider: llm.provider, attempts: LLM_SCHEMA_RETRIES + 1, errors: last.errors };
 }
 
 // -----------------------------
@@ -656,7 +1199,7 @@ function makeStableId(title) {
 }
 
 async function engineerAsk(task, context) {
-  if (isSmoke()) {
+  if (llmStubbed()) {
     // Deterministic stub
     const title = (task.title || '').toLowerCase();
     let bash = 'echo OK';
@@ -674,13 +1217,13 @@ async function engineerAsk(task, context) {
     };
   }
   
-  // Real OpenAI call
-  const userText = `Project: ${context.project}\nTask: ${task.title}\nNotes: ${task.notes || ''}`;
-  return await callJSON(ENGINEER_MODEL, ENGINEER_SYSTEM_PROMPT, userText, 'EngineerPlan');
+  const memory = ENGINEER_MEMORY_TOKENS ? renderMemory(engineerMemory(context.project)) : '';
+  const userText = `Project: ${context.project}\nTask: ${task.title}\nNotes: ${task.notes || ''}${memory ? `\n\nConversation so far:\n${memory}` : ''}`;
+  return await callJSON(llmFor('engineer', context.project), ENGINEER_SYSTEM_PROMPT, userText, 'EngineerPlan', { project: context.project, taskId: task.id || null });
 }
 
-async function pmPlanCreate(requirements, existingPlan) {
-  if (isSmoke()) {
+async function pmPlanCreate(requirements, existingPlan, project) {
+  if (llmStubbed()) {
     // Deterministic stub: parse requirements by lines
     const lines = (requirements || '').split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#'));
     
@@ -710,13 +1253,12 @@ async function pmPlanCreate(requirements, existingPlan) {
     };
   }
   
-  // Real OpenAI call
   const userText = `Project: ${existingPlan?.project || 'unknown'}\nRequirements:\n${requirements}`;
-  return await callJSON(PM_MODEL, PM_PLAN_PROMPT, userText, 'PMPlan');
+  return await callJSON(llmFor('pm', project), PM_PLAN_PROMPT, userText, 'PMPlan', { project });
 }
 
-async function pmChangeRequest(changeRequest, existingPlan) {
-  if (isSmoke()) {
+async function pmChangeRequest(changeRequest, existingPlan, project) {
+  if (llmStubbed()) {
     // Deterministic stub: merge with existing, preserve all statuses
     const lines = (changeRequest || '').split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#'));
     const existing = existingPlan || { tasks: [] };
@@ -744,13 +1286,12 @@ async function pmChangeRequest(changeRequest, existingPlan) {
     };
   }
   
-  // Real OpenAI call
   const userText = `Project: ${existingPlan?.project || 'unknown'}\nExisting plan:\n${JSON.stringify(existingPlan, null, 2)}\n\nChange request:\n${changeRequest}`;
-  return await callJSON(PM_MODEL, PM_PLAN_PROMPT, userText, 'PMPlan');
+  return await callJSON(llmFor('pm', project), PM_PLAN_PROMPT, userText, 'PMPlan', { project });
 }
 
-async function pmVerify(task, terminalSummary, engineerSummary) {
-  if (isSmoke()) {
+async function pmVerify(task, terminalSummary, engineerSummary, project) {
+  if (llmStubbed()) {
     // Deterministic stub
     const text = [task.title, task.notes, terminalSummary, engineerSummary].join(' ').toLowerCase();
     
@@ -769,9 +1310,8 @@ async function pmVerify(task, terminalSummary, engineerSummary) {
     };
   }
   
-  // Real OpenAI call
-  const pmUser = `Project: ${task.project || 'unknown'}\nTask: ${task.title}\nLogs: ${engineerSummary || terminalSummary}`;
-  return await callJSON(PM_MODEL, PM_VERIFY_PROMPT, pmUser, 'PMVerify');
+  const pmUser = `Project: ${task.project || 'unknown'}\nTask: ${task.title}\nLogs: ${terminalSummary || engineerSummary}`;
+  return await callJSON(llmFor('pm', project), PM_VERIFY_PROMPT, pmUser, 'PMVerify', { project, taskId: task.id || null });
 }
 
 // -----------------------------
@@ -802,21 +1342,20 @@ function readProjects() {
 app.use(express.static('ui-dist'));
 
 // ---- API: state ----
+// A missing state.json reads as the defaults; a corrupt one is restored from its backup
+const STATE_STORE = {
+  version: 1,
+  defaults: () => ({ total: 28, current: '1資料庫-3爬蟲軟體搭建', currentPct: 35, project: 'default' }),
+  migrations: { 0: (s) => normalizeState(s) }
+};
+
 function loadState() {
-  try {
-    const raw = fs.readFileSync(STATE_FILE, 'utf8');
-    const obj = JSON.parse(raw);
-    return normalizeState(obj || {});
-  } catch (e) {
-    const def = normalizeState({ total: 28, current: '1資料庫-3爬蟲軟體搭建', currentPct: 35, project: 'default' });
-    try { fs.writeFileSync(STATE_FILE, JSON.stringify(def, null, 2)); } catch (e) {}
-    return def;
-  }
+  return normalizeState(readJsonStore(STATE_FILE, STATE_STORE));
 }
 
 function saveState(state) {
   try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(normalizeState(state), null, 2));
+    writeJsonStore(STATE_FILE, normalizeState(state), STATE_STORE);
     return true;
   } catch (e) {
     console.error('Failed to write state.json', e);
@@ -877,6 +1416,31 @@ app.get('/api/runs', (req, res) => {
   }
 });
 
+// ---- API: interrupted runs (crash-safe resume) ----
+app.get('/api/runs/interrupted', (req, res) => {
+  res.json({ autoResume: AUTOPILOT_AUTORESUME, runs: [...interruptedRuns.values()] });
+});
+
+app.post('/api/runs/resume', (req, res) => {
+  const { project } = req.body || {};
+  if (!project) return res.status(400).json({ error: 'Missing project' });
+  try {
+    res.json(resumeInterruptedRun(project));
+  } catch (e) {
+    res.status(e.code === 'RUN_NOT_INTERRUPTED' ? 404 : 500).json({ ok: false, error: e.message, code: e.code });
+  }
+});
+
+app.post('/api/runs/abandon', (req, res) => {
+  const { project } = req.body || {};
+  if (!project) return res.status(400).json({ error: 'Missing project' });
+  try {
+    res.json(abandonInterruptedRun(project));
+  } catch (e) {
+    res.status(e.code === 'RUN_NOT_INTERRUPTED' ? 404 : 500).json({ ok: false, error: e.message, code: e.code });
+  }
+});
+
 // ---- API: report ----
 app.get('/api/report', (req, res) => {
   try {
@@ -908,8 +1472,7 @@ app.get('/api/report', (req, res) => {
     
     const events = getRunEvents(project, sessionId);
     const plan = loadPlan(project);
-    const costs = loadCost();
-    const cost = costs[project] || {};
+    const cost = getProjectCost(project);
     
     const markdown = buildMarkdownReport({
       project,
@@ -938,6 +1501,99 @@ app.get('/api/project-status', (req, res) => {
   });
 });
 
+// ---- API: cost (ledger totals for one project) ----
+app.get('/api/cost', (req, res) => {
+  const project = typeof req.query.project === 'string' ? req.query.project : '';
+  if (!project) return res.status(400).json({ error: 'Missing project parameter' });
+  const runSessionId = typeof req.query.runSessionId === 'string' ? req.query.runSessionId : undefined;
+  const since = typeof req.query.since === 'string' ? req.query.since : undefined;
+  if (since && Number.isNaN(Date.parse(since))) return res.status(400).json({ error: 'since must be an ISO date' });
+  res.json(getProjectCost(project, { runSessionId, since }));
+});
+
+// ---- API: budget (per-project, per-period budgets in data/budgets.json) ----
+app.get('/api/budget', (req, res) => {
+  const project = typeof req.query.project === 'string' ? req.query.project : '';
+  if (!project) return res.status(400).json({ error: 'Missing project parameter' });
+  res.json({ project, budget: projectBudget(project), status: checkBudgetExceeded(project) });
+});
+
+// Without ?project= the default for every project without its own entry is changed
+app.put('/api/budget', (req, res) => {
+  const project = typeof req.query.project === 'string' ? req.query.project : null;
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ ok: false, errors: [{ field: 'budget', message: 'body must be a budget object' }] });
+  }
+  const result = saveProjectBudget(project, req.body);
+  if (!result.ok) return res.status(400).json(result);
+  logEvent({ type: 'BUDGET_CHANGED', project: project || 'default', budget: req.body });
+  if (project) {
+    const status = checkBudgetExceeded(project);
+    wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'cost:updated', project, cost: getProjectCost(project), budget: status })); });
+    return res.json({ ...result, status });
+  }
+  res.json(result);
+});
+
+// ---- API: engineer memory (conversation buffer sent with engineerAsk) ----
+app.get('/api/engineer/memory', (req, res) => {
+  const project = typeof req.query.project === 'string' ? req.query.project : '';
+  if (!project) return res.status(400).json({ error: 'Missing project parameter' });
+  res.json(engineerMemorySnapshot(project));
+});
+
+app.delete('/api/engineer/memory', (req, res) => {
+  const project = typeof req.query.project === 'string' ? req.query.project : '';
+  if (!project) return res.status(400).json({ error: 'Missing project parameter' });
+  engineerContexts.set(project, clearEngineerMemory(project));
+  logEvent({ type: 'ENGINEER_CLEARED', project });
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'engineer:cleared', project })); });
+  res.json({ ok: true, project });
+});
+
+// ---- API: task checkpoints and rollback ----
+app.get('/api/tasks/checkpoints', (req, res) => {
+  const project = typeof req.query.project === 'string' ? req.query.project : '';
+  if (!project) return res.status(400).json({ error: 'Missing project parameter' });
+  res.json(taskCheckpointsSnapshot(project));
+});
+
+app.post('/api/tasks/rollback', async (req, res) => {
+  const { project, taskId, actor } = req.body || {};
+  if (!project || !taskId) return res.status(400).json({ error: 'Missing project or taskId' });
+  try {
+    res.json(await rollbackTaskChanges(project, taskId, actor));
+  } catch (e) {
+    res.status(ROLLBACK_STATUS[e.code] || 500).json({ ok: false, error: e.message, code: e.code, files: e.files });
+  }
+});
+
+// ---- API: run worktrees (projects with isolation: "worktree") ----
+app.get('/api/worktrees', (req, res) => {
+  const project = typeof req.query.project === 'string' ? req.query.project : '';
+  if (!project) return res.status(400).json({ error: 'Missing project parameter' });
+  res.json({ project, worktrees: listWorktrees(project).map(worktreeSummary) });
+});
+
+for (const action of ['merge', 'discard']) {
+  app.post(`/api/worktrees/${action}`, (req, res) => {
+    const { project, id } = req.body || {};
+    if (!project) return res.status(400).json({ error: 'Missing project' });
+    try {
+      res.json(worktreeAction(action, project, id));
+    } catch (e) {
+      res.status(WORKTREE_STATUS[e.code] || 500).json({ ok: false, error: e.message, code: e.code });
+    }
+  });
+}
+
+// ---- API: forecast (expected and p90 cost of the plan's todo tasks) ----
+app.get('/api/forecast', (req, res) => {
+  const project = typeof req.query.project === 'string' ? req.query.project : '';
+  if (!project) return res.status(400).json({ error: 'Missing project parameter' });
+  res.json(forecastProject(project));
+});
+
 // ---- API: project-health (multi-project health metrics) ----
 app.get('/api/project-health', (req, res) => {
   try {
@@ -947,25 +1603,22 @@ app.get('/api/project-health', (req, res) => {
     }
 
     const plan = loadPlan(project);
-    const costs = loadCost();
-    const cost = costs[project] || {};
-    const state = loadState();
     const sessions = listRunSessions(project, 10);
     
     // Calculate health metrics
-    const tasks = asArray(plan.tasks || []);
+    const tasks = Array.isArray(plan.tasks) ? plan.tasks : [];
     const totalPoints = tasks.reduce((s, t) => s + (Number(t.points) || 0), 0) || 1;
     const donePoints = tasks.reduce((s, t) => s + ((t.status === 'done') ? (Number(t.points) || 0) : 0), 0);
     const progressPct = Math.round((donePoints / totalPoints) * 100);
     
-    // Calculate cost health
-    const budget = Number(state.budget) || 1000;
-    const spent = Number(cost.spent) || 0;
-    const costHealth = spent > budget ? 'critical' : spent > (budget * 0.8) ? 'warning' : 'healthy';
+    // Calculate cost health (same ledger total and budget as the autopilot's budget check)
+    const budgetStatus = checkBudgetExceeded(project);
+    const { exceeded, spent, budget } = budgetStatus;
+    const costHealth = exceeded ? 'critical' : budget > 0 && spent > (budget * 0.8) ? 'warning' : 'healthy';
     
     // Get last session status
     const latestSession = sessions[0];
-    const lastSessionTime = latestSession ? new Date(latestSession.startTime) : new Date();
+    const lastSessionTime = latestSession ? new Date(latestSession.lastTs || latestSession.firstTs) : new Date();
     const timeSinceLastRun = Date.now() - lastSessionTime.getTime();
     const inactiveWarning = timeSinceLastRun > (24 * 60 * 60 * 1000); // > 24 hours
     
@@ -974,12 +1627,13 @@ app.get('/api/project-health', (req, res) => {
       health: {
         progress: progressPct,
         costHealth,
-        cost: { spent, budget },
+        cost: { spent, budget, period: budgetStatus.period, periodStart: budgetStatus.periodStart, remaining: budgetStatus.remaining },
         lastRun: lastSessionTime.toISOString(),
-        sessionCount: sessions.length
+        sessionCount: sessions.length,
+        criticalPath: computeProgress(plan).criticalPath
       },
       warnings: [
-        ...(costHealth === 'critical' ? [`Budget exceeded: $${spent.toFixed(2)} / $${budget.toFixed(2)}`] : []),
+        ...(costHealth === 'critical' ? [`Budget exceeded: ${spent.toFixed(2)} / ${budget.toFixed(2)} TWD`] : []),
         ...(costHealth === 'warning' ? [`Budget warning: ${((spent / budget) * 100).toFixed(1)}% spent`] : []),
         ...(inactiveWarning ? [`No runs in last 24 hours`] : []),
         ...(tasks.length === 0 ? [`No tasks defined in plan`] : [])
@@ -1182,7 +1836,7 @@ app.get('/api/replay-sessions', async (req, res) => {
 // ---- API: queue status ----
 app.get('/api/queue/status', (req, res) => {
   try {
-    const qm = getQueueManager({ maxConcurrentProjects: GLOBAL_CONCURRENCY });
+    const qm = queueManager;
     const { project } = req.query;
     if (project) {
       const p = qm.getProjectStatus(project);
@@ -1209,6 +1863,8 @@ app.get('/api/queue/status', (req, res) => {
       return res.json({
         maxConcurrentProjects: GLOBAL_CONCURRENCY,
         currentConcurrentProjects: 0,
+        maxConcurrentTasks: GLOBAL_CONCURRENCY,
+        currentConcurrentTasks: 0,
         activeProjects: snapshot.filter(s => s.stats.queued || s.stats.running).map(s => s.projectId),
         projectCount: snapshot.length,
         globalStats: { tasksEnqueued: 0, tasksCompleted: 0, tasksFailed: 0 },
@@ -1227,18 +1883,11 @@ app.get('/api/queue/status', (req, res) => {
 app.get('/api/policy/pending', (req, res) => {
   try {
     const engine = getPolicyEngine({ enableAuditLogging: true });
-    const pending = engine.getPendingApprovals();
-    // Merge legacy pendingApprovals map
-    for (const [project, p] of pendingApprovals.entries()) {
-      pending.push({
-        taskId: p.taskId,
-        projectId: project,
-        command: p.bash,
-        severity: 'high',
-        status: 'pending_approval',
-        timestamp: new Date().toISOString()
-      });
-    }
+    // Engine requests carry the quorum; show the full command from the autopilot's pending entry
+    const pending = engine.getPendingApprovals().map((p) => {
+      const waiting = pendingApprovals.get(approvalKey(p.projectId, p.taskId));
+      return waiting ? { ...p, command: waiting.bash, patchFiles: waiting.patchFiles, reason: waiting.dangerReason } : p;
+    });
     res.json({ pending });
   } catch (e) {
     console.error('[api/policy/pending] error:', e);
@@ -1246,68 +1895,414 @@ app.get('/api/policy/pending', (req, res) => {
   }
 });
 
+function broadcastApprovalProgress(project, taskId, progress) {
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'approval:progress', project, taskId, ...progress })); });
+}
+
+/**
+ * Record one approval for a pending command. The command runs (and its task
+ * carries on) only once the engine reports quorum.
+ * @param {string} project
+ * @param {Object} approverInfo - { taskId, approverId, approverName, reason }; taskId may be
+ *   omitted while the project has a single pending approval
+ * @returns {Promise<Object>} { ok, status: 'pending' | 'approved', approvals, requiredApprovals, remaining, approvers }
+ */
 async function approvePendingCommand(project, approverInfo = {}) {
-  const pending = pendingApprovals.get(project);
+  const { taskId, ...approver } = approverInfo;
+  const pending = findPendingApproval(project, taskId);
   if (!pending) throw new Error('no pending approval');
 
-  console.log('[autopilot] approve via HTTP', project, pending.taskId, pending.bash);
-  logEvent({ type: 'DANGER_APPROVED', project, taskId: pending.taskId, bash: pending.bash, approver: approverInfo.approverName || approverInfo.approverId });
+  const engine = getPolicyEngine({ enableAuditLogging: true });
+  const progress = engine.approveCommand(pending.taskId, { projectId: project, ...approver });
+  const approverLabel = approver.approverName || approver.approverId;
+  console.log('[autopilot] approval recorded', project, pending.taskId, approverLabel, `${progress.approvals}/${progress.requiredApprovals}`);
+  logEvent({ type: 'APPROVAL_RECORDED', project, taskId: pending.taskId, bash: pending.bash, approver: approverLabel, approvals: progress.approvals, requiredApprovals: progress.requiredApprovals });
+  broadcastApprovalProgress(project, pending.taskId, progress);
+
+  if (progress.status === 'approved') await pending.settled;
+  return { ok: true, taskId: pending.taskId, ...progress };
+}
 
-  const termForProject = projectTerm.get(project);
-  if (termForProject && pending.bash) {
-    termForProject.write(pending.bash + '\r');
+/**
+ * Reject a pending command; its task is blocked and the project's queue carries on
+ * @param {string} project
+ * @param {Object} info - { taskId, rejectorId, rejectorName, rejectionReason }; taskId may be
+ *   omitted while the project has a single pending approval
+ */
+function rejectPendingCommand(project, info = {}) {
+  const pending = findPendingApproval(project, info.taskId);
+  if (!pending) return false;
+
+  const engine = getPolicyEngine({ enableAuditLogging: true });
+  try {
+    engine.rejectCommand(pending.taskId, { projectId: project, rejectionReason: info.rejectionReason, rejectorId: info.rejectorId, rejectorName: info.rejectorName });
+  } catch (e) {
+    console.error('[autopilot] reject: no engine request', project, pending.taskId, e.message);
   }
-  await new Promise(r => setTimeout(r, 800));
+  logEvent({ type: 'DANGER_REJECTED', project, taskId: pending.taskId, bash: pending.bash, reason: info.rejectionReason, rejector: info.rejectorName || info.rejectorId });
+  blockForClosedApproval(project, pending, `Approval rejected${info.rejectionReason ? `: ${info.rejectionReason}` : ''}`)
+    .catch((e) => console.error('[autopilot] reject: failed to block task', project, pending.taskId, e));
+  return true;
+}
+
+// A rejected or expired approval ends its task: block it and everything downstream, then
+// free its slot (a stopped or paused run stays that way)
+async function blockForClosedApproval(project, pending, reason) {
+  pendingApprovals.delete(approvalKey(project, pending.taskId));
+  const plan = await updatePlan(project, (current) => {
+    const task = (current.tasks || []).find(t => t.id === pending.taskId || t.title === pending.taskId);
+    if (!task || task.status !== 'doing') return false;
+    task.status = 'blocked';
+    task.notes = (task.notes || '') + '\n' + reason;
+    logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'blocked' });
+    blockDownstream(project, current, task, reason);
+  });
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
+  setTimeout(() => processNextTask(project), 300);
+}
+
+// Quorum reached: execute the pending bash, PM-verify the task and refill the project's slots
+async function runApprovedCommand(project, pending, grant) {
+  const approvers = (grant?.approvals || []).map(a => a.approverName || a.approverId || a.identity);
+  console.log('[autopilot] approved, executing', project, pending.taskId, pending.bash);
+  logEvent({ type: 'DANGER_APPROVED', project, taskId: pending.taskId, bash: pending.bash, approver: approvers.join(', '), approvers });
 
-  // run PM verify for the task
   try {
-    const plan = loadPlan(project);
-    const task = (plan.tasks || []).find(t => t.id === pending.taskId || t.title === pending.taskId);
-    if (task) {
-      const { obj: pmObj, usage: pmUsage } = await pmVerify(task, `Executed approval bash: ${pending.bash}`, pending.bash);
-      if (pmUsage) addCost(project, PM_MODEL, pmUsage);
+    const pendingTask = (loadPlan(project).tasks || []).find(t => t.id === pending.taskId || t.title === pending.taskId);
+    const patchResult = pending.patch ? applyTaskPatch(project, pending.taskId, pending.patch) : null;
+    const patchFailed = Boolean(patchResult && !patchResult.ok);
+    if (patchFailed && pendingTask) await blockForPatchFailure(project, pendingTask, { bash: pending.bash, patch: pending.patch, summary: `approved: ${pending.dangerReason || 'protected patch'}` }, patchResult);
+    const cmdResult = pending.bash && !patchFailed ? await executeTaskCommand(project, pending.taskId, pendingTask?.title, pending.bash) : null;
+    const verifyTask = (loadPlan(project).tasks || []).find(t => t.id === pending.taskId || t.title === pending.taskId);
+    if (verifyTask && !patchFailed) {
+      const cmdLogs = cmdResult ? formatCommandResult(pending.bash, cmdResult) : `Executed approval bash: ${pending.bash}`;
+      const logs = patchResult ? [formatPatchResult(patchResult), cmdResult && cmdLogs].filter(Boolean).join('\n\n') : cmdLogs;
+      const { obj: pmObj, usage: pmUsage } = await pmVerify(verifyTask, logs, pending.bash, project);
+      if (pmUsage) recordModelCost(project, llmFor('pm', project).model, pmUsage, { role: 'pm', taskId: pending.taskId });
+      rememberEngineerTurn(project, { taskId: verifyTask.id, title: verifyTask.title, bash: pending.bash, patch: pending.patch, summary: `approved: ${pending.dangerReason || 'dangerous command'}`, result: cmdResult, verification: pmObj });
+      // The plan may have changed while the PM verified: apply the verdict to the current one
       if (pmObj && typeof pmObj.done === 'boolean') {
-        if (pmObj.done) {
-          task.status = 'done';
-          task.notes = (task.notes || '') + '\n' + (pmObj.notes || 'Completed after approval');
-          if (pmObj.updates) {
-            if (pmObj.updates.title) task.title = pmObj.updates.title;
-            if (typeof pmObj.updates.points === 'number') task.points = pmObj.updates.points;
+        const plan = await updatePlan(project, (current) => {
+          const task = (current.tasks || []).find(t => t.id === verifyTask.id);
+          if (!task) return false;
+          if (pmObj.done) {
+            task.status = 'done';
+            task.notes = (task.notes || '') + '\n' + (pmObj.notes || 'Completed after approval');
+            if (pmObj.updates) {
+              if (pmObj.updates.title) task.title = pmObj.updates.title;
+              if (typeof pmObj.updates.points === 'number') task.points = pmObj.updates.points;
+            }
+            logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'done' });
+          } else if (pmObj.blocked) {
+            task.status = 'blocked';
+            task.notes = (task.notes || '') + '\n' + (pmObj.notes || 'Blocked after approval');
+            logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'blocked' });
+            blockDownstream(project, current, task, pmObj.notes || 'Blocked after approval');
+          } else {
+            task.status = 'blocked';
+            task.notes = (task.notes || '') + '\nPM did not mark done after approval';
+            logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'blocked' });
+            blockDownstream(project, current, task, 'PM did not mark done after approval');
           }
-          logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'done' });
-        } else if (pmObj.blocked) {
-          task.status = 'blocked';
-          task.notes = (task.notes || '') + '\n' + (pmObj.notes || 'Blocked after approval');
-          logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'blocked' });
-        } else {
-          task.status = 'blocked';
-          task.notes = (task.notes || '') + '\nPM did not mark done after approval';
-          logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'blocked' });
-        }
-        savePlan(project, plan);
+        });
         wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
       }
     }
   } catch (e) {
-    console.error('HTTP approve pm verify error', e);
+    console.error('approve pm verify error', e);
+  }
+
+  // free the task's slot; a stopped or paused run stays that way
+  pendingApprovals.delete(approvalKey(project, pending.taskId));
+  setTimeout(() => processNextTask(project), 300);
+}
+
+// ---- API: policy/effective (merged, scoped rule set for a project) ----
+app.get('/api/policy/effective', (req, res) => {
+  try {
+    const project = typeof req.query.project === 'string' && req.query.project ? req.query.project : 'default';
+    res.json(getEffectivePolicy(project, policyContext(project)));
+  } catch (e) {
+    console.error('[api/policy/effective] error:', e);
+    res.status(500).json({ error: 'Failed to resolve effective policy' });
+  }
+});
+
+// ---- Pending approvals: restored after a restart, then expired / reminded / escalated ----
+// Timings come from the `approvals` block of data/policy.json (see getApprovalSettings).
+function restorePendingApprovals() {
+  const engine = getPolicyEngine({ enableAuditLogging: true });
+  for (const { request, settled } of engine.restoreApprovals()) {
+    const meta = request.meta || {};
+    const pending = {
+      project: request.projectId,
+      taskId: request.taskId,
+      bash: meta.bash || request.command,
+      patch: meta.patch || '',
+      patchFiles: meta.patchFiles || [],
+      dangerReason: meta.dangerReason || request.reason,
+      dangerSubCommand: meta.dangerSubCommand,
+      severity: request.severity || 'high'
+    };
+    trackPendingApproval(pending, settled, request);
+    console.log('[autopilot] restored pending approval', pending.project, pending.taskId, `${request.approvals.length}/${request.requiredApprovals}`);
+  }
+}
+
+function approvalSummary(request) {
+  return {
+    project: request.projectId,
+    taskId: request.taskId,
+    bash: request.meta?.bash || request.command,
+    patchFiles: request.meta?.patchFiles || [],
+    severity: request.severity,
+    approvals: request.approvals.length,
+    requiredApprovals: request.requiredApprovals,
+    requestedAt: request.requestedAt,
+    expiresAt: request.expiresAt
+  };
+}
+
+// Escalation hooks: POST the request to a (local) webhook and/or run a command with SHIPYARD_* env
+async function escalateApproval(request, escalation) {
+  const summary = approvalSummary(request);
+  if (escalation.webhook) {
+    try {
+      const res = await fetch(escalation.webhook, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'approval.escalated', ...summary }),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!res.ok) console.error('[approvals] escalation webhook returned', res.status);
+    } catch (e) {
+      console.error('[approvals] escalation webhook failed:', e.message);
+    }
+  }
+  if (escalation.command) {
+    const result = await runSpawned(escalation.command, {
+      timeoutMs: 60000,
+      env: {
+        SHIPYARD_PROJECT: summary.project,
+        SHIPYARD_TASK_ID: summary.taskId,
+        SHIPYARD_COMMAND: summary.bash || '',
+        SHIPYARD_SEVERITY: summary.severity || '',
+        SHIPYARD_APPROVALS: String(summary.approvals),
+        SHIPYARD_REQUIRED_APPROVALS: String(summary.requiredApprovals),
+        SHIPYARD_EXPIRES_AT: summary.expiresAt || ''
+      }
+    });
+    if (result.exitCode !== 0) console.error('[approvals] escalation command failed', result.exitCode, result.stderr.slice(-500));
+  }
+}
+
+async function sweepPendingApprovals() {
+  const due = getPolicyEngine({ enableAuditLogging: true }).sweep();
+
+  for (const request of due.expired) {
+    const summary = approvalSummary(request);
+    console.log('[autopilot] approval expired', summary.project, summary.taskId);
+    logEvent({ type: 'DANGER_EXPIRED', ...summary, approvers: request.approvals.map(a => a.approverName || a.approverId || a.identity) });
+    wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'approval:expired', ...summary })); });
+    const pending = pendingApprovals.get(approvalKey(summary.project, summary.taskId)) || { taskId: summary.taskId };
+    try {
+      await blockForClosedApproval(summary.project, pending, `Approval expired after waiting since ${summary.requestedAt}`);
+    } catch (e) {
+      console.error('[approvals] failed to block expired task', summary.project, summary.taskId, e);
+    }
+  }
+
+  for (const request of due.reminders) {
+    wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'approval:reminder', ...approvalSummary(request) })); });
+  }
+
+  for (const request of due.escalations) {
+    const escalation = due.escalation || {};
+    logEvent({ type: 'DANGER_ESCALATED', ...approvalSummary(request), webhook: escalation.webhook, command: escalation.command });
+    await escalateApproval(request, escalation);
+  }
+}
+
+restorePendingApprovals();
+
+// ---- Crash-safe resume: runs the previous process left unfinished ----
+const AUTOPILOT_AUTORESUME = process.env.AUTOPILOT_AUTORESUME === '1';
+const interruptedRuns = new Map(); // project -> interrupted run awaiting resume or abandon
+
+async function recoverInterruptedRuns() {
+  const open = new Map(listOpenRunSessions().map(session => [session.project, session]));
+  for (const { id: project } of PROJECTS.list) {
+    // A run waiting on restored approvals is still live: those tasks carry on once decided,
+    // only its other 'doing' tasks were cut short
+    const waiting = new Set(projectPendingApprovals(project).map(p => p.taskId));
+    const plan = loadPlan(project);
+    const run = waiting.size
+      ? detectInterruptedRun({ project, plan: { tasks: (plan.tasks || []).filter(t => !waiting.has(t.id)) } })
+      : detectInterruptedRun({ project, plan, openSession: open.get(project), events: getRunEvents(project) });
+    if (!run) continue;
+    await updatePlan(project, (current) => {
+      if (!resetInterruptedTasks(current, run.tasks.map(t => t.id), 'Interrupted by a server restart; back to todo')) return false;
+    });
+    logEvent({ type: 'RUN_INTERRUPTED', project, runSessionId: run.runSessionId || undefined, tasks: run.tasks, lastEvent: run.lastEvent, reasons: run.reasons, autoResume: AUTOPILOT_AUTORESUME });
+    interruptedRuns.set(project, run);
+  }
+
+  // Sessions of interrupted runs stay open for resume; the rest are closed as RUN_ABORTED
+  const sessions = recoverRunSessions((session) => {
+    if (interruptedRuns.has(session.project)) return 'keep';
+    return projectPendingApprovals(session.project).length ? 'resume' : 'abort';
+  });
+  for (const session of sessions.aborted) console.log('[runlog] aborted run session', session.project, session.runSessionId);
+  if (!interruptedRuns.size) return;
+
+  const s = loadState();
+  if (AUTOPILOT_AUTORESUME) {
+    s.runState = 'running';
+    saveState(s);
+    for (const project of interruptedRuns.keys()) {
+      console.log('[autopilot] resuming interrupted run', project);
+      resumeInterruptedRun(project, 'autoresume');
+    }
+  } else {
+    if (s.runState === 'running') { s.runState = 'paused'; saveState(s); }
+    console.log(`[autopilot] interrupted runs waiting for resume or abandon: ${[...interruptedRuns.keys()].join(', ')}`);
   }
+}
+
+function interruptedRunError(project) {
+  const err = new Error(`No interrupted run for project ${project}`);
+  err.code = 'RUN_NOT_INTERRUPTED';
+  return err;
+}
 
-  // clear pending and resume
-  pendingApprovals.delete(project);
+// Continue an interrupted run in its session (a new one when only the runlog knew it)
+function resumeInterruptedRun(project, reason = 'resume') {
+  if (!interruptedRuns.has(project)) throw interruptedRunError(project);
+  interruptedRuns.delete(project);
+  const runSessionId = startRunSession(project, reason);
   const s = loadState(); s.runState = 'running'; saveState(s);
-  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'runState:updated', runState: 'running' })); });
+  wss.clients.forEach((c) => {
+    if (c.readyState !== 1) return;
+    c.send(JSON.stringify({ type: 'run:interrupted:cleared', project, action: 'resume', runSessionId }));
+    c.send(JSON.stringify({ type: 'runState:updated', runState: 'running' }));
+  });
   setTimeout(() => processNextTask(project), 300);
-  return { ok: true };
+  return { ok: true, project, action: 'resume', runSessionId };
+}
+
+// Give up on an interrupted run: close its session and stop its worktree
+function abandonInterruptedRun(project) {
+  if (!interruptedRuns.has(project)) throw interruptedRunError(project);
+  interruptedRuns.delete(project);
+  const runSessionId = stopRunSession(project, 'RUN_ABORTED');
+  closeRunWorktree(project, 'abandoned');
+  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'run:interrupted:cleared', project, action: 'abandon', runSessionId })); });
+  return { ok: true, project, action: 'abandon', runSessionId };
 }
 
+const approvalSweepTimer = setInterval(() => {
+  sweepPendingApprovals().catch((e) => console.error('[approvals] sweep error:', e));
+}, Number(process.env.APPROVAL_SWEEP_MS || 30000));
+// Never keep the process alive just for the sweep (CLI --local mode)
+approvalSweepTimer.unref?.();
+
+// ---- Policy hot-reload: data/policy.json edits apply without a restart ----
+// Global policy changes are logged under the 'global' runlog.
+watchPolicyFile({
+  onReload: ({ diff, warnings, file }) => {
+    console.log('[policy] reloaded', file);
+    logEvent({ type: 'POLICY_CHANGED', project: 'global', source: 'file', file, diff, warnings });
+  },
+  onError: ({ errors, file }) => {
+    console.error('[policy] rejected invalid policy file, keeping the active policy', errors);
+    logEvent({ type: 'POLICY_REJECTED', project: 'global', source: 'file', file, errors });
+  }
+});
+
+function policyBody(req) {
+  const body = req.body || {};
+  return body.policy && typeof body.policy === 'object' ? body.policy : body;
+}
+
+// ---- API: policy/validate (dry check, nothing is activated) ----
+app.post('/api/policy/validate', (req, res) => {
+  try {
+    const project = typeof req.query.project === 'string' ? req.query.project : '';
+    const policy = policyBody(req);
+    const result = validatePolicy(policy, { layer: project ? 'project' : 'global' });
+    const current = project ? (loadProjectPolicy(policyContext(project).projectRoot)?.raw || []) : loadPolicy().raw;
+    const diff = result.ok ? diffPolicies(current, policy.rules) : null;
+    res.json({ ...result, diff });
+  } catch (e) {
+    console.error('[api/policy/validate] error:', e);
+    res.status(500).json({ error: 'Failed to validate policy' });
+  }
+});
+
+// ---- API: policy (active policy document as written; ?project= for a project's layer) ----
+app.get('/api/policy', (req, res) => {
+  try {
+    const project = typeof req.query.project === 'string' ? req.query.project : '';
+    if (project) {
+      const projectPolicy = loadProjectPolicy(policyContext(project).projectRoot);
+      return res.json({ layer: 'project', project, source: projectPolicy?.source || null, version: projectPolicy?.version || 1, rules: projectPolicy?.raw || [] });
+    }
+    const policy = loadPolicy();
+    res.json({ layer: 'global', source: policy.source, version: policy.version, rules: policy.raw });
+  } catch (e) {
+    console.error('[api/policy] error:', e);
+    res.status(500).json({ error: 'Failed to load policy' });
+  }
+});
+
+// ---- API: policy/simulate (dry-run a candidate against command history, nothing is activated) ----
+// Global candidate by default; ?project= simulates that project's policy.json layer.
+app.post('/api/policy/simulate', (req, res) => {
+  try {
+    const project = typeof req.query.project === 'string' ? req.query.project : '';
+    const since = typeof (req.body || {}).since === 'string' ? req.body.since : undefined;
+    const result = simulatePolicy(policyBody(req), {
+      layer: project ? 'project' : 'global',
+      project: project || undefined,
+      since,
+      contextFor: policyContext
+    });
+    if (!result.ok) return res.status(400).json(result);
+    res.json(result);
+  } catch (e) {
+    console.error('[api/policy/simulate] error:', e);
+    res.status(500).json({ error: 'Failed to simulate policy' });
+  }
+});
+
+// ---- API: policy (replace the global policy, or a project's layer with ?project=) ----
+app.put('/api/policy', (req, res) => {
+  try {
+    const project = typeof req.query.project === 'string' ? req.query.project : '';
+    const { projectRoot } = project ? policyContext(project) : {};
+    if (project && !projectRoot) return res.status(400).json({ ok: false, error: `Project ${project} has no cwd for a project policy` });
+
+    const result = savePolicy(policyBody(req), { projectRoot });
+    if (!result.ok) return res.status(400).json(result);
+
+    const actor = (req.body || {}).actor;
+    logEvent({ type: 'POLICY_CHANGED', project: project || 'global', source: 'api', file: result.file, diff: result.diff, actor });
+    res.json(result);
+  } catch (e) {
+    console.error('[api/policy] error:', e);
+    res.status(500).json({ error: 'Failed to save policy' });
+  }
+});
+
 app.post('/api/policy/approve', async (req, res) => {
   try {
-    const { project, taskId, approverId, approverName } = req.body || {};
+    const { project, taskId, approverId, approverName, reason } = req.body || {};
     if (!project) return res.status(400).json({ error: 'Missing project' });
-    const result = await approvePendingCommand(project, { approverId, approverName });
+    if (!findPendingApproval(project, taskId)) return res.status(404).json({ error: 'No matching pending approval' });
+    const result = await approvePendingCommand(project, { taskId, approverId, approverName, reason });
     res.json(result);
   } catch (e) {
-    res.status(400).json({ error: e.message || 'Approval failed' });
+    res.status(e.code === 'DUPLICATE_APPROVER' || e.code === 'APPROVAL_AMBIGUOUS' ? 409 : 400).json({ error: e.message || 'Approval failed', code: e.code });
   }
 });
 
@@ -1315,16 +2310,10 @@ app.post('/api/policy/reject', async (req, res) => {
   try {
     const { project, taskId, rejectorId, rejectorName, rejectionReason } = req.body || {};
     if (!project) return res.status(400).json({ error: 'Missing project' });
-    const pending = pendingApprovals.get(project);
-    if (!pending || (taskId && pending.taskId !== taskId)) return res.status(404).json({ error: 'No matching pending approval' });
-
-    logEvent({ type: 'DANGER_REJECTED', project, taskId: pending.taskId, bash: pending.bash, reason: rejectionReason, rejector: rejectorName || rejectorId });
-    pendingApprovals.delete(project);
-    const s = loadState(); s.runState = 'paused'; saveState(s);
-    wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'runState:updated', runState: 'paused' })); });
+    if (!rejectPendingCommand(project, { taskId, rejectorId, rejectorName, rejectionReason })) return res.status(404).json({ error: 'No matching pending approval' });
     res.json({ ok: true });
   } catch (e) {
-    res.status(400).json({ error: e.message || 'Reject failed' });
+    res.status(e.code === 'APPROVAL_AMBIGUOUS' ? 409 : 400).json({ error: e.message || 'Reject failed', code: e.code });
   }
 });
 
@@ -1589,7 +2578,7 @@ app.get('/api/generate-report', async (req, res) => {
     const events = await storage.getEvents(project, sessionId);
     const summary = await storage.getSessionSummary(project, sessionId);
     const plan = loadPlan(project);
-    const cost = loadCost();
+    const cost = getProjectCost(project);
 
     // Generate report
     const { generateAndStoreReport } = await import('./src/core/reportGenerator.mjs');
@@ -1655,6 +2644,20 @@ wss.on('error', (err) => {
     if (!err || err.code !== 'EADDRINUSE') console.error('[wss] error event');
   }
 });
+
+// Boot recovery broadcasts to clients, so it runs once wss exists
+await recoverInterruptedRuns();
+
+// Worktrees of aborted runs wait for merge or discard
+for (const entry of listWorktrees().filter(w => w.status === 'active')) {
+  if (!getCurrentRunSessionId(entry.project)) closeRunWorktree(entry.project, 'server_restart');
+}
+try {
+  collectWorktrees();
+} catch (e) {
+  console.error('[worktree] gc error:', e.message);
+}
+
 // Set up runlog event callback to broadcast to WebSocket clients
 import { setEventCallback } from './src/core/runlog.mjs';
 
@@ -1750,27 +2753,39 @@ wss.on('connection', (ws) => {
 
 const currentState = loadState();
   let activeProjectId = PROJECTS.map.has(currentState.project) ? currentState.project : (PROJECTS.list[0]?.id || 'default');
-  let term = createTerm(activeProjectId);
+  let term = null;
   let sub = null;
 
-  function attach(projectId) {
+  async function attach(projectId) {
     activeProjectId = projectId;
     if (sub && typeof sub.dispose === 'function') sub.dispose();
+    sub = null;
     if (term && typeof term.kill === 'function') term.kill();
-    term = createTerm(activeProjectId);
+    for (const [pid, t] of projectTerm) if (t === term) projectTerm.delete(pid);
+    term = await createTerm(activeProjectId);
 
-    sub = term.onData((data) => {
-      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'term:data', data }));
-    });
+    if (term) {
+      sub = term.onData((data) => {
+        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'term:data', data }));
+      });
+      // A shell that exited must not be handed to autopilot again
+      const attached = term;
+      attached.onExit?.(() => {
+        for (const [pid, t] of projectTerm) if (t === attached) projectTerm.delete(pid);
+      });
 
-    // record latest term for this project so autopilot can use it
-    projectTerm.set(activeProjectId, term);
+      // record latest term for this project so autopilot can use it
+      projectTerm.set(activeProjectId, term);
+    }
 
     // push current usage summary
     if (ws.readyState === 1) {
       ws.send(JSON.stringify({ type: 'project:active', projectId: activeProjectId }));
       ws.send(JSON.stringify({ type: 'usage:summary', summary: summarizeUsage(activeProjectId) }));
+      ws.send(JSON.stringify({ type: 'cost:updated', project: activeProjectId, cost: getProjectCost(activeProjectId), budget: checkBudgetExceeded(activeProjectId) }));
       ws.send(JSON.stringify({ type: 'term:data', data: `\r\n[Project switched to ${activeProjectId}] cwd=${PROJECTS.map.get(activeProjectId)?.cwd || process.env.HOME}\r\n` }));
+      const interrupted = interruptedRuns.get(activeProjectId);
+      if (interrupted) ws.send(JSON.stringify({ type: 'run:interrupted', ...interrupted }));
     }
   }
 
@@ -1784,10 +2799,9 @@ const currentState = loadState();
     ws.send(JSON.stringify({ type: 'plan:updated', plan }));
   } catch (e) {}
   try {
-    const costs = loadCost();
-    ws.send(JSON.stringify({ type: 'cost:updated', cost: costs[activeProjectId] || {} }));
+    ws.send(JSON.stringify({ type: 'cost:updated', project: activeProjectId, cost: getProjectCost(activeProjectId), budget: checkBudgetExceeded(activeProjectId) }));
   } catch (e) {}
-  attach(activeProjectId);
+  attach(activeProjectId).catch((e) => console.error('[ws] attach error:', e));
 
   ws.on('message', async (raw) => {
     const msg = safeJsonParse(raw);
@@ -1800,7 +2814,7 @@ const currentState = loadState();
     if (msg.type === 'pm') msg.type = 'pm:ask';
 
     if (msg && msg.type === 'term:write') {
-      term.write(msg.data);
+      if (term) term.write(msg.data);
       return;
     }
     if (msg && msg.type === 'term:ctrlc') {
@@ -1818,7 +2832,7 @@ const currentState = loadState();
     if (msg && msg.type === 'project:set') {
       const pid = msg.project || msg.projectId;
       if (PROJECTS.map.has(pid)) {
-        attach(pid);
+        await attach(pid);
         const merged = normalizeState(Object.assign({}, loadState(), { project: pid }));
         saveState(merged);
         broadcastState(merged);
@@ -1844,10 +2858,10 @@ const currentState = loadState();
       const project = msg.project || activeProjectId;
       const plan = msg.plan || {};
       // preserve existing done statuses where possible
-      const existing = loadPlan(project) || { tasks: [] };
-      const byId = new Map(existing.tasks.map(t => [t.id, t]));
-      const merged = { projectId: project, tasks: (plan.tasks || []).map(t => ({ ...t, status: byId.get(t.id)?.status || t.status || 'todo' })) };
-      savePlan(project, merged);
+      const merged = await updatePlan(project, (existing) => {
+        const byId = new Map(existing.tasks.map(t => [t.id, t]));
+        return { projectId: project, tasks: (plan.tasks || []).map(t => ({ ...t, status: byId.get(t.id)?.status || t.status || 'todo' })) };
+      });
       if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'plan:updated', plan: merged }));
       // broadcast to all clients
       wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan: merged })); });
@@ -1855,34 +2869,37 @@ const currentState = loadState();
     }
 
     if (msg && msg.type === 'pm:plan_create') {
-      if (!isSmoke() && !hasKey) {
-        ws.send(JSON.stringify({ type: 'pm:plan_create:result', ok: false, error: 'OPENAI_API_KEY missing' }));
+      const project = msg.project || activeProjectId;
+      const llmError = llmUnavailable('pm', project);
+      if (llmError) {
+        ws.send(JSON.stringify({ type: 'pm:plan_create:result', ok: false, error: llmError }));
         return;
       }
-      const project = msg.project || activeProjectId;
       const req = msg.requirements || msg.prompt || '';
       try {
         const existing = loadPlan(project) || { tasks: [] };
-        const { obj, usage, raw } = await pmPlanCreate(req, existing);
+        const { obj, usage, raw } = await pmPlanCreate(req, existing, project);
         if (!obj || !Array.isArray(obj.tasks)) {
           ws.send(JSON.stringify({ type: 'pm:plan_create:result', ok: false, raw }));
           return;
         }
-        // merge with existing plan, preserve done tasks
-        const byTitle = new Map(existing.tasks.map(t => [t.title, t]));
-        const byId = new Map(existing.tasks.map(t => [t.id, t]));
-        const tasks = (obj.tasks || []).map((t, idx) => {
-          let keep = {};
-          if (t.id && byId.has(t.id)) keep = byId.get(t.id);
-          else if (byTitle.has(t.title)) keep = byTitle.get(t.title);
-          const id = t.id || keep.id || (t.title ? (t.title.toLowerCase().replace(/[^a-z0-9]+/g, '_') + '_' + idx) : `task_${Date.now()}_${idx}`);
-          const status = keep.status === 'done' ? 'done' : (t.status || 'todo');
-          return { id, title: t.title, points: Number(t.points) || 1, status, verify: Array.isArray(t.verify) ? t.verify : [], notes: t.notes || keep.notes || '' };
+        // merge with the plan as it is now (tasks may have finished meanwhile), preserve done tasks
+        const plan = await updatePlan(project, (current) => {
+          const byTitle = new Map(current.tasks.map(t => [t.title, t]));
+          const byId = new Map(current.tasks.map(t => [t.id, t]));
+          const tasks = (obj.tasks || []).map((t, idx) => {
+            let keep = {};
+            if (t.id && byId.has(t.id)) keep = byId.get(t.id);
+            else if (byTitle.has(t.title)) keep = byTitle.get(t.title);
+            const id = t.id || keep.id || (t.title ? (t.title.toLowerCase().replace(/[^a-z0-9]+/g, '_') + '_' + idx) : `task_${Date.now()}_${idx}`);
+            const status = keep.status === 'done' ? 'done' : (t.status || 'todo');
+            const dependsOn = Array.isArray(t.dependsOn) ? t.dependsOn : (keep.dependsOn || []);
+            return { id, title: t.title, points: Number(t.points) || 1, status, verify: Array.isArray(t.verify) ? t.verify : [], notes: t.notes || keep.notes || '', dependsOn };
+          });
+          return { project: project, requirements: req, tasks };
         });
-        const plan = { project: project, requirements: req, tasks };
-        savePlan(project, plan);
         wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-        if (usage) addCost(project, PM_MODEL, usage);
+        if (usage) recordModelCost(project, llmFor('pm', project).model, usage, { role: 'pm' });
         ws.send(JSON.stringify({ type: 'pm:plan_create:result', ok: true, plan }));
       } catch (e) {
         ws.send(JSON.stringify({ type: 'pm:plan_create:result', ok: false, error: String(e?.message || e) }));
@@ -1891,38 +2908,40 @@ const currentState = loadState();
     }
 
     if (msg && msg.type === 'pm:change_request') {
-      if (!isSmoke() && !hasKey) {
-        ws.send(JSON.stringify({ type: 'pm:change_request:result', ok: false, error: 'OPENAI_API_KEY missing' }));
+      const project = msg.project || activeProjectId;
+      const llmError = llmUnavailable('pm', project);
+      if (llmError) {
+        ws.send(JSON.stringify({ type: 'pm:change_request:result', ok: false, error: llmError }));
         return;
       }
-      const project = msg.project || activeProjectId;
       const changeRequest = msg.changeRequest || msg.request || '';
       const existingPlan = msg.plan || loadPlan(project);
       
       try {
-        const { obj, usage, raw } = await pmChangeRequest(changeRequest, existingPlan);
+        const { obj, usage, raw } = await pmChangeRequest(changeRequest, existingPlan, project);
         if (!obj || !Array.isArray(obj.tasks)) {
           ws.send(JSON.stringify({ type: 'pm:change_request:result', ok: false, raw }));
           return;
         }
         
-        // merge with existing plan, PRESERVE done statuses
-        const existing = existingPlan || { tasks: [] };
-        const byTitle = new Map(existing.tasks.map(t => [t.title, t]));
-        const byId = new Map(existing.tasks.map(t => [t.id, t]));
-        const tasks = (obj.tasks || []).map((t, idx) => {
-          let keep = {};
-          if (t.id && byId.has(t.id)) keep = byId.get(t.id);
-          else if (byTitle.has(t.title)) keep = byTitle.get(t.title);
-          const id = t.id || keep.id || (t.title ? (t.title.toLowerCase().replace(/[^a-z0-9]+/g, '_') + '_' + idx) : `task_${Date.now()}_${idx}`);
-          // CRITICAL: preserve done status
-          const status = keep.status === 'done' ? 'done' : (t.status || 'todo');
-          return { id, title: t.title, points: Number(t.points) || 1, status, verify: Array.isArray(t.verify) ? t.verify : [], notes: t.notes || keep.notes || '' };
+        // merge with the plan as it is now (tasks may have finished meanwhile), PRESERVE done statuses
+        const plan = await updatePlan(project, (current) => {
+          const byTitle = new Map(current.tasks.map(t => [t.title, t]));
+          const byId = new Map(current.tasks.map(t => [t.id, t]));
+          const tasks = (obj.tasks || []).map((t, idx) => {
+            let keep = {};
+            if (t.id && byId.has(t.id)) keep = byId.get(t.id);
+            else if (byTitle.has(t.title)) keep = byTitle.get(t.title);
+            const id = t.id || keep.id || (t.title ? (t.title.toLowerCase().replace(/[^a-z0-9]+/g, '_') + '_' + idx) : `task_${Date.now()}_${idx}`);
+            // CRITICAL: preserve done status
+            const status = keep.status === 'done' ? 'done' : (t.status || 'todo');
+            const dependsOn = Array.isArray(t.dependsOn) ? t.dependsOn : (keep.dependsOn || []);
+            return { id, title: t.title, points: Number(t.points) || 1, status, verify: Array.isArray(t.verify) ? t.verify : [], notes: t.notes || keep.notes || '', dependsOn };
+          });
+          return { project: project, requirements: existingPlan.requirements || '', tasks };
         });
-        const plan = { project: project, requirements: existingPlan.requirements || '', tasks };
-        savePlan(project, plan);
         wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-        if (usage) addCost(project, PM_MODEL, usage);
+        if (usage) recordModelCost(project, llmFor('pm', project).model, usage, { role: 'pm' });
         ws.send(JSON.stringify({ type: 'pm:change_request:result', ok: true, plan }));
       } catch (e) {
         ws.send(JSON.stringify({ type: 'pm:change_request:result', ok: false, error: String(e?.message || e) }));
@@ -1932,63 +2951,25 @@ const currentState = loadState();
 
     if (msg && msg.type === 'autopilot:approve') {
       const project = msg.project || activeProjectId;
-      const pending = pendingApprovals.get(project);
-      if (!pending) {
-        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'autopilot:approve:result', ok: false, error: 'no pending approval' }));
-        return;
-      }
-      // execute pending bash, then PM-verify the task and resume autopilot
-      console.log('[autopilot] approve execute', project, pending.taskId, pending.bash);
-      
-      logEvent({ type: 'DANGER_APPROVED', project, taskId: pending.taskId, bash: pending.bash });
-      
-      const termForProject = projectTerm.get(project);
-      if (termForProject && pending.bash) {
-        termForProject.write(pending.bash + '\r');
+      try {
+        const result = await approvePendingCommand(project, { taskId: msg.taskId, approverId: msg.approverId, approverName: msg.approverName });
+        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'autopilot:approve:result', project, ...result }));
+      } catch (e) {
+        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'autopilot:approve:result', project, ok: false, error: e.message, code: e.code }));
       }
-      // small wait to allow output
-      await new Promise(r => setTimeout(r, 800));
+      return;
+    }
 
-      // run PM verify for the task
+    if (msg && msg.type === 'autopilot:reject') {
+      const project = msg.project || activeProjectId;
+      let ok = false;
+      let error = 'no pending approval';
       try {
-        const plan = loadPlan(project);
-        const task = (plan.tasks || []).find(t => t.id === pending.taskId || t.title === pending.taskId);
-        if (task) {
-          const { obj: pmObj, usage: pmUsage } = await pmVerify(task, `Executed approval bash: ${pending.bash}`, pending.bash);
-          if (pmUsage) addCost(project, PM_MODEL, pmUsage);
-          if (pmObj && typeof pmObj.done === 'boolean') {
-            if (pmObj.done) {
-              task.status = 'done';
-              task.notes = (task.notes || '') + '\n' + (pmObj.notes || 'Completed after approval');
-              if (pmObj.updates) {
-                if (pmObj.updates.title) task.title = pmObj.updates.title;
-                if (typeof pmObj.updates.points === 'number') task.points = pmObj.updates.points;
-              }
-              logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'done' });
-            } else if (pmObj.blocked) {
-              task.status = 'blocked';
-              task.notes = (task.notes || '') + '\n' + (pmObj.notes || 'Blocked after approval');
-              logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'blocked' });
-            } else {
-              task.status = 'blocked';
-              task.notes = (task.notes || '') + '\nPM did not mark done after approval';
-              logEvent({ type: 'TASK_FINISHED', project, taskId: task.id, taskTitle: task.title, status: 'blocked' });
-            }
-            savePlan(project, plan);
-            wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-          }
-        }
+        ok = rejectPendingCommand(project, { taskId: msg.taskId, rejectorId: msg.rejectorId, rejectorName: msg.rejectorName || 'dashboard', rejectionReason: msg.reason || 'Rejected from dashboard' });
       } catch (e) {
-        console.error('autopilot:approve pm verify error', e);
+        error = e.message;
       }
-
-      // clear pending and resume
-      pendingApprovals.delete(project);
-      const s = loadState(); s.runState = 'running'; saveState(s);
-      wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'runState:updated', runState: 'running' })); });
-      // continue loop
-      setTimeout(() => processNextTask(project), 300);
-      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'autopilot:approve:result', ok: true }));
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'autopilot:reject:result', project, ok, error: ok ? undefined : error }));
       return;
     }
 
@@ -1999,227 +2980,45 @@ const currentState = loadState();
       s.runState = s.runState || 'idle';
       
       if (action === 'play') {
-        s.runState = 'running';
+        // Refuse a run that is likely (p90) to overrun the budget, unless overridden
+        const forecast = forecastProject(project);
+        if (forecast.exceedsBudget && !msg.override) {
+          logEvent({ type: 'RUN_REFUSED', project, reason: 'forecast_exceeds_budget', p90: forecast.p90, expected: forecast.expected, remaining: forecast.budget.remaining });
+          if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'run:refused', project, reason: `p90 forecast ${forecast.p90.toFixed(2)} TWD exceeds the remaining budget ${forecast.budget.remaining.toFixed(2)} TWD`, forecast }));
+          return;
+        }
+        if (forecast.exceedsBudget) logEvent({ type: 'BUDGET_OVERRIDE', project, p90: forecast.p90, remaining: forecast.budget.remaining });
+        // ▶️ on an interrupted run resumes it
+        if (interruptedRuns.delete(project)) wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'run:interrupted:cleared', project, action: 'resume' })); });
         startRunSession(project);
-        logEvent({ type: 'RUN_STARTED', project });
+        if (isolatedProject(project)) {
+          try {
+            collectWorktrees();
+            openRunWorktree(project, getCurrentRunSessionId(project));
+          } catch (e) {
+            stopRunSession(project, 'worktree_failed');
+            logEvent({ type: 'RUN_REFUSED', project, reason: 'worktree_failed', code: e.code, error: e.message });
+            if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'run:refused', project, code: e.code || 'WORKTREE_FAILED', reason: `could not create the run worktree: ${e.message}` }));
+            return;
+          }
+        }
+        s.runState = 'running';
       }
       if (action === 'pause') {
         s.runState = 'paused';
       }
       if (action === 'stop') {
         s.runState = 'stopped';
+        if (interruptedRuns.delete(project)) wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'run:interrupted:cleared', project, action: 'abandon' })); });
         stopRunSession(project, 'manual_stop');
+        closeRunWorktree(project, 'manual_stop');
       }
       
       saveState(s);
       // notify clients
       wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'runState:updated', runState: s.runState })); });
-      // if play, start processing next task for this ws
-      if (action === 'play') {
-        (async function processNextTask() {
-          try {
-            // Check budget before starting
-            const state = loadState();
-                        const budgetCheck = checkBudgetExceeded(project);
-            if (budgetCheck.exceeded) {
-              console.log('[autopilot] budget exceeded (pre-start)', project, budgetCheck.spent, budgetCheck.budget);
-              const s2 = loadState(); s2.runState = 'paused_budget'; saveState(s2);
-              for (const c of wss.clients) {
-                if (c.readyState !== 1) continue;
-                c.send(JSON.stringify({ type: 'cost:budgetExceeded', project, spent: budgetCheck.spent, budget: budgetCheck.budget, reason: budgetCheck.reason }));
-                c.send(JSON.stringify({ type: 'runState:updated', runState: 'paused_budget' }));
-              }
-              logEvent({ ts: new Date().toISOString(), type: 'BUDGET_EXCEEDED', project, spent: budgetCheck.spent, budget: budgetCheck.budget, reason: budgetCheck.reason });
-              return;
-            }
-
-
-            const plan = loadPlan(project);
-            const todo = (plan.tasks || []).find(t => !t.status || t.status === 'todo');
-            if (!todo) {
-              // nothing to do
-              stopRunSession(project, 'completed');
-              return;
-            }
-            // mark doing
-            todo.status = 'doing';
-            savePlan(project, plan);
-            wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-            
-            logEvent({ type: 'TASK_STARTED', project, taskId: todo.id, taskTitle: todo.title });
-
-            // check for candidate bash in task fields before asking engineer
-            const candidate = getTaskCandidateBash(todo);
-            if (candidate) {
-              const danger = isDangerousBash(candidate, project);
-              logEvent({ type: 'POLICY_EVALUATED', project, action: danger.action || (danger.danger ? 'approval' : 'allow'), code: danger.code, reason: danger.reason, command: candidate, taskId: todo.id });
-              if (danger.danger) {
-                console.log('[autopilot] requiresApproval', project, todo.id || todo.title, candidate, danger.reason);
-                s = loadState(); s.runState = 'paused'; saveState(s);
-                pendingApprovals.set(project, { project, taskId: todo.id || todo.title, bash: candidate, dangerReason: danger.reason });
-                wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'autopilot:requiresApproval', project, taskId: todo.id || todo.title, bash: candidate, dangerReason: danger.reason })); });
-                
-                logEvent({ type: 'DANGER_REQUIRES_APPROVAL', project, taskId: todo.id, taskTitle: todo.title, bash: candidate, dangerReason: danger.reason, dangerCode: danger.code });
-                logEvent({ type: 'POLICY_REQUIRES_APPROVAL', project, taskId: todo.id, command: candidate, code: danger.code, reason: danger.reason });
-                return;
-              }
-            }
-
-            // ask engineer to complete task
-            const { obj, usage, raw } = await engineerAsk(todo, { project });
-            if (!obj) {
-              // mark blocked
-              todo.status = 'blocked';
-              todo.notes = (todo.notes || '') + '\nEngineer failed to produce result';
-              savePlan(project, plan);
-              wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-              
-              logEvent({ type: 'TASK_FINISHED', project, taskId: todo.id, taskTitle: todo.title, status: 'blocked' });
-              return;
-            }
-            const bash = typeof obj.bash === 'string' ? obj.bash.trim() : '';
-            const patch = typeof obj.patch === 'string' ? obj.patch.trim() : '';
-            const summary = typeof obj.summary === 'string' ? obj.summary.trim() : '';
-            const danger = isDangerousBash(bash, project);
-
-            // record usage/cost
-            if (usage) addCost(project, ENGINEER_MODEL, usage);
-
-            const engResult = { ok: true, requiresApproval: danger.danger, dangerReason: danger.reason, bash, patch, summary, raw };
-            // send engineer:result to clients
-            wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'engineer:result', ...engResult })); });
-
-            logEvent({ type: 'COMMAND_PROPOSED', project, taskId: todo.id, taskTitle: todo.title, bash, summary });
-            logEvent({ type: 'POLICY_EVALUATED', project, taskId: todo.id, command: bash, action: danger.action || (danger.danger ? 'approval' : 'allow'), code: danger.code, reason: danger.reason });
-
-            if (danger.danger) {
-              // pause autopilot and notify
-              console.log('[autopilot] requiresApproval', project, todo.id || todo.title, bash, danger.reason);
-              s = loadState(); s.runState = 'paused'; saveState(s);
-              pendingApprovals.set(project, { project, taskId: todo.id || todo.title, bash, dangerReason: danger.reason });
-              wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'autopilot:requiresApproval', project, taskId: todo.id || todo.title, bash, dangerReason: danger.reason })); });
-              
-              logEvent({ type: 'DANGER_REQUIRES_APPROVAL', project, taskId: todo.id, taskTitle: todo.title, bash, dangerReason: danger.reason, dangerCode: danger.code });
-              logEvent({ type: 'POLICY_REQUIRES_APPROVAL', project, taskId: todo.id, command: bash, code: danger.code, reason: danger.reason });
-              return;
-            }
-
-            // execute bash in term
-            let commandId = null;
-            let hb = null;
-            const stall = getStallWatchdog();
-            if (bash) {
-              commandId = `cmd_${Date.now()}_${Math.random().toString(36).slice(2,7)}`;
-
-              // Start heartbeat to emit progress and feed stall watchdog
-              try {
-                hb = new CommandHeartbeat(Number(process.env.HEARTBEAT_THRESHOLD_MS) || 8000, Number(process.env.HEARTBEAT_INTERVAL_MS) || 5000);
-                hb.start(() => {
-                  // record progress in runlog and stall watchdog
-                  logEvent({ type: 'COMMAND_PROGRESS', project, taskId: todo.id, commandId, message: 'heartbeat' });
-                  try { stall.recordProgress(commandId); } catch(e) {}
-                  // broadcast to clients
-                  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'command:progress', project, taskId: todo.id, commandId })); });
-                });
-              } catch (e) {}
-
-              // Start stall watchdog
-              stall.startWatching(commandId, {
-                onStall: (info) => {
-                  // emit WS message and runlog event once per command
-                  const payload = {
-                    project,
-                    runSessionId: getCurrentRunSessionId(project),
-                    taskId: todo.id,
-                    commandId: info.commandId || commandId,
-                    elapsedMs: info.elapsedMs,
-                    lastProgressAt: info.lastProgressAt,
-                    hint: info.hint
-                  };
-                  // WS
-                  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'command:stall', ...payload })); });
-                  // runlog
-                  logEvent({ type: 'COMMAND_STALL', severity: 'warn', ...payload });
-                }
-              });
-
-              // write to terminal
-              term.write(bash + '\r');
-              logEvent({ type: 'COMMAND_EXECUTED', project, taskId: todo.id, taskTitle: todo.title, bash, commandId, stdout: '(executing)' });
-            }
-
-            // small wait to allow output to appear
-            await new Promise(r => setTimeout(r, 800));
-
-            // ask PM to verify completion
-            const { obj: pmObj, usage: pmUsage } = await pmVerify(todo, summary, bash);
-            if (pmUsage) addCost(project, PM_MODEL, pmUsage);
-            let done = false;
-            if (pmObj && typeof pmObj.done === 'boolean') done = pmObj.done;
-
-            // Stop heartbeat and watchdog for this command if present
-            try {
-              if (hb && typeof hb.stop === 'function') hb.stop();
-              if (commandId) {
-                try { stall.clearStall(commandId); } catch (e) {}
-                try { stall.stopWatching(commandId); } catch (e) {}
-              }
-            } catch (e) {}
-
-            if (done) {
-              todo.status = 'done';
-              todo.notes = (todo.notes || '') + '\n' + (pmObj?.notes || 'Completed');
-              savePlan(project, plan);
-              wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-              
-              logEvent({ type: 'TASK_FINISHED', project, taskId: todo.id, taskTitle: todo.title, status: 'done' });
-
-              // Run auto-verify recipes (project-specific or defaults)
-              try {
-                const projCfg = PROJECTS.map.get(project) || {};
-                const repoRoot = projCfg.cwd || process.cwd();
-                const verifyCmds = detectVerifyCmds(repoRoot, projCfg);
-                if (verifyCmds && verifyCmds.length > 0) {
-                  const verifyResult = await runVerification(verifyCmds, repoRoot, project, getCurrentRunSessionId(project));
-                  // Cleanup old artifacts after verify
-                  try { cleanupArtifacts(); } catch (e) {}
-                  // Emit WS and runlog
-                  wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'verify:result', project, runSessionId: getCurrentRunSessionId(project), verifyResult })); });
-                  logEvent({ type: 'VERIFY_RESULT', project, runSessionId: getCurrentRunSessionId(project), verifyResult });
-                  // Log artifact entries for runlog
-                  try {
-                    const artifacts = verifyResult.artifacts || [];
-                    for (const a of artifacts) {
-                      logEvent({ type: 'VERIFY_ARTIFACT', project, runSessionId: getCurrentRunSessionId(project), artifact: a });
-                    }
-                  } catch (e) {}
-                }
-              } catch (e) {
-                console.error('auto-verify error', e);
-              }
-
-              // continue to next if still running
-              const newState = loadState();
-              if (newState.runState === 'running') {
-                // small delay then process next
-                setTimeout(processNextTask, 300);
-              }
-            } else {
-              todo.status = 'blocked';
-              todo.notes = (todo.notes || '') + '\nPM did not mark done';
-              savePlan(project, plan);
-              wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'plan:updated', plan })); });
-              
-              logEvent({ type: 'TASK_FINISHED', project, taskId: todo.id, taskTitle: todo.title, status: 'blocked' });
-              // Stop watchdog/heartbeat for blocked tasks too
-              try { if (hb && typeof hb.stop === 'function') hb.stop(); } catch(e) {}
-              try { if (commandId) { stall.stopWatching(commandId); } } catch(e) {}
-            }
-          } catch (e) {
-            console.error('autopilot error', e);
-          }
-        })();
-      }
+      // if play, fill the project's task slots through the queue manager
+      if (action === 'play') processNextTask(project);
       return;
     }
 
@@ -2232,6 +3031,85 @@ const currentState = loadState();
       return;
     }
 
+    if (msg && msg.type === 'engineer:memory:get') {
+      const project = msg.project || activeProjectId;
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'engineer:memory', ...engineerMemorySnapshot(project) }));
+      return;
+    }
+
+    if (msg && (msg.type === 'run:resume' || msg.type === 'run:abandon')) {
+      const project = msg.project || activeProjectId;
+      let result;
+      try {
+        result = msg.type === 'run:resume' ? resumeInterruptedRun(project) : abandonInterruptedRun(project);
+      } catch (e) {
+        result = { ok: false, project, action: msg.type.split(':')[1], error: e.message, code: e.code };
+      }
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'run:recovery:result', ...result }));
+      return;
+    }
+
+    if (msg && msg.type === 'worktree:list') {
+      const project = msg.project || activeProjectId;
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'worktree:list', project, worktrees: listWorktrees(project).map(worktreeSummary) }));
+      return;
+    }
+
+    if (msg && (msg.type === 'worktree:merge' || msg.type === 'worktree:discard')) {
+      const project = msg.project || activeProjectId;
+      const action = msg.type.split(':')[1];
+      let result;
+      try {
+        result = worktreeAction(action, project, msg.id);
+      } catch (e) {
+        result = { ok: false, project, action, error: e.message, code: e.code };
+      }
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'worktree:result', ...result }));
+      return;
+    }
+
+    if (msg && msg.type === 'task:checkpoints:get') {
+      const project = msg.project || activeProjectId;
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'task:checkpoints', ...taskCheckpointsSnapshot(project) }));
+      return;
+    }
+
+    if (msg && msg.type === 'task:rollback') {
+      const project = msg.project || activeProjectId;
+      let result;
+      try {
+        result = await rollbackTaskChanges(project, msg.taskId, msg.actor);
+      } catch (e) {
+        result = { ok: false, project, taskId: msg.taskId, error: e.message, code: e.code, files: e.files };
+      }
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'task:rollback:result', ...result }));
+      return;
+    }
+
+    if (msg && msg.type === 'forecast:get') {
+      const project = msg.project || activeProjectId;
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'forecast:result', project, forecast: forecastProject(project) }));
+      return;
+    }
+
+    // ---- Budget of one project (dashboard budget field) ----
+    if (msg && msg.type === 'budget:set') {
+      const project = msg.project || activeProjectId;
+      const patch = {};
+      if (msg.amount !== undefined) patch.amount = Number(msg.amount);
+      if (msg.period !== undefined) patch.period = msg.period;
+      const result = saveProjectBudget(project, patch);
+      if (!result.ok) {
+        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'budget:set:result', ok: false, project, errors: result.errors }));
+        return;
+      }
+      logEvent({ type: 'BUDGET_CHANGED', project, budget: patch });
+      const status = checkBudgetExceeded(project);
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'budget:set:result', ok: true, project, budget: result.budget }));
+      wss.clients.forEach((c) => { if (c.readyState === 1) c.send(JSON.stringify({ type: 'cost:updated', project, cost: getProjectCost(project), budget: status })); });
+      return;
+    }
+
     // ---- PM stall decision (continue | abort | pause) ----
     if (msg && msg.type === 'pm:stall_decision') {
       const project = msg.project || activeProjectId;
@@ -2293,13 +3171,13 @@ const currentState = loadState();
 
     // ---------------- Engineer API ----------------
     if (msg && msg.type === 'engineer:ask') {
-      if (!isSmoke() && !hasKey) {
-        ws.send(JSON.stringify({ type: 'engineer:result', ok: false, error: 'OPENAI_API_KEY missing' }));
-        return;
-      }
-
       const prompt = msg.prompt || msg.text || '';
       const project = msg.project || msg.projectId || activeProjectId || 'default';
+      const llmError = llmUnavailable('engineer', project);
+      if (llmError) {
+        ws.send(JSON.stringify({ type: 'engineer:result', ok: false, error: llmError }));
+        return;
+      }
 
       const userText = [
         `Project: ${project}`,
@@ -2319,7 +3197,11 @@ const currentState = loadState();
         const bash = typeof obj.bash === 'string' ? obj.bash.trim() : '';
         const patch = typeof obj.patch === 'string' ? obj.patch.trim() : '';
         const summary = typeof obj.summary === 'string' ? obj.summary.trim() : '';
-        const danger = isDangerousBash(bash);
+        // Dry-run only: whether the patch applies and which files it touches
+        const patchCheck = patch ? dryRunPatch(projectDir(project), patch) : null;
+        const patchFiles = patchCheck ? patchPaths(patchCheck.files) : [];
+        const patchDanger = patchCheck?.ok ? isProtectedPatch(patchFiles, project, policyContext(project)) : { danger: false };
+        const danger = combineDanger(isDangerousBash(bash, project, policyContext(project)), patchDanger);
 
         const payload = {
           ok: true,
@@ -2327,13 +3209,14 @@ const currentState = loadState();
           dangerReason: danger.reason,
           bash,
           patch,
+          patchCheck: patchCheck && { ok: patchCheck.ok, files: patchCheck.files, errors: patchCheck.errors },
           summary,
           raw: rawText,
         };
 
-        const store = addUsage(project, ENGINEER_MODEL, usage);
+        const cost = recordModelCost(project, llmFor('engineer', project).model, usage, { role: 'engineer', taskId: msg.taskId || null });
         ws.send(JSON.stringify({ type: 'engineer:result', ...payload }));
-        ws.send(JSON.stringify({ type: 'usage:summary', summary: summarizeUsage(project), totals: store.totals }));
+        ws.send(JSON.stringify({ type: 'usage:summary', summary: summarizeUsage(project), totals: cost.models }));
       } catch (e) {
         ws.send(JSON.stringify({ type: 'engineer:result', ok: false, error: String(e?.message || e) }));
       }
@@ -2342,12 +3225,13 @@ const currentState = loadState();
 
     // ---------------- PM API ----------------
     if (msg && msg.type === 'pm:ask') {
-      if (!isSmoke() && !hasKey) {
-        ws.send(JSON.stringify({ type: 'pm:result', ok: false, error: 'OPENAI_API_KEY missing' }));
-        return;
-      }
       const prompt = msg.prompt || msg.text || '';
       const project = msg.project || msg.projectId || activeProjectId || 'default';
+      const llmError = llmUnavailable('pm', project);
+      if (llmError) {
+        ws.send(JSON.stringify({ type: 'pm:result', ok: false, error: llmError }));
+        return;
+      }
 
       const userText = [
         `Project: ${project}`,
@@ -2356,7 +3240,7 @@ const currentState = loadState();
       ].join('\n');
 
       try {
-        const { obj, usage, raw: rawText } = await callJSON(PM_MODEL, PM_SYSTEM_PROMPT, userText, 'PMUpdate');
+        const { obj, usage, raw: rawText } = await callJSON(llmFor('pm', project), PM_SYSTEM_PROMPT, userText, 'PMUpdate', { project });
         if (!obj) {
           ws.send(JSON.stringify({ type: 'pm:result', ok: false, raw: rawText }));
           return;
@@ -2366,11 +3250,10 @@ const currentState = loadState();
         const summary = typeof obj.summary === 'string' ? obj.summary.trim() : '';
 
         saveState(state);
-        const store = addUsage(project, PM_MODEL, usage);
-        addCost(project, PM_MODEL, usage);
+        const cost = recordModelCost(project, llmFor('pm', project).model, usage, { role: 'pm' });
         ws.send(JSON.stringify({ type: 'pm:result', ok: true, state, summary, raw: rawText }));
         broadcastState(state);
-        ws.send(JSON.stringify({ type: 'usage:summary', summary: summarizeUsage(project), totals: store.totals }));
+        ws.send(JSON.stringify({ type: 'usage:summary', summary: summarizeUsage(project), totals: cost.models }));
       } catch (e) {
         ws.send(JSON.stringify({ type: 'pm:result', ok: false, error: String(e?.message || e) }));
       }
@@ -2392,19 +3275,24 @@ const currentState = loadState();
     // ---- V4.2: Context Pack ----
     if (msg && msg.type === 'pm:context_sync') {
       const project = msg.project || activeProjectId;
-      const repoRoot = PROJECTS.map.get(project)?.cwd || process.cwd();
+      const repoRoot = projectDir(project);
       
       try {
+        // Rank files against the task being worked on (or the next one up)
+        const tasks = loadPlan(project)?.tasks || [];
+        const current = tasks.find(t => t.status === 'doing') || tasks.find(t => t.status === 'todo');
         const snapshot = await createContextSnapshot(repoRoot, {
           includeGlobs: msg.includeGlobs,
           excludeGlobs: msg.excludeGlobs,
           maxFiles: msg.maxFiles,
-          maxBytes: msg.maxBytes
+          maxBytes: msg.maxBytes,
+          task: msg.task || current || null
         });
         
-        // Store as runlog event
+        // Store as runlog event (file contents stay out of the runlog)
         logEvent({
           ...snapshot,
+          files: snapshot.files.map(f => ({ path: f.path, size: f.size, score: f.score, reasons: f.reasons, truncated: f.truncated })),
           project
         });
         
@@ -2490,7 +3378,7 @@ const currentState = loadState();
       const project = msg.project || activeProjectId;
       
       // Clear engineer context buffer
-      engineerContexts.delete(project);
+      engineerContexts.set(project, clearEngineerMemory(project));
       
       // Log event
       logEvent({
@@ -2522,6 +3410,7 @@ const currentState = loadState();
   ws.on('close', () => {
     if (sub && typeof sub.dispose === 'function') sub.dispose();
     if (term && typeof term.kill === 'function') term.kill();
+    for (const [pid, t] of projectTerm) if (t === term) projectTerm.delete(pid);
   });
 });
 
@@ -2546,7 +3435,7 @@ function listenOnce(port) {
     server.once('error', onError);
     server.once('listening', onListening);
 
-    server.listen(port, '0.0.0.0');
+    server.listen(port, process.env.HOST || '0.0.0.0');
   }).then(() => {
     const addr = server.address && server.address();
     if (addr && typeof addr === 'object' && addr.port) return addr.port;
@@ -2591,7 +3480,9 @@ async function startServerWithRetry() {
   throw new Error(`EADDRINUSE: no free port in range ${lo}-${end}`);
 }
 
-startServerWithRetry().catch((err) => {
+// Resolves to the bound port; the shipyard CLI awaits it when it runs the
+// orchestrator in-process (--local).
+export const serverReady = startServerWithRetry().catch((err) => {
   console.error('Fatal: failed to start server:', err);
   process.exit(1);
 });
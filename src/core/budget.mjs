@@ -9,5 +9,11 @@ function _openStub(name, args) {
 }
 
 export const checkBudgetExceeded = M.checkBudgetExceeded ?? ((...args) => _openStub('checkBudgetExceeded', args));
+export const validateBudget = M.validateBudget ?? ((...args) => _openStub('validateBudget', args));
+export const loadBudgets = M.loadBudgets ?? ((...args) => _openStub('loadBudgets', args));
+export const getProjectBudget = M.getProjectBudget ?? ((...args) => _openStub('getProjectBudget', args));
+export const saveProjectBudget = M.saveProjectBudget ?? ((...args) => _openStub('saveProjectBudget', args));
+export const getBudgetPeriod = M.getBudgetPeriod ?? ((...args) => _openStub('getBudgetPeriod', args));
+export const evaluateBudget = M.evaluateBudget ?? ((...args) => _openStub('evaluateBudget', args));
 
 export * from "../../packages/open-core/src/core/budget.mjs";
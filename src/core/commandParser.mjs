@@ -0,0 +1,14 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/commandParser.mjs -> packages/open-core/src/core/commandParser.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/commandParser.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const tokenizeCommand = M.tokenizeCommand ?? ((...args) => _openStub('tokenizeCommand', args));
+export const parseShellCommand = M.parseShellCommand ?? ((...args) => _openStub('parseShellCommand', args));
+
+export * from "../../packages/open-core/src/core/commandParser.mjs";
@@ -0,0 +1,19 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/commandRunner.mjs -> packages/open-core/src/core/commandRunner.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/commandRunner.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const stripAnsi = M.stripAnsi ?? ((...args) => _openStub('stripAnsi', args));
+export const buildSentinelCommand = M.buildSentinelCommand ?? ((...args) => _openStub('buildSentinelCommand', args));
+export const parseSentinelOutput = M.parseSentinelOutput ?? ((...args) => _openStub('parseSentinelOutput', args));
+export const simulateSentinelOutput = M.simulateSentinelOutput ?? ((...args) => _openStub('simulateSentinelOutput', args));
+export const runInTerm = M.runInTerm ?? ((...args) => _openStub('runInTerm', args));
+export const runSpawned = M.runSpawned ?? ((...args) => _openStub('runSpawned', args));
+export const formatCommandResult = M.formatCommandResult ?? ((...args) => _openStub('formatCommandResult', args));
+
+export * from "../../packages/open-core/src/core/commandRunner.mjs";
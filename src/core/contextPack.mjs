@@ -8,6 +8,10 @@ function _openStub(name, args) {
   return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
 }
 
+export const parseGitignore = M.parseGitignore ?? ((...args) => _openStub('parseGitignore', args));
+export const gitChanges = M.gitChanges ?? ((...args) => _openStub('gitChanges', args));
+export const taskTerms = M.taskTerms ?? ((...args) => _openStub('taskTerms', args));
+export const summarizeTree = M.summarizeTree ?? ((...args) => _openStub('summarizeTree', args));
 export const createContextSnapshot = M.createContextSnapshot ?? ((...args) => _openStub('createContextSnapshot', args));
 
 export * from "../../packages/open-core/src/core/contextPack.mjs";
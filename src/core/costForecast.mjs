@@ -0,0 +1,14 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/costForecast.mjs -> packages/open-core/src/core/costForecast.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/costForecast.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const collectTaskSamples = M.collectTaskSamples ?? ((...args) => _openStub('collectTaskSamples', args));
+export const forecastPlanCost = M.forecastPlanCost ?? ((...args) => _openStub('forecastPlanCost', args));
+
+export * from "../../packages/open-core/src/core/costForecast.mjs";
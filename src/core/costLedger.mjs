@@ -0,0 +1,17 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/costLedger.mjs -> packages/open-core/src/core/costLedger.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/costLedger.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const appendCostEntry = M.appendCostEntry ?? ((...args) => _openStub('appendCostEntry', args));
+export const readCostLedger = M.readCostLedger ?? ((...args) => _openStub('readCostLedger', args));
+export const summarizeCost = M.summarizeCost ?? ((...args) => _openStub('summarizeCost', args));
+export const getProjectCost = M.getProjectCost ?? ((...args) => _openStub('getProjectCost', args));
+export const migrateLegacyCostStores = M.migrateLegacyCostStores ?? ((...args) => _openStub('migrateLegacyCostStores', args));
+
+export * from "../../packages/open-core/src/core/costLedger.mjs";
@@ -0,0 +1,15 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/dataDir.mjs -> packages/open-core/src/core/dataDir.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/dataDir.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const setDataDir = M.setDataDir ?? ((...args) => _openStub('setDataDir', args));
+export const getDataDir = M.getDataDir ?? ((...args) => _openStub('getDataDir', args));
+export const dataPath = M.dataPath ?? ((...args) => _openStub('dataPath', args));
+
+export * from "../../packages/open-core/src/core/dataDir.mjs";
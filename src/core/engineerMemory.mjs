@@ -0,0 +1,21 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/engineerMemory.mjs -> packages/open-core/src/core/engineerMemory.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/engineerMemory.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const estimateTokens = M.estimateTokens ?? ((...args) => _openStub('estimateTokens', args));
+export const createEngineerMemory = M.createEngineerMemory ?? ((...args) => _openStub('createEngineerMemory', args));
+export const loadEngineerMemory = M.loadEngineerMemory ?? ((...args) => _openStub('loadEngineerMemory', args));
+export const saveEngineerMemory = M.saveEngineerMemory ?? ((...args) => _openStub('saveEngineerMemory', args));
+export const clearEngineerMemory = M.clearEngineerMemory ?? ((...args) => _openStub('clearEngineerMemory', args));
+export const renderMemory = M.renderMemory ?? ((...args) => _openStub('renderMemory', args));
+export const compactMemory = M.compactMemory ?? ((...args) => _openStub('compactMemory', args));
+export const addMemoryTurn = M.addMemoryTurn ?? ((...args) => _openStub('addMemoryTurn', args));
+export const memoryStats = M.memoryStats ?? ((...args) => _openStub('memoryStats', args));
+
+export * from "../../packages/open-core/src/core/engineerMemory.mjs";
@@ -0,0 +1,20 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/gitCheckpoint.mjs -> packages/open-core/src/core/gitCheckpoint.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/gitCheckpoint.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const isGitWorkTree = M.isGitWorkTree ?? ((...args) => _openStub('isGitWorkTree', args));
+export const createCheckpoint = M.createCheckpoint ?? ((...args) => _openStub('createCheckpoint', args));
+export const diffCheckpoints = M.diffCheckpoints ?? ((...args) => _openStub('diffCheckpoints', args));
+export const loadTaskCheckpoints = M.loadTaskCheckpoints ?? ((...args) => _openStub('loadTaskCheckpoints', args));
+export const beginTaskCheckpoint = M.beginTaskCheckpoint ?? ((...args) => _openStub('beginTaskCheckpoint', args));
+export const endTaskCheckpoint = M.endTaskCheckpoint ?? ((...args) => _openStub('endTaskCheckpoint', args));
+export const rollbackBlocker = M.rollbackBlocker ?? ((...args) => _openStub('rollbackBlocker', args));
+export const rollbackTask = M.rollbackTask ?? ((...args) => _openStub('rollbackTask', args));
+
+export * from "../../packages/open-core/src/core/gitCheckpoint.mjs";
@@ -0,0 +1,16 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/jsonStore.mjs -> packages/open-core/src/core/jsonStore.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/jsonStore.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const readJsonStore = M.readJsonStore ?? ((...args) => _openStub('readJsonStore', args));
+export const writeJsonStore = M.writeJsonStore ?? ((...args) => _openStub('writeJsonStore', args));
+export const withStoreLock = M.withStoreLock ?? ((...args) => _openStub('withStoreLock', args));
+export const updateJsonStore = M.updateJsonStore ?? ((...args) => _openStub('updateJsonStore', args));
+
+export * from "../../packages/open-core/src/core/jsonStore.mjs";
@@ -0,0 +1,24 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/llmProviders.mjs -> packages/open-core/src/core/llmProviders.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/llmProviders.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const normalizeUsage = M.normalizeUsage ?? ((...args) => _openStub('normalizeUsage', args));
+export const validateProviders = M.validateProviders ?? ((...args) => _openStub('validateProviders', args));
+export const loadProviders = M.loadProviders ?? ((...args) => _openStub('loadProviders', args));
+export const resolveRoleLLM = M.resolveRoleLLM ?? ((...args) => _openStub('resolveRoleLLM', args));
+export const fixtureKey = M.fixtureKey ?? ((...args) => _openStub('fixtureKey', args));
+export const fixturesDir = M.fixturesDir ?? ((...args) => _openStub('fixturesDir', args));
+export const fixtureMode = M.fixtureMode ?? ((...args) => _openStub('fixtureMode', args));
+export const createProvider = M.createProvider ?? ((...args) => _openStub('createProvider', args));
+export const recordingProvider = M.recordingProvider ?? ((...args) => _openStub('recordingProvider', args));
+export const getRoleProvider = M.getRoleProvider ?? ((...args) => _openStub('getRoleProvider', args));
+export const getProvider = M.getProvider ?? ((...args) => _openStub('getProvider', args));
+export const clearProviderCache = M.clearProviderCache ?? ((...args) => _openStub('clearProviderCache', args));
+
+export * from "../../packages/open-core/src/core/llmProviders.mjs";
@@ -0,0 +1,15 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/llmSchemas.mjs -> packages/open-core/src/core/llmSchemas.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/llmSchemas.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const validateSchema = M.validateSchema ?? ((...args) => _openStub('validateSchema', args));
+export const validateLLMOutput = M.validateLLMOutput ?? ((...args) => _openStub('validateLLMOutput', args));
+export const formatSchemaErrors = M.formatSchemaErrors ?? ((...args) => _openStub('formatSchemaErrors', args));
+
+export * from "../../packages/open-core/src/core/llmSchemas.mjs";
@@ -0,0 +1,17 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/patchApply.mjs -> packages/open-core/src/core/patchApply.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/patchApply.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const parsePatch = M.parsePatch ?? ((...args) => _openStub('parsePatch', args));
+export const patchPaths = M.patchPaths ?? ((...args) => _openStub('patchPaths', args));
+export const dryRunPatch = M.dryRunPatch ?? ((...args) => _openStub('dryRunPatch', args));
+export const applyPatch = M.applyPatch ?? ((...args) => _openStub('applyPatch', args));
+export const storePatchArtifact = M.storePatchArtifact ?? ((...args) => _openStub('storePatchArtifact', args));
+
+export * from "../../packages/open-core/src/core/patchApply.mjs";
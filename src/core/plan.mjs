@@ -10,5 +10,9 @@ function _openStub(name, args) {
 
 export const mergePlans = M.mergePlans ?? ((...args) => _openStub('mergePlans', args));
 export const computeProgress = M.computeProgress ?? ((...args) => _openStub('computeProgress', args));
+export const findRunnableTasks = M.findRunnableTasks ?? ((...args) => _openStub('findRunnableTasks', args));
+export const blockDependents = M.blockDependents ?? ((...args) => _openStub('blockDependents', args));
+export const blockStrandedTasks = M.blockStrandedTasks ?? ((...args) => _openStub('blockStrandedTasks', args));
+export const computeCriticalPath = M.computeCriticalPath ?? ((...args) => _openStub('computeCriticalPath', args));
 
 export * from "../../packages/open-core/src/core/plan.mjs";
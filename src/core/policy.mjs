@@ -0,0 +1,28 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/policy.mjs -> packages/open-core/src/core/policy.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/policy.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const loadPolicy = M.loadPolicy ?? ((...args) => _openStub('loadPolicy', args));
+export const loadProjectPolicy = M.loadProjectPolicy ?? ((...args) => _openStub('loadProjectPolicy', args));
+export const isWithinWindow = M.isWithinWindow ?? ((...args) => _openStub('isWithinWindow', args));
+export const resolvePolicyLayers = M.resolvePolicyLayers ?? ((...args) => _openStub('resolvePolicyLayers', args));
+export const evaluateCommandPolicy = M.evaluateCommandPolicy ?? ((...args) => _openStub('evaluateCommandPolicy', args));
+export const evaluatePatchPolicy = M.evaluatePatchPolicy ?? ((...args) => _openStub('evaluatePatchPolicy', args));
+export const getEffectivePolicy = M.getEffectivePolicy ?? ((...args) => _openStub('getEffectivePolicy', args));
+export const getApprovalSettings = M.getApprovalSettings ?? ((...args) => _openStub('getApprovalSettings', args));
+export const compilePolicy = M.compilePolicy ?? ((...args) => _openStub('compilePolicy', args));
+export const reloadPolicy = M.reloadPolicy ?? ((...args) => _openStub('reloadPolicy', args));
+export const getPolicyStatus = M.getPolicyStatus ?? ((...args) => _openStub('getPolicyStatus', args));
+export const validatePolicy = M.validatePolicy ?? ((...args) => _openStub('validatePolicy', args));
+export const diffPolicies = M.diffPolicies ?? ((...args) => _openStub('diffPolicies', args));
+export const savePolicy = M.savePolicy ?? ((...args) => _openStub('savePolicy', args));
+export const watchPolicyFile = M.watchPolicyFile ?? ((...args) => _openStub('watchPolicyFile', args));
+export const clearPolicyCache = M.clearPolicyCache ?? ((...args) => _openStub('clearPolicyCache', args));
+
+export * from "../../packages/open-core/src/core/policy.mjs";
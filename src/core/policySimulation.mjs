@@ -0,0 +1,14 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/policySimulation.mjs -> packages/open-core/src/core/policySimulation.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/policySimulation.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const collectHistoricalCommands = M.collectHistoricalCommands ?? ((...args) => _openStub('collectHistoricalCommands', args));
+export const simulatePolicy = M.simulatePolicy ?? ((...args) => _openStub('simulatePolicy', args));
+
+export * from "../../packages/open-core/src/core/policySimulation.mjs";
@@ -0,0 +1,17 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/pricing.mjs -> packages/open-core/src/core/pricing.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/pricing.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const validatePricing = M.validatePricing ?? ((...args) => _openStub('validatePricing', args));
+export const loadPricing = M.loadPricing ?? ((...args) => _openStub('loadPricing', args));
+export const getModelRate = M.getModelRate ?? ((...args) => _openStub('getModelRate', args));
+export const calculateCost = M.calculateCost ?? ((...args) => _openStub('calculateCost', args));
+export const clearPricingCache = M.clearPricingCache ?? ((...args) => _openStub('clearPricingCache', args));
+
+export * from "../../packages/open-core/src/core/pricing.mjs";
@@ -0,0 +1,15 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/runRecovery.mjs -> packages/open-core/src/core/runRecovery.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/runRecovery.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const lastRunEvent = M.lastRunEvent ?? ((...args) => _openStub('lastRunEvent', args));
+export const detectInterruptedRun = M.detectInterruptedRun ?? ((...args) => _openStub('detectInterruptedRun', args));
+export const resetInterruptedTasks = M.resetInterruptedTasks ?? ((...args) => _openStub('resetInterruptedTasks', args));
+
+export * from "../../packages/open-core/src/core/runRecovery.mjs";
@@ -11,6 +11,8 @@ function _openStub(name, args) {
 export const startRunSession = M.startRunSession ?? ((...args) => _openStub('startRunSession', args));
 export const stopRunSession = M.stopRunSession ?? ((...args) => _openStub('stopRunSession', args));
 export const getCurrentRunSessionId = M.getCurrentRunSessionId ?? ((...args) => _openStub('getCurrentRunSessionId', args));
+export const listOpenRunSessions = M.listOpenRunSessions ?? ((...args) => _openStub('listOpenRunSessions', args));
+export const recoverRunSessions = M.recoverRunSessions ?? ((...args) => _openStub('recoverRunSessions', args));
 export const logEvent = M.logEvent ?? ((...args) => _openStub('logEvent', args));
 export const getRunEvents = M.getRunEvents ?? ((...args) => _openStub('getRunEvents', args));
 export const getLatestRunSessionId = M.getLatestRunSessionId ?? ((...args) => _openStub('getLatestRunSessionId', args));
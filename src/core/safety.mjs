@@ -9,5 +9,6 @@ function _openStub(name, args) {
 }
 
 export const isDangerousBash = M.isDangerousBash ?? ((...args) => _openStub('isDangerousBash', args));
+export const isProtectedPatch = M.isProtectedPatch ?? ((...args) => _openStub('isProtectedPatch', args));
 
 export * from "../../packages/open-core/src/core/safety.mjs";
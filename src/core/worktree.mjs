@@ -0,0 +1,21 @@
+// AUTO-GENERATED OPEN SHIM
+// Keeps server.mjs bootable in open distribution.
+// Maps ./src/core/worktree.mjs -> packages/open-core/src/core/worktree.mjs (if present)
+
+import * as M from "../../packages/open-core/src/core/worktree.mjs";
+
+function _openStub(name, args) {
+  return { ok: false, mode: 'open_stub', name, args, reason: 'Not available in Open Core (missing or requires paid-platform).' };
+}
+
+export const listWorktrees = M.listWorktrees ?? ((...args) => _openStub('listWorktrees', args));
+export const getActiveWorktree = M.getActiveWorktree ?? ((...args) => _openStub('getActiveWorktree', args));
+export const createRunWorktree = M.createRunWorktree ?? ((...args) => _openStub('createRunWorktree', args));
+export const worktreeChanges = M.worktreeChanges ?? ((...args) => _openStub('worktreeChanges', args));
+export const stopRunWorktree = M.stopRunWorktree ?? ((...args) => _openStub('stopRunWorktree', args));
+export const mergeRunWorktree = M.mergeRunWorktree ?? ((...args) => _openStub('mergeRunWorktree', args));
+export const discardRunWorktree = M.discardRunWorktree ?? ((...args) => _openStub('discardRunWorktree', args));
+export const gcWorktrees = M.gcWorktrees ?? ((...args) => _openStub('gcWorktrees', args));
+export const worktreeEvent = M.worktreeEvent ?? ((...args) => _openStub('worktreeEvent', args));
+
+export * from "../../packages/open-core/src/core/worktree.mjs";